@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migration Script
+ * Applies pending migrations to the knowledge base and cost stores, or shows
+ * their status without changing anything.
+ * Run with: npm run db:migrate | npm run db:status
+ */
+
+import 'dotenv/config';
+import Database from 'better-sqlite3';
+import { runMigrations, getMigrationStatus, printMigrationStatus } from '../src/services/migrations.js';
+import { KB_SCHEMA } from '../src/services/knowledge-base.js';
+import { COSTS_SCHEMA } from '../src/services/cost-tracker.js';
+
+const statusOnly = process.argv.includes('--status');
+
+for (const schema of [KB_SCHEMA, COSTS_SCHEMA]) {
+  let db;
+  try {
+    db = new Database(schema.dbPath, statusOnly ? { readonly: true, fileMustExist: true } : {});
+  } catch (e) {
+    console.log(`\n=== ${schema.store}: ${schema.dbPath} does not exist yet ===`);
+    continue;
+  }
+  if (!statusOnly) {
+    db.pragma('journal_mode = WAL');
+    runMigrations(db, schema);
+  }
+  printMigrationStatus(getMigrationStatus(db, schema));
+  db.close();
+}
+process.exit(0);
@@ -3,7 +3,7 @@ import { google } from 'googleapis';
 import config from '../config.js';
 import logger from '../utils/logger.js';
 import { rateLimited } from '../utils/rate-limiter.js';
-import { retry, isRetryableHttpError } from '../utils/retry.js';
+import { retry, isRetryableHttpError, isRetryableUnappliedError } from '../utils/retry.js';
 
 const log = logger.child({ platform: 'google-ads' });
 const API_VERSION = 'v17';
@@ -55,6 +55,31 @@ async function gaqlQuery(customerId, query) {
   );
 }
 
+async function mutate(customerId, resource, operations) {
+  // Updates and removes can be repeated safely; a create that failed with a
+  // 5xx or timeout may already exist, so it is only retried when Google
+  // certainly did not process it.
+  const hasCreate = operations.some(op => op.create);
+  return rateLimited('googleAds', () =>
+    retry(async () => {
+      const token = await getAccessToken();
+      const res = await axios.post(
+        `${BASE_URL}/customers/${customerId}/${resource}:mutate`,
+        { operations },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'developer-token': config.GOOGLE_ADS_DEVELOPER_TOKEN,
+            'login-customer-id': config.GOOGLE_ADS_MANAGER_ACCOUNT_ID,
+          },
+          timeout: 30000,
+        },
+      );
+      return res.data;
+    }, { retries: 3, label: `Google Ads mutate ${resource}`, shouldRetry: hasCreate ? isRetryableUnappliedError : isRetryableHttpError })
+  );
+}
+
 // --- Account Info ---
 
 export async function getAccounts() {
@@ -84,6 +109,7 @@ export async function getCampaigns(customerId, opts = {}) {
       campaign.status,
       campaign.advertising_channel_type,
       campaign.bidding_strategy_type,
+      campaign_budget.id,
       campaign_budget.amount_micros,
       metrics.impressions,
       metrics.clicks,
@@ -166,6 +192,221 @@ export async function getAccountPerformance(customerId, dateRange) {
   `);
 }
 
+// Resource and identifying fields per reporting level
+const REPORT_RESOURCES = {
+  account: { resource: 'customer', fields: ['customer.id', 'customer.descriptive_name'] },
+  campaign: { resource: 'campaign', fields: ['campaign.id', 'campaign.name', 'campaign.status'] },
+  ad_group: { resource: 'ad_group', fields: ['ad_group.id', 'ad_group.name', 'ad_group.status', 'campaign.id'] },
+  ad: { resource: 'ad_group_ad', fields: ['ad_group_ad.ad.id', 'ad_group_ad.ad.name', 'ad_group_ad.status', 'ad_group.id'] },
+};
+
+/**
+ * Performance metrics at account, campaign, ad group or ad level.
+ * @param {object} opts - { level, dateRange: { start, end }, entityId?, daily? }
+ */
+export async function getPerformanceReport(customerId, opts = {}) {
+  const { level = 'account', dateRange, entityId, daily = false } = opts;
+  const report = REPORT_RESOURCES[level];
+  if (!report) throw new Error(`Unsupported Google Ads report level: ${level}`);
+
+  const fields = [
+    ...report.fields,
+    ...(daily ? ['segments.date'] : []),
+    'metrics.impressions', 'metrics.clicks', 'metrics.cost_micros',
+    'metrics.conversions', 'metrics.conversions_value',
+  ];
+  const conditions = [
+    dateRange ? `segments.date BETWEEN '${dateRange.start}' AND '${dateRange.end}'` : 'segments.date DURING LAST_7_DAYS',
+  ];
+  if (level !== 'account') conditions.push(`${report.resource}.status != 'REMOVED'`);
+  if (entityId) conditions.push(`${level === 'ad' ? 'ad_group_ad.ad' : report.resource}.id = ${entityId}`);
+
+  return gaqlQuery(customerId, `
+    SELECT
+      ${fields.join(',\n      ')}
+    FROM ${report.resource}
+    WHERE ${conditions.join('\n    AND ')}
+  `);
+}
+
+/**
+ * Campaigns that a set of GCLIDs clicked on one day. click_view only holds
+ * the last 90 days and must be queried one day at a time.
+ * @param {string} customerId
+ * @param {string} date - 'YYYY-MM-DD' in the account's timezone
+ * @param {string[]} gclids
+ * @returns {Promise<Object<string, { id: string, name: string }>>} gclid → campaign
+ */
+export async function getClickCampaigns(customerId, date, gclids) {
+  const valid = gclids.filter(g => /^[\w-]+$/.test(g));
+  if (valid.length === 0) return {};
+  const rows = await gaqlQuery(customerId, `
+    SELECT click_view.gclid, campaign.id, campaign.name
+    FROM click_view
+    WHERE segments.date = '${date}'
+    AND click_view.gclid IN (${valid.map(g => `'${g}'`).join(', ')})
+  `);
+  const byGclid = {};
+  for (const row of rows) {
+    byGclid[row.clickView.gclid] = { id: String(row.campaign.id), name: row.campaign.name };
+  }
+  return byGclid;
+}
+
+// --- Management ---
+
+export async function updateCampaignStatus(customerId, campaignId, status) {
+  log.info(`Updating Google Ads campaign ${campaignId} to ${status}`);
+  return mutate(customerId, 'campaigns', [{
+    update: { resourceName: `customers/${customerId}/campaigns/${campaignId}`, status }, // 'ENABLED', 'PAUSED'
+    updateMask: 'status',
+  }]);
+}
+
+export async function updateAdGroupStatus(customerId, adGroupId, status) {
+  log.info(`Updating Google Ads ad group ${adGroupId} to ${status}`);
+  return mutate(customerId, 'adGroups', [{
+    update: { resourceName: `customers/${customerId}/adGroups/${adGroupId}`, status },
+    updateMask: 'status',
+  }]);
+}
+
+export async function updateCampaignBudget(customerId, budgetId, amountMicros) {
+  log.info(`Updating Google Ads budget ${budgetId} to ${amountMicros} micros`);
+  return mutate(customerId, 'campaignBudgets', [{
+    update: { resourceName: `customers/${customerId}/campaignBudgets/${budgetId}`, amountMicros: String(amountMicros) },
+    updateMask: 'amount_micros',
+  }]);
+}
+
+export async function updateAdGroupCpcBid(customerId, adGroupId, cpcBidMicros) {
+  log.info(`Updating Google Ads ad group ${adGroupId} CPC bid to ${cpcBidMicros} micros`);
+  return mutate(customerId, 'adGroups', [{
+    update: { resourceName: `customers/${customerId}/adGroups/${adGroupId}`, cpcBidMicros: String(cpcBidMicros) },
+    updateMask: 'cpc_bid_micros',
+  }]);
+}
+
+// --- Campaign Creation ---
+
+function resourceId(resourceName) {
+  return resourceName.split('/').pop();
+}
+
+/**
+ * Create a non-shared daily campaign budget.
+ * @returns {Promise<{ resourceName: string, id: string }>}
+ */
+export async function createCampaignBudget(customerId, { name, amountMicros }) {
+  log.info(`Creating Google Ads budget "${name}" (${amountMicros} micros/day)`);
+  const res = await mutate(customerId, 'campaignBudgets', [{
+    create: { name, amountMicros: String(amountMicros), deliveryMethod: 'STANDARD', explicitlyShared: false },
+  }]);
+  const { resourceName } = res.results[0];
+  return { resourceName, id: resourceId(resourceName) };
+}
+
+/**
+ * Create a Search campaign. Created PAUSED unless a status is given.
+ * @param {object} opts - { name, budgetResourceName, biddingStrategy: 'manual_cpc' | 'maximize_conversions', startDate, endDate, status }
+ */
+export async function createSearchCampaign(customerId, opts) {
+  const { name, budgetResourceName, biddingStrategy = 'maximize_conversions', startDate, endDate, status = 'PAUSED' } = opts;
+  log.info(`Creating Google Ads search campaign "${name}" (${status})`);
+  const campaign = {
+    name,
+    status,
+    advertisingChannelType: 'SEARCH',
+    campaignBudget: budgetResourceName,
+    networkSettings: { targetGoogleSearch: true, targetSearchNetwork: true, targetContentNetwork: false },
+    ...(biddingStrategy === 'manual_cpc' ? { manualCpc: {} } : { maximizeConversions: {} }),
+  };
+  if (startDate) campaign.startDate = startDate;
+  if (endDate) campaign.endDate = endDate;
+  const res = await mutate(customerId, 'campaigns', [{ create: campaign }]);
+  const { resourceName } = res.results[0];
+  return { resourceName, id: resourceId(resourceName) };
+}
+
+export async function createAdGroup(customerId, { campaignResourceName, name, cpcBidMicros }) {
+  log.info(`Creating Google Ads ad group "${name}"`);
+  const adGroup = { name, campaign: campaignResourceName, status: 'ENABLED', type: 'SEARCH_STANDARD' };
+  if (cpcBidMicros) adGroup.cpcBidMicros = String(cpcBidMicros);
+  const res = await mutate(customerId, 'adGroups', [{ create: adGroup }]);
+  const { resourceName } = res.results[0];
+  return { resourceName, id: resourceId(resourceName) };
+}
+
+/**
+ * Add keywords to an ad group.
+ * @param {Array<{ text: string, matchType?: 'EXACT' | 'PHRASE' | 'BROAD' }>} keywords
+ */
+export async function createKeywords(customerId, adGroupResourceName, keywords) {
+  const res = await mutate(customerId, 'adGroupCriteria', keywords.map(k => ({
+    create: { adGroup: adGroupResourceName, status: 'ENABLED', keyword: { text: k.text, matchType: k.matchType || 'PHRASE' } },
+  })));
+  return res.results.map(r => r.resourceName);
+}
+
+/**
+ * Create a responsive search ad.
+ * @param {object} ad - { headlines: string[], descriptions: string[], finalUrl, path1, path2 }
+ */
+export async function createResponsiveSearchAd(customerId, adGroupResourceName, ad) {
+  const responsiveSearchAd = {
+    headlines: ad.headlines.map(text => ({ text })),
+    descriptions: ad.descriptions.map(text => ({ text })),
+  };
+  if (ad.path1) responsiveSearchAd.path1 = ad.path1;
+  if (ad.path2) responsiveSearchAd.path2 = ad.path2;
+  const res = await mutate(customerId, 'adGroupAds', [{
+    create: { adGroup: adGroupResourceName, status: 'ENABLED', ad: { finalUrls: [ad.finalUrl], responsiveSearchAd } },
+  }]);
+  return res.results[0].resourceName;
+}
+
+/**
+ * Remove a campaign and/or its budget (used to clean up a failed build).
+ */
+export async function removeCampaign(customerId, campaignId, budgetId) {
+  if (campaignId) {
+    log.info(`Removing Google Ads campaign ${campaignId}`);
+    await mutate(customerId, 'campaigns', [{ remove: `customers/${customerId}/campaigns/${campaignId}` }]);
+  }
+  if (budgetId) {
+    await mutate(customerId, 'campaignBudgets', [{ remove: `customers/${customerId}/campaignBudgets/${budgetId}` }]);
+  }
+}
+
+/**
+ * Campaign settings and child counts, for post-build QA.
+ */
+export async function getCampaignSummary(customerId, campaignId) {
+  const [campaignRows, adGroupRows, keywordRows, adRows] = await Promise.all([
+    gaqlQuery(customerId, `
+      SELECT campaign.id, campaign.name, campaign.status, campaign_budget.amount_micros
+      FROM campaign WHERE campaign.id = ${campaignId}
+    `),
+    gaqlQuery(customerId, `SELECT ad_group.id FROM ad_group WHERE campaign.id = ${campaignId} AND ad_group.status != 'REMOVED'`),
+    gaqlQuery(customerId, `
+      SELECT ad_group_criterion.criterion_id FROM ad_group_criterion
+      WHERE campaign.id = ${campaignId} AND ad_group_criterion.type = 'KEYWORD' AND ad_group_criterion.status != 'REMOVED'
+    `),
+    gaqlQuery(customerId, `SELECT ad_group_ad.ad.id FROM ad_group_ad WHERE campaign.id = ${campaignId} AND ad_group_ad.status != 'REMOVED'`),
+  ]);
+  const row = campaignRows[0];
+  if (!row) return null;
+  return {
+    id: String(row.campaign.id),
+    name: row.campaign.name,
+    status: row.campaign.status,
+    budgetMicros: parseInt(row.campaignBudget?.amountMicros || 0),
+    adGroups: adGroupRows.length,
+    keywords: keywordRows.length,
+    ads: adRows.length,
+  };
+}
+
 // --- Helpers ---
 
 export function microsToMoney(micros) {
@@ -189,6 +430,9 @@ export function formatGoogleAdsMetrics(row) {
 
 export default {
   getAccounts, getCampaigns, getAdGroups, getKeywords,
-  getAccountPerformance, gaqlQuery,
+  getAccountPerformance, getPerformanceReport, getClickCampaigns, gaqlQuery,
+  updateCampaignStatus, updateAdGroupStatus, updateCampaignBudget, updateAdGroupCpcBid,
+  createCampaignBudget, createSearchCampaign, createAdGroup, createKeywords, createResponsiveSearchAd,
+  removeCampaign, getCampaignSummary,
   microsToMoney, formatGoogleAdsMetrics,
 };
@@ -142,6 +142,42 @@ export async function exportDocumentAsBuffer(fileId, mimeType = 'application/pdf
   );
 }
 
+// ============================================================
+// Direct Drive writes — for callers that must not be routed to Supabase
+// (database backups going to a private Drive folder)
+// ============================================================
+
+export function isDriveConfigured() {
+  return !!getDrive();
+}
+
+export async function uploadBufferToDrive(name, buffer, mimeType, folderId) {
+  const drive = getDrive();
+  if (!drive) throw new Error('Google Drive not configured');
+
+  return rateLimited('google', () =>
+    retry(async () => {
+      const res = await drive.files.create({
+        requestBody: { name, parents: [folderId] },
+        media: { mimeType, body: Readable.from(buffer) },
+        fields: 'id, name, size',
+      });
+      return res.data;
+    }, { retries: 3, label: 'Google Drive buffer upload' })
+  );
+}
+
+export async function deleteFile(fileId) {
+  const drive = getDrive();
+  if (!drive) throw new Error('Google Drive not configured');
+
+  return rateLimited('google', () =>
+    retry(async () => {
+      await drive.files.delete({ fileId });
+    }, { retries: 3, label: 'Google Drive delete' })
+  );
+}
+
 // ============================================================
 // WRITE operations — route to Supabase Storage
 // ============================================================
@@ -364,6 +400,7 @@ export async function uploadImageFromUrl(imageUrl, fileName, folderId) {
 
 export default {
   listFiles, getFile, downloadFile, exportDocument, exportDocumentAsBuffer,
+  isDriveConfigured, uploadBufferToDrive, deleteFile,
   createFolder, createDocument, appendToDocument, uploadFile, uploadImageFromUrl,
   ensureClientFolders,
   shareFolderWithAnyone, shareFolderWithEmail,
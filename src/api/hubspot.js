@@ -6,19 +6,243 @@ import { retry, isRetryableHttpError } from '../utils/retry.js';
 
 const log = logger.child({ platform: 'hubspot' });
 
-const api = axios.create({
+const PAGE_SIZE = 100; // max page size of CRM search and batch endpoints
+const MAX_SEARCH_RESULTS = 10000; // CRM search stops paging after 10,000 results
+
+// Contact properties used for closed-loop attribution. utm_* are the custom
+// properties HubSpot forms commonly fill from hidden fields; they are simply
+// absent on portals that do not have them.
+const ATTRIBUTION_CONTACT_PROPERTIES = [
+  'createdate', 'lifecyclestage', 'hs_lifecyclestage_salesqualifiedlead_date',
+  'hs_analytics_source', 'hs_analytics_source_data_1', 'hs_analytics_source_data_2', 'hs_analytics_first_url',
+  'utm_source', 'utm_medium', 'utm_campaign', 'hs_google_click_id', 'hs_facebook_click_id',
+];
+// Contact properties for Mailchimp audience syncs (services/email-marketing.js)
+const AUDIENCE_CONTACT_PROPERTIES = ['email', 'firstname', 'lastname', 'lifecyclestage', 'hs_email_optout', 'hs_legal_basis'];
+const ATTRIBUTION_DEAL_PROPERTIES = [
+  'dealname', 'amount', 'amount_in_home_currency', 'deal_currency_code', 'dealstage', 'pipeline', 'createdate', 'closedate',
+  'hs_is_closed', 'hs_is_closed_won', 'hs_analytics_source', 'hs_analytics_source_data_1', 'hs_analytics_source_data_2',
+];
+
+function createRequest(api) {
+  return async function request(method, path, data, params) {
+    return rateLimited('hubspot', () =>
+      retry(async () => {
+        const res = await api({ method, url: path, data, params });
+        return res.data;
+      }, { retries: 3, label: `HubSpot ${method} ${path}`, shouldRetry: isRetryableHttpError })
+    );
+  };
+}
+
+const request = createRequest(axios.create({
   baseURL: 'https://api.hubapi.com',
   headers: { Authorization: `Bearer ${config.HUBSPOT_ACCESS_TOKEN}` },
   timeout: 15000,
-});
-
-async function request(method, path, data, params) {
-  return rateLimited('hubspot', () =>
-    retry(async () => {
-      const res = await api({ method, url: path, data, params });
-      return res.data;
-    }, { retries: 3, label: `HubSpot ${method} ${path}`, shouldRetry: isRetryableHttpError })
-  );
+}));
+
+// Search filter for a property between two 'YYYY-MM-DD' dates (inclusive, UTC)
+function dateRangeFilter(propertyName, since, until) {
+  return {
+    propertyName,
+    operator: 'BETWEEN',
+    value: String(Date.parse(`${since}T00:00:00Z`)),
+    highValue: String(Date.parse(`${until}T23:59:59.999Z`)),
+  };
+}
+
+export function normalizeDeal(d) {
+  const p = d.properties || {};
+  return {
+    id: String(d.id),
+    name: p.dealname || null,
+    // In the portal's company currency, so multi-currency deals add up
+    amountCents: Math.round((parseFloat(p.amount_in_home_currency ?? p.amount) || 0) * 100),
+    currency: p.deal_currency_code || null,
+    stage: p.dealstage || null,
+    pipeline: p.pipeline || null,
+    createdAt: p.createdate || null,
+    closedAt: p.closedate || null,
+    isClosed: p.hs_is_closed === 'true',
+    isWon: p.hs_is_closed_won === 'true',
+    source: p.hs_analytics_source || null,
+    sourceData1: p.hs_analytics_source_data_1 || null,
+    sourceData2: p.hs_analytics_source_data_2 || null,
+  };
+}
+
+export function normalizeContact(c) {
+  const p = c.properties || {};
+  return {
+    id: String(c.id),
+    createdAt: p.createdate || null,
+    lifecycleStage: p.lifecyclestage || null,
+    sqlAt: p.hs_lifecyclestage_salesqualifiedlead_date || null,
+    source: p.hs_analytics_source || null,
+    sourceData1: p.hs_analytics_source_data_1 || null,
+    sourceData2: p.hs_analytics_source_data_2 || null,
+    firstUrl: p.hs_analytics_first_url || null,
+    utmSource: p.utm_source || null,
+    utmMedium: p.utm_medium || null,
+    utmCampaign: p.utm_campaign || null,
+    gclid: p.hs_google_click_id || null,
+    fbclid: p.hs_facebook_click_id || null,
+  };
+}
+
+/**
+ * A contact as a Mailchimp audience member. Marketing consent needs a
+ * consent-based legal basis and no email opt-out; everyone else is only
+ * usable for ad retargeting.
+ */
+export function normalizeAudienceContact(c) {
+  const p = c.properties || {};
+  return {
+    id: String(c.id),
+    email: p.email || null,
+    firstName: p.firstname || null,
+    lastName: p.lastname || null,
+    lifecycleStage: p.lifecyclestage || null,
+    marketingConsent: p.hs_email_optout !== 'true' && /consent/i.test(p.hs_legal_basis || ''),
+  };
+}
+
+/**
+ * Create a HubSpot CRM client for a client's own portal (the module-level
+ * functions below act on the agency's portal). Read-only: used to join the
+ * client's deals and leads back to ad campaigns and to pull contacts for
+ * Mailchimp audience syncs.
+ *
+ * @param {object} opts
+ * @param {string} opts.accessToken - Private app or OAuth token from the Leadsie grant
+ */
+export function createClient({ accessToken }) {
+  if (!accessToken) throw new Error('HubSpot access token is required');
+  const request = createRequest(axios.create({
+    baseURL: 'https://api.hubapi.com',
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 20000,
+  }));
+
+  // Follow CRM search paging
+  async function searchAll(objectType, body) {
+    const results = [];
+    let after;
+    do {
+      const data = await request('post', `/crm/v3/objects/${objectType}/search`, { ...body, limit: PAGE_SIZE, ...(after && { after }) });
+      results.push(...(data.results || []));
+      after = data.paging?.next?.after;
+    } while (after && results.length < MAX_SEARCH_RESULTS);
+    if (after) log.warn('HubSpot search truncated', { objectType, results: results.length });
+    return results;
+  }
+
+  return {
+    async validateConnection() {
+      try {
+        await request('get', '/crm/v3/objects/deals', null, { limit: 1 });
+        return { connected: true };
+      } catch (e) {
+        log.warn('HubSpot connection validation failed', { error: e.message });
+        return { connected: false, error: e.message };
+      }
+    },
+
+    /**
+     * The portal's company currency, which amount_in_home_currency is in.
+     * Null when the account details cannot be read.
+     */
+    async getCompanyCurrency() {
+      try {
+        const data = await request('get', '/account-info/v3/details');
+        return data.companyCurrency || null;
+      } catch (e) {
+        log.warn('HubSpot account details unavailable', { error: e.message });
+        return null;
+      }
+    },
+
+    /**
+     * Deals created or closed between two dates, with attribution properties.
+     * @param {{ since: string, until: string }} range - 'YYYY-MM-DD' (inclusive)
+     */
+    async searchDeals({ since, until }) {
+      const deals = await searchAll('deals', {
+        // Filter groups are ORed
+        filterGroups: [
+          { filters: [dateRangeFilter('createdate', since, until)] },
+          { filters: [dateRangeFilter('closedate', since, until)] },
+        ],
+        properties: ATTRIBUTION_DEAL_PROPERTIES,
+        sorts: [{ propertyName: 'createdate', direction: 'ASCENDING' }],
+      });
+      return deals.map(normalizeDeal);
+    },
+
+    /**
+     * Contacts that became sales qualified leads between two dates.
+     * @param {{ since: string, until: string }} range - 'YYYY-MM-DD' (inclusive)
+     */
+    async searchSqlContacts({ since, until }) {
+      const contacts = await searchAll('contacts', {
+        filterGroups: [{ filters: [dateRangeFilter('hs_lifecyclestage_salesqualifiedlead_date', since, until)] }],
+        properties: ATTRIBUTION_CONTACT_PROPERTIES,
+      });
+      return contacts.map(normalizeContact);
+    },
+
+    /**
+     * Contacts with an e-mail address in the given lifecycle stages.
+     * @param {object} opts
+     * @param {string[]} opts.lifecycleStages - Internal values, e.g. ['customer', 'salesqualifiedlead']
+     * @param {string} [opts.updatedSince] - 'YYYY-MM-DD': only contacts modified since (UTC)
+     */
+    async searchContactsByLifecycleStage({ lifecycleStages, updatedSince }) {
+      const filters = [
+        { propertyName: 'lifecyclestage', operator: 'IN', values: lifecycleStages },
+        { propertyName: 'email', operator: 'HAS_PROPERTY' },
+      ];
+      if (updatedSince) {
+        filters.push({ propertyName: 'lastmodifieddate', operator: 'GTE', value: String(Date.parse(`${updatedSince}T00:00:00Z`)) });
+      }
+      const contacts = await searchAll('contacts', { filterGroups: [{ filters }], properties: AUDIENCE_CONTACT_PROPERTIES });
+      return contacts.map(normalizeAudienceContact);
+    },
+
+    /**
+     * Contacts associated with each deal.
+     * @param {string[]} dealIds
+     * @returns {Promise<Object<string, string[]>>} deal id → contact ids
+     */
+    async getDealContactIds(dealIds) {
+      const byDeal = {};
+      for (let i = 0; i < dealIds.length; i += PAGE_SIZE) {
+        const data = await request('post', '/crm/v4/associations/deals/contacts/batch/read', {
+          inputs: dealIds.slice(i, i + PAGE_SIZE).map(id => ({ id })),
+        });
+        for (const r of data.results || []) {
+          byDeal[String(r.from.id)] = (r.to || []).map(t => String(t.toObjectId));
+        }
+      }
+      return byDeal;
+    },
+
+    /**
+     * Contacts by id, with attribution properties.
+     * @param {string[]} contactIds
+     */
+    async getContacts(contactIds) {
+      const contacts = [];
+      for (let i = 0; i < contactIds.length; i += PAGE_SIZE) {
+        const data = await request('post', '/crm/v3/objects/contacts/batch/read', {
+          properties: ATTRIBUTION_CONTACT_PROPERTIES,
+          inputs: contactIds.slice(i, i + PAGE_SIZE).map(id => ({ id })),
+        });
+        contacts.push(...(data.results || []).map(normalizeContact));
+      }
+      return contacts;
+    },
+  };
 }
 
 // --- Contacts ---
@@ -88,6 +312,7 @@ export async function getPipelines() {
 }
 
 export default {
+  createClient, normalizeDeal, normalizeContact,
   getContact, searchContacts,
   getDeals, createDeal, updateDeal,
   getCompany, searchCompanies,
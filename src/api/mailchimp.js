@@ -0,0 +1,261 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { rateLimited } from '../utils/rate-limiter.js';
+import { retry, isRetryableHttpError } from '../utils/retry.js';
+
+const log = logger.child({ platform: 'mailchimp' });
+
+const METADATA_URL = 'https://login.mailchimp.com/oauth2/metadata';
+const PAGE_SIZE = 100;
+const MAX_PAGES = 20;
+const BATCH_SIZE = 500; // Mailchimp's limit for batch subscribe and segment member updates
+
+/**
+ * Data center of an API key ("…-us6" → "us6"), or null for OAuth tokens.
+ */
+export function serverPrefixFromKey(accessToken) {
+  return /-([a-z]+\d+)$/.exec(accessToken || '')?.[1] || null;
+}
+
+/**
+ * The first schedulable time at or after `date`. Mailchimp only schedules on
+ * the quarter hour, at least 15 minutes from now.
+ * @param {Date|string} date
+ * @param {Date} [now]
+ * @returns {string} ISO timestamp (UTC)
+ */
+export function nextScheduleSlot(date, now = new Date()) {
+  const quarter = 15 * 60 * 1000;
+  const earliest = now.getTime() + quarter;
+  const wanted = Math.max(new Date(date).getTime(), earliest);
+  return new Date(Math.ceil(wanted / quarter) * quarter).toISOString();
+}
+
+export function normalizeCampaignReport(r) {
+  return {
+    id: r.id,
+    title: r.campaign_title || null,
+    subject: r.subject_line || null,
+    audienceId: r.list_id || null,
+    sentAt: r.send_time || null,
+    emailsSent: r.emails_sent || 0,
+    opens: r.opens?.unique_opens || 0,
+    openRate: r.opens?.open_rate || 0,
+    clicks: r.clicks?.unique_subscriber_clicks || 0,
+    clickRate: r.clicks?.click_rate || 0,
+    unsubscribes: r.unsubscribed || 0,
+    bounces: (r.bounces?.hard_bounces || 0) + (r.bounces?.soft_bounces || 0),
+    orders: r.ecommerce?.total_orders || 0,
+    revenueCents: Math.round((r.ecommerce?.total_revenue || 0) * 100),
+    currency: r.ecommerce?.currency_code || null,
+  };
+}
+
+/**
+ * Create a Mailchimp Marketing API client for one account.
+ * The access token comes from the Leadsie grant (OAuth token) or is an API key;
+ * for OAuth tokens the account's data center is looked up on first use.
+ *
+ * @param {object} opts
+ * @param {string} opts.accessToken - OAuth access token or API key (…-us6)
+ * @param {string} [opts.serverPrefix] - Data center, e.g. 'us6' (looked up when omitted)
+ */
+export function createClient({ accessToken, serverPrefix }) {
+  if (!accessToken) throw new Error('Mailchimp access token is required');
+  const isApiKey = !!serverPrefixFromKey(accessToken);
+  let api;
+
+  async function getApi() {
+    if (api) return api;
+    let dc = serverPrefix || serverPrefixFromKey(accessToken);
+    if (!dc) {
+      const { data } = await retry(
+        () => axios.get(METADATA_URL, { headers: { Authorization: `OAuth ${accessToken}` }, timeout: 10000 }),
+        { retries: 2, label: 'Mailchimp metadata', shouldRetry: isRetryableHttpError },
+      );
+      dc = data.dc;
+    }
+    api = axios.create({
+      baseURL: `https://${dc}.api.mailchimp.com/3.0`,
+      ...(isApiKey ? { auth: { username: 'agency', password: accessToken } } : { headers: { Authorization: `Bearer ${accessToken}` } }),
+      timeout: 20000,
+    });
+    return api;
+  }
+
+  async function request(method, path, data, params) {
+    const client = await getApi();
+    return rateLimited('mailchimp', () =>
+      retry(async () => {
+        const res = await client({ method, url: path, data, params });
+        return res.data;
+      }, { retries: 3, label: `Mailchimp ${method} ${path}`, shouldRetry: isRetryableHttpError })
+    );
+  }
+
+  // Follow offset pagination
+  async function listAll(path, key, params = {}) {
+    const items = [];
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const data = await request('get', path, null, { ...params, count: PAGE_SIZE, offset: page * PAGE_SIZE });
+      items.push(...(data[key] || []));
+      if (items.length >= (data.total_items ?? 0) || (data[key] || []).length < PAGE_SIZE) return items;
+    }
+    log.warn('Mailchimp listing truncated', { path, items: items.length });
+    return items;
+  }
+
+  return {
+    // --- Account ---
+
+    async validateConnection() {
+      try {
+        const account = await request('get', '/', null, { fields: 'account_id,account_name,email' });
+        return { connected: true, account: account.account_name };
+      } catch (e) {
+        log.warn('Mailchimp connection validation failed', { error: e.message });
+        return { connected: false, error: e.message };
+      }
+    },
+
+    // --- Audiences ---
+
+    async listAudiences() {
+      const lists = await listAll('/lists', 'lists', {
+        fields: 'lists.id,lists.name,lists.stats.member_count,lists.campaign_defaults,total_items',
+      });
+      return lists.map(l => ({
+        id: l.id,
+        name: l.name,
+        memberCount: l.stats?.member_count ?? null,
+        fromName: l.campaign_defaults?.from_name || null,
+        fromEmail: l.campaign_defaults?.from_email || null,
+      }));
+    },
+
+    /**
+     * Add contacts to an audience. Existing members are left as they are, so
+     * a contact who unsubscribed is never re-subscribed.
+     * @param {string} audienceId
+     * @param {object[]} members - Mailchimp member objects ({ email_address, status, merge_fields })
+     * @returns {Promise<{ created: number, existing: number, errors: object[] }>}
+     */
+    async addMembers(audienceId, members) {
+      const result = { created: 0, existing: 0, errors: [] };
+      for (let i = 0; i < members.length; i += BATCH_SIZE) {
+        const data = await request('post', `/lists/${audienceId}`, {
+          members: members.slice(i, i + BATCH_SIZE),
+          update_existing: false,
+        });
+        result.created += data.total_created || 0;
+        for (const err of data.errors || []) {
+          if (err.error_code === 'ERROR_CONTACT_EXISTS') result.existing++;
+          else result.errors.push({ code: err.error_code || null, error: err.error });
+        }
+      }
+      return result;
+    },
+
+    /**
+     * A tag of an audience by name (case-insensitive), or null.
+     * Tags are static segments.
+     */
+    async findTag(audienceId, tag) {
+      const segments = await listAll(`/lists/${audienceId}/segments`, 'segments', {
+        type: 'static', fields: 'segments.id,segments.name,segments.member_count,total_items',
+      });
+      const segment = segments.find(s => s.name.toLowerCase() === tag.toLowerCase());
+      return segment ? { id: segment.id, name: segment.name, memberCount: segment.member_count ?? null } : null;
+    },
+
+    /**
+     * Tag audience members. Mailchimp can target tags with campaigns and sync
+     * them to ad platforms as audiences.
+     * @param {string} audienceId
+     * @param {string} tag - Created when missing
+     * @param {string[]} emails - Must already be members of the audience
+     * @returns {Promise<{ segmentId: number, tagged: number, errors: object[] }>}
+     */
+    async tagMembers(audienceId, tag, emails) {
+      const segment = await this.findTag(audienceId, tag)
+        || await request('post', `/lists/${audienceId}/segments`, { name: tag, static_segment: [] });
+
+      const result = { segmentId: segment.id, tagged: 0, errors: [] };
+      for (let i = 0; i < emails.length; i += BATCH_SIZE) {
+        const data = await request('post', `/lists/${audienceId}/segments/${segment.id}`, {
+          members_to_add: emails.slice(i, i + BATCH_SIZE),
+        });
+        result.tagged += data.total_added || 0;
+        result.errors.push(...(data.errors || []).map(e => ({ error: e.error })));
+      }
+      log.info('Mailchimp members tagged', { audienceId, tag, tagged: result.tagged });
+      return result;
+    },
+
+    // --- Reports ---
+
+    /**
+     * Reports of campaigns sent in a date range.
+     * @param {object} opts
+     * @param {string} opts.since - ISO date or timestamp (inclusive)
+     * @param {string} [opts.until] - ISO date or timestamp (inclusive; a bare date covers the whole day)
+     */
+    async listCampaignReports({ since, until } = {}) {
+      const params = {};
+      if (since) params.since_send_time = since;
+      if (until) params.before_send_time = /^\d{4}-\d{2}-\d{2}$/.test(until) ? `${until}T23:59:59Z` : until;
+      const reports = await listAll('/reports', 'reports', params);
+      return reports.map(normalizeCampaignReport);
+    },
+
+    // --- Campaigns ---
+
+    /**
+     * Create a regular campaign as a draft. Nothing is sent.
+     * @param {object} opts
+     * @param {string} opts.audienceId
+     * @param {number} [opts.segmentId] - Send only to this tag / saved segment
+     * @param {string} opts.subject
+     * @param {string} [opts.previewText]
+     * @param {string} opts.title - Internal campaign name
+     * @param {string} opts.fromName
+     * @param {string} opts.replyTo
+     * @param {string} opts.html
+     * @param {string} [opts.plainText]
+     */
+    async createCampaign({ audienceId, segmentId, subject, previewText, title, fromName, replyTo, html, plainText }) {
+      const campaign = await request('post', '/campaigns', {
+        type: 'regular',
+        recipients: { list_id: audienceId, ...(segmentId && { segment_opts: { saved_segment_id: segmentId } }) },
+        settings: {
+          subject_line: subject,
+          ...(previewText && { preview_text: previewText }),
+          title,
+          from_name: fromName,
+          reply_to: replyTo,
+        },
+      });
+      await request('put', `/campaigns/${campaign.id}/content`, { html, ...(plainText && { plain_text: plainText }) });
+      log.info('Mailchimp campaign draft created', { campaignId: campaign.id, audienceId });
+      return { id: campaign.id, webId: campaign.web_id, archiveUrl: campaign.archive_url || null };
+    },
+
+    async getSendChecklist(campaignId) {
+      const data = await request('get', `/campaigns/${campaignId}/send-checklist`);
+      return { isReady: data.is_ready, items: (data.items || []).filter(i => i.type !== 'success').map(i => `${i.heading}: ${i.details}`) };
+    },
+
+    /**
+     * Schedule a draft campaign for delivery.
+     * @param {string} campaignId
+     * @param {string} scheduleTime - ISO timestamp on the quarter hour (see nextScheduleSlot)
+     */
+    async scheduleCampaign(campaignId, scheduleTime) {
+      await request('post', `/campaigns/${campaignId}/actions/schedule`, { schedule_time: scheduleTime });
+      log.info('Mailchimp campaign scheduled', { campaignId, scheduleTime });
+      return { campaignId, scheduleTime };
+    },
+  };
+}
+
+export default { createClient, serverPrefixFromKey, nextScheduleSlot, normalizeCampaignReport };
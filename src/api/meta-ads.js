@@ -93,12 +93,18 @@ export async function getInsights(objectId, opts = {}) {
     fields = 'spend,impressions,clicks,cpc,cpm,ctr,reach,frequency,actions,cost_per_action_type,conversions,conversion_values',
     level = 'campaign',
     breakdowns,
+    timeIncrement,
+    limit,
+    after,
   } = opts;
 
   const params = { fields, level };
   if (datePreset) params.date_preset = datePreset;
   if (timeRange) params.time_range = JSON.stringify(timeRange);
   if (breakdowns) params.breakdowns = breakdowns;
+  if (timeIncrement) params.time_increment = timeIncrement; // 1 = one row per day
+  if (limit) params.limit = limit;
+  if (after) params.after = after; // paging cursor from a previous response
 
   return request('get', `/${objectId}/insights`, params);
 }
@@ -0,0 +1,307 @@
+import axios from 'axios';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { rateLimited } from '../utils/rate-limiter.js';
+import { retry, isRetryableHttpError } from '../utils/retry.js';
+
+const log = logger.child({ platform: 'shopify' });
+
+const PAGE_SIZE = 250;
+const MAX_PAGES = 40; // 10,000 records per listing
+
+// Order fields read for revenue and attribution. Customer, address and
+// contact fields are never requested.
+const ORDER_FIELDS = [
+  'id', 'name', 'created_at', 'cancelled_at', 'currency', 'financial_status',
+  'total_price', 'subtotal_price', 'total_discounts', 'current_total_price',
+  'landing_site', 'referring_site', 'source_name', 'discount_codes', 'line_items',
+].join(',');
+
+const PRODUCT_FIELDS = 'id,title,handle,body_html,vendor,product_type,tags,status,image,images,variants,updated_at';
+
+// Customer fields read for audience syncs: e-mail, name and marketing consent only
+const CUSTOMER_FIELDS = 'id,email,first_name,last_name,orders_count,email_marketing_consent';
+
+/**
+ * Shopify money strings ("19.99") to integer cents.
+ */
+export function toCents(amount) {
+  const n = parseFloat(amount);
+  return Number.isFinite(n) ? Math.round(n * 100) : 0;
+}
+
+/**
+ * The shop's myshopify domain from a store URL as entered during onboarding
+ * ("https://acme.myshopify.com/admin", "acme.myshopify.com", "acme").
+ */
+export function normalizeStoreDomain(storeUrl) {
+  const host = String(storeUrl || '').trim().replace(/^https?:\/\//i, '').split(/[/?#]/)[0].toLowerCase();
+  if (!host) throw new Error('Shopify store URL is empty');
+  return host.includes('.') ? host : `${host}.myshopify.com`;
+}
+
+/**
+ * page_info cursor of the rel="next" entry of a Link header, or null.
+ */
+export function parseNextPageInfo(linkHeader) {
+  for (const part of String(linkHeader || '').split(',')) {
+    if (!/rel="?next"?/.test(part)) continue;
+    const url = /<([^>]+)>/.exec(part)?.[1];
+    if (url) return new URL(url).searchParams.get('page_info');
+  }
+  return null;
+}
+
+function normalizeVariant(v) {
+  return {
+    id: String(v.id),
+    sku: v.sku || null,
+    title: v.title,
+    priceCents: toCents(v.price),
+    compareAtPriceCents: v.compare_at_price ? toCents(v.compare_at_price) : null,
+    inventoryQuantity: v.inventory_quantity ?? null,
+  };
+}
+
+export function normalizeProduct(p, domain) {
+  return {
+    id: String(p.id),
+    title: p.title,
+    handle: p.handle,
+    url: domain ? `https://${domain}/products/${p.handle}` : null,
+    description: (p.body_html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim(),
+    vendor: p.vendor || null,
+    productType: p.product_type || null,
+    tags: p.tags ? p.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+    status: p.status,
+    imageUrl: p.image?.src || p.images?.[0]?.src || null,
+    imageUrls: (p.images || []).map(i => i.src),
+    variants: (p.variants || []).map(normalizeVariant),
+    updatedAt: p.updated_at,
+  };
+}
+
+export function normalizeCustomer(c) {
+  return {
+    id: String(c.id),
+    email: c.email || null,
+    firstName: c.first_name || null,
+    lastName: c.last_name || null,
+    ordersCount: c.orders_count || 0,
+    marketingConsent: c.email_marketing_consent?.state === 'subscribed',
+  };
+}
+
+export function normalizeOrder(o) {
+  return {
+    id: String(o.id),
+    name: o.name,
+    // The field listOrders filters on, so orders land in the range they were fetched for
+    createdAt: o.created_at,
+    cancelledAt: o.cancelled_at || null,
+    currency: o.currency,
+    financialStatus: o.financial_status,
+    totalCents: toCents(o.total_price),
+    // Net of refunds and order edits
+    netCents: toCents(o.current_total_price ?? o.total_price),
+    subtotalCents: toCents(o.subtotal_price),
+    discountCents: toCents(o.total_discounts),
+    landingSite: o.landing_site || null,
+    referringSite: o.referring_site || null,
+    sourceName: o.source_name || null,
+    discountCodes: (o.discount_codes || []).map(d => d.code),
+    lineItems: (o.line_items || []).map(li => ({
+      productId: li.product_id != null ? String(li.product_id) : null,
+      variantId: li.variant_id != null ? String(li.variant_id) : null,
+      sku: li.sku || null,
+      title: li.title,
+      quantity: li.quantity,
+      // Line and order-level discounts allocated to this line
+      revenueCents: toCents(li.price) * li.quantity - (li.discount_allocations || []).reduce((sum, d) => sum + toCents(d.amount), 0),
+    })),
+  };
+}
+
+/**
+ * Create a Shopify Admin API client for one store.
+ * Credentials come from the Leadsie grant (store URL on the client, access
+ * token in the credential vault).
+ *
+ * Orders older than 60 days are only returned when the app has the
+ * read_all_orders scope.
+ *
+ * @param {object} opts
+ * @param {string} opts.storeUrl - Store URL or myshopify domain
+ * @param {string} opts.accessToken - Admin API access token (shpat_…)
+ * @param {string} [opts.apiVersion] - Admin API version (default SHOPIFY_API_VERSION)
+ */
+export function createClient({ storeUrl, accessToken, apiVersion = config.SHOPIFY_API_VERSION }) {
+  const domain = normalizeStoreDomain(storeUrl);
+
+  const api = axios.create({
+    baseURL: `https://${domain}/admin/api/${apiVersion}`,
+    headers: { 'X-Shopify-Access-Token': accessToken, 'Content-Type': 'application/json' },
+    timeout: 20000,
+  });
+
+  async function request(method, path, data, params) {
+    return rateLimited('shopify', () =>
+      retry(async () => api({ method, url: path, data, params }),
+        { retries: 3, label: `Shopify ${method} ${path}`, shouldRetry: isRetryableHttpError })
+    );
+  }
+
+  // Follow Link-header cursors. Once paging, Shopify only accepts limit and fields.
+  async function listAll(path, key, params = {}) {
+    const items = [];
+    let pageParams = { ...params, limit: PAGE_SIZE };
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const res = await request('get', path, null, pageParams);
+      items.push(...(res.data[key] || []));
+      const pageInfo = parseNextPageInfo(res.headers?.link);
+      if (!pageInfo) return items;
+      pageParams = { limit: PAGE_SIZE, page_info: pageInfo, ...(params.fields && { fields: params.fields }) };
+    }
+    log.warn('Shopify listing truncated', { domain, path, items: items.length });
+    return items;
+  }
+
+  return {
+    domain,
+
+    // --- Shop ---
+
+    async getShop() {
+      const { data } = await request('get', '/shop.json', null, { fields: 'id,name,domain,myshopify_domain,currency,iana_timezone,plan_name' });
+      const s = data.shop;
+      return { id: String(s.id), name: s.name, domain: s.domain, myshopifyDomain: s.myshopify_domain, currency: s.currency, timezone: s.iana_timezone, plan: s.plan_name };
+    },
+
+    async validateConnection() {
+      try {
+        const shop = await this.getShop();
+        return { connected: true, shop: shop.name, domain: shop.domain, currency: shop.currency };
+      } catch (e) {
+        log.warn('Shopify connection validation failed', { domain, error: e.message });
+        return { connected: false, error: e.message };
+      }
+    },
+
+    // --- Orders ---
+
+    /**
+     * Orders placed in a date range (all statuses, cancelled included).
+     * @param {object} opts
+     * @param {string} opts.since - ISO date or timestamp (inclusive)
+     * @param {string} [opts.until] - ISO date or timestamp (inclusive; a bare date covers the whole day)
+     */
+    async listOrders({ since, until } = {}) {
+      const params = { status: 'any', fields: ORDER_FIELDS };
+      if (since) params.created_at_min = since;
+      if (until) params.created_at_max = /^\d{4}-\d{2}-\d{2}$/.test(until) ? `${until}T23:59:59` : until;
+      const orders = await listAll('/orders.json', 'orders', params);
+      return orders.map(normalizeOrder);
+    },
+
+    // --- Customers ---
+
+    /**
+     * Customers who have placed at least one order. Needs the read_customers scope.
+     * @param {object} [opts]
+     * @param {string} [opts.updatedSince] - Only customers updated since (ISO date or timestamp)
+     */
+    async listCustomers({ updatedSince } = {}) {
+      const params = { fields: CUSTOMER_FIELDS };
+      if (updatedSince) params.updated_at_min = updatedSince;
+      const customers = await listAll('/customers.json', 'customers', params);
+      return customers.map(normalizeCustomer).filter(c => c.ordersCount > 0);
+    },
+
+    // --- Products & Collections ---
+
+    async listProducts({ status = 'active', collectionId } = {}) {
+      const params = { fields: PRODUCT_FIELDS };
+      if (status !== 'any') params.status = status;
+      if (collectionId) params.collection_id = collectionId;
+      const products = await listAll('/products.json', 'products', params);
+      return products.map(p => normalizeProduct(p, domain));
+    },
+
+    async getProduct(productId) {
+      const { data } = await request('get', `/products/${productId}.json`, null, { fields: PRODUCT_FIELDS });
+      return normalizeProduct(data.product, domain);
+    },
+
+    async listCollections() {
+      const fields = 'id,title,handle,updated_at';
+      const [custom, smart] = await Promise.all([
+        listAll('/custom_collections.json', 'custom_collections', { fields }),
+        listAll('/smart_collections.json', 'smart_collections', { fields }),
+      ]);
+      return [
+        ...custom.map(c => ({ id: String(c.id), title: c.title, handle: c.handle, type: 'custom' })),
+        ...smart.map(c => ({ id: String(c.id), title: c.title, handle: c.handle, type: 'smart' })),
+      ];
+    },
+
+    // --- Discount codes ---
+
+    async listPriceRules() {
+      const rules = await listAll('/price_rules.json', 'price_rules');
+      return rules.map(r => ({
+        id: String(r.id),
+        title: r.title,
+        valueType: r.value_type,
+        value: parseFloat(r.value),
+        startsAt: r.starts_at,
+        endsAt: r.ends_at,
+        usageLimit: r.usage_limit,
+        oncePerCustomer: r.once_per_customer,
+      }));
+    },
+
+    async listDiscountCodes(priceRuleId) {
+      const codes = await listAll(`/price_rules/${priceRuleId}/discount_codes.json`, 'discount_codes');
+      return codes.map(c => ({ id: String(c.id), code: c.code, usageCount: c.usage_count, priceRuleId: String(c.price_rule_id) }));
+    },
+
+    /**
+     * Create a discount code (a price rule plus its code) for the whole order.
+     * @param {object} opts
+     * @param {string} opts.code - Code customers enter (e.g. "SPRING15")
+     * @param {number} [opts.percentOff] - e.g. 15 for 15% off
+     * @param {number} [opts.amountOffCents] - Fixed amount off, instead of percentOff
+     * @param {string} [opts.startsAt] - ISO timestamp (default now)
+     * @param {string} [opts.endsAt] - ISO timestamp
+     * @param {number} [opts.usageLimit] - Total uses allowed
+     * @param {boolean} [opts.oncePerCustomer=false]
+     */
+    async createDiscountCode({ code, percentOff, amountOffCents, startsAt, endsAt, usageLimit, oncePerCustomer = false }) {
+      if (!code) throw new Error('Discount code is required');
+      if (!(percentOff > 0) === !(amountOffCents > 0)) throw new Error('Set exactly one of percentOff or amountOffCents');
+      if (percentOff > 100) throw new Error('percentOff cannot exceed 100');
+
+      const { data: ruleData } = await request('post', '/price_rules.json', {
+        price_rule: {
+          title: code,
+          target_type: 'line_item',
+          target_selection: 'all',
+          allocation_method: 'across',
+          value_type: percentOff ? 'percentage' : 'fixed_amount',
+          value: percentOff ? `-${percentOff}` : `-${(amountOffCents / 100).toFixed(2)}`,
+          customer_selection: 'all',
+          starts_at: startsAt || new Date().toISOString(),
+          ...(endsAt && { ends_at: endsAt }),
+          ...(usageLimit && { usage_limit: usageLimit }),
+          once_per_customer: oncePerCustomer,
+        },
+      });
+      const rule = ruleData.price_rule;
+      const { data: codeData } = await request('post', `/price_rules/${rule.id}/discount_codes.json`, { discount_code: { code } });
+      log.info('Shopify discount code created', { domain, code, priceRuleId: rule.id });
+      return { priceRuleId: String(rule.id), id: String(codeData.discount_code.id), code: codeData.discount_code.code };
+    },
+  };
+}
+
+export default { createClient, toCents, normalizeStoreDomain, parseNextPageInfo, normalizeOrder, normalizeProduct, normalizeCustomer };
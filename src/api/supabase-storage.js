@@ -47,17 +47,18 @@ export function isConfigured() {
 }
 
 /**
- * Ensure the media bucket exists. Creates it if missing.
+ * Ensure a bucket exists. Creates it if missing — the media bucket as public,
+ * any other bucket (e.g. database backups) as private.
  * Called lazily on first upload.
  */
-let bucketChecked = false;
-async function ensureBucket() {
-  if (bucketChecked) return;
+const checkedBuckets = new Set();
+async function ensureBucket(bucket = BUCKET) {
+  if (checkedBuckets.has(bucket)) return;
   try {
     const key = config.SUPABASE_SERVICE_ROLE_KEY || config.SUPABASE_ANON_KEY;
     await axios.post(
       `${getStorageUrl()}/bucket`,
-      { id: BUCKET, name: BUCKET, public: true },
+      { id: bucket, name: bucket, public: bucket === BUCKET },
       {
         headers: {
           apikey: config.SUPABASE_ANON_KEY,
@@ -67,15 +68,15 @@ async function ensureBucket() {
         timeout: 10000,
       },
     );
-    log.info('Created Supabase storage bucket', { bucket: BUCKET });
+    log.info('Created Supabase storage bucket', { bucket });
   } catch (e) {
     // 409 = bucket already exists, which is fine
     if (e.response?.status !== 409) {
       const detail = e.response?.data ? JSON.stringify(e.response.data).slice(0, 300) : e.message;
-      log.warn('Bucket creation failed', { status: e.response?.status, detail });
+      log.warn('Bucket creation failed', { bucket, status: e.response?.status, detail });
     }
   }
-  bucketChecked = true;
+  checkedBuckets.add(bucket);
 }
 
 /**
@@ -93,18 +94,20 @@ function publicUrl(filePath) {
  * @param {string} mimeType - MIME type (e.g. 'image/png', 'video/mp4')
  * @param {object} [opts] - Options
  * @param {boolean} [opts.upsert=true] - Overwrite if exists
- * @returns {object} { url, path, bucket }
+ * @param {string} [opts.bucket='media'] - Target bucket; buckets other than media are private
+ * @returns {object} { url, path, bucket } — url is null for private buckets
  */
 export async function uploadBuffer(filePath, buffer, mimeType, opts = {}) {
   if (!isConfigured()) throw new Error('Supabase Storage not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.');
 
-  await ensureBucket();
+  const bucket = opts.bucket || BUCKET;
+  await ensureBucket(bucket);
 
   return rateLimited('supabase', () =>
     retry(async () => {
       const key = config.SUPABASE_SERVICE_ROLE_KEY || config.SUPABASE_ANON_KEY;
       await axios.post(
-        `${getStorageUrl()}/object/${BUCKET}/${filePath}`,
+        `${getStorageUrl()}/object/${bucket}/${filePath}`,
         buffer,
         {
           headers: {
@@ -119,9 +122,9 @@ export async function uploadBuffer(filePath, buffer, mimeType, opts = {}) {
         },
       );
 
-      const url = publicUrl(filePath);
-      log.info('File uploaded to Supabase Storage', { path: filePath, size: buffer.length, url: url.slice(0, 80) });
-      return { url, path: filePath, bucket: BUCKET };
+      const url = bucket === BUCKET ? publicUrl(filePath) : null;
+      log.info('File uploaded to Supabase Storage', { bucket, path: filePath, size: buffer.length, url: url?.slice(0, 80) });
+      return { url, path: filePath, bucket };
     }, {
       retries: 2,
       label: `Supabase upload ${filePath}`,
@@ -243,6 +246,7 @@ export function ensureClientFolders(clientName) {
  * @param {string} folder - Folder path within bucket
  * @param {object} [opts]
  * @param {number} [opts.limit=100]
+ * @param {string} [opts.bucket='media']
  * @returns {object} { files: Array<{ name, id, metadata }> }
  */
 export async function listFiles(folder, opts = {}) {
@@ -251,7 +255,7 @@ export async function listFiles(folder, opts = {}) {
   const key = config.SUPABASE_SERVICE_ROLE_KEY || config.SUPABASE_ANON_KEY;
   try {
     const res = await axios.post(
-      `${getStorageUrl()}/object/list/${BUCKET}`,
+      `${getStorageUrl()}/object/list/${opts.bucket || BUCKET}`,
       {
         prefix: folder || '',
         limit: opts.limit || 100,
@@ -286,14 +290,16 @@ export async function listFiles(folder, opts = {}) {
  * Download a file from Supabase Storage.
  *
  * @param {string} filePath - Path within the bucket
+ * @param {object} [opts]
+ * @param {string} [opts.bucket='media']
  * @returns {Buffer} File content
  */
-export async function downloadFile(filePath) {
+export async function downloadFile(filePath, opts = {}) {
   if (!isConfigured()) throw new Error('Supabase Storage not configured');
 
   const key = config.SUPABASE_SERVICE_ROLE_KEY || config.SUPABASE_ANON_KEY;
   const res = await axios.get(
-    `${getStorageUrl()}/object/${BUCKET}/${filePath}`,
+    `${getStorageUrl()}/object/${opts.bucket || BUCKET}/${filePath}`,
     {
       headers: {
         apikey: config.SUPABASE_ANON_KEY,
@@ -306,6 +312,33 @@ export async function downloadFile(filePath) {
   return Buffer.from(res.data);
 }
 
+/**
+ * Delete files from Supabase Storage.
+ *
+ * @param {string[]} filePaths - Paths within the bucket
+ * @param {object} [opts]
+ * @param {string} [opts.bucket='media']
+ */
+export async function deleteFiles(filePaths, opts = {}) {
+  if (!isConfigured()) throw new Error('Supabase Storage not configured');
+  if (filePaths.length === 0) return;
+
+  const key = config.SUPABASE_SERVICE_ROLE_KEY || config.SUPABASE_ANON_KEY;
+  await axios.delete(
+    `${getStorageUrl()}/object/${opts.bucket || BUCKET}`,
+    {
+      headers: {
+        apikey: config.SUPABASE_ANON_KEY,
+        Authorization: `Bearer ${key}`,
+        'Content-Type': 'application/json',
+      },
+      data: { prefixes: filePaths },
+      timeout: 30000,
+    },
+  );
+  log.info('Files deleted from Supabase Storage', { bucket: opts.bucket || BUCKET, count: filePaths.length });
+}
+
 /**
  * Store text content as a file (replaces Google Docs createDocument).
  *
@@ -374,6 +407,7 @@ export default {
   ensureClientFolders,
   listFiles,
   downloadFile,
+  deleteFiles,
   createDocument,
   appendToDocument,
   shareFolderWithAnyone,
@@ -138,7 +138,9 @@ export async function sendApprovalRequest(action) {
 
 /**
  * Set up the webhook for Telegram Bot API.
- * Call this once during setup to point Telegram to your server.
+ * Call this once during setup to point Telegram to your server. When
+ * TELEGRAM_WEBHOOK_SECRET is set it is registered as the secret_token, which
+ * /webhook/telegram then requires on every update.
  * @param {string} webhookUrl - Your public server URL (e.g. https://yourdomain.com/webhook/telegram)
  */
 export async function setWebhook(webhookUrl) {
@@ -148,6 +150,7 @@ export async function setWebhook(webhookUrl) {
   const result = await axios.post(`${TELEGRAM_API_BASE}/setWebhook`, {
     url: webhookUrl,
     allowed_updates: ['message'],
+    ...(config.TELEGRAM_WEBHOOK_SECRET ? { secret_token: config.TELEGRAM_WEBHOOK_SECRET } : {}),
   });
   log.info('Telegram webhook set', { url: webhookUrl, ok: result.data?.ok });
   return result.data;
@@ -31,7 +31,9 @@ async function request(method, path, params = {}, data) {
 export async function getCampaigns(advertiserId, opts = {}) {
   return request('get', '/campaign/get/', {
     advertiser_id: advertiserId,
-    filtering: opts.status ? JSON.stringify({ status: opts.status }) : undefined,
+    filtering: opts.status || opts.campaignIds
+      ? JSON.stringify({ status: opts.status, campaign_ids: opts.campaignIds })
+      : undefined,
     page_size: opts.limit || 100,
   });
 }
@@ -62,6 +64,7 @@ export async function getReport(advertiserId, opts = {}) {
     metrics = ['spend', 'impressions', 'clicks', 'conversion', 'cost_per_conversion', 'ctr', 'cpc', 'cpm'],
     startDate,
     endDate,
+    page = 1,
   } = opts;
 
   return request('get', '/report/integrated/get/', {
@@ -72,6 +75,7 @@ export async function getReport(advertiserId, opts = {}) {
     metrics: JSON.stringify(metrics),
     start_date: startDate,
     end_date: endDate,
+    page,
     page_size: 200,
   });
 }
@@ -95,7 +99,82 @@ export async function updateAdGroupBudget(advertiserId, adGroupId, budget) {
   });
 }
 
+export async function updateAdGroupStatus(advertiserId, adGroupId, status) {
+  log.info(`Updating TikTok ad group ${adGroupId} to ${status}`);
+  return request('post', '/adgroup/status/update/', {
+    advertiser_id: advertiserId,
+    adgroup_ids: [adGroupId],
+    operation_status: status, // 'ENABLE', 'DISABLE', 'DELETE'
+  });
+}
+
+export async function updateCampaignBudget(advertiserId, campaignId, budget) {
+  return request('post', '/campaign/update/', {
+    advertiser_id: advertiserId,
+    campaign_id: campaignId,
+    budget: budget,
+  });
+}
+
+export async function updateAdGroupBid(advertiserId, adGroupId, bidPrice) {
+  return request('post', '/adgroup/update/', {
+    advertiser_id: advertiserId,
+    adgroup_id: adGroupId,
+    bid_price: bidPrice,
+  });
+}
+
+// --- Campaign Creation ---
+
+/**
+ * Create a campaign. Created disabled (paused) unless operationStatus is 'ENABLE'.
+ * @param {object} opts - { campaignName, objectiveType, budget, budgetMode, operationStatus }
+ * @returns {Promise<{ campaign_id: string }>}
+ */
+export async function createCampaign(advertiserId, opts) {
+  const { campaignName, objectiveType, budget, budgetMode = 'BUDGET_MODE_INFINITE', operationStatus = 'DISABLE' } = opts;
+  log.info(`Creating TikTok campaign "${campaignName}" (${operationStatus})`);
+  return request('post', '/campaign/create/', {
+    advertiser_id: advertiserId,
+    campaign_name: campaignName,
+    objective_type: objectiveType,
+    budget_mode: budgetMode,
+    budget,
+    operation_status: operationStatus,
+  });
+}
+
+/**
+ * Create an ad group with a daily budget. Created disabled unless operation_status says otherwise.
+ * @param {object} adGroup - TikTok /adgroup/create/ fields (snake_case), without advertiser_id
+ * @returns {Promise<{ adgroup_id: string }>}
+ */
+export async function createAdGroup(advertiserId, adGroup) {
+  log.info(`Creating TikTok ad group "${adGroup.adgroup_name}"`);
+  return request('post', '/adgroup/create/', {
+    operation_status: 'DISABLE',
+    ...adGroup,
+    advertiser_id: advertiserId,
+  });
+}
+
+/**
+ * Create ads in an ad group.
+ * @param {object[]} creatives - TikTok creative objects (ad_name, ad_format, video_id, ad_text, ...)
+ * @returns {Promise<{ ad_ids: string[] }>}
+ */
+export async function createAds(advertiserId, adGroupId, creatives) {
+  log.info(`Creating ${creatives.length} TikTok ad(s) in ad group ${adGroupId}`);
+  return request('post', '/ad/create/', {
+    advertiser_id: advertiserId,
+    adgroup_id: adGroupId,
+    creatives,
+  });
+}
+
 export default {
   getCampaigns, getAdGroups, getAds,
   getReport, updateCampaignStatus, updateAdGroupBudget,
+  updateAdGroupStatus, updateCampaignBudget, updateAdGroupBid,
+  createCampaign, createAdGroup, createAds,
 };
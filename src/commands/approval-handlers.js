@@ -0,0 +1,205 @@
+/**
+ * Approval resolution — shared by the WhatsApp and Telegram owner handlers.
+ * Looks approvals up in the persistent queue (services/approval-queue.js),
+ * enforces the lifecycle, and dispatches APPROVE to the executor for its type.
+ */
+import * as metaAds from '../api/meta-ads.js';
+import * as clickup from '../api/clickup.js';
+import * as seoEngine from '../services/seo-engine.js';
+import { scheduleEmailCampaign } from '../services/email-marketing.js';
+import { getClient } from '../services/knowledge-base.js';
+import { getApproval, transitionApproval, ApprovalStatus } from '../services/approval-queue.js';
+import { executeAction } from '../services/platform-actions.js';
+import { shortAuditId } from '../services/rollback.js';
+import { auditLog } from '../services/cost-tracker.js';
+import { canApprove } from '../services/team.js';
+import { launchCampaign } from '../workflows/campaign-launch.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ module: 'approval-handlers' });
+
+/**
+ * Execute a queued safeExecute() action (change_budget, change_bid, pause_*).
+ * The action descriptor carries its target and requested change; the audit
+ * entry keeps its rollbackData so the owner can UNDO it later.
+ */
+async function executeSafetyAction(payload, bold, approval) {
+  const { action } = payload;
+  if (!action?.target) {
+    return { ok: false, message: `❌ This ${approval.type.replace(/_/g, ' ')} request has no target recorded, so it can't be applied automatically. Please apply it manually.` };
+  }
+  const result = await executeAction(action);
+  const auditId = auditLog({
+    action: action.type,
+    workflow: action.workflow,
+    clientId: action.clientId,
+    platform: action.platform,
+    details: { action, result, approvalId: approval.id },
+    approvedBy: approval.decided_by,
+    result: 'success',
+    rollbackData: action.rollbackData,
+  });
+  const undoHint = action.rollbackData ? `\nReply ${bold(`UNDO ${shortAuditId(auditId)}`)} to reverse it.` : '';
+  return { message: `✅ Done: ${action.description || approval.type.replace(/_/g, ' ')}${undoHint}`, result: { auditId } };
+}
+
+/**
+ * Executors keyed by approval type. Each receives the stored payload and a
+ * `bold` formatter for the reply channel, and returns { message, ok }.
+ * Returning ok: false records the approval as failed without throwing.
+ */
+const APPROVAL_HANDLERS = {
+  async pause(payload) {
+    if (payload.platform !== 'meta') {
+      return { ok: false, message: `❌ Pausing campaigns on ${payload.platform} is not automated yet. Please pause ${payload.campaignId} manually.` };
+    }
+    await metaAds.pauseCampaign(payload.campaignId);
+    return { message: `✅ Campaign ${payload.campaignId} paused on Meta.` };
+  },
+
+  async publish_blog(payload, bold) {
+    const client = getClient(payload.clientName);
+    const wp = client ? seoEngine.getWordPressClient(client) : null;
+    if (!wp) {
+      return { ok: false, message: `❌ WordPress is not connected for ${payload.clientName}. The blog post is available in your Google Doc${payload.docUrl ? `: ${payload.docUrl}` : ''} — you can post it manually.` };
+    }
+    const { postData } = payload;
+    const wpPost = await wp.createPost({
+      title: postData.title, content: postData.content, excerpt: postData.excerpt,
+      slug: postData.slug, status: postData.publishDate ? 'future' : 'publish', date: postData.publishDate,
+      meta: { _yoast_wpseo_title: postData.seoTitle, _yoast_wpseo_metadesc: postData.seoDescription, _yoast_wpseo_focuskw: postData.focusKeyword },
+    });
+    return { message: `✅ Blog post ${bold(`"${postData.title}"`)} published to your website!\n${wpPost.link}`, result: { postId: wpPost.id, link: wpPost.link } };
+  },
+
+  async apply_meta(payload) {
+    const client = getClient(payload.clientName);
+    const wp = client ? seoEngine.getWordPressClient(client) : null;
+    if (!wp || !payload.pageId) {
+      return { ok: false, message: `❌ WordPress is not connected or page ID missing. The proposed changes are in your Google Doc${payload.docUrl ? `: ${payload.docUrl}` : ''} — you can apply them manually.` };
+    }
+    await wp.updatePageSEO(payload.pageId, payload.seoData, payload.pageType || 'posts');
+    return { message: `✅ Meta tags updated on your website for page #${payload.pageId}!` };
+  },
+
+  async update_post(payload) {
+    const client = getClient(payload.clientName);
+    const wp = client ? seoEngine.getWordPressClient(client) : null;
+    if (!wp) {
+      return { ok: false, message: `❌ WordPress is not connected for ${payload.clientName}. The changes are in your Google Doc${payload.docUrl ? `: ${payload.docUrl}` : ''} — you can apply them manually.` };
+    }
+    const updates = {};
+    if (payload.updates.title) updates.title = payload.updates.title;
+    if (payload.updates.content) updates.content = payload.updates.content;
+    if (payload.updates.status) updates.status = payload.updates.status;
+    await wp.updatePost(payload.postId, updates);
+    if (payload.seoUpdates) {
+      await wp.updatePageSEO(payload.postId, payload.seoUpdates);
+    }
+    return { message: `✅ Post #${payload.postId} updated on your website!` };
+  },
+
+  async schedule_email(payload, bold, approval) {
+    const client = getClient(payload.clientName);
+    if (!client) return { ok: false, message: `❌ Client "${payload.clientName}" not found. The draft is still in Mailchimp — schedule it there.` };
+    const { scheduleTime } = await scheduleEmailCampaign(client, {
+      campaignId: payload.campaignId, sendAt: payload.sendAt, approvedBy: approval.decided_by,
+    });
+    return { message: `✅ Email ${bold(`"${payload.subject}"`)} scheduled in Mailchimp for ${scheduleTime.replace('T', ' ').slice(0, 16)} UTC.`, result: { campaignId: payload.campaignId, scheduleTime } };
+  },
+
+  async launch_campaign(payload, bold, approval) {
+    // Execute the plan the owner saw; approvals queued before plans existed rebuild it
+    const result = await launchCampaign(payload.params, { approvedBy: approval.decided_by, plan: payload.plan });
+    if (!result.launched) {
+      return { ok: false, message: `❌ Launch did not complete: ${result.error || result.status || 'prerequisites failed'}`, result };
+    }
+    return { message: `✅ Campaign ${bold(payload.params.campaignName)} launched on ${payload.params.platform}. Campaign ID: ${result.campaignId}`, result };
+  },
+
+  change_budget: executeSafetyAction,
+  change_bid: executeSafetyAction,
+  pause_campaign: executeSafetyAction,
+  pause_adset: executeSafetyAction,
+  pause_ad: executeSafetyAction,
+
+  async creative_review(payload) {
+    if (payload.taskId) {
+      try {
+        await clickup.addComment(payload.taskId, '✅ Creative options approved by the owner.');
+      } catch (e) {
+        log.warn('Failed to comment creative approval on ClickUp', { error: e.message });
+      }
+    }
+    return { message: `✅ Creative options approved for ${payload.clientName || 'the client'}.` };
+  },
+};
+
+/**
+ * Resolve an APPROVE / DENY / DETAILS reply.
+ * @param {'APPROVE'|'DENY'|'DETAILS'} action
+ * @param {string} approvalId
+ * @param {object} opts
+ * @param {string} opts.channel - 'whatsapp' or 'telegram' (controls bold formatting)
+ * @param {string} opts.decidedBy - Who replied, recorded on the approval and in audit_log
+ * @param {object} [opts.member] - Team member who replied; APPROVE/DENY need a role allowed for the type
+ * @returns {Promise<string>} Reply text for the channel
+ */
+export async function resolveApproval(action, approvalId, { channel = 'whatsapp', decidedBy = 'owner', member = null } = {}) {
+  const bold = channel === 'telegram' ? (s) => `<b>${s}</b>` : (s) => `*${s}*`;
+
+  const approval = getApproval(approvalId);
+  if (!approval) {
+    return `❌ Approval "${approvalId}" not found.`;
+  }
+
+  if (action === 'DETAILS') {
+    return `📋 ${bold('Action Details:')}\nType: ${approval.type}\nStatus: ${approval.status}\nRequested: ${approval.created_at} UTC\nExpires: ${approval.expires_at} UTC\n${JSON.stringify({ ...approval.request, payload: approval.payload }, null, 2)}`;
+  }
+
+  if (approval.status === ApprovalStatus.EXPIRED) {
+    return `⌛ Approval "${approvalId}" expired at ${approval.expires_at} UTC. Ask me to request it again if it's still needed.`;
+  }
+  if (approval.status !== ApprovalStatus.PENDING) {
+    return `ℹ️ Approval "${approvalId}" was already ${approval.status}${approval.decided_by ? ` by ${approval.decided_by}` : ''}.`;
+  }
+
+  if (member && !canApprove(member, approval.type)) {
+    log.warn('Approval decision refused for team role', { approvalId, type: approval.type, member: member.name, role: member.role });
+    return `🚫 Your role (${member.role}) can't ${action.toLowerCase()} ${approval.type.replace(/_/g, ' ')} requests. Ask an admin.`;
+  }
+
+  if (action === 'DENY') {
+    transitionApproval(approvalId, ApprovalStatus.DENIED, { decidedBy });
+    return `❌ Action denied and cancelled.`;
+  }
+
+  // APPROVE — the conditional transition makes sure only one reply executes it
+  if (!transitionApproval(approvalId, ApprovalStatus.APPROVED, { decidedBy })) {
+    return `ℹ️ Approval "${approvalId}" is already being handled.`;
+  }
+
+  const handler = APPROVAL_HANDLERS[approval.type];
+  if (!handler) {
+    // Close it out so it does not sit in "approved" looking actionable forever
+    log.warn('Approved action has no executor', { approvalId, type: approval.type });
+    transitionApproval(approvalId, ApprovalStatus.FAILED, { error: `No automatic executor for "${approval.type}" — must be applied manually` });
+    return `⚠️ Approved, but there is no automatic executor for "${approval.type}" — please apply it manually. Nothing was changed.`;
+  }
+
+  try {
+    const { message, ok = true, result } = await handler(approval.payload, bold, { ...approval, decided_by: decidedBy });
+    if (ok) {
+      transitionApproval(approvalId, ApprovalStatus.EXECUTED, { result: result || { message } });
+    } else {
+      transitionApproval(approvalId, ApprovalStatus.FAILED, { error: message, result });
+    }
+    return message;
+  } catch (error) {
+    log.error('Approved action failed', { approvalId, type: approval.type, error: error.message });
+    transitionApproval(approvalId, ApprovalStatus.FAILED, { error: error.message });
+    return `❌ Action failed: ${error.message}`;
+  }
+}
+
+export default { resolveApproval };
@@ -45,8 +45,10 @@ function extractLastUploadedImageUrl(messages) {
  * @param {string} options.chatId - Chat ID for sending messages
  * @param {string} options.historyKey - Key for saving to conversation history
  * @param {string} options.workflow - Workflow name for cost tracking
- * @param {Object} [options.clientContext] - Client context for auto-injecting clientName
+ * @param {Object} [options.clientContext] - Client context in client mode; tool calls are bound to its client
  * @param {string} [options.contactName] - Contact name for logging
+ * @param {Object} [options.member] - Team member in owner mode (services/team.js); limits tools to their role
+ * @param {string} [options.actor] - Who tool calls are attributed to in audit_log, e.g. owner:whatsapp
  * @returns {string} Final response text
  */
 export async function runChatLoop({
@@ -59,7 +61,14 @@ export async function runChatLoop({
   workflow,
   clientContext,
   contactName,
+  member,
+  actor,
 }) {
+  // Client mode: every tool call is bound to the contact's own client
+  const tenant = clientContext?.clientId
+    ? { clientId: clientContext.clientId, clientName: clientContext.clientName, contact: chatId }
+    : undefined;
+
   const send = channel === 'telegram'
     ? (msg) => sendTelegram(msg, chatId)
     : (msg) => sendWhatsApp(msg, chatId);
@@ -100,11 +109,6 @@ export async function runChatLoop({
       }
 
       try {
-        // Auto-inject clientName for client-facing tools
-        if (clientContext?.clientId && tool.input) {
-          tool.input.clientName = tool.input.clientName || clientContext.clientName || contactName;
-        }
-
         // Auto-inject uploadedImageUrl for creative tools when user uploaded a photo
         if (tool.name === 'generate_ad_creative_with_text' && tool.input && !tool.input.uploadedImageUrl) {
           const lastImageUrl = extractLastUploadedImageUrl(messages);
@@ -114,7 +118,7 @@ export async function runChatLoop({
           }
         }
 
-        const result = await executeCSAToolWithTimeout(tool.name, tool.input);
+        const result = await executeCSAToolWithTimeout(tool.name, tool.input, { member, actor, tenant });
         const resultJson = truncateToolResult(JSON.stringify(result, stripBinaryBuffers));
         toolResults.push({ type: 'tool_result', tool_use_id: tool.id, content: resultJson });
         allToolResults.push({ type: 'tool_result', tool_use_id: tool.id, content: resultJson });
@@ -23,8 +23,8 @@ const CSA_TOOLS = [
   // --- Client-based tools ---
   {
     name: 'get_client_stats',
-    description: 'Get performance stats (spend, ROAS, CPA, conversions, CTR) for an onboarded client across their ad platforms (Meta, Google Ads). Use this when the user asks about performance of one of our managed clients.',
-    input_schema: { type: 'object', properties: { clientName: { type: 'string', description: 'Client name to look up' }, platform: { type: 'string', enum: ['meta', 'google', 'all'], description: 'Which platform to check' } }, required: ['clientName'] },
+    description: 'Get last-7-day performance stats (spend, ROAS, CPA, conversions, CTR) for an onboarded client across their ad platforms (Meta, Google Ads, TikTok, X). Money fields are in cents (spendCents, cpaCents). Use this when the user asks about performance of one of our managed clients.',
+    input_schema: { type: 'object', properties: { clientName: { type: 'string', description: 'Client name to look up' }, platform: { type: 'string', enum: ['meta', 'google', 'tiktok', 'twitter', 'all'], description: 'Which platform to check' } }, required: ['clientName'] },
   },
   {
     name: 'list_clients',
@@ -126,6 +126,135 @@ const CSA_TOOLS = [
     description: 'Request to pause a campaign. This creates an approval request that the owner must confirm.',
     input_schema: { type: 'object', properties: { campaignId: { type: 'string' }, platform: { type: 'string', enum: ['meta', 'google'] }, reason: { type: 'string' } }, required: ['campaignId', 'platform'] },
   },
+  {
+    name: 'get_safety_policy',
+    description: 'Get the safety guardrails for a client: auto-approve limits, auto-pause thresholds, blackout windows, daily auto-change cap and platform allow/deny list. Shows which values are client overrides vs global defaults.',
+    input_schema: { type: 'object', properties: { clientName: { type: 'string' } }, required: ['clientName'] },
+  },
+  {
+    name: 'update_safety_policy',
+    description: 'Change a client\'s safety guardrails (owner only). Only the fields you pass are changed. Money is in cents. List fields (blackoutWindows, platforms) replace the stored value. Use resetFields to go back to the global default for a field.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string' },
+        autoApproveBudgetChangeLimitCents: { type: 'number', description: 'Max budget change (cents) executed without approval' },
+        budgetChangeAlwaysApprovePct: { type: 'number', description: 'Budget changes above this % of the client budget always need approval' },
+        autoApproveBidChangePct: { type: 'number', description: 'Max bid change % executed without approval' },
+        autoPauseRoasThreshold: { type: 'number', description: 'Auto-pause when ROAS < target × this (e.g. 0.2)' },
+        autoPauseCpaMultiplier: { type: 'number', description: 'Auto-pause when CPA > target × this (e.g. 3)' },
+        zeroConversionSpendAlertCents: { type: 'number', description: 'Auto-pause when spend with zero conversions exceeds this (cents)' },
+        maxAutoChangesPerDay: { type: 'number', description: 'Max auto-executed budget/bid changes per 24h (0 = no cap)' },
+        blackoutWindows: { type: 'array', description: 'Windows with no automatic budget/bid changes. Either {start:"HH:MM", end:"HH:MM", days?:["mon",...], label?} or {from:"YYYY-MM-DD", to:"YYYY-MM-DD", label?}', items: { type: 'object' } },
+        timezone: { type: 'string', description: 'IANA timezone for blackout windows, e.g. "America/Los_Angeles"' },
+        platforms: { type: 'object', description: 'Platforms automation may change without approval: {allow?: [...], deny?: [...]} using meta, google, tiktok, twitter', properties: { allow: { type: 'array', items: { type: 'string' } }, deny: { type: 'array', items: { type: 'string' } } } },
+        resetFields: { type: 'array', items: { type: 'string' }, description: 'Fields to reset to the global default' },
+      },
+      required: ['clientName'],
+    },
+  },
+  {
+    name: 'configure_budget_pacing',
+    description: 'View or change how the daily budget pacing job treats a client. Pacing spreads monthly_budget_cents across the month by adjusting daily budgets (Meta ad sets/CBO campaigns, Google campaign budgets, TikTok ad groups) and lowers bid caps on overspending low-ROAS units. Call with only clientName to view the current settings.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string' },
+        mode: { type: 'string', enum: ['auto', 'recommend', 'off'], description: 'auto = apply changes (subject to safety approval), recommend = report only, off = skip client' },
+        platforms: { type: 'array', items: { type: 'string', enum: ['meta', 'google', 'tiktok'] }, description: 'Platforms to pace' },
+        tolerancePct: { type: 'number', description: 'Monthly pace deviation (%) tolerated before adjusting budgets (default 10)' },
+        maxAdjustmentPct: { type: 'number', description: 'Max daily budget change per run in % (default 20)' },
+        minDailyBudgetCents: { type: 'number', description: 'Never lower a daily budget below this (cents, default 500)' },
+        bidReductionPct: { type: 'number', description: 'Bid cap cut in % for heavily overspending low-ROAS units (default 10)' },
+        scaleUpRequiresRoasTarget: { type: 'boolean', description: 'Only raise budgets on units meeting target ROAS (default true)' },
+      },
+      required: ['clientName'],
+    },
+  },
+  {
+    name: 'configure_client_delivery',
+    description: 'View or change when client-facing messages (morning briefing at 8:30 AM, check-ins at 9 AM) reach a client: its timezone and quiet hours. Pass contactPhone to set them for one contact only; contacts inherit the client\'s values otherwise. Defaults: America/New_York, quiet 21:00–08:00. Call with only clientName to view the current settings.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string' },
+        contactPhone: { type: 'string', description: 'Change this contact instead of the whole client' },
+        timezone: { type: 'string', description: 'IANA timezone, e.g. "America/Sao_Paulo", "Europe/Lisbon", "America/Los_Angeles"' },
+        quietHoursStart: { type: 'string', description: 'Local time quiet hours begin, HH:MM (e.g. "21:00")' },
+        quietHoursEnd: { type: 'string', description: 'Local time quiet hours end, HH:MM (e.g. "08:00"); equal to start means no quiet hours' },
+        resetFields: { type: 'array', items: { type: 'string', enum: ['timezone', 'quietHoursStart', 'quietHoursEnd'] }, description: 'Fields to clear so they are inherited again' },
+      },
+      required: ['clientName'],
+    },
+  },
+  {
+    name: 'manage_team',
+    description: 'List, add, change or remove team members who can use Sofia (admin only). Roles: admin (everything), media_buyer (campaign changes, pacing, UNDO/RUN, approves budget/bid/pause/launch), creative (creative, brand and content tools, approves creative and website content), read_only (stats, research and reports). Call with action "list" to see the team; "update" also restores a removed member.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['list', 'add', 'update', 'remove'] },
+        name: { type: 'string', description: 'Team member name (add), or the member to update/remove' },
+        role: { type: 'string', enum: ['admin', 'media_buyer', 'creative', 'read_only'] },
+        whatsappPhone: { type: 'string', description: 'WhatsApp number with country code, e.g. "+5511999990000"' },
+        telegramChatId: { type: 'string', description: 'Telegram chat ID' },
+      },
+      required: ['action'],
+    },
+  },
+  {
+    name: 'get_budget_forecast',
+    description: 'Forecast end-of-month ad spend vs monthly budget. Sums month-to-date spend across Meta, Google Ads, TikTok and X and projects the rest of the month from the last 7 days\' run rate adjusted for day-of-week seasonality. Omit clientName for all clients.',
+    input_schema: { type: 'object', properties: { clientName: { type: 'string', description: 'Client name (optional — all clients if omitted)' } } },
+  },
+  {
+    name: 'list_undoable_actions',
+    description: 'List recent budget, bid and pause changes (automated or approved) that can still be undone, with their short audit IDs.',
+    input_schema: { type: 'object', properties: { clientName: { type: 'string' }, limit: { type: 'number', description: 'Number of entries (default 10)' } } },
+  },
+  {
+    name: 'undo_action',
+    description: 'Undo an executed budget change, bid change or pause by restoring the prior state recorded in the audit log. Use the audit ID (or its first 8 characters) from list_undoable_actions or an alert. Only use when the owner explicitly asks to undo/revert a change.',
+    input_schema: { type: 'object', properties: { auditId: { type: 'string', description: 'Audit ID or short ID of the action to undo' } }, required: ['auditId'] },
+  },
+  {
+    name: 'list_anomalies',
+    description: 'List recent statistical anomalies from the daily monitor (CPA, CTR, CPM, spend or conversion rate deviating from a campaign\'s own baseline), with their short IDs, plus active silences.',
+    input_schema: { type: 'object', properties: { clientName: { type: 'string' }, status: { type: 'string', enum: ['open', 'silenced'] }, limit: { type: 'number', description: 'Number of entries (default 20)' } } },
+  },
+  {
+    name: 'silence_anomaly',
+    description: 'Silence an anomaly so the monitor stops alerting on that campaign metric (or on every metric for the campaign with allMetrics). Use the anomaly ID shown in brackets in the monitor alert. Silences are permanent unless days is given.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        anomalyId: { type: 'string', description: 'Anomaly ID or short ID' },
+        days: { type: 'number', description: 'Silence for this many days (optional — permanent if omitted)' },
+        allMetrics: { type: 'boolean', description: 'Silence every metric for the campaign, not just the anomalous one' },
+        reason: { type: 'string', description: 'Why the change is expected, e.g. "planned budget increase"' },
+      },
+      required: ['anomalyId'],
+    },
+  },
+  {
+    name: 'get_job_history',
+    description: 'Show scheduled job history: every registered job with its schedule, last run and recent failures, plus individual runs (start, end, status, error, and whether it was scheduled, a catch-up after downtime or run manually). Filter by job name or status. The owner can rerun a job with "RUN <job name>".',
+    input_schema: { type: 'object', properties: { job: { type: 'string', description: 'Job name, e.g. "morning-briefing" (optional)' }, status: { type: 'string', enum: ['running', 'success', 'failed', 'skipped', 'interrupted'] }, limit: { type: 'number', description: 'Number of runs (default 20)' } } },
+  },
+  {
+    name: 'configure_job_schedule',
+    description: 'View or change when scheduled jobs run, without a restart. Set a job\'s cron expression, timezone, or enable/disable it; omit job to set the default timezone for all jobs. Changes apply immediately and are recorded in the audit log. Call with no changes to view every job\'s current and default schedule.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        job: { type: 'string', description: 'Job name, e.g. "morning-briefing" (omit for the all-jobs default timezone)' },
+        schedule: { type: 'string', description: 'Cron expression, e.g. "0 7 * * 1-5" for 7 AM on weekdays' },
+        timezone: { type: 'string', description: 'IANA timezone, e.g. "America/Sao_Paulo"' },
+        enabled: { type: 'boolean', description: 'false stops the job from running on schedule (it can still be run with RUN)' },
+        resetFields: { type: 'array', items: { type: 'string', enum: ['schedule', 'timezone', 'enabled'] }, description: 'Fields to reset to the default' },
+      },
+    },
+  },
   // --- Search Volume & Keyword Research ---
   {
     name: 'get_search_volume',
@@ -207,6 +336,94 @@ const CSA_TOOLS = [
     description: 'Generate a FULL creative package: text ads + ad images + optional video, all assembled into a Google Slides presentation deck for client approval. IMPORTANT: Gather a complete creative brief before calling this tool — the more context you provide (audience, offer, style, mood, brand colors, competitor insights, website insights), the better the output.',
     input_schema: { type: 'object', properties: { clientName: { type: 'string', description: 'Client name' }, platform: { type: 'string', enum: ['meta', 'instagram', 'google', 'tiktok'], description: 'Primary platform' }, campaignName: { type: 'string', description: 'Campaign name for the deck' }, objective: { type: 'string', description: 'Campaign objective (awareness, leads, conversions, traffic)' }, audience: { type: 'string', description: 'Detailed target audience (demographics, interests, pain points)' }, offer: { type: 'string', description: 'Offer/promotion/value proposition' }, concept: { type: 'string', description: 'Detailed creative concept — visual direction, mood, style, what the ads should convey' }, style: { type: 'string', description: 'Creative style: photorealistic, lifestyle, minimalist, editorial, cinematic, bold/vibrant' }, mood: { type: 'string', description: 'Emotion to evoke: urgency, trust, excitement, aspiration, exclusivity' }, brandColors: { type: 'string', description: 'Brand color palette' }, references: { type: 'string', description: 'Visual references or inspiration' }, websiteInsights: { type: 'string', description: 'Key insights from browsing client website' }, competitorInsights: { type: 'string', description: 'Insights from competitor ad research' }, textVariations: { type: 'number', description: 'Number of text ad variations (default: 5)' }, generateImages: { type: 'boolean', description: 'Generate images with DALL-E 3 (default: true)' }, generateVideo: { type: 'boolean', description: 'Generate video with Sora 2 (default: false)' } }, required: ['clientName', 'platform'] },
   },
+  // --- Shopify (store revenue & catalog) ---
+  {
+    name: 'get_store_revenue',
+    description: 'Get real revenue from a client\'s Shopify store and attribute it to ad platforms, campaigns and products via UTM parameters. Compares ROAS on store revenue with the ROAS the ad platforms report. Requires Shopify access via Leadsie.',
+    input_schema: { type: 'object', properties: {
+      clientName: { type: 'string', description: 'Client name' },
+      days: { type: 'number', description: 'Days to look back, ending yesterday (default: 7, max: 60)' },
+    }, required: ['clientName'] },
+  },
+  {
+    name: 'list_store_products',
+    description: 'List products (with SKUs, prices, images and URLs) and collections from a client\'s Shopify store. Use before generating product ads. Requires Shopify access via Leadsie.',
+    input_schema: { type: 'object', properties: {
+      clientName: { type: 'string', description: 'Client name' },
+      collection: { type: 'string', description: 'Only products in this collection (title, handle or id) (optional)' },
+      search: { type: 'string', description: 'Filter by product title (optional)' },
+      limit: { type: 'number', description: 'Max products (default: 25)' },
+    }, required: ['clientName'] },
+  },
+  {
+    name: 'generate_product_ads',
+    description: 'Generate ad copy per product/SKU from the client\'s Shopify catalog (title, price, description and URL of each product). Returns ads grouped by product with the product image URL, which can be passed to generate_ad_creative_with_text as uploadedImageUrl. Requires Shopify access via Leadsie.',
+    input_schema: { type: 'object', properties: {
+      clientName: { type: 'string', description: 'Client name' },
+      platform: { type: 'string', enum: ['meta', 'instagram', 'google', 'tiktok'], description: 'Ad platform' },
+      skus: { type: 'string', description: 'Comma-separated SKUs to cover (optional)' },
+      collection: { type: 'string', description: 'Collection title, handle or id (optional)' },
+      search: { type: 'string', description: 'Product title search (optional)' },
+      limit: { type: 'number', description: 'Max products (default: 5, max: 10)' },
+      variations: { type: 'number', description: 'Ad variations per product (default: 3)' },
+      objective: { type: 'string', description: 'Campaign objective (default: conversions)' },
+      audience: { type: 'string', description: 'Target audience (optional)' },
+      offer: { type: 'string', description: 'Offer or promotion (optional)' },
+    }, required: ['clientName', 'platform'] },
+  },
+  // --- Mailchimp (email marketing) ---
+  {
+    name: 'get_email_performance',
+    description: 'Get email campaign performance from a client\'s Mailchimp account: campaigns sent, opens, clicks, unsubscribes and e-commerce revenue, with totals. Requires Mailchimp access via Leadsie.',
+    input_schema: { type: 'object', properties: {
+      clientName: { type: 'string', description: 'Client name' },
+      days: { type: 'number', description: 'Days to look back, ending yesterday (default: 7, max: 90)' },
+    }, required: ['clientName'] },
+  },
+  {
+    name: 'get_pipeline_attribution',
+    description: 'Get closed-loop results per ad campaign from a client\'s HubSpot CRM: SQLs and cost per SQL, pipeline created and pipeline ROAS, closed-won revenue and closed-won ROAS. Leads and deals are joined to campaigns through their UTM parameters, GCLID/FBCLID and HubSpot original source. Use when the client judges results on pipeline rather than platform-reported conversions. Requires HubSpot access via Leadsie.',
+    input_schema: { type: 'object', properties: {
+      clientName: { type: 'string', description: 'Client name' },
+      days: { type: 'number', description: 'Days to look back, ending yesterday (default: 30, max: 180)' },
+      limit: { type: 'number', description: 'Max campaigns to list (default: 20)' },
+    }, required: ['clientName'] },
+  },
+  {
+    name: 'sync_email_audience',
+    description: 'Add converted leads, the client\'s Shopify customers or their HubSpot contacts (by lifecycle stage) to their Mailchimp audience under a tag, for email follow-up and retargeting (Mailchimp syncs tags to Meta/Google as ad audiences). Contacts without marketing consent are added as transactional: they can be retargeted with ads but never receive campaign emails. Existing members are not changed. Requires Mailchimp access via Leadsie.',
+    input_schema: { type: 'object', properties: {
+      clientName: { type: 'string', description: 'Client name' },
+      source: { type: 'string', enum: ['contacts', 'shopify_customers', 'hubspot_contacts'], description: 'contacts = the list passed in "contacts"; shopify_customers = customers with at least one order in the client\'s Shopify store; hubspot_contacts = contacts in the client\'s HubSpot at the lifecycle stages in "lifecycleStages"' },
+      lifecycleStages: { type: 'array', items: { type: 'string', enum: ['subscriber', 'lead', 'marketingqualifiedlead', 'salesqualifiedlead', 'opportunity', 'customer', 'evangelist', 'other'] }, description: 'For hubspot_contacts: lifecycle stages to sync (default: ["customer"])' },
+      contacts: { type: 'array', description: 'Converted leads to add (for source "contacts")', items: { type: 'object', properties: {
+        email: { type: 'string' },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        marketingConsent: { type: 'boolean', description: 'True only if the person agreed to receive marketing emails' },
+      }, required: ['email'] } },
+      days: { type: 'number', description: 'For shopify_customers and hubspot_contacts: only contacts updated in the last N days (optional)' },
+      tag: { type: 'string', description: 'Tag to apply (default: "Converted leads", "Customers" or "HubSpot contacts")' },
+      mailchimpAudience: { type: 'string', description: 'Mailchimp audience name or id (default: the client\'s audience)' },
+    }, required: ['clientName', 'source'] },
+  },
+  {
+    name: 'draft_email_campaign',
+    description: 'Write a campaign email in the client\'s brand voice (Brand DNA, colors, logo), optionally featuring Shopify products, and create it as a draft in their Mailchimp account. Returns subject line options and the copy, and an approval ID to schedule the send. Nothing is sent until it is approved. Requires Mailchimp access via Leadsie.',
+    input_schema: { type: 'object', properties: {
+      clientName: { type: 'string', description: 'Client name' },
+      goal: { type: 'string', description: 'What the email should achieve (e.g. "announce the summer sale", "win back lapsed customers")' },
+      targetAudience: { type: 'string', description: 'Who the email is for, to guide the copy (optional)' },
+      offer: { type: 'string', description: 'Offer or promotion (optional)' },
+      ctaUrl: { type: 'string', description: 'Link for the call-to-action button (default: client website)' },
+      tag: { type: 'string', description: 'Send only to members with this Mailchimp tag (optional, default: whole audience)' },
+      mailchimpAudience: { type: 'string', description: 'Mailchimp audience name or id (default: the client\'s audience)' },
+      skus: { type: 'string', description: 'Comma-separated Shopify SKUs to feature (optional)' },
+      collection: { type: 'string', description: 'Shopify collection to feature products from (optional)' },
+      productSearch: { type: 'string', description: 'Shopify product title search (optional)' },
+      sendAt: { type: 'string', description: 'When to send once approved, ISO 8601 with timezone (default: as soon as approved)' },
+    }, required: ['clientName', 'goal'] },
+  },
   // --- Web Browsing ---
   {
     name: 'browse_website',
@@ -340,8 +557,8 @@ const CSA_TOOLS = [
   // --- Client Onboarding (Leadsie) ---
   {
     name: 'create_onboarding_link',
-    description: 'Create a Leadsie invite link to send to a new client so they can grant access to their ad accounts (Meta, Google Ads, TikTok), CMS (WordPress, Shopify), DNS (GoDaddy), and CRM (HubSpot) in one click. Sofia will send the link directly via chat.',
-    input_schema: { type: 'object', properties: { clientName: { type: 'string', description: 'Client business name' }, clientEmail: { type: 'string', description: 'Client email (optional)' }, platforms: { type: 'string', description: 'Comma-separated platforms: facebook, google, tiktok, wordpress, shopify, godaddy, hubspot (default: facebook,google,wordpress,hubspot)' } }, required: ['clientName'] },
+    description: 'Create a Leadsie invite link to send to a new client so they can grant access to their ad accounts (Meta, Google Ads, TikTok), CMS (WordPress, Shopify), DNS (GoDaddy), CRM (HubSpot) and email (Mailchimp) in one click. Sofia will send the link directly via chat.',
+    input_schema: { type: 'object', properties: { clientName: { type: 'string', description: 'Client business name' }, clientEmail: { type: 'string', description: 'Client email (optional)' }, platforms: { type: 'string', description: 'Comma-separated platforms: facebook, google, tiktok, wordpress, shopify, godaddy, hubspot, mailchimp (default: facebook,google,wordpress,hubspot)' } }, required: ['clientName'] },
   },
   {
     name: 'check_onboarding_status',
@@ -547,6 +764,7 @@ export const CLIENT_TOOL_NAMES = [
   'generate_ad_images', 'generate_ad_video', 'generate_creative_package',
   'generate_text_ads', 'analyze_visual_reference', 'preview_landing_page',
   'generate_video_from_image', 'generate_ad_creative_with_text',
+  'list_store_products', 'generate_product_ads',
   'browse_website', 'crawl_website', 'search_web', 'map_website',
   'search_ad_library', 'search_facebook_pages', 'get_page_ads',
   'get_search_volume', 'get_keyword_ideas',
@@ -558,4 +776,66 @@ export const CLIENT_TOOL_NAMES = [
   'plan_content_calendar', 'list_wp_content', 'generate_schema_markup',
 ];
 
+// --- Team roles (services/team.js) ---
+// Which owner tools each team role may call. Admins (and the owner) may call
+// every tool; anything not listed below is admin-only.
+
+// Look at data, research and build reports — never changes accounts or settings
+export const VIEW_TOOL_NAMES = [
+  'search_ad_library', 'search_facebook_pages', 'get_page_ads',
+  'get_client_stats', 'list_clients', 'get_budget_info', 'get_client_info', 'get_safety_policy',
+  'get_budget_forecast', 'list_anomalies', 'list_undoable_actions', 'get_job_history', 'get_audit_log',
+  'check_overdue_tasks', 'get_clickup_tasks', 'get_clickup_task', 'get_clickup_workspace', 'get_daily_standup',
+  'run_competitor_analysis', 'pull_competitor_ads', 'search_google_ads_transparency',
+  'get_search_volume', 'get_keyword_ideas', 'get_keyword_planner_ideas', 'get_keyword_planner_volume',
+  'analyze_serp', 'find_seo_competitors', 'get_keyword_gap', 'get_domain_overview',
+  'audit_landing_page', 'audit_seo_page', 'full_seo_audit', 'list_wp_content',
+  'browse_website', 'crawl_website', 'search_web', 'map_website', 'preview_landing_page', 'analyze_visual_reference',
+  'check_onboarding_status', 'list_client_files', 'get_brand_dna', 'get_store_revenue', 'list_store_products',
+  'get_email_performance', 'get_pipeline_attribution',
+  'get_analytics_metrics', 'get_analytics_top_pages', 'get_analytics_traffic_sources',
+  'get_analytics_audience', 'get_analytics_daily_trend',
+  'get_gsc_top_queries', 'get_gsc_top_pages', 'get_gsc_page_queries', 'get_gsc_daily_trend', 'get_gsc_device_breakdown',
+  'get_aa_campaigns', 'get_aa_campaign', 'get_aa_integrations', 'get_aa_reports',
+  'generate_report', 'generate_pdf_report', 'export_report_to_sheet',
+  'build_media_plan_deck', 'build_competitor_deck', 'build_performance_deck',
+  'generate_performance_pdf', 'generate_competitor_pdf', 'create_chart_presentation', 'create_single_chart',
+];
+
+const MEDIA_BUYING_TOOL_NAMES = [
+  'request_campaign_pause', 'configure_budget_pacing', 'undo_action', 'silence_anomaly',
+  'generate_media_plan', 'generate_campaign_brief', 'generate_text_ads', 'run_morning_briefing',
+  'sync_email_audience', 'create_clickup_task', 'update_clickup_task',
+];
+
+const CREATIVE_TOOL_NAMES = [
+  'generate_campaign_brief', 'generate_creatives', 'generate_text_ads', 'generate_ad_images', 'generate_ad_video',
+  'generate_creative_package', 'generate_video_from_image', 'generate_ad_creative_with_text', 'generate_product_ads',
+  'draft_email_campaign', 'extract_brand_dna', 'update_brand_dna',
+  'generate_blog_post', 'fix_meta_tags', 'update_wp_post', 'generate_schema_markup',
+  'create_content_calendar', 'plan_content_calendar',
+  'create_clickup_task', 'update_clickup_task',
+];
+
+export const ROLE_TOOL_NAMES = {
+  media_buyer: [...new Set([...VIEW_TOOL_NAMES, ...MEDIA_BUYING_TOOL_NAMES])],
+  creative: [...new Set([...VIEW_TOOL_NAMES, ...CREATIVE_TOOL_NAMES])],
+  read_only: VIEW_TOOL_NAMES,
+};
+
+/**
+ * Whether a team role may call a tool. Admins may call every tool.
+ */
+export function isToolAllowedForRole(role, toolName) {
+  if (role === 'admin') return true;
+  return ROLE_TOOL_NAMES[role]?.includes(toolName) || false;
+}
+
+/**
+ * Tool schemas a team role is offered in chat.
+ */
+export function getToolsForRole(role) {
+  return CSA_TOOLS.filter(t => isToolAllowedForRole(role, t.name));
+}
+
 export { CSA_TOOLS };
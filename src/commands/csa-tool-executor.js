@@ -4,9 +4,27 @@
  */
 import { getAllClients, getClient, buildClientContext, updateClient } from '../services/knowledge-base.js';
 import { initiateOnboarding } from '../services/client-onboarding-flow.js';
-import { getCostSummary, getAuditLog } from '../services/cost-tracker.js';
+import { getCostSummary, getAuditLog, auditLog } from '../services/cost-tracker.js';
+import { enqueueApproval, newApprovalId } from '../services/approval-queue.js';
+import { rollbackAction, listRollbackableActions } from '../services/rollback.js';
+import { getClientPolicy, getClientPolicyOverrides, setClientPolicy } from '../services/safety-policy.js';
 import { runMorningBriefing } from '../workflows/morning-briefing.js';
 import { runDailyMonitor } from '../workflows/daily-monitor.js';
+import { getPacingSettings, updatePacingSettings } from '../workflows/budget-pacing.js';
+import { getClientBudgetForecast, getBudgetForecasts, formatForecastLine } from '../services/budget-forecast.js';
+import { listAnomalies, listSilences, silenceAnomaly } from '../services/anomaly-detection.js';
+import {
+  getJobHistory, getJobSummaries, getJobs, setJobSchedule, syncClientTimezoneJobs, ALL_JOBS,
+} from '../services/scheduler.js';
+import { getClientDelivery, setClientDelivery } from '../services/client-delivery.js';
+import {
+  getOwner, listTeamMembers, addTeamMember, updateTeamMember, removeTeamMember,
+} from '../services/team.js';
+import { VIEW_TOOL_NAMES, CLIENT_TOOL_NAMES, isToolAllowedForRole } from './csa-tool-defs.js';
+import { getClientMetrics, centsToDollars, resolveDatePreset, PLATFORM_LABELS } from '../services/metrics.js';
+import { getStoreRevenue, applyStoreRevenue, getProductCatalog, getShopifyClient } from '../services/ecommerce.js';
+import { getEmailPerformance, syncAudienceContacts, draftEmailCampaign } from '../services/email-marketing.js';
+import { getPipelineAttribution } from '../services/pipeline-attribution.js';
 import { runTaskMonitor, generateDailyStandup } from '../workflows/clickup-monitor.js';
 import * as clickup from '../api/clickup.js';
 import { generateCampaignBrief } from '../workflows/campaign-brief.js';
@@ -16,9 +34,7 @@ import { generateMonthlyReview } from '../workflows/monthly-review.js';
 import { analyzeCompetitors } from '../workflows/competitor-monitor.js';
 import { pullCompetitorCreatives } from '../workflows/competitor-creatives.js';
 import { generateMediaPlan } from '../workflows/media-plan.js';
-import * as metaAds from '../api/meta-ads.js';
 import * as metaAdLibrary from '../api/meta-ad-library.js';
-import * as googleAds from '../api/google-ads.js';
 import * as pagespeed from '../api/pagespeed.js';
 import * as googleSheets from '../api/google-sheets.js';
 import * as keywordPlanner from '../api/google-keyword-planner.js';
@@ -44,7 +60,7 @@ import * as brandDNA from '../brand-dna.js';
 import * as klingApi from '../api/kling.js';
 import * as falApi from '../api/fal.js';
 import * as creativeRenderer from '../creative-renderer.js';
-import { pendingApprovals, landingPageStore, getPublicUrl, SLOW_TOOLS, SLOW_TOOL_TIMEOUT_MS, DEFAULT_TOOL_TIMEOUT_MS } from './helpers.js';
+import { landingPageStore, getPublicUrl, SLOW_TOOLS, SLOW_TOOL_TIMEOUT_MS, DEFAULT_TOOL_TIMEOUT_MS } from './helpers.js';
 import crypto from 'crypto';
 import axios from 'axios';
 import config from '../config.js';
@@ -52,20 +68,128 @@ import logger from '../utils/logger.js';
 
 const log = logger.child({ module: 'csa-tool-executor' });
 
-export async function executeCSAToolWithTimeout(toolName, toolInput) {
+// Tool inputs that name a client. In client mode they must point at the
+// contact's own client.
+const TENANT_KEYS = ['clientName', 'clientId'];
+
+/**
+ * Bind a client-mode tool call to the authenticated contact's client.
+ * Only CLIENT_TOOL_NAMES may be called. A clientName / clientId that resolves
+ * to another client is refused; anything else (missing, the client's own
+ * name, a brand name that is not a client) is rewritten to the contact's
+ * client, so tools never look up another tenant's data.
+ * @param {string} toolName
+ * @param {object} toolInput
+ * @param {object} tenant - { clientId, clientName, contact } from the contact's client context
+ * @returns {{ input: object } | { error: string, violation: object }}
+ */
+export function bindToolToTenant(toolName, toolInput, tenant) {
+  if (!CLIENT_TOOL_NAMES.includes(toolName)) {
+    return { error: `${toolName} is not available in client chat.`, violation: { reason: 'tool_not_allowed' } };
+  }
+  for (const key of TENANT_KEYS) {
+    const requested = toolInput?.[key];
+    if (!requested) continue;
+    const client = getClient(String(requested));
+    if (client && client.id !== tenant.clientId) {
+      return {
+        error: `I can only work on ${tenant.clientName || 'your own account'} here.`,
+        violation: { reason: 'cross_tenant', key, requested, requestedClientId: client.id },
+      };
+    }
+  }
+  const input = { ...toolInput, clientName: tenant.clientName || tenant.clientId };
+  if (input.clientId) input.clientId = tenant.clientId;
+  return { input };
+}
+
+/**
+ * Record a refused client-mode tool call under the contact's own client.
+ */
+function logTenantViolation(toolName, tenant, violation) {
+  log.warn('Client-mode tool call refused', { tool: toolName, clientId: tenant.clientId, contact: tenant.contact, ...violation });
+  auditLog({
+    action: 'tenant_violation_blocked',
+    workflow: 'client-chat',
+    clientId: tenant.clientId,
+    details: { tool: toolName, contact: tenant.contact, ...violation },
+    result: 'blocked',
+  });
+}
+
+/**
+ * Run a tool with a timeout.
+ * @param {string} toolName
+ * @param {object} toolInput
+ * @param {object} [ctx] - { member, actor, tenant }
+ *   member/actor: the team member calling the tool (services/team.js) and their
+ *   audit label; tools their role may not call are refused.
+ *   tenant: { clientId, clientName, contact } in client mode; the call is bound
+ *   to that client (see bindToolToTenant).
+ */
+export async function executeCSAToolWithTimeout(toolName, toolInput, ctx = {}) {
+  if (ctx.member && !isToolAllowedForRole(ctx.member.role, toolName)) {
+    log.warn('Tool refused for team role', { tool: toolName, member: ctx.member.name, role: ctx.member.role });
+    return { error: `${toolName} is not available to the ${ctx.member.role} role. Ask an admin to do this.` };
+  }
+  if (ctx.tenant) {
+    const bound = bindToolToTenant(toolName, toolInput, ctx.tenant);
+    if (bound.error) {
+      logTenantViolation(toolName, ctx.tenant, bound.violation);
+      return { error: bound.error };
+    }
+    toolInput = bound.input;
+  }
   const timeoutMs = SLOW_TOOLS.has(toolName) ? SLOW_TOOL_TIMEOUT_MS : DEFAULT_TOOL_TIMEOUT_MS;
-  return Promise.race([
-    executeCSATool(toolName, toolInput),
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error(`Tool "${toolName}" timed out after ${timeoutMs / 1000}s`)), timeoutMs)
-    ),
-  ]);
+  let timer;
+  let timedOut = false;
+  let result;
+  try {
+    result = await Promise.race([
+      executeCSATool(toolName, toolInput, ctx),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new Error(`Tool "${toolName}" timed out after ${timeoutMs / 1000}s`));
+        }, timeoutMs);
+      }),
+    ]);
+    return result;
+  } catch (e) {
+    result = { error: e.message };
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    // Failed and timed-out calls are recorded too: they may have changed an account part-way
+    if (ctx.actor && !VIEW_TOOL_NAMES.includes(toolName)) {
+      auditToolCall(toolName, toolInput, result, ctx.actor, timedOut ? 'timeout' : undefined);
+    }
+  }
+}
+
+/**
+ * Record who called a tool that can change something. Long inputs (copy,
+ * prompts, base64) are cut so the audit log stays readable.
+ */
+function auditToolCall(toolName, toolInput, result, actor, outcome = result?.error ? 'error' : 'success') {
+  const input = Object.fromEntries(Object.entries(toolInput || {}).map(([key, value]) => {
+    const json = typeof value === 'string' ? value : JSON.stringify(value);
+    return [key, json && json.length > 200 ? `${json.slice(0, 200)}…` : value];
+  }));
+  auditLog({
+    action: 'csa_tool_called',
+    workflow: 'csa',
+    clientId: toolInput?.clientName ? getClient(toolInput.clientName)?.id : undefined,
+    details: { tool: toolName, input, error: result?.error },
+    approvedBy: actor,
+    result: outcome,
+  });
 }
 
 /**
  * Unified tool executor for both WhatsApp and Telegram CSA agents.
  */
-async function executeCSATool(toolName, toolInput) {
+async function executeCSATool(toolName, toolInput, { actor = 'owner:csa' } = {}) {
   try {
   switch (toolName) {
     // --- Direct Ad Library tools (no client required) ---
@@ -137,20 +261,10 @@ async function executeCSATool(toolName, toolInput) {
     case 'get_client_stats': {
       const client = getClient(toolInput.clientName);
       if (!client) return { error: `Client "${toolInput.clientName}" not found. Available clients: ${getAllClients().map(c => c.name).join(', ') || 'none'}` };
-      const results = {};
-      const platform = toolInput.platform || 'all';
-      if (client.meta_ad_account_id && (platform === 'meta' || platform === 'all')) {
-        try {
-          const insights = await metaAds.getAccountInsights(client.meta_ad_account_id, { datePreset: 'last_7d' });
-          results.meta = metaAds.extractConversions(insights);
-        } catch (e) { results.meta = { error: e.message }; }
-      }
-      if (client.google_ads_customer_id && (platform === 'google' || platform === 'all')) {
-        try {
-          const perf = await googleAds.getAccountPerformance(client.google_ads_customer_id);
-          if (perf.length > 0) results.google = googleAds.formatGoogleAdsMetrics(perf[0]);
-        } catch (e) { results.google = { error: e.message }; }
-      }
+      const platforms = !toolInput.platform || toolInput.platform === 'all' ? undefined : [toolInput.platform];
+      const { byPlatform, errors } = await getClientMetrics(client, { datePreset: 'last_7d', platforms });
+      const results = { ...byPlatform };
+      for (const [platform, error] of Object.entries(errors)) results[platform] = { error };
       return { client: client.name, period: 'last_7d', ...results, monthlyBudget: (client.monthly_budget_cents || 0) / 100, targetRoas: client.target_roas, targetCpa: (client.target_cpa_cents || 0) / 100 };
     }
     case 'list_clients': {
@@ -423,10 +537,178 @@ async function executeCSATool(toolName, toolInput) {
       return { profile: buildClientContext(client.id) };
     }
     case 'request_campaign_pause': {
-      const approvalId = `pause-${Date.now()}`;
-      pendingApprovals.set(approvalId, { type: 'pause', campaignId: toolInput.campaignId, platform: toolInput.platform, reason: toolInput.reason });
+      const approvalId = newApprovalId('pause');
+      enqueueApproval({
+        id: approvalId,
+        type: 'pause',
+        workflow: 'csa',
+        platform: toolInput.platform,
+        request: { description: `Pause campaign ${toolInput.campaignId}`, impact: toolInput.reason || 'Campaign stops spending' },
+        payload: { campaignId: toolInput.campaignId, platform: toolInput.platform, reason: toolInput.reason },
+      });
       return { approvalId, status: 'pending_approval', message: `Approval needed. Reply APPROVE ${approvalId} or DENY ${approvalId}` };
     }
+    case 'get_safety_policy': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found.` };
+      return {
+        clientName: client.name,
+        effective: getClientPolicy(client.id),
+        overrides: getClientPolicyOverrides(client.id),
+      };
+    }
+    case 'update_safety_policy': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found.` };
+      const { clientName, resetFields = [], ...changes } = toolInput;
+      for (const field of resetFields) changes[field] = null;
+      if (Object.keys(changes).length === 0) return { error: 'No policy changes given.' };
+      try {
+        const result = setClientPolicy(client.id, changes, { updatedBy: actor });
+        return { success: true, clientName: client.name, ...result };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
+    case 'configure_budget_pacing': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found.` };
+      const { clientName, ...changes } = toolInput;
+      if (Object.keys(changes).length === 0) {
+        return { clientName: client.name, monthlyBudgetCents: client.monthly_budget_cents, settings: getPacingSettings(client) };
+      }
+      try {
+        const settings = updatePacingSettings(client.id, changes, { updatedBy: actor });
+        return { success: true, clientName: client.name, monthlyBudgetCents: client.monthly_budget_cents, settings };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
+    case 'configure_client_delivery': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found.` };
+      const { clientName, contactPhone, resetFields = [], ...changes } = toolInput;
+      for (const field of resetFields) changes[field] = null;
+      if (Object.keys(changes).length === 0) return getClientDelivery(client.id);
+      try {
+        const result = setClientDelivery(client.id, changes, { contactPhone, updatedBy: actor });
+        // Start (or drop) the per-timezone client jobs this change affects
+        const jobs = syncClientTimezoneJobs();
+        return { success: true, ...result, scheduledJobs: jobs };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
+    case 'manage_team': {
+      const { action, name, role, whatsappPhone, telegramChatId } = toolInput;
+      try {
+        if (action === 'list') {
+          return { owner: getOwner(), members: listTeamMembers({ includeInactive: true }) };
+        }
+        if (action === 'add') {
+          const member = addTeamMember({ name, role, whatsappPhone, telegramChatId }, { addedBy: actor });
+          return { success: true, member, message: `${member.name} can now message Sofia as ${member.role}.` };
+        }
+        if (action === 'update') {
+          const member = updateTeamMember(name, { role, whatsappPhone, telegramChatId, active: true }, { updatedBy: actor });
+          return { success: true, member };
+        }
+        if (action === 'remove') {
+          const member = removeTeamMember(name, { removedBy: actor });
+          return { success: true, member, message: `${member.name} no longer has access.` };
+        }
+        return { error: `Unknown action "${action}". Use list, add, update or remove.` };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
+    case 'get_budget_forecast': {
+      if (toolInput.clientName) {
+        const client = getClient(toolInput.clientName);
+        if (!client) return { error: `Client "${toolInput.clientName}" not found.` };
+        const forecast = await getClientBudgetForecast(client);
+        return { ...forecast, summary: formatForecastLine(forecast) };
+      }
+      const forecasts = await getBudgetForecasts();
+      return {
+        forecasts: forecasts.map(f => ({ ...f, summary: formatForecastLine(f) })),
+        message: forecasts.length === 0 ? 'No clients with connected ad accounts.' : undefined,
+      };
+    }
+    case 'list_undoable_actions': {
+      let clientId;
+      if (toolInput.clientName) {
+        const client = getClient(toolInput.clientName);
+        if (!client) return { error: `Client "${toolInput.clientName}" not found.` };
+        clientId = client.id;
+      }
+      const actions = listRollbackableActions({ clientId, limit: toolInput.limit || 10 });
+      return { actions, message: actions.length === 0 ? 'No recent actions can be undone.' : undefined };
+    }
+    case 'undo_action': {
+      try {
+        const result = await rollbackAction(toolInput.auditId, { requestedBy: actor });
+        return { success: true, ...result, message: `Undone: ${result.description}` };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
+    case 'get_job_history': {
+      const runs = getJobHistory({ job: toolInput.job, status: toolInput.status, limit: toolInput.limit || 20 });
+      return {
+        jobs: toolInput.job ? undefined : getJobSummaries(),
+        runs,
+        message: runs.length === 0 ? 'No recorded job runs match.' : undefined,
+      };
+    }
+    case 'configure_job_schedule': {
+      const { job, resetFields = [], ...changes } = toolInput;
+      for (const field of resetFields) changes[field] = null;
+      if (Object.keys(changes).length === 0) {
+        const jobs = getJobs();
+        if (!job) return { jobs };
+        const found = jobs.find(j => j.name === job);
+        return found || { error: `Job "${job}" not found.` };
+      }
+      try {
+        const result = setJobSchedule(job || ALL_JOBS, changes, { updatedBy: actor });
+        return { success: true, ...result };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
+    case 'list_anomalies': {
+      let clientId;
+      if (toolInput.clientName) {
+        clientId = getClient(toolInput.clientName)?.id;
+        if (!clientId) return { error: `Client "${toolInput.clientName}" not found.` };
+      }
+      const anomalies = listAnomalies({ clientId, status: toolInput.status, limit: toolInput.limit || 20 });
+      return {
+        anomalies,
+        silences: listSilences({ clientId }),
+        message: anomalies.length === 0 ? 'No anomalies detected.' : undefined,
+      };
+    }
+    case 'silence_anomaly': {
+      try {
+        const { anomaly, silence } = silenceAnomaly(toolInput.anomalyId, {
+          days: toolInput.days,
+          allMetrics: toolInput.allMetrics,
+          reason: toolInput.reason,
+          silencedBy: actor,
+        });
+        const scope = silence.metric ? `${silence.metric} on` : 'all metrics on';
+        return {
+          success: true,
+          anomaly,
+          silence,
+          message: `Silenced ${scope} ${anomaly.entityName || anomaly.entityId} ${silence.until ? `until ${silence.until}` : 'permanently'}.`,
+        };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
     // --- Search Volume & Keyword Research ---
     case 'get_search_volume': {
       try {
@@ -615,35 +897,21 @@ Return ONLY the JSON array, no other text.`;
       const headers = ['Metric', 'Value', 'Target', 'Status'];
       reportData.push(headers);
 
-      if (client.meta_ad_account_id) {
-        try {
-          const insights = await metaAds.getAccountInsights(client.meta_ad_account_id, { datePreset: toolInput.reportType === 'monthly' ? 'last_30d' : 'last_7d' });
-          const metrics = metaAds.extractConversions(insights);
-          reportData.push(['Platform', 'Meta Ads', '', '']);
-          reportData.push(['Spend', `$${metrics.spend || 0}`, `$${(client.monthly_budget_cents || 0) / 100}`, '']);
-          reportData.push(['ROAS', `${metrics.roas || 0}x`, `${client.target_roas || 'N/A'}x`, '']);
-          reportData.push(['CPA', `$${metrics.cpa || 0}`, `$${(client.target_cpa_cents || 0) / 100}`, '']);
-          reportData.push(['Conversions', metrics.conversions || 0, '', '']);
-          reportData.push(['CTR', `${metrics.ctr || 0}%`, '', '']);
-          reportData.push(['Impressions', metrics.impressions || 0, '', '']);
-          reportData.push(['', '', '', '']);
-        } catch (e) { reportData.push(['Meta Ads', `Error: ${e.message}`, '', '']); }
-      }
-
-      if (client.google_ads_customer_id) {
-        try {
-          const perf = await googleAds.getAccountPerformance(client.google_ads_customer_id);
-          if (perf.length > 0) {
-            const metrics = googleAds.formatGoogleAdsMetrics(perf[0]);
-            reportData.push(['Platform', 'Google Ads', '', '']);
-            reportData.push(['Spend', `$${metrics.cost}`, '', '']);
-            reportData.push(['ROAS', `${metrics.roas.toFixed(2)}x`, `${client.target_roas || 'N/A'}x`, '']);
-            reportData.push(['CPA', `$${metrics.cpa.toFixed(2)}`, `$${(client.target_cpa_cents || 0) / 100}`, '']);
-            reportData.push(['Conversions', metrics.conversions, '', '']);
-            reportData.push(['CTR', `${metrics.ctr.toFixed(2)}%`, '', '']);
-            reportData.push(['Impressions', metrics.impressions, '', '']);
-          }
-        } catch (e) { reportData.push(['Google Ads', `Error: ${e.message}`, '', '']); }
+      const datePreset = toolInput.reportType === 'monthly' ? 'last_30d' : 'last_7d';
+      const { byPlatform, errors } = await getClientMetrics(client, { datePreset, platforms: ['meta', 'google'] });
+      for (const [platform, metrics] of Object.entries(byPlatform)) {
+        if (!metrics) continue;
+        reportData.push(['Platform', PLATFORM_LABELS[platform], '', '']);
+        reportData.push(['Spend', `$${centsToDollars(metrics.spendCents)}`, platform === 'meta' ? `$${(client.monthly_budget_cents || 0) / 100}` : '', '']);
+        reportData.push(['ROAS', `${metrics.roas.toFixed(2)}x`, `${client.target_roas || 'N/A'}x`, '']);
+        reportData.push(['CPA', `$${centsToDollars(metrics.cpaCents)}`, `$${(client.target_cpa_cents || 0) / 100}`, '']);
+        reportData.push(['Conversions', metrics.conversions, '', '']);
+        reportData.push(['CTR', `${metrics.ctr.toFixed(2)}%`, '', '']);
+        reportData.push(['Impressions', metrics.impressions, '', '']);
+        reportData.push(['', '', '', '']);
+      }
+      for (const [platform, error] of Object.entries(errors)) {
+        reportData.push([PLATFORM_LABELS[platform], `Error: ${error}`, '', '']);
       }
 
       const result = await googleSheets.createReportSheet({
@@ -1076,6 +1344,256 @@ Return ONLY the JSON array, no other text.`;
       return pkgResult;
     }
     // --- Website Browsing ---
+    // --- Shopify ---
+    case 'get_store_revenue': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found` };
+      const days = Math.min(Math.max(Math.round(toolInput.days || 7), 1), 60);
+      const range = resolveDatePreset(`last_${days}d`);
+
+      const revenue = await getStoreRevenue(client, range);
+      if (!revenue) return { error: `Shopify not connected for ${client.name}. Send them a Leadsie link with Shopify access.` };
+
+      // Ad spend per platform over the same days, with ROAS recomputed on store revenue
+      const { byPlatform, errors } = await getClientMetrics(client, range);
+      const platforms = {};
+      for (const [platform, m] of Object.entries(byPlatform)) {
+        if (!m) continue;
+        const store = applyStoreRevenue(m, revenue.byPlatform[platform]);
+        platforms[PLATFORM_LABELS[platform]] = {
+          spend: centsToDollars(m.spendCents),
+          storeOrders: store.conversions,
+          storeRevenue: centsToDollars(store.conversionValueCents),
+          storeRoas: Number(store.roas.toFixed(2)),
+          platformRoas: Number(m.roas.toFixed(2)),
+          platformConversions: m.conversions,
+        };
+      }
+      const toMoney = (row) => ({ ...row, revenue: centsToDollars(row.revenueCents), revenueCents: undefined });
+
+      return {
+        client: client.name,
+        period: `${range.since} to ${range.until}`,
+        currency: revenue.currency,
+        orders: revenue.orders,
+        revenue: centsToDollars(revenue.revenueCents),
+        attributedRevenue: centsToDollars(revenue.attributedCents),
+        unattributed: toMoney(revenue.unattributed),
+        platforms,
+        topCampaigns: revenue.byCampaign.slice(0, 10).map(toMoney),
+        topProducts: revenue.products.slice(0, 10).map(p => ({
+          ...toMoney(p),
+          byPlatform: Object.fromEntries(Object.entries(p.byPlatform).map(([k, cents]) => [PLATFORM_LABELS[k], centsToDollars(cents)])),
+        })),
+        ...(Object.keys(errors).length > 0 && { errors }),
+        note: 'Store revenue is attributed by the UTM parameters / click ids on each order\'s landing page (last click). Orders without paid UTMs are unattributed.',
+      };
+    }
+
+    case 'list_store_products': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found` };
+      const shopify = getShopifyClient(client);
+      if (!shopify) return { error: `Shopify not connected for ${client.name}. Send them a Leadsie link with Shopify access.` };
+
+      const limit = Math.min(toolInput.limit || 25, 100);
+      const [products, collections] = await Promise.all([
+        getProductCatalog(client, { collection: toolInput.collection, search: toolInput.search, limit }),
+        shopify.listCollections(),
+      ]);
+      return {
+        client: client.name,
+        products: products.map(p => ({
+          id: p.id,
+          title: p.title,
+          productType: p.productType,
+          url: p.url,
+          imageUrl: p.imageUrl,
+          variants: p.variants.map(v => ({ sku: v.sku, title: v.title, price: centsToDollars(v.priceCents), inventory: v.inventoryQuantity })),
+        })),
+        collections: collections.map(c => c.title),
+        message: `Found ${products.length} products in ${client.name}'s store.`,
+      };
+    }
+
+    case 'generate_product_ads': {
+      const results = await creativeEngine.generateProductAds({
+        clientName: toolInput.clientName,
+        platform: toolInput.platform,
+        skus: toolInput.skus ? toolInput.skus.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+        collection: toolInput.collection,
+        search: toolInput.search,
+        limit: Math.min(toolInput.limit || 5, 10),
+        variations: Math.min(toolInput.variations || 3, 10),
+        objective: toolInput.objective,
+        audience: toolInput.audience,
+        offer: toolInput.offer,
+      });
+      return {
+        clientName: toolInput.clientName,
+        platform: toolInput.platform,
+        products: results,
+        totalProducts: results.length,
+        totalAds: results.reduce((sum, r) => sum + r.ads.length, 0),
+      };
+    }
+
+    // --- Mailchimp (email marketing) ---
+    case 'get_email_performance': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found` };
+      const days = Math.min(Math.max(Math.round(toolInput.days || 7), 1), 90);
+      const range = resolveDatePreset(`last_${days}d`);
+
+      const performance = await getEmailPerformance(client, range);
+      if (!performance) return { error: `Mailchimp not connected for ${client.name}. Send them a Leadsie link with Mailchimp access.` };
+
+      const { totals, campaigns } = performance;
+      const pct = (rate) => `${(rate * 100).toFixed(1)}%`;
+      return {
+        client: client.name,
+        period: `${range.since} to ${range.until}`,
+        totals: {
+          ...totals,
+          openRate: pct(totals.openRate),
+          clickRate: pct(totals.clickRate),
+          revenue: centsToDollars(totals.revenueCents),
+          revenueCents: undefined,
+        },
+        campaigns: campaigns.map(c => ({
+          title: c.title,
+          subject: c.subject,
+          sentAt: c.sentAt,
+          emailsSent: c.emailsSent,
+          openRate: pct(c.openRate),
+          clickRate: pct(c.clickRate),
+          unsubscribes: c.unsubscribes,
+          orders: c.orders,
+          revenue: centsToDollars(c.revenueCents),
+        })),
+        ...(totals.campaigns === 0 && { message: `No email campaigns were sent in the last ${days} days.` }),
+      };
+    }
+
+    case 'get_pipeline_attribution': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found` };
+      const days = Math.min(Math.max(Math.round(toolInput.days || 30), 1), 180);
+      const range = resolveDatePreset(`last_${days}d`);
+
+      const attribution = await getPipelineAttribution(client, range);
+      if (!attribution) return { error: `HubSpot not connected for ${client.name}. Send them a Leadsie link with HubSpot access.` };
+
+      const ratio = (value) => (value == null ? null : Number(value.toFixed(2)));
+      const money = (cents) => (cents == null ? null : centsToDollars(cents));
+      const toRow = (r) => ({
+        spend: money(r.spendCents),
+        sqls: r.sqls,
+        costPerSql: money(r.costPerSqlCents),
+        pipelineDeals: r.pipelineDeals,
+        pipeline: money(r.pipelineCents),
+        pipelineRoas: ratio(r.pipelineRoas),
+        wonDeals: r.wonDeals,
+        closedWon: money(r.wonCents),
+        closedWonRoas: ratio(r.wonRoas),
+      });
+      const platforms = {};
+      for (const [platform, totals] of Object.entries(attribution.byPlatform)) platforms[PLATFORM_LABELS[platform]] = toRow(totals);
+
+      return {
+        client: client.name,
+        period: `${range.since} to ${range.until}`,
+        currency: attribution.currency,
+        totals: toRow(attribution.totals),
+        platforms,
+        campaigns: attribution.byCampaign.slice(0, toolInput.limit || 20).map(c => ({
+          platform: PLATFORM_LABELS[c.platform],
+          campaign: c.campaignName,
+          matched: !!c.campaignId,
+          ...toRow(c),
+        })),
+        notFromAds: {
+          sqls: attribution.unattributed.sqls,
+          pipelineDeals: attribution.unattributed.pipelineDeals,
+          pipeline: money(attribution.unattributed.pipelineCents),
+          wonDeals: attribution.unattributed.wonDeals,
+          closedWon: money(attribution.unattributed.wonCents),
+        },
+        ...(Object.keys(attribution.errors).length > 0 && {
+          spendUnavailable: Object.fromEntries(Object.entries(attribution.errors).map(([platform, error]) => [PLATFORM_LABELS[platform], error])),
+        }),
+        note: 'Pipeline = deals created in the period that are open or won; closed-won = deals won in the period. Campaigns with matched=false are utm_campaign values that match no campaign name or id, so their spend is unknown. Platforms in spendUnavailable failed to report spend: their spend, cost per SQL and ROAS are null, and the totals\' spend and ratios leave them out.',
+      };
+    }
+
+    case 'sync_email_audience': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found` };
+      const days = toolInput.days ? Math.max(Math.round(toolInput.days), 1) : null;
+
+      const result = await syncAudienceContacts(client, {
+        source: toolInput.source,
+        contacts: toolInput.contacts,
+        lifecycleStages: toolInput.lifecycleStages?.length ? toolInput.lifecycleStages : undefined,
+        updatedSince: days ? resolveDatePreset(`last_${days}d`).since : undefined,
+        tag: toolInput.tag,
+        audienceId: toolInput.mailchimpAudience,
+      });
+      return {
+        client: client.name,
+        ...result,
+        message: `${result.submitted} contacts synced to the "${result.audience}" audience with the tag "${result.tag}" (${result.created} new, ${result.existing} already there). ${result.withoutConsent} without marketing consent were added as transactional — usable for ad retargeting, not for campaign emails.`,
+      };
+    }
+
+    case 'draft_email_campaign': {
+      const client = getClient(toolInput.clientName);
+      if (!client) return { error: `Client "${toolInput.clientName}" not found` };
+      if (toolInput.sendAt && Number.isNaN(Date.parse(toolInput.sendAt))) {
+        return { error: `Invalid sendAt "${toolInput.sendAt}". Use ISO 8601, e.g. 2026-11-02T10:00:00-03:00` };
+      }
+
+      const wantsProducts = toolInput.skus || toolInput.collection || toolInput.productSearch;
+      const draft = await draftEmailCampaign(client, {
+        goal: toolInput.goal,
+        audience: toolInput.targetAudience,
+        offer: toolInput.offer,
+        ctaUrl: toolInput.ctaUrl,
+        tag: toolInput.tag,
+        audienceId: toolInput.mailchimpAudience,
+        products: wantsProducts ? {
+          skus: toolInput.skus ? toolInput.skus.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+          collection: toolInput.collection,
+          search: toolInput.productSearch,
+        } : undefined,
+      });
+
+      const recipients = draft.tag ? `"${draft.tag}" in ${draft.audience}` : draft.audience;
+      const approvalId = newApprovalId('email');
+      enqueueApproval({
+        id: approvalId,
+        type: 'schedule_email',
+        workflow: 'email-marketing',
+        clientId: client.id,
+        platform: 'mailchimp',
+        request: { description: `Send email "${draft.subjectLines[0]}" to ${recipients}`, clientName: client.name },
+        payload: {
+          clientName: client.name,
+          campaignId: draft.campaignId,
+          subject: draft.subjectLines[0],
+          recipients,
+          sendAt: toolInput.sendAt || null,
+        },
+      });
+
+      return {
+        ...draft,
+        approvalId,
+        status: 'draft_in_mailchimp',
+        message: `Email drafted in Mailchimp for ${recipients} — subject "${draft.subjectLines[0]}". Other subject options: ${draft.subjectLines.slice(1).join(' | ') || 'none'}. It can be edited in Mailchimp before sending. Reply APPROVE ${approvalId} to schedule it${toolInput.sendAt ? ` for ${toolInput.sendAt}` : ''}.`,
+      };
+    }
+
     case 'browse_website': {
       const purpose = toolInput.purpose || 'general';
       if (purpose === 'creative_inspiration') {
@@ -1394,24 +1912,30 @@ Return ONLY the JSON array, no other text.`;
       }
 
       // Create pending approval so client can approve publishing or self-post
-      const approvalId = `blog-${Date.now()}`;
+      const approvalId = newApprovalId('blog');
       const wpConnected = !!seoEngine.getWordPressClient(client);
-      pendingApprovals.set(approvalId, {
+      enqueueApproval({
+        id: approvalId,
         type: 'publish_blog',
+        workflow: 'seo',
         clientId: client.id,
-        clientName: client.name,
-        postData: {
-          title: post.title,
-          content: post.content,
-          excerpt: post.excerpt,
-          slug: post.slug,
-          seoTitle: post.seoTitle,
-          seoDescription: post.seoDescription,
-          focusKeyword: post.focusKeyword,
-          publishDate: toolInput.publishDate,
+        request: { description: `Publish blog post "${post.title}"`, clientName: client.name },
+        payload: {
+          clientId: client.id,
+          clientName: client.name,
+          postData: {
+            title: post.title,
+            content: post.content,
+            excerpt: post.excerpt,
+            slug: post.slug,
+            seoTitle: post.seoTitle,
+            seoDescription: post.seoDescription,
+            focusKeyword: post.focusKeyword,
+            publishDate: toolInput.publishDate,
+          },
+          docUrl,
+          wpConnected,
         },
-        docUrl,
-        wpConnected,
       });
 
       return {
@@ -1487,20 +2011,26 @@ Return ONLY the JSON array, no other text.`;
         }
 
         // Create pending approval
-        const approvalId = `meta-${Date.now()}`;
-        pendingApprovals.set(approvalId, {
+        const approvalId = newApprovalId('meta');
+        enqueueApproval({
+          id: approvalId,
           type: 'apply_meta',
+          workflow: 'seo',
           clientId: client.id,
-          clientName: client.name,
-          pageId: toolInput.pageId,
-          pageType: toolInput.pageType || 'posts',
-          seoData: {
-            seoTitle: newMeta.seoTitle,
-            seoDescription: newMeta.seoDescription,
-            focusKeyword: newMeta.focusKeyword,
+          request: { description: `Apply meta tag changes to page #${toolInput.pageId}`, clientName: client.name },
+          payload: {
+            clientId: client.id,
+            clientName: client.name,
+            pageId: toolInput.pageId,
+            pageType: toolInput.pageType || 'posts',
+            seoData: {
+              seoTitle: newMeta.seoTitle,
+              seoDescription: newMeta.seoDescription,
+              focusKeyword: newMeta.focusKeyword,
+            },
+            docUrl,
+            wpConnected: !!wp,
           },
-          docUrl,
-          wpConnected: !!wp,
         });
 
         return {
@@ -1641,23 +2171,29 @@ Return ONLY the JSON array, no other text.`;
       }
 
       // Create pending approval — never push changes without client consent
-      const approvalId = `update-${Date.now()}`;
-      pendingApprovals.set(approvalId, {
+      const approvalId = newApprovalId('update');
+      enqueueApproval({
+        id: approvalId,
         type: 'update_post',
+        workflow: 'seo',
         clientId: client.id,
-        clientName: client.name,
-        postId: toolInput.postId,
-        updates: {
-          title: toolInput.title,
-          content: toolInput.content,
-          status: toolInput.status,
+        request: { description: `Update WordPress post #${toolInput.postId}`, clientName: client.name },
+        payload: {
+          clientId: client.id,
+          clientName: client.name,
+          postId: toolInput.postId,
+          updates: {
+            title: toolInput.title,
+            content: toolInput.content,
+            status: toolInput.status,
+          },
+          seoUpdates: (toolInput.seoTitle || toolInput.seoDescription || toolInput.focusKeyword) ? {
+            seoTitle: toolInput.seoTitle,
+            seoDescription: toolInput.seoDescription,
+            focusKeyword: toolInput.focusKeyword,
+          } : null,
+          docUrl,
         },
-        seoUpdates: (toolInput.seoTitle || toolInput.seoDescription || toolInput.focusKeyword) ? {
-          seoTitle: toolInput.seoTitle,
-          seoDescription: toolInput.seoDescription,
-          focusKeyword: toolInput.focusKeyword,
-        } : null,
-        docUrl,
       });
 
       return {
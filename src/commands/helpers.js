@@ -9,7 +9,7 @@ import {
   getContactByPhone, createContact,
   getPendingClientByToken, getPendingClientByTokenAny,
   saveMessage, getMessages, clearMessages,
-  createPendingClient,
+  createPendingClient, markMessageProcessed, pruneProcessedMessages,
 } from '../services/knowledge-base.js';
 import { getClientContextByPhone } from '../services/client-onboarding-flow.js';
 import * as supabase from '../api/supabase.js';
@@ -23,7 +23,7 @@ import { retry, isRetryableHttpError } from '../utils/retry.js';
 const log = logger.child({ module: 'helpers' });
 
 // --- Shared State ---
-export const pendingApprovals = new Map();
+// (Pending approvals are persisted in services/approval-queue.js)
 export const landingPageStore = new Map();
 
 // Clean up landing pages older than 7 days every hour
@@ -32,7 +32,7 @@ setInterval(() => {
   for (const [id, data] of landingPageStore) {
     if (data.createdAt < cutoff) landingPageStore.delete(id);
   }
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 // --- Public URL Detection ---
 let detectedPublicUrl = null;
@@ -84,12 +84,12 @@ setInterval(() => {
   for (const [id, data] of tempMediaStore) {
     if (data.createdAt < cutoff) tempMediaStore.delete(id);
   }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 // --- Tool Execution Config ---
 export const SLOW_TOOL_TIMEOUT_MS = 8 * 60 * 1000;
 export const DEFAULT_TOOL_TIMEOUT_MS = 2 * 60 * 1000;
-export const SLOW_TOOLS = new Set(['generate_ad_images', 'generate_ad_video', 'generate_creative_package', 'create_presentation', 'generate_weekly_report', 'preview_landing_page', 'generate_video_from_image', 'generate_ad_creative_with_text', 'extract_brand_dna', 'update_brand_dna', 'generate_pdf_report']);
+export const SLOW_TOOLS = new Set(['generate_ad_images', 'generate_ad_video', 'generate_creative_package', 'create_presentation', 'generate_weekly_report', 'preview_landing_page', 'generate_video_from_image', 'generate_ad_creative_with_text', 'extract_brand_dna', 'update_brand_dna', 'generate_pdf_report', 'generate_product_ads', 'draft_email_campaign']);
 
 export const TOOL_PROGRESS_MESSAGES = {
   generate_pdf_report: 'Generating your PDF report... This might take a minute.',
@@ -121,6 +121,13 @@ export const TOOL_PROGRESS_MESSAGES = {
   update_clickup_task: 'Updating task in ClickUp...',
   check_overdue_tasks: 'Checking for overdue tasks...',
   get_daily_standup: 'Generating standup report...',
+  get_store_revenue: 'Pulling orders from the Shopify store...',
+  list_store_products: 'Loading the store catalog...',
+  generate_product_ads: 'Writing ads for each product... This might take a minute.',
+  get_email_performance: 'Pulling email campaign reports from Mailchimp...',
+  get_pipeline_attribution: 'Joining HubSpot deals to ad campaigns...',
+  sync_email_audience: 'Syncing contacts to the Mailchimp audience...',
+  draft_email_campaign: 'Writing the email and creating the Mailchimp draft...',
 };
 
 // --- Token Regex ---
@@ -128,22 +135,25 @@ export const TOKEN_RE_START = /^\/start\s+([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[
 export const TOKEN_RE_INLINE = /\b([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}|[a-f0-9]{12})\b/i;
 
 // --- Message Deduplication ---
-const processedMessageIds = new Map();
-const MESSAGE_DEDUP_WINDOW_MS = 5 * 60 * 1000;
+// IDs are kept in the knowledge base so retries survive restarts. Keep them a
+// day longer than the longest replay window, after which events are dropped
+// by timestamp anyway.
+const MESSAGE_DEDUP_RETENTION_SECONDS = Math.max(
+  config.WHATSAPP_REPLAY_WINDOW_SECONDS, config.TELEGRAM_REPLAY_WINDOW_SECONDS,
+) + 86400;
 
 export function isMessageAlreadyProcessed(msgId) {
   if (!msgId) return false;
-  if (processedMessageIds.has(msgId)) return true;
-  processedMessageIds.set(msgId, Date.now());
-  return false;
+  return !markMessageProcessed(String(msgId));
 }
 
 setInterval(() => {
-  const cutoff = Date.now() - MESSAGE_DEDUP_WINDOW_MS;
-  for (const [id, ts] of processedMessageIds) {
-    if (ts < cutoff) processedMessageIds.delete(id);
+  try {
+    pruneProcessedMessages(MESSAGE_DEDUP_RETENTION_SECONDS);
+  } catch (e) {
+    log.warn('Failed to prune processed message IDs', { error: e.message });
   }
-}, 10 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 // --- Thinking Indicator ---
 export async function sendThinkingIndicator(channel, chatId, message) {
@@ -593,33 +603,42 @@ export async function deliverMediaInline(toolName, result, channel, chatId) {
 }
 
 // --- Owner Message Queue ---
-let ownerMessageProcessing = false;
-const ownerMessageQueue = [];
+// One queue per operator (the owner or a team member), so each person's
+// messages are handled in order without waiting on anyone else's.
+const ownerMessageQueues = new Map(); // member id → { processing, messages }
 let _handleCommandFn = null;
 
 export function setHandleCommandFn(fn) {
   _handleCommandFn = fn;
 }
 
-export async function enqueueOwnerMessage(body) {
-  if (!ownerMessageProcessing) {
-    ownerMessageProcessing = true;
+/**
+ * @param {string} body - Message text
+ * @param {object} [member] - Team member who sent it (services/team.js); omitted for the owner
+ */
+export async function enqueueOwnerMessage(body, member = undefined) {
+  const key = member?.id || 'owner';
+  if (!ownerMessageQueues.has(key)) ownerMessageQueues.set(key, { processing: false, messages: [] });
+  const queue = ownerMessageQueues.get(key);
+
+  if (!queue.processing) {
+    queue.processing = true;
     try {
-      await _handleCommandFn(body);
+      await _handleCommandFn(body, null, member);
     } finally {
-      ownerMessageProcessing = false;
-      if (ownerMessageQueue.length > 0) {
-        const next = ownerMessageQueue.shift();
-        enqueueOwnerMessage(next);
+      queue.processing = false;
+      if (queue.messages.length > 0) {
+        const next = queue.messages.shift();
+        enqueueOwnerMessage(next, member);
       }
     }
   } else {
-    if (ownerMessageQueue.length < 5) {
-      ownerMessageQueue.push(body);
-      log.info('Owner message queued (previous still processing)', { queueLength: ownerMessageQueue.length });
+    if (queue.messages.length < 5) {
+      queue.messages.push(body);
+      log.info('Owner message queued (previous still processing)', { queueLength: queue.messages.length, member: member?.name });
     } else {
-      log.warn('Owner message queue full, dropping message', { body: body.substring(0, 60) });
-      await sendWhatsApp('I\'m still processing your previous messages. Please wait a moment and try again.');
+      log.warn('Owner message queue full, dropping message', { body: body.substring(0, 60), member: member?.name });
+      await sendWhatsApp('I\'m still processing your previous messages. Please wait a moment and try again.', member?.whatsappPhone);
     }
   }
 }
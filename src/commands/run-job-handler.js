@@ -0,0 +1,55 @@
+/**
+ * RUN command — shared by the WhatsApp and Telegram owner handlers.
+ * "RUN" lists scheduled jobs; "RUN <job>" runs one now through the scheduler
+ * (services/scheduler.js), under the same lock and history as scheduled runs.
+ */
+import { runJob, getJobSummaries } from '../services/scheduler.js';
+import { canUseCommand } from '../services/team.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ module: 'run-job-handler' });
+
+const STATUS_ICONS = { success: '✅', failed: '❌', skipped: '⏭️', interrupted: '⚠️', running: '⏳' };
+
+/**
+ * Resolve a RUN message.
+ * @param {string} [jobName] - Job to run now; omit to list jobs
+ * @param {object} opts
+ * @param {string} opts.channel - 'whatsapp' or 'telegram' (controls bold formatting)
+ * @param {string} opts.requestedBy - Who asked, recorded on the job run
+ * @param {object} [opts.member] - Team member who asked; running a job needs a role allowed to RUN
+ * @returns {Promise<string>} Reply text for the channel
+ */
+export async function resolveRunJob(jobName, { channel = 'whatsapp', requestedBy = 'owner', member = null } = {}) {
+  const bold = channel === 'telegram' ? (s) => `<b>${s}</b>` : (s) => `*${s}*`;
+  const jobs = getJobSummaries();
+
+  if (!jobName) {
+    if (jobs.length === 0) return 'ℹ️ No scheduled jobs are registered.';
+    const lines = jobs.map(j => {
+      const last = j.lastRun ? `${STATUS_ICONS[j.lastRun.status] || ''} last ${j.lastRun.started_at} UTC` : 'never run';
+      return `• ${bold(j.name)} — ${j.enabled ? `${j.schedule} ${j.timezone}` : 'disabled'} (${last})`;
+    });
+    return `🗓️ ${bold('Scheduled jobs:')}\n${lines.join('\n')}\n\nReply RUN <job> to run one now.`;
+  }
+
+  if (member && !canUseCommand(member, 'RUN')) {
+    return `🚫 Your role (${member.role}) can't run jobs. Ask an admin.`;
+  }
+
+  const name = jobName.toLowerCase();
+  if (!jobs.some(j => j.name === name)) {
+    return `❌ No job named "${jobName}". Reply RUN to list scheduled jobs.`;
+  }
+
+  const started = Date.now();
+  try {
+    await runJob(name, { triggeredBy: requestedBy });
+    return `✅ Job ${bold(name)} finished in ${Math.round((Date.now() - started) / 1000)}s.`;
+  } catch (error) {
+    log.warn('Manual job run failed', { job: name, error: error.message });
+    return `❌ Job ${bold(name)} failed: ${error.message}`;
+  }
+}
+
+export default { resolveRunJob };
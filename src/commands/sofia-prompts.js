@@ -450,3 +450,15 @@ NEVER skip the approval step. NEVER auto-publish. The client's website is THEIR
 
   return systemPrompt;
 }
+
+/**
+ * Extra owner-prompt section when a team member (not the owner) is chatting.
+ *
+ * @param {object} member — team member from services/team.js
+ * @returns {string} '' for the owner
+ */
+export function buildTeamMemberPrompt(member) {
+  if (!member || member.isOwner) return '';
+  const roleNames = { admin: 'an admin', media_buyer: 'a media buyer', creative: 'on the creative team', read_only: 'read-only' };
+  return `\n\nYou are talking to ${member.name}, a member of the agency team (${roleNames[member.role] || member.role}), not the owner. Address them by name. You only have the tools their role allows; if they ask for something you have no tool for, say their role can't do it and that an admin can.`;
+}
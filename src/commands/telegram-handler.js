@@ -12,33 +12,53 @@ import {
   getContactsByClientId, getCrossChannelHistory,
 } from '../services/knowledge-base.js';
 import { handleOnboardingMessage, hasActiveOnboarding, getClientContextByPhone, buildPersonalizedWelcome } from '../services/client-onboarding-flow.js';
-import * as metaAds from '../api/meta-ads.js';
-import * as seoEngine from '../services/seo-engine.js';
 import * as googleDrive from '../api/google-drive.js';
 import axios from 'axios';
 import config from '../config.js';
 import logger from '../utils/logger.js';
 import {
-  pendingApprovals,
   TOKEN_RE_START, TOKEN_RE_INLINE,
   sendThinkingIndicator,
   getHistory, addToHistory, clearHistory, sanitizeMessages,
   tryLinkCrossChannel, getPendingClientWithFallback,
   MAX_HISTORY_MESSAGES,
 } from './helpers.js';
-import { CSA_TOOLS, CLIENT_TOOL_NAMES } from './csa-tool-defs.js';
-import { TELEGRAM_CSA_PROMPT, buildClientSystemPrompt } from './sofia-prompts.js';
+import { CSA_TOOLS, CLIENT_TOOL_NAMES, getToolsForRole } from './csa-tool-defs.js';
+import { TELEGRAM_CSA_PROMPT, buildClientSystemPrompt, buildTeamMemberPrompt } from './sofia-prompts.js';
 import { runChatLoop } from './chat-loop.js';
+import { resolveApproval } from './approval-handlers.js';
+import { resolveUndo } from './undo-handler.js';
+import { resolveRunJob } from './run-job-handler.js';
+import { getOwner, actorLabel } from '../services/team.js';
 
 const log = logger.child({ module: 'telegram-handler' });
 
-export async function handleTelegramCommand(message, chatId) {
+/**
+ * Handle an owner or team member command.
+ * @param {string} message - Text message
+ * @param {string} chatId - Telegram chat to reply to
+ * @param {object} [member] - Who sent it (services/team.js); defaults to the owner
+ */
+export async function handleTelegramCommand(message, chatId, member = getOwner()) {
   const reply = (msg) => sendTelegram(msg, chatId);
+  const actor = actorLabel(member, 'telegram');
 
   // Handle approval responses
-  const approvalMatch = message.match(/^(APPROVE|DENY|DETAILS)\s+([a-f0-9-]+)/i);
+  const approvalMatch = message.match(/^(APPROVE|DENY|DETAILS)\s+([\w-]+)/i);
   if (approvalMatch) {
-    return handleTelegramApproval(approvalMatch[1].toUpperCase(), approvalMatch[2], chatId);
+    return handleTelegramApproval(approvalMatch[1].toUpperCase(), approvalMatch[2], chatId, member);
+  }
+
+  // UNDO [auditId] — reverse an automated change
+  const undoMatch = message.trim().match(/^UNDO(?:\s+([\w-]+))?$/i);
+  if (undoMatch) {
+    return reply(await resolveUndo(undoMatch[1], { channel: 'telegram', requestedBy: actor, member }));
+  }
+
+  // RUN [job] — run a scheduled job now
+  const runMatch = message.trim().match(/^RUN(?:\s+([\w-]+))?$/i);
+  if (runMatch) {
+    return reply(await resolveRunJob(runMatch[1], { channel: 'telegram', requestedBy: actor, member }));
   }
 
   // Handle "clear" / "reset" / "restart"
@@ -59,13 +79,15 @@ export async function handleTelegramCommand(message, chatId) {
 
   try {
     const finalText = await runChatLoop({
-      systemPrompt: TELEGRAM_CSA_PROMPT + clientContext,
+      systemPrompt: TELEGRAM_CSA_PROMPT + clientContext + buildTeamMemberPrompt(member),
       messages,
-      tools: CSA_TOOLS,
+      tools: getToolsForRole(member.role),
       channel: 'telegram',
       chatId,
       historyKey: chatId,
       workflow: 'telegram-csa',
+      member,
+      actor,
     });
     await reply(finalText);
   } catch (error) {
@@ -79,68 +101,9 @@ export async function handleTelegramCommand(message, chatId) {
   }
 }
 
-export async function handleTelegramApproval(action, approvalId, chatId) {
-  const reply = (msg) => sendTelegram(msg, chatId);
-  const pending = pendingApprovals.get(approvalId);
-  if (!pending) return reply(`❌ Approval "${approvalId}" not found or expired.`);
-  if (action === 'DENY') { pendingApprovals.delete(approvalId); return reply(`❌ Action denied and cancelled.`); }
-  if (action === 'DETAILS') return reply(`📋 <b>Action Details:</b>\n${JSON.stringify(pending, null, 2)}`);
-  try {
-    if (pending.type === 'pause' && pending.platform === 'meta') {
-      await metaAds.pauseCampaign(pending.campaignId);
-      pendingApprovals.delete(approvalId);
-      return reply(`✅ Campaign ${pending.campaignId} paused on Meta.`);
-    }
-
-    if (pending.type === 'publish_blog') {
-      const client = getClient(pending.clientName);
-      const wp = client ? seoEngine.getWordPressClient(client) : null;
-      if (!wp) {
-        pendingApprovals.delete(approvalId);
-        return reply(`❌ WordPress is not connected for ${pending.clientName}. The blog post is available in your Google Doc${pending.docUrl ? `: ${pending.docUrl}` : ''} — you can post it manually.`);
-      }
-      const { postData } = pending;
-      const wpPost = await wp.createPost({
-        title: postData.title, content: postData.content, excerpt: postData.excerpt,
-        slug: postData.slug, status: postData.publishDate ? 'future' : 'publish', date: postData.publishDate,
-        meta: { _yoast_wpseo_title: postData.seoTitle, _yoast_wpseo_metadesc: postData.seoDescription, _yoast_wpseo_focuskw: postData.focusKeyword },
-      });
-      pendingApprovals.delete(approvalId);
-      return reply(`✅ Blog post <b>"${postData.title}"</b> published to your website!\n${wpPost.link}`);
-    }
-
-    if (pending.type === 'apply_meta') {
-      const client = getClient(pending.clientName);
-      const wp = client ? seoEngine.getWordPressClient(client) : null;
-      if (!wp || !pending.pageId) {
-        pendingApprovals.delete(approvalId);
-        return reply(`❌ WordPress is not connected or page ID missing. The proposed changes are in your Google Doc${pending.docUrl ? `: ${pending.docUrl}` : ''}.`);
-      }
-      await wp.updatePageSEO(pending.pageId, pending.seoData, pending.pageType || 'posts');
-      pendingApprovals.delete(approvalId);
-      return reply(`✅ Meta tags updated on your website for page #${pending.pageId}!`);
-    }
-
-    if (pending.type === 'update_post') {
-      const client = getClient(pending.clientName);
-      const wp = client ? seoEngine.getWordPressClient(client) : null;
-      if (!wp) {
-        pendingApprovals.delete(approvalId);
-        return reply(`❌ WordPress is not connected for ${pending.clientName}. Changes available in Google Doc${pending.docUrl ? `: ${pending.docUrl}` : ''}.`);
-      }
-      const updates = {};
-      if (pending.updates.title) updates.title = pending.updates.title;
-      if (pending.updates.content) updates.content = pending.updates.content;
-      if (pending.updates.status) updates.status = pending.updates.status;
-      await wp.updatePost(pending.postId, updates);
-      if (pending.seoUpdates) await wp.updatePageSEO(pending.postId, pending.seoUpdates);
-      pendingApprovals.delete(approvalId);
-      return reply(`✅ Post #${pending.postId} updated on your website!`);
-    }
-
-    pendingApprovals.delete(approvalId);
-    return reply(`✅ Action approved and executed.`);
-  } catch (error) { return reply(`❌ Action failed: ${error.message}`); }
+export async function handleTelegramApproval(action, approvalId, chatId, member = getOwner()) {
+  const reply = await resolveApproval(action, approvalId, { channel: 'telegram', decidedBy: actorLabel(member, 'telegram'), member });
+  return sendTelegram(reply, chatId);
 }
 
 /**
@@ -0,0 +1,44 @@
+/**
+ * UNDO command — shared by the WhatsApp and Telegram owner handlers.
+ * "UNDO" lists recent reversible actions; "UNDO <auditId>" reverses one
+ * through the rollback engine (services/rollback.js).
+ */
+import { rollbackAction, listRollbackableActions } from '../services/rollback.js';
+import { canUseCommand } from '../services/team.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ module: 'undo-handler' });
+
+/**
+ * Resolve an UNDO message.
+ * @param {string} [auditId] - Full or short audit ID; omit to list candidates
+ * @param {object} opts
+ * @param {string} opts.channel - 'whatsapp' or 'telegram' (controls bold formatting)
+ * @param {string} opts.requestedBy - Who asked, recorded in audit_log
+ * @param {object} [opts.member] - Team member who asked; undoing needs a role allowed to UNDO
+ * @returns {Promise<string>} Reply text for the channel
+ */
+export async function resolveUndo(auditId, { channel = 'whatsapp', requestedBy = 'owner', member = null } = {}) {
+  const bold = channel === 'telegram' ? (s) => `<b>${s}</b>` : (s) => `*${s}*`;
+
+  if (!auditId) {
+    const actions = listRollbackableActions({ limit: 10 });
+    if (actions.length === 0) return 'ℹ️ There are no recent actions that can be undone.';
+    const lines = actions.map(a => `• ${bold(a.shortId)} — ${a.description} (${a.workflow || 'manual'}, ${a.timestamp} UTC)`);
+    return `↩️ ${bold('Actions you can undo:')}\n${lines.join('\n')}\n\nReply UNDO <id> to reverse one.`;
+  }
+
+  if (member && !canUseCommand(member, 'UNDO')) {
+    return `🚫 Your role (${member.role}) can't undo changes. Ask an admin.`;
+  }
+
+  try {
+    const result = await rollbackAction(auditId, { requestedBy });
+    return `↩️ Undone: ${result.description}`;
+  } catch (error) {
+    log.warn('Undo failed', { auditId, error: error.message });
+    return `❌ ${error.message}`;
+  }
+}
+
+export default { resolveUndo };
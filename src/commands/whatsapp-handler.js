@@ -12,50 +12,67 @@ import {
   getContactsByClientId, getCrossChannelHistory,
 } from '../services/knowledge-base.js';
 import { handleOnboardingMessage, hasActiveOnboarding, getClientContextByPhone, buildPersonalizedWelcome } from '../services/client-onboarding-flow.js';
-import * as metaAds from '../api/meta-ads.js';
-import * as seoEngine from '../services/seo-engine.js';
 import * as googleDrive from '../api/google-drive.js';
 import axios from 'axios';
 import config from '../config.js';
 import logger from '../utils/logger.js';
 import {
-  pendingApprovals,
   TOKEN_RE_INLINE,
   sendThinkingIndicator,
   getHistory, addToHistory, clearHistory, sanitizeMessages,
   tryLinkCrossChannel, getPendingClientWithFallback,
   MAX_HISTORY_MESSAGES,
 } from './helpers.js';
-import { CSA_TOOLS, CLIENT_TOOL_NAMES } from './csa-tool-defs.js';
-import { WHATSAPP_CSA_PROMPT, buildClientSystemPrompt } from './sofia-prompts.js';
+import { CSA_TOOLS, CLIENT_TOOL_NAMES, getToolsForRole } from './csa-tool-defs.js';
+import { WHATSAPP_CSA_PROMPT, buildClientSystemPrompt, buildTeamMemberPrompt } from './sofia-prompts.js';
 import { runChatLoop } from './chat-loop.js';
+import { resolveApproval } from './approval-handlers.js';
+import { resolveUndo } from './undo-handler.js';
+import { resolveRunJob } from './run-job-handler.js';
+import { getOwner, actorLabel } from '../services/team.js';
 
 const log = logger.child({ module: 'whatsapp-handler' });
 
 // --- Owner Command Handler ---
 /**
- * Handle an owner command (text or multimodal with image).
+ * Handle an owner or team member command (text or multimodal with image).
  * @param {string} message - Text message or caption
  * @param {object} [mediaAttachment] - Optional image attachment for Claude Vision
  * @param {string} mediaAttachment.type - 'image'
  * @param {string} mediaAttachment.base64 - Base64-encoded image data
  * @param {string} mediaAttachment.mimeType - MIME type
+ * @param {object} [member] - Who sent it (services/team.js); defaults to the owner
  */
-export async function handleCommand(message, mediaAttachment = null) {
-  log.info('handleCommand entered', { message: message.substring(0, 80), hasImage: !!mediaAttachment?.base64 });
-  const ownerChatId = 'whatsapp-owner'; // history key — NOT a phone number
-  const ownerPhone = config.WHATSAPP_OWNER_PHONE; // actual phone number for media delivery
+export async function handleCommand(message, mediaAttachment = null, member = getOwner()) {
+  log.info('handleCommand entered', { message: message.substring(0, 80), hasImage: !!mediaAttachment?.base64, member: member.name });
+  // history key — NOT a phone number
+  const ownerChatId = member.isOwner ? 'whatsapp-owner' : `whatsapp-team-${member.id}`;
+  const ownerPhone = member.isOwner ? config.WHATSAPP_OWNER_PHONE : member.whatsappPhone; // actual phone number for replies and media
+  const actor = actorLabel(member, 'whatsapp');
+  const reply = (msg) => sendWhatsApp(msg, ownerPhone);
 
   // Handle approval responses first (exact format, bypass AI)
-  const approvalMatch = message.match(/^(APPROVE|DENY|DETAILS)\s+([a-f0-9-]+)/i);
+  const approvalMatch = message.match(/^(APPROVE|DENY|DETAILS)\s+([\w-]+)/i);
   if (approvalMatch) {
-    return handleApproval(approvalMatch[1].toUpperCase(), approvalMatch[2]);
+    return handleApproval(approvalMatch[1].toUpperCase(), approvalMatch[2], member);
+  }
+
+  // UNDO [auditId] — reverse an automated change (exact format, bypass AI)
+  const undoMatch = message.trim().match(/^UNDO(?:\s+([\w-]+))?$/i);
+  if (undoMatch) {
+    return reply(await resolveUndo(undoMatch[1], { channel: 'whatsapp', requestedBy: actor, member }));
+  }
+
+  // RUN [job] — run a scheduled job now (exact format, bypass AI)
+  const runMatch = message.trim().match(/^RUN(?:\s+([\w-]+))?$/i);
+  if (runMatch) {
+    return reply(await resolveRunJob(runMatch[1], { channel: 'whatsapp', requestedBy: actor, member }));
   }
 
   // Handle "clear" / "reset" / "restart" to wipe memory
   if (/^(clear|reset|restart|new chat|forget)$/i.test(message.trim())) {
     clearHistory(ownerChatId);
-    return sendWhatsApp('Memory cleared! Starting fresh.');
+    return reply('Memory cleared! Starting fresh.');
   }
 
   try {
@@ -89,15 +106,17 @@ export async function handleCommand(message, mediaAttachment = null) {
     const messages = sanitizeMessages([...history, { role: 'user', content: currentUserContent }]);
 
     const finalText = await runChatLoop({
-      systemPrompt: WHATSAPP_CSA_PROMPT + clientContext,
+      systemPrompt: WHATSAPP_CSA_PROMPT + clientContext + buildTeamMemberPrompt(member),
       messages,
-      tools: CSA_TOOLS,
+      tools: getToolsForRole(member.role),
       channel: 'whatsapp',
       chatId: ownerPhone,
       historyKey: ownerChatId,
       workflow: 'whatsapp-csa',
+      member,
+      actor,
     });
-    await sendWhatsApp(finalText);
+    await reply(finalText);
   } catch (error) {
     log.error('WhatsApp command loop failed', { error: error.message, stack: error.stack });
     const isRateLimit = error.status === 429 || error.message?.includes('rate_limit');
@@ -107,7 +126,7 @@ export async function handleCommand(message, mediaAttachment = null) {
       : `Something went wrong while processing your request. Please try again.\n\n_Debug: ${errorHint}_`;
     addToHistory(ownerChatId, 'assistant', errorMsg);
     try {
-      await sendWhatsApp(errorMsg);
+      await reply(errorMsg);
     } catch (sendErr) {
       log.error('CRITICAL: Cannot send ANY WhatsApp message (owner handler)', {
         originalError: error.message,
@@ -120,82 +139,9 @@ export async function handleCommand(message, mediaAttachment = null) {
 }
 
 // --- WhatsApp Approval Handler ---
-export async function handleApproval(action, approvalId) {
-  const pending = pendingApprovals.get(approvalId);
-  if (!pending) {
-    return sendWhatsApp(`❌ Approval "${approvalId}" not found or expired.`);
-  }
-
-  if (action === 'DENY') {
-    pendingApprovals.delete(approvalId);
-    return sendWhatsApp(`❌ Action denied and cancelled.`);
-  }
-
-  if (action === 'DETAILS') {
-    return sendWhatsApp(`📋 *Action Details:*\n${JSON.stringify(pending, null, 2)}`);
-  }
-
-  // APPROVE
-  try {
-    if (pending.type === 'pause' && pending.platform === 'meta') {
-      await metaAds.pauseCampaign(pending.campaignId);
-      pendingApprovals.delete(approvalId);
-      return sendWhatsApp(`✅ Campaign ${pending.campaignId} paused on Meta.`);
-    }
-
-    if (pending.type === 'publish_blog') {
-      const client = getClient(pending.clientName);
-      const wp = client ? seoEngine.getWordPressClient(client) : null;
-      if (!wp) {
-        pendingApprovals.delete(approvalId);
-        return sendWhatsApp(`❌ WordPress is not connected for ${pending.clientName}. The blog post is available in your Google Doc${pending.docUrl ? `: ${pending.docUrl}` : ''} — you can post it manually.`);
-      }
-      const { postData } = pending;
-      const wpPost = await wp.createPost({
-        title: postData.title, content: postData.content, excerpt: postData.excerpt,
-        slug: postData.slug, status: postData.publishDate ? 'future' : 'publish', date: postData.publishDate,
-        meta: { _yoast_wpseo_title: postData.seoTitle, _yoast_wpseo_metadesc: postData.seoDescription, _yoast_wpseo_focuskw: postData.focusKeyword },
-      });
-      pendingApprovals.delete(approvalId);
-      return sendWhatsApp(`✅ Blog post *"${postData.title}"* published to your website!\n${wpPost.link}`);
-    }
-
-    if (pending.type === 'apply_meta') {
-      const client = getClient(pending.clientName);
-      const wp = client ? seoEngine.getWordPressClient(client) : null;
-      if (!wp || !pending.pageId) {
-        pendingApprovals.delete(approvalId);
-        return sendWhatsApp(`❌ WordPress is not connected or page ID missing. The proposed changes are in your Google Doc${pending.docUrl ? `: ${pending.docUrl}` : ''} — you can apply them manually.`);
-      }
-      await wp.updatePageSEO(pending.pageId, pending.seoData, pending.pageType || 'posts');
-      pendingApprovals.delete(approvalId);
-      return sendWhatsApp(`✅ Meta tags updated on your website for page #${pending.pageId}!`);
-    }
-
-    if (pending.type === 'update_post') {
-      const client = getClient(pending.clientName);
-      const wp = client ? seoEngine.getWordPressClient(client) : null;
-      if (!wp) {
-        pendingApprovals.delete(approvalId);
-        return sendWhatsApp(`❌ WordPress is not connected for ${pending.clientName}. The changes are in your Google Doc${pending.docUrl ? `: ${pending.docUrl}` : ''} — you can apply them manually.`);
-      }
-      const updates = {};
-      if (pending.updates.title) updates.title = pending.updates.title;
-      if (pending.updates.content) updates.content = pending.updates.content;
-      if (pending.updates.status) updates.status = pending.updates.status;
-      await wp.updatePost(pending.postId, updates);
-      if (pending.seoUpdates) {
-        await wp.updatePageSEO(pending.postId, pending.seoUpdates);
-      }
-      pendingApprovals.delete(approvalId);
-      return sendWhatsApp(`✅ Post #${pending.postId} updated on your website!`);
-    }
-
-    pendingApprovals.delete(approvalId);
-    return sendWhatsApp(`✅ Action approved and executed.`);
-  } catch (error) {
-    return sendWhatsApp(`❌ Action failed: ${error.message}`);
-  }
+export async function handleApproval(action, approvalId, member = getOwner()) {
+  const reply = await resolveApproval(action, approvalId, { channel: 'whatsapp', decidedBy: actorLabel(member, 'whatsapp'), member });
+  return sendWhatsApp(reply, member.isOwner ? config.WHATSAPP_OWNER_PHONE : member.whatsappPhone);
 }
 
 // --- Client Message Handler (non-owner contacts) ---
@@ -416,12 +362,12 @@ export async function handleMediaUpload(from, mediaType, media, caption) {
     const mediaId = media.id;
     const mediaUrl = await getWhatsAppMediaUrl(mediaId);
     if (!mediaUrl) {
-      return sendWhatsApp('Could not retrieve the file. Please try again.');
+      return sendWhatsApp('Could not retrieve the file. Please try again.', from);
     }
 
     const mediaData = await downloadWhatsAppMedia(mediaUrl);
     if (!mediaData) {
-      return sendWhatsApp('Could not download the file. Please try again.');
+      return sendWhatsApp('Could not download the file. Please try again.', from);
     }
 
     let clientName = null;
@@ -439,7 +385,7 @@ export async function handleMediaUpload(from, mediaType, media, caption) {
     const folderId = client?.drive_root_folder_id || config.GOOGLE_DRIVE_ROOT_FOLDER_ID;
 
     if (!folderId) {
-      return sendWhatsApp('Google Drive not configured. Set GOOGLE_DRIVE_ROOT_FOLDER_ID in .env to enable file storage.');
+      return sendWhatsApp('Google Drive not configured. Set GOOGLE_DRIVE_ROOT_FOLDER_ID in .env to enable file storage.', from);
     }
 
     const ext = getExtFromMime(media.mime_type);
@@ -459,13 +405,13 @@ export async function handleMediaUpload(from, mediaType, media, caption) {
         client ? `📋 Client: ${client.name}` : '',
         uploaded.webViewLink ? `🔗 ${uploaded.webViewLink}` : '',
       ].filter(Boolean).join('\n');
-      await sendWhatsApp(msg);
+      await sendWhatsApp(msg, from);
     } else {
-      await sendWhatsApp('File received but Google Drive upload failed. Check Drive configuration.');
+      await sendWhatsApp('File received but Google Drive upload failed. Check Drive configuration.', from);
     }
   } catch (error) {
     log.error('Media upload failed', { error: error.message, mediaType });
-    await sendWhatsApp(`Could not save file: ${error.message}`);
+    await sendWhatsApp(`Could not save file: ${error.message}`, from);
   }
 }
 
@@ -24,9 +24,13 @@ import * as supabase from '../api/supabase.js';
 import crypto from 'crypto';
 import config from '../config.js';
 import logger from '../utils/logger.js';
+import { requireWebhookAuth, verifyMetaSignature, secretsMatch } from '../utils/webhook-auth.js';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 
+import { findTeamMember } from '../services/team.js';
+import { setClientSecret } from '../services/credential-vault.js';
+
 // Handlers
 import {
   handleCommand, handleClientMessage, handleMediaUpload, handleApproval,
@@ -56,7 +60,8 @@ const app = express();
 app.set('trust proxy', 1);
 app.use(helmet());
 app.use(express.urlencoded({ extended: false }));
-app.use(express.json());
+// Keep the raw body: Meta signs the exact bytes it sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Auto-detect public URL from first real incoming request
 app.use((req, res, next) => {
@@ -92,6 +97,30 @@ app.use('/api', rateLimit({
   validate: { xForwardedForHeader: false, default: true },
 }));
 
+// Webhook authentication: Meta signs WhatsApp deliveries with the app secret,
+// Telegram echoes the secret_token registered via setWebhook. In production a
+// missing secret rejects every delivery instead of accepting them unverified.
+const whatsappWebhookAuth = requireWebhookAuth({
+  source: 'WhatsApp',
+  secret: config.WHATSAPP_APP_SECRET,
+  verify: (req, secret) => verifyMetaSignature(req.rawBody, req.get('x-hub-signature-256'), secret),
+  eventTime: (body) => {
+    const value = body?.entry?.[0]?.changes?.[0]?.value;
+    return (value?.messages || value?.statuses)?.[0]?.timestamp;
+  },
+  windowSeconds: config.WHATSAPP_REPLAY_WINDOW_SECONDS,
+  required: config.NODE_ENV === 'production',
+});
+
+const telegramWebhookAuth = requireWebhookAuth({
+  source: 'Telegram',
+  secret: config.TELEGRAM_WEBHOOK_SECRET,
+  verify: (req, secret) => secretsMatch(req.get('x-telegram-bot-api-secret-token'), secret),
+  eventTime: (body) => body?.message?.date,
+  windowSeconds: config.TELEGRAM_REPLAY_WINDOW_SECONDS,
+  required: config.NODE_ENV === 'production',
+});
+
 // ============================================================
 // WhatsApp Cloud API Webhook Verification (GET)
 // ============================================================
@@ -110,7 +139,7 @@ app.get('/webhook/whatsapp', (req, res) => {
 // ============================================================
 // WhatsApp Cloud API Webhook (POST)
 // ============================================================
-app.post('/webhook/whatsapp', async (req, res) => {
+app.post('/webhook/whatsapp', whatsappWebhookAuth, async (req, res) => {
   res.sendStatus(200);
 
   try {
@@ -218,14 +247,13 @@ app.post('/webhook/whatsapp', async (req, res) => {
           textPart += `\n\n[SYSTEM: The uploaded image is available at this URL for tool use: ${permanentImageUrl} — use this URL as imageUrl with generate_video_from_image for video, OR as uploadedImageUrl with generate_ad_creative_with_text for static creatives with the user's photo]`;
         }
 
-        const normalizePhone = (p) => p?.replace(/[^0-9]/g, '');
-        const isOwner = normalizePhone(from) === normalizePhone(config.WHATSAPP_OWNER_PHONE);
-        if (isOwner) {
+        const member = findTeamMember({ whatsappPhone: from });
+        if (member) {
           await handleCommand(textPart, {
             type: 'image',
             base64: imageBase64,
             mimeType,
-          });
+          }, member);
         } else {
           await handleClientMessage(from, textPart, {
             type: 'image',
@@ -235,9 +263,7 @@ app.post('/webhook/whatsapp', async (req, res) => {
         }
       } else {
         // Non-image media (documents, video, audio)
-        const normalizePhone = (p) => p?.replace(/[^0-9]/g, '');
-        const isOwner = normalizePhone(from) === normalizePhone(config.WHATSAPP_OWNER_PHONE);
-        if (isOwner) {
+        if (findTeamMember({ whatsappPhone: from })) {
           await handleMediaUpload(from, message.type, media, caption);
         } else if (caption) {
           await handleClientMessage(from, caption);
@@ -254,13 +280,13 @@ app.post('/webhook/whatsapp', async (req, res) => {
 
     log.info('WhatsApp message received', { from, body: body.substring(0, 100) });
 
-    const normalizePhone = (p) => p?.replace(/[^0-9]/g, '');
-    const isOwner = normalizePhone(from) === normalizePhone(config.WHATSAPP_OWNER_PHONE);
+    // The owner and team members get Sofia's operator mode; everyone else is a client
+    const member = findTeamMember({ whatsappPhone: from });
 
-    log.info('WhatsApp routing', { from, isOwner, ownerPhone: config.WHATSAPP_OWNER_PHONE?.slice(-4) });
+    log.info('WhatsApp routing', { from, isOwner: !!member?.isOwner, teamMember: member?.name, ownerPhone: config.WHATSAPP_OWNER_PHONE?.slice(-4) });
 
-    if (isOwner) {
-      await enqueueOwnerMessage(body);
+    if (member) {
+      await enqueueOwnerMessage(body, member);
     } else {
       await handleClientMessage(from, body);
     }
@@ -288,15 +314,22 @@ app.post('/webhook/whatsapp', async (req, res) => {
 // ============================================================
 // Telegram Bot Webhook (POST)
 // ============================================================
-app.post('/webhook/telegram', async (req, res) => {
+app.post('/webhook/telegram', telegramWebhookAuth, async (req, res) => {
   res.sendStatus(200);
 
   try {
     const message = req.body?.message;
     if (!message) return;
 
+    // Telegram redelivers updates it did not see acknowledged
+    if (req.body.update_id && isMessageAlreadyProcessed(`tg-${req.body.update_id}`)) {
+      log.debug('Telegram webhook: skipping duplicate update', { updateId: req.body.update_id });
+      return;
+    }
+
     const chatId = String(message.chat?.id);
-    const isOwner = chatId === config.TELEGRAM_OWNER_CHAT_ID;
+    const member = findTeamMember({ telegramChatId: chatId });
+    const isOwner = !!member?.isOwner;
 
     // Handle file uploads (photos, documents, video, audio)
     const fileObj = message.document || message.photo?.slice(-1)?.[0] || message.video || message.audio;
@@ -305,7 +338,7 @@ app.post('/webhook/telegram', async (req, res) => {
       const mediaType = message.document ? 'document' : message.photo ? 'image' : message.video ? 'video' : 'audio';
       log.info('Telegram file received', { chatId, mediaType, fileId: fileObj.file_id });
 
-      if (isOwner) {
+      if (member) {
         await handleTelegramMediaUpload(chatId, mediaType, fileObj, caption);
         return;
       }
@@ -385,7 +418,9 @@ app.post('/webhook/telegram', async (req, res) => {
       }
 
       // Normal owner command access
-      await handleTelegramCommand(body, chatId);
+      await handleTelegramCommand(body, chatId, member);
+    } else if (member) {
+      await handleTelegramCommand(body, chatId, member);
     } else {
       await handleTelegramClientMessage(chatId, body);
     }
@@ -405,7 +440,7 @@ app.post('/webhook/leadsie', async (req, res) => {
 
   try {
     const secret = config.LEADSIE_WEBHOOK_SECRET;
-    if (secret && req.headers['x-leadsie-secret'] !== secret) {
+    if (secret && !secretsMatch(req.headers['x-leadsie-secret'], secret)) {
       log.warn('Leadsie webhook: invalid secret');
       return;
     }
@@ -416,6 +451,7 @@ app.post('/webhook/leadsie', async (req, res) => {
     log.info('Leadsie onboarding completed', { inviteId: invite_id, clientName: client_name });
 
     const updates = {};
+    const secrets = {}; // stored in the credential vault, never on the client row
     const grantedPlatforms = [];
     for (const account of (granted_accounts || [])) {
       grantedPlatforms.push(account.platform);
@@ -429,17 +465,19 @@ app.post('/webhook/leadsie', async (req, res) => {
       } else if (account.platform === 'wordpress') {
         if (account.site_url) updates.wordpress_url = account.site_url;
         if (account.username) updates.wordpress_username = account.username;
-        if (account.access_token || account.app_password) updates.wordpress_app_password = account.access_token || account.app_password;
+        if (account.access_token || account.app_password) secrets.wordpress_app_password = account.access_token || account.app_password;
         updates.cms_platform = 'wordpress';
       } else if (account.platform === 'shopify') {
         if (account.store_url || account.site_url) updates.shopify_store_url = account.store_url || account.site_url;
-        if (account.access_token) updates.shopify_access_token = account.access_token;
+        if (account.access_token) secrets.shopify_access_token = account.access_token;
         updates.cms_platform = 'shopify';
       } else if (account.platform === 'godaddy') {
         if (account.domain) updates.godaddy_domain = account.domain;
-        if (account.api_key || account.access_token) updates.godaddy_api_key = account.api_key || account.access_token;
+        if (account.api_key || account.access_token) secrets.godaddy_api_key = account.api_key || account.access_token;
       } else if (account.platform === 'hubspot') {
-        if (account.access_token) updates.hubspot_access_token = account.access_token;
+        if (account.access_token) secrets.hubspot_access_token = account.access_token;
+      } else if (account.platform === 'mailchimp') {
+        if (account.access_token || account.api_key) secrets.mailchimp_access_token = account.access_token || account.api_key;
       }
     }
 
@@ -468,6 +506,20 @@ app.post('/webhook/leadsie', async (req, res) => {
       }
     }
 
+    // Secrets go to the vault — under the client, or the pending token until onboarding completes
+    const secretOwner = clientId || (pendingByInvite ? `pending:${pendingByInvite.token}` : null);
+    const vaultErrors = [];
+    if (secretOwner) {
+      for (const [name, value] of Object.entries(secrets)) {
+        try {
+          setClientSecret(secretOwner, name, value, { updatedBy: 'leadsie' });
+        } catch (e) {
+          vaultErrors.push(name);
+          log.error('Leadsie webhook: could not store secret in credential vault', { owner: secretOwner, name, error: e.message });
+        }
+      }
+    }
+
     // Notify owner
     const adPlatforms = grantedPlatforms.filter(p => ['facebook', 'google', 'tiktok'].includes(p));
     const cmsPlatforms = grantedPlatforms.filter(p => ['wordpress', 'shopify'].includes(p));
@@ -478,7 +530,9 @@ app.post('/webhook/leadsie', async (req, res) => {
     if (cmsPlatforms.length) notifyMsg += `\n🌐 *CMS access:* ${cmsPlatforms.join(', ')} — Sofia can now manage website content & SEO`;
     if (otherPlatforms.length) notifyMsg += `\n🔧 *Other:* ${otherPlatforms.join(', ')}`;
     if (!clientId) notifyMsg += `\n\n⏳ Client hasn't connected with Sofia yet — credentials saved to pending record.`;
-    notifyMsg += '\n\nAll credentials have been saved automatically.';
+    notifyMsg += vaultErrors.length
+      ? `\n\n⚠️ Could not store ${vaultErrors.join(', ')} — check CREDENTIAL_VAULT_KEY and ask the client to reconnect.`
+      : '\n\nAll credentials have been saved automatically.';
     await sendWhatsApp(notifyMsg);
 
     db.close();
@@ -670,6 +724,16 @@ export function startServer(port) {
 
       resolve(app);
 
+      const production = config.NODE_ENV === 'production';
+      if (!config.WHATSAPP_APP_SECRET) {
+        if (production) log.error('WHATSAPP_APP_SECRET not set — every WhatsApp webhook delivery is rejected');
+        else log.warn('WHATSAPP_APP_SECRET not set — WhatsApp webhook signatures are not verified');
+      }
+      if (config.TELEGRAM_BOT_TOKEN && !config.TELEGRAM_WEBHOOK_SECRET) {
+        if (production) log.error('TELEGRAM_WEBHOOK_SECRET not set — every Telegram webhook request is rejected');
+        else log.warn('TELEGRAM_WEBHOOK_SECRET not set — Telegram webhook requests are not verified');
+      }
+
       if (!telegramBotUsername && config.TELEGRAM_BOT_TOKEN) {
         try {
           const me = await getTelegramMe();
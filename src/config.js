@@ -11,10 +11,13 @@ const envSchema = z.object({
   WHATSAPP_PHONE_NUMBER_ID: z.string().min(1),
   WHATSAPP_OWNER_PHONE: z.string().min(1),
   WHATSAPP_VERIFY_TOKEN: z.string().optional().default(''),
+  WHATSAPP_APP_SECRET: z.string().optional().default(''), // Meta app secret — verifies X-Hub-Signature-256 on webhooks
 
   // Telegram Bot
   TELEGRAM_BOT_TOKEN: z.string().optional().default(''),
   TELEGRAM_OWNER_CHAT_ID: z.string().optional().default(''),
+  // Sent as secret_token to setWebhook; Telegram echoes it in X-Telegram-Bot-Api-Secret-Token
+  TELEGRAM_WEBHOOK_SECRET: z.string().regex(/^[A-Za-z0-9_-]{0,256}$/, 'TELEGRAM_WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and -').optional().default(''),
 
   // ClickUp
   CLICKUP_API_TOKEN: z.string().min(1),
@@ -34,6 +37,9 @@ const envSchema = z.object({
   // HubSpot
   HUBSPOT_ACCESS_TOKEN: z.string().optional().default(''),
 
+  // Shopify (per-client store URL and access token come from Leadsie onboarding)
+  SHOPIFY_API_VERSION: z.string().default('2024-10'),
+
   // Meta
   META_APP_ID: z.string().optional().default(''),
   META_APP_SECRET: z.string().optional().default(''),
@@ -110,6 +116,8 @@ const envSchema = z.object({
   NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
   PORT: z.coerce.number().default(3000),
   LOG_LEVEL: z.enum(['error', 'warn', 'info', 'debug']).default('info'),
+  // Extra per-field redaction allow-list, e.g. "email:email,notes:phone|email" (read by utils/redact.js)
+  REDACTION_ALLOW_FIELDS: z.string().optional().default(''),
 
   // Cost
   MONTHLY_AI_BUDGET_CENTS: z.coerce.number().default(100000),
@@ -122,6 +130,40 @@ const envSchema = z.object({
   AUTO_PAUSE_ROAS_THRESHOLD: z.coerce.number().default(0.2),
   AUTO_PAUSE_CPA_MULTIPLIER: z.coerce.number().default(3),
   ZERO_CONVERSION_SPEND_ALERT: z.coerce.number().default(50000),
+  MAX_AUTO_CHANGES_PER_DAY: z.coerce.number().default(0), // per client, 0 = no cap
+
+  // Webhooks: events older (or newer) than this many seconds are dropped as replays.
+  // Meta retries failed WhatsApp deliveries for up to 7 days; message ID
+  // deduplication guards against replays inside the window
+  WHATSAPP_REPLAY_WINDOW_SECONDS: z.coerce.number().default(604800),
+  // Telegram queues updates for up to 24 hours while the webhook is down and
+  // delivers them late; update_id deduplication guards against replays
+  TELEGRAM_REPLAY_WINDOW_SECONDS: z.coerce.number().default(86400),
+
+  // Credential vault (services/credential-vault.js): 32-byte master keys, base64 or hex.
+  // On rotation, move the old key to CREDENTIAL_VAULT_PREVIOUS_KEYS (comma-separated).
+  CREDENTIAL_VAULT_KEY: z.string().optional().default(''),
+  CREDENTIAL_VAULT_PREVIOUS_KEYS: z.string().optional().default(''),
+
+  // Backups (services/backup.js): snapshots of data/*.db, kept locally and uploaded to
+  // a private Supabase bucket or a Drive folder. auto = Supabase, else Drive, else local only.
+  BACKUP_DIR: z.string().default('data/backups'),
+  BACKUP_DESTINATION: z.enum(['auto', 'supabase', 'drive', 'local']).default('auto'),
+  BACKUP_DRIVE_FOLDER_ID: z.string().optional().default(''),
+  BACKUP_KEEP_DAILY: z.coerce.number().default(7),
+  BACKUP_KEEP_WEEKLY: z.coerce.number().default(4),
+  BACKUP_KEEP_MONTHLY: z.coerce.number().default(6),
+  BACKUP_KEEP_LOCAL: z.coerce.number().default(2), // local copies kept when uploading remotely
+
+  // Client data export / erasure (services/client-data.js). The signing key is an
+  // Ed25519 private key (PEM, or base64 PKCS#8 DER) that signs erasure receipts.
+  DATA_EXPORT_DIR: z.string().default('data/exports'),
+  ERASURE_RECEIPT_SIGNING_KEY: z.string().optional().default(''),
+
+  // Approvals
+  APPROVAL_TTL_HOURS: z.coerce.number().default(48),
+  APPROVAL_REMINDER_HOURS: z.coerce.number().default(6),
+  APPROVAL_MAX_REMINDERS: z.coerce.number().default(3),
 });
 
 let config;
@@ -1,6 +1,7 @@
 import logger from './utils/logger.js';
 import { startServer } from './commands/whatsapp-server.js';
-import { initializeSchedule } from './services/scheduler.js';
+import { initializeSchedule, catchUpMissedRuns, stopAll } from './services/scheduler.js';
+import { getClientTimezones } from './services/client-delivery.js';
 import { runMorningBriefing } from './workflows/morning-briefing.js';
 import { runDailyMonitor } from './workflows/daily-monitor.js';
 import { runTaskMonitor, generateDailyStandup } from './workflows/clickup-monitor.js';
@@ -14,8 +15,14 @@ import { runLandingPageAnalysis } from './workflows/landing-page-analysis.js';
 import { runTestManager } from './workflows/ab-test-manager.js';
 import { runClientCheckIn } from './workflows/client-check-in.js';
 import { runClientMorningBriefing } from './workflows/client-morning-briefing.js';
+import { runClientDeferredDelivery } from './workflows/client-deferred-delivery.js';
 import { runMorningCostAlert, runEveningCostAlert } from './workflows/daily-cost-alert.js';
 import { runWeeklySEOCheck, runMonthlyContentAnalysis } from './workflows/seo-monitor.js';
+import { runApprovalReminders } from './workflows/approval-reminders.js';
+import { runMetricsIngestion } from './workflows/metrics-ingestion.js';
+import { runDatabaseBackup } from './workflows/database-backup.js';
+import { listApprovals, ApprovalStatus } from './services/approval-queue.js';
+import { initVault } from './services/credential-vault.js';
 import { sendAlert } from './api/whatsapp.js';
 import { sendAlert as sendTelegramAlert } from './api/telegram.js';
 import config from './config.js';
@@ -64,12 +71,21 @@ async function main() {
     landingPageAnalysis: runLandingPageAnalysis,
     clientCheckIn: runClientCheckIn,
     clientMorningBriefing: runClientMorningBriefing,
+    clientDeferredDelivery: runClientDeferredDelivery,
     morningCostAlert: runMorningCostAlert,
     eveningCostAlert: runEveningCostAlert,
     weeklySEOCheck: runWeeklySEOCheck,
     monthlyContentAnalysis: runMonthlyContentAnalysis,
+    approvalReminders: runApprovalReminders,
+    metricsIngestion: runMetricsIngestion,
+    databaseBackup: runDatabaseBackup,
+    testManager: runTestManager,
+    clientTimezones: getClientTimezones,
   });
 
+  // 2b. Replay scheduled runs missed while the app was down (e.g. a redeploy at 7:59)
+  catchUpMissedRuns().catch(e => log.error('Scheduler catch-up failed', { error: e.message }));
+
   // 3. Run background startup tasks (API validation, ClickUp sync, notifications)
   //    These run after the server is listening so they don't block healthcheck
   runStartupChecks().catch(e => log.error('Startup checks failed', { error: e.message }));
@@ -130,11 +146,33 @@ async function runStartupChecks() {
     log.warn('Kling AI check failed', { error: e.message });
   }
 
-  // 3d. Send startup notification
-  const statusMsg = startupIssues.length > 0
+  // 3d. Credential vault: migrate plaintext client secrets, finish key rotation
+  try {
+    const vault = initVault();
+    if (vault.migrated || vault.rewrapped) log.info('Credential vault ready', vault);
+    if (vault.failed.length > 0) {
+      startupIssues.push(`Credential vault: ${vault.failed.length} secret(s) wrapped with an unknown master key`);
+    }
+  } catch (e) {
+    log.error('Credential vault initialization failed', { error: e.message });
+    startupIssues.push(`Credential vault: ${e.message.substring(0, 100)}`);
+  }
+
+  // 3e. Send startup notification
+  let statusMsg = startupIssues.length > 0
     ? `System Online — BUT ${startupIssues.length} issue(s):\n${startupIssues.map(i => `• ${i}`).join('\n')}`
     : 'PPC Agency Automation is running.\nType *help* for available commands.';
 
+  // Approvals survive restarts — remind the owner what is still waiting
+  try {
+    const pending = listApprovals({ status: ApprovalStatus.PENDING, limit: 10 });
+    if (pending.length > 0) {
+      statusMsg += `\n\n🔐 ${pending.length} approval(s) still pending:\n${pending.map(a => `• ${a.id} — ${a.request.description || a.type}`).join('\n')}`;
+    }
+  } catch (e) {
+    log.warn('Could not load pending approvals', { error: e.message });
+  }
+
   try {
     await sendAlert(startupIssues.length > 0 ? 'warning' : 'success', 'System Online', statusMsg);
   } catch (e) {
@@ -157,15 +195,19 @@ async function runStartupChecks() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  log.info('Received SIGTERM, shutting down');
+// Stopping the scheduler marks in-flight runs interrupted and frees their locks
+function shutdown(signal) {
+  log.info(`Received ${signal}, shutting down`);
+  try {
+    stopAll();
+  } catch (e) {
+    log.error('Failed to stop scheduler cleanly', { error: e.message });
+  }
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  log.info('Received SIGINT, shutting down');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 process.on('unhandledRejection', (error) => {
   log.error('Unhandled rejection', { error: error?.message, stack: error?.stack });
@@ -0,0 +1,372 @@
+/**
+ * Statistical anomaly detection.
+ * Learns each campaign's baseline from the daily metrics warehouse and flags
+ * days that deviate significantly from it, instead of relying on fixed
+ * thresholds alone.
+ *
+ * For every metric the last 28 days before the checked day form the baseline.
+ * When at least two whole weeks are available the series is deseasonalized
+ * with day-of-week factors (each day divided by its own week's mean, as in
+ * budget-forecast.js), then the checked day is scored as a z-score against the
+ * baseline mean and standard deviation.
+ *
+ * Detected anomalies are stored so each one is alerted once, and the owner can
+ * silence a campaign/metric pair — silences are remembered until they expire.
+ * All money is in cents; dates are UTC 'YYYY-MM-DD' strings.
+ */
+import Database from 'better-sqlite3';
+import { v4 as uuid } from 'uuid';
+import logger from '../utils/logger.js';
+import { KB_SCHEMA } from './knowledge-base.js';
+import { runMigrations } from './migrations.js';
+import { addDays } from './budget-forecast.js';
+import { getDailyMetrics } from './metrics-warehouse.js';
+import { centsToDollars } from './metrics.js';
+
+const log = logger.child({ workflow: 'anomaly-detection' });
+const DB_PATH = process.env.KB_DB_PATH || 'data/knowledge.db';
+
+const BASELINE_DAYS = 28;
+const MIN_BASELINE_DAYS = 7;
+const MIN_SEASONALITY_WEEKS = 2;
+const Z_WARNING = 3;
+const Z_CRITICAL = 4.5;
+// Ignore deviations smaller than this even when the series is very stable
+const MIN_CHANGE_PCT = 20;
+// Floor for the standard deviation, as a fraction of the baseline mean
+const MIN_RELATIVE_STDDEV = 0.05;
+const SHORT_ID_LENGTH = 8;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const money = (cents) => `$${centsToDollars(cents)}`;
+const pct = (value) => `${value.toFixed(2)}%`;
+
+/**
+ * Metrics checked per campaign. `adverse` is the direction that is alerted on,
+ * `valid` rejects days with too little volume for the ratio to mean anything.
+ */
+export const ANOMALY_METRICS = {
+  cpa: {
+    label: 'CPA',
+    adverse: 'up',
+    value: (m) => m.cpaCents,
+    valid: (m) => m.conversions > 0,
+    format: money,
+    recommendation: 'Check conversion tracking, recent bid or audience changes, and landing page',
+  },
+  ctr: {
+    label: 'CTR',
+    adverse: 'down',
+    value: (m) => m.ctr,
+    valid: (m) => m.impressions >= 1000,
+    format: pct,
+    recommendation: 'Review creative fatigue and targeting. Consider a creative refresh.',
+  },
+  cpm: {
+    label: 'CPM',
+    adverse: 'up',
+    value: (m) => (m.spendCents / m.impressions) * 1000,
+    valid: (m) => m.impressions >= 1000,
+    format: money,
+    recommendation: 'Check auction competition, audience size and placements',
+  },
+  spend: {
+    label: 'Spend',
+    adverse: 'both',
+    value: (m) => m.spendCents,
+    valid: () => true,
+    format: money,
+    recommendation: 'Check budget changes, delivery status and bid caps',
+  },
+  conversionRate: {
+    label: 'Conversion rate',
+    adverse: 'down',
+    value: (m) => (m.conversions / m.clicks) * 100,
+    valid: (m) => m.clicks >= 50,
+    format: pct,
+    recommendation: 'Check landing page, checkout flow and conversion tracking',
+  },
+};
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    runMigrations(db, KB_SCHEMA);
+  }
+  return db;
+}
+
+// --- Statistics ---
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stddev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+function weekday(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Day-of-week factors from whole weeks of the baseline, or null when there is
+ * not enough history for every weekday.
+ * @param {Map<string, number>} series - date → value
+ * @param {string} lastDate - Last baseline date; weeks are counted back from it
+ */
+function seasonalFactors(series, lastDate) {
+  const ratios = Array.from({ length: 7 }, () => []);
+  for (let end = lastDate, i = 0; i + 7 <= BASELINE_DAYS; i += 7, end = addDays(end, -7)) {
+    const week = Array.from({ length: 7 }, (_, j) => addDays(end, -j));
+    if (!week.every(d => series.has(d))) continue;
+    const weekMean = mean(week.map(d => series.get(d)));
+    if (weekMean <= 0) continue;
+    for (const d of week) ratios[weekday(d)].push(series.get(d) / weekMean);
+  }
+  if (ratios.some(r => r.length < MIN_SEASONALITY_WEEKS)) return null;
+  return ratios.map(r => mean(r) || 1);
+}
+
+/**
+ * Score one metric on `date` against its baseline.
+ * @param {Map<string, number>} series - date → value, including `date`
+ * @param {string} date - Day to check
+ * @param {'up'|'down'|'both'} adverse - Direction to alert on
+ * @returns {object|null} { value, expected, zScore, changePct, seasonal, baselineDays } or null if not anomalous
+ */
+export function scoreDeviation(series, date, adverse = 'both') {
+  if (!series.has(date)) return null;
+  const baselineDates = [...series.keys()].filter(d => d < date && d >= addDays(date, -BASELINE_DAYS)).sort();
+  if (baselineDates.length < MIN_BASELINE_DAYS) return null;
+
+  const factors = seasonalFactors(series, addDays(date, -1));
+  const factorFor = (d) => (factors ? factors[weekday(d)] || 1 : 1);
+
+  const adjusted = baselineDates.map(d => series.get(d) / factorFor(d));
+  const baselineMean = mean(adjusted);
+  if (baselineMean <= 0) return null;
+  const sd = Math.max(stddev(adjusted), baselineMean * MIN_RELATIVE_STDDEV);
+
+  const value = series.get(date);
+  const zScore = (value / factorFor(date) - baselineMean) / sd;
+  const expected = baselineMean * factorFor(date);
+  const changePct = ((value - expected) / expected) * 100;
+
+  const inAdverseDirection = adverse === 'both' || (adverse === 'up' ? zScore > 0 : zScore < 0);
+  if (!inAdverseDirection || Math.abs(zScore) < Z_WARNING || Math.abs(changePct) < MIN_CHANGE_PCT) return null;
+
+  return { value, expected, zScore, changePct, seasonal: Boolean(factors), baselineDays: baselineDates.length };
+}
+
+/**
+ * Detect anomalies for one entity's daily rows on `date`.
+ * @param {object[]} rows - Normalized daily metrics for a single entity
+ * @param {string} date - Day to check (normally the last complete day)
+ * @returns {object[]} Anomalies with metric, severity and a plain-language description
+ */
+export function detectAnomalies(rows, date) {
+  const anomalies = [];
+  const current = rows.find(r => r.date === date);
+  if (!current) return anomalies;
+
+  for (const [metric, def] of Object.entries(ANOMALY_METRICS)) {
+    const series = new Map();
+    for (const row of rows) {
+      if (def.valid(row)) series.set(row.date, def.value(row));
+    }
+    const result = scoreDeviation(series, date, def.adverse);
+    if (!result) continue;
+
+    const direction = result.zScore > 0 ? 'above' : 'below';
+    const usual = result.seasonal ? `usual for a ${DAY_NAMES[weekday(date)]}` : 'usual';
+    const change = `${result.changePct > 0 ? '+' : ''}${Math.round(result.changePct)}%`;
+    anomalies.push({
+      platform: current.platform,
+      level: current.level,
+      entityId: current.id,
+      entityName: current.name,
+      metric,
+      date,
+      value: result.value,
+      expected: result.expected,
+      zScore: result.zScore,
+      changePct: result.changePct,
+      severity: Math.abs(result.zScore) >= Z_CRITICAL ? 'critical' : 'warning',
+      description: `${def.label} ${def.format(result.value)} on ${date} vs ${usual} ${def.format(result.expected)} (${change}, ${Math.abs(result.zScore).toFixed(1)}σ ${direction} its ${result.baselineDays}-day baseline)`,
+      recommendation: def.recommendation,
+    });
+  }
+  return anomalies;
+}
+
+// --- Storage & silencing ---
+
+export function shortAnomalyId(id) {
+  return id.slice(0, SHORT_ID_LENGTH);
+}
+
+/**
+ * Whether an anomaly on this entity/metric is currently silenced.
+ */
+export function isSilenced({ clientId, platform, entityId, metric, date }) {
+  const row = getDb().prepare(`
+    SELECT 1 FROM anomaly_silences
+    WHERE client_id = ? AND platform = ? AND entity_id = ?
+      AND (metric IS NULL OR metric = ?)
+      AND (until IS NULL OR until >= ?)
+    LIMIT 1
+  `).get(clientId, platform, String(entityId), metric, date);
+  return Boolean(row);
+}
+
+/**
+ * Store anomalies and return the ones that should be alerted: new (not seen on
+ * a previous run for the same day) and not silenced.
+ * @returns {object[]} Anomalies with `id` and `shortId` added
+ */
+export function recordAnomalies(clientId, anomalies) {
+  const insert = getDb().prepare(`
+    INSERT INTO anomalies (id, client_id, platform, level, entity_id, entity_name, metric, date,
+      value, expected, z_score, change_pct, severity, description, status)
+    VALUES (@id, @clientId, @platform, @level, @entityId, @entityName, @metric, @date,
+      @value, @expected, @zScore, @changePct, @severity, @description, @status)
+    ON CONFLICT (platform, level, entity_id, metric, date) DO NOTHING
+  `);
+
+  const fresh = [];
+  for (const anomaly of anomalies) {
+    const id = uuid();
+    const silenced = isSilenced({ clientId, ...anomaly });
+    const { changes } = insert.run({
+      id,
+      clientId,
+      ...anomaly,
+      entityId: String(anomaly.entityId),
+      entityName: anomaly.entityName || null,
+      status: silenced ? 'silenced' : 'open',
+    });
+    if (changes > 0 && !silenced) fresh.push({ ...anomaly, id, shortId: shortAnomalyId(id) });
+  }
+  return fresh;
+}
+
+function parseAnomaly(row) {
+  return {
+    id: row.id,
+    shortId: shortAnomalyId(row.id),
+    clientId: row.client_id,
+    platform: row.platform,
+    level: row.level,
+    entityId: row.entity_id,
+    entityName: row.entity_name,
+    metric: row.metric,
+    date: row.date,
+    severity: row.severity,
+    zScore: row.z_score,
+    changePct: row.change_pct,
+    description: row.description,
+    status: row.status,
+    detectedAt: row.detected_at,
+  };
+}
+
+/**
+ * Recently detected anomalies, newest first.
+ * @param {object} [opts] - { clientId, status, limit }
+ */
+export function listAnomalies({ clientId, status, limit = 20 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (clientId) { conditions.push('client_id = ?'); params.push(clientId); }
+  if (status) { conditions.push('status = ?'); params.push(status); }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDb().prepare(`SELECT * FROM anomalies ${where} ORDER BY date DESC, detected_at DESC, rowid DESC LIMIT ?`)
+    .all(...params, limit)
+    .map(parseAnomaly);
+}
+
+/**
+ * Silence an anomaly so the same campaign/metric is not alerted again.
+ * @param {string} idOrPrefix - Anomaly ID or its short ID
+ * @param {object} [opts]
+ * @param {number} [opts.days] - Silence for this many days from the anomaly date; omit for permanent
+ * @param {boolean} [opts.allMetrics] - Silence every metric for the campaign, not just this one
+ * @param {string} [opts.reason]
+ * @param {string} [opts.silencedBy]
+ * @returns {object} The silenced anomaly and the silence that was recorded
+ */
+export function silenceAnomaly(idOrPrefix, { days, allMetrics = false, reason = null, silencedBy = 'owner' } = {}) {
+  const matches = getDb().prepare('SELECT * FROM anomalies WHERE id = ? OR id LIKE ? LIMIT 2')
+    .all(idOrPrefix, `${idOrPrefix}%`);
+  if (matches.length === 0) throw new Error(`No anomaly found for "${idOrPrefix}"`);
+  if (matches.length > 1) throw new Error(`"${idOrPrefix}" matches more than one anomaly — use a longer ID`);
+
+  const anomaly = matches[0];
+  const silence = {
+    id: uuid(),
+    clientId: anomaly.client_id,
+    platform: anomaly.platform,
+    entityId: anomaly.entity_id,
+    metric: allMetrics ? null : anomaly.metric,
+    until: days ? addDays(anomaly.date, days) : null,
+    reason,
+    silencedBy,
+  };
+  getDb().transaction(() => {
+    getDb().prepare(`
+      INSERT INTO anomaly_silences (id, client_id, platform, entity_id, metric, until, reason, silenced_by)
+      VALUES (@id, @clientId, @platform, @entityId, @metric, @until, @reason, @silencedBy)
+    `).run(silence);
+    getDb().prepare(`
+      UPDATE anomalies SET status = 'silenced'
+      WHERE client_id = ? AND platform = ? AND entity_id = ? AND (? IS NULL OR metric = ?) AND status = 'open'
+    `).run(anomaly.client_id, anomaly.platform, anomaly.entity_id, silence.metric, silence.metric);
+  })();
+
+  log.info(`Anomaly ${shortAnomalyId(anomaly.id)} silenced`, { metric: silence.metric || 'all', until: silence.until || 'permanent' });
+  return { anomaly: parseAnomaly({ ...anomaly, status: 'silenced' }), silence };
+}
+
+/**
+ * Active silences (not yet expired), newest first.
+ */
+export function listSilences({ clientId, today = new Date().toISOString().split('T')[0] } = {}) {
+  const clientFilter = clientId ? 'AND client_id = ?' : '';
+  return getDb().prepare(`
+    SELECT * FROM anomaly_silences
+    WHERE (until IS NULL OR until >= ?) ${clientFilter}
+    ORDER BY created_at DESC, rowid DESC
+  `).all(today, ...(clientId ? [clientId] : []));
+}
+
+/**
+ * Detect, store and return new anomalies for a client's campaigns on `date`
+ * using the warehouse history.
+ * @param {object} client - Client record
+ * @param {object} [opts] - { date } defaults to yesterday (the last complete day)
+ * @returns {object[]} New, unsilenced anomalies
+ */
+export function findClientAnomalies(client, { date = addDays(new Date().toISOString().split('T')[0], -1) } = {}) {
+  const rows = getDailyMetrics({ clientId: client.id, level: 'campaign', since: addDays(date, -BASELINE_DAYS), until: date });
+  const byEntity = new Map();
+  for (const row of rows) {
+    const key = `${row.platform}:${row.id}`;
+    byEntity.set(key, [...(byEntity.get(key) || []), row]);
+  }
+
+  const anomalies = [];
+  for (const entityRows of byEntity.values()) anomalies.push(...detectAnomalies(entityRows, date));
+  return recordAnomalies(client.id, anomalies);
+}
+
+export default {
+  ANOMALY_METRICS, scoreDeviation, detectAnomalies, shortAnomalyId, isSilenced, recordAnomalies,
+  listAnomalies, silenceAnomaly, listSilences, findClientAnomalies,
+};
@@ -0,0 +1,231 @@
+/**
+ * Persistent approval queue.
+ * Actions waiting for APPROVE/DENY live in SQLite next to audit_log (costs DB),
+ * so a redeploy no longer drops them. Every approval follows one lifecycle:
+ *
+ *   pending → approved → executed | failed
+ *   pending → denied | expired
+ */
+import Database from 'better-sqlite3';
+import { v4 as uuid } from 'uuid';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { auditLog, COSTS_SCHEMA } from './cost-tracker.js';
+import { runMigrations } from './migrations.js';
+import { notifyOwnerApproval } from '../utils/notify-owner.js';
+
+const log = logger.child({ workflow: 'approval-queue' });
+const DB_PATH = config.COST_DB_PATH || 'data/costs.db';
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    runMigrations(db, COSTS_SCHEMA);
+  }
+  return db;
+}
+
+export const ApprovalStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  EXECUTED: 'executed',
+  FAILED: 'failed',
+  DENIED: 'denied',
+  EXPIRED: 'expired',
+};
+
+// Allowed lifecycle transitions (from → to[])
+const TRANSITIONS = {
+  pending: ['approved', 'denied', 'expired'],
+  approved: ['executed', 'failed'],
+};
+
+function parseRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    request: row.request ? JSON.parse(row.request) : {},
+    payload: row.payload ? JSON.parse(row.payload) : {},
+    result: row.result ? JSON.parse(row.result) : null,
+  };
+}
+
+/**
+ * A new approval ID, e.g. "pause-3f9c1a2b". The random suffix keeps IDs
+ * unique when several approvals are queued in the same millisecond.
+ * @param {string} prefix - Short approval kind, e.g. 'pause' or 'change_budget'
+ */
+export function newApprovalId(prefix) {
+  return `${prefix.replace(/_/g, '-')}-${uuid().slice(0, 8)}`;
+}
+
+/**
+ * Store a new pending approval.
+ * @param {object} opts
+ * @param {string} opts.id - Approval ID the owner replies with (APPROVE <id>)
+ * @param {string} opts.type - Approval type, used to pick the executor
+ * @param {object} opts.payload - Serializable data needed to execute the action
+ * @param {object} [opts.request] - Notification fields (description, clientName, platform, impact, details)
+ * @param {number} [opts.ttlHours] - Hours until the approval expires
+ */
+export function enqueueApproval({ id, type, workflow, clientId, platform, payload, request, ttlHours }) {
+  const d = getDb();
+  const ttl = ttlHours || config.APPROVAL_TTL_HOURS;
+  d.prepare(`
+    INSERT INTO approvals (id, type, workflow, client_id, platform, request, payload, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+  `).run(
+    id, type, workflow || '', clientId || '', platform || '',
+    JSON.stringify(request || {}), JSON.stringify(payload || {}),
+    `${ttl} hours`,
+  );
+
+  auditLog({
+    action: 'approval_requested',
+    workflow,
+    clientId,
+    platform,
+    details: { approvalId: id, type, request },
+    approvedBy: 'pending',
+    result: ApprovalStatus.PENDING,
+  });
+
+  log.info(`Approval queued: ${id}`, { type, ttlHours: ttl });
+  return parseRow(d.prepare('SELECT * FROM approvals WHERE id = ?').get(id));
+}
+
+/**
+ * Queue an approval and notify the owner on both channels.
+ * The notification `request` is stored so reminders can re-send it verbatim.
+ */
+export async function requestApproval(opts) {
+  const approval = enqueueApproval(opts);
+  await notifyOwnerApproval({ id: approval.id, platform: approval.platform, ...approval.request });
+  getDb().prepare("UPDATE approvals SET last_notified_at = datetime('now') WHERE id = ?").run(approval.id);
+  return approval;
+}
+
+/**
+ * Get an approval by ID. Pending approvals past their expiry are expired on read.
+ */
+export function getApproval(id) {
+  const d = getDb();
+  const row = d.prepare('SELECT * FROM approvals WHERE id = ?').get(id);
+  if (row?.status === ApprovalStatus.PENDING && row.expires_at && row.expires_at <= nowSql()) {
+    transitionApproval(id, ApprovalStatus.EXPIRED, { decidedBy: 'system' });
+    return parseRow(d.prepare('SELECT * FROM approvals WHERE id = ?').get(id));
+  }
+  return parseRow(row);
+}
+
+/**
+ * Move an approval to a new status. The update is conditional on the current
+ * status, so two concurrent APPROVE replies can never both execute the action.
+ * @returns {boolean} true if this call performed the transition
+ */
+export function transitionApproval(id, toStatus, { decidedBy, result, error } = {}) {
+  const d = getDb();
+  const fromStatuses = Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(toStatus));
+  if (fromStatuses.length === 0) throw new Error(`Invalid approval status: ${toStatus}`);
+
+  const isDecision = [ApprovalStatus.APPROVED, ApprovalStatus.DENIED, ApprovalStatus.EXPIRED].includes(toStatus);
+  const timestampCol = isDecision ? 'decided_at' : 'completed_at';
+  const placeholders = fromStatuses.map(() => '?').join(', ');
+
+  const info = d.prepare(`
+    UPDATE approvals
+    SET status = ?, ${timestampCol} = datetime('now'),
+      decided_by = COALESCE(?, decided_by),
+      result = COALESCE(?, result),
+      error = COALESCE(?, error)
+    WHERE id = ? AND status IN (${placeholders})
+  `).run(
+    toStatus, isDecision ? (decidedBy || null) : null,
+    result !== undefined ? JSON.stringify(result) : null,
+    error || null, id, ...fromStatuses,
+  );
+
+  if (info.changes === 0) return false;
+
+  const row = d.prepare('SELECT * FROM approvals WHERE id = ?').get(id);
+  auditLog({
+    action: `approval_${toStatus}`,
+    workflow: row.workflow,
+    clientId: row.client_id,
+    platform: row.platform,
+    details: { approvalId: id, type: row.type, result, error },
+    approvedBy: row.decided_by || decidedBy || 'system',
+    result: toStatus,
+  });
+  return true;
+}
+
+/**
+ * List approvals, newest first.
+ */
+export function listApprovals({ status, limit = 20 } = {}) {
+  const d = getDb();
+  const rows = status
+    ? d.prepare('SELECT * FROM approvals WHERE status = ? ORDER BY created_at DESC LIMIT ?').all(status, limit)
+    : d.prepare('SELECT * FROM approvals ORDER BY created_at DESC LIMIT ?').all(limit);
+  return rows.map(parseRow);
+}
+
+/**
+ * Expire every pending approval past its expiry. Returns the expired approvals.
+ */
+export function expireStaleApprovals() {
+  const d = getDb();
+  const stale = d.prepare("SELECT id FROM approvals WHERE status = 'pending' AND expires_at <= datetime('now')").all();
+  const expired = [];
+  for (const { id } of stale) {
+    if (transitionApproval(id, ApprovalStatus.EXPIRED, { decidedBy: 'system' })) {
+      expired.push(parseRow(d.prepare('SELECT * FROM approvals WHERE id = ?').get(id)));
+    }
+  }
+  if (expired.length > 0) log.info(`Expired ${expired.length} stale approval(s)`);
+  return expired;
+}
+
+/**
+ * Pending approvals whose last notification is older than `afterHours`
+ * and which have not yet hit the reminder cap.
+ */
+export function getApprovalsDueForReminder(afterHours = config.APPROVAL_REMINDER_HOURS, maxReminders = config.APPROVAL_MAX_REMINDERS) {
+  const d = getDb();
+  return d.prepare(`
+    SELECT * FROM approvals
+    WHERE status = 'pending'
+      AND reminder_count < ?
+      AND COALESCE(last_notified_at, created_at) <= datetime('now', ?)
+    ORDER BY created_at
+  `).all(maxReminders, `-${afterHours} hours`).map(parseRow);
+}
+
+/**
+ * Re-send the stored approval request to the owner and bump the reminder counter.
+ */
+export async function remindApproval(approval) {
+  await notifyOwnerApproval({
+    id: approval.id,
+    platform: approval.platform,
+    ...approval.request,
+    description: `⏰ Reminder: ${approval.request.description || approval.type}`,
+  });
+  getDb().prepare(`
+    UPDATE approvals SET reminder_count = reminder_count + 1, last_notified_at = datetime('now') WHERE id = ?
+  `).run(approval.id);
+}
+
+function nowSql() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+export default {
+  ApprovalStatus,
+  newApprovalId, enqueueApproval, requestApproval, getApproval, transitionApproval,
+  listApprovals, expireStaleApprovals, getApprovalsDueForReminder, remindApproval,
+};
@@ -0,0 +1,215 @@
+/**
+ * Month-to-date budget forecasting.
+ * Sums daily spend per client across Meta, Google Ads, TikTok and X, projects
+ * end-of-month spend from the recent run rate adjusted for day-of-week
+ * seasonality, and compares it against clients.monthly_budget_cents.
+ *
+ * All money is in cents; dates are 'YYYY-MM-DD' strings. "Today" and the
+ * month are read in the client's timezone, as budget pacing does.
+ */
+import logger from '../utils/logger.js';
+import { getAllClients, getClient } from './knowledge-base.js';
+import { getMetrics, getClientAccounts, PLATFORM_LABELS } from './metrics.js';
+import { DEFAULT_CLIENT_TIMEZONE } from './client-delivery.js';
+import { pacingCalendar } from '../workflows/budget-pacing.js';
+
+const log = logger.child({ workflow: 'budget-forecast' });
+
+const RUN_RATE_DAYS = 7;
+const SEASONALITY_DAYS = 28;
+const MIN_SEASONALITY_WEEKS = 2;
+const TOLERANCE_PCT = 10; // projected spend within ±10% of budget is on track
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// --- Date helpers ---
+
+function toDateStr(date) {
+  return date.toISOString().split('T')[0];
+}
+
+export function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateStr(d);
+}
+
+function weekday(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+function daysInMonth(dateStr) {
+  const [y, m] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+// --- Forecast math ---
+
+/**
+ * Project end-of-month spend from a daily spend series.
+ * @param {object} opts
+ * @param {Map<string, number>} opts.dailySpend - date → spend in cents (today may be partial)
+ * @param {string} opts.today - 'YYYY-MM-DD'
+ * @param {number} [opts.monthlyBudgetCents]
+ * @returns {object} Forecast with MTD spend, projection, run rate and status
+ */
+export function forecastSpend({ dailySpend, today, monthlyBudgetCents = 0 }) {
+  const monthStart = `${today.slice(0, 8)}01`;
+  const monthEnd = `${today.slice(0, 8)}${String(daysInMonth(today)).padStart(2, '0')}`;
+  const spendOn = (date) => dailySpend.get(date) || 0;
+
+  let mtdSpendCents = 0;
+  for (let d = monthStart; d <= today; d = addDays(d, 1)) mtdSpendCents += spendOn(d);
+
+  // Complete days only (today is still in progress)
+  const firstDataDate = [...dailySpend.keys()].sort()[0];
+  const completeDays = (count) => {
+    const days = [];
+    for (let i = 1; i <= count; i++) {
+      const date = addDays(today, -i);
+      if (firstDataDate && date < firstDataDate) break;
+      days.push(date);
+    }
+    return days;
+  };
+
+  const runRateDays = completeDays(RUN_RATE_DAYS);
+  const runRateCents = runRateDays.length > 0
+    ? runRateDays.reduce((sum, d) => sum + spendOn(d), 0) / runRateDays.length
+    : 0;
+
+  // Day-of-week factors from whole weeks ending yesterday. Each day is divided
+  // by its own week's mean so a budget change mid-window isn't read as seasonality.
+  let seasonality = null;
+  const seasonDays = completeDays(SEASONALITY_DAYS);
+  const weeks = [];
+  for (let i = 0; i + 7 <= seasonDays.length; i += 7) weeks.push(seasonDays.slice(i, i + 7));
+  const ratios = Array.from({ length: 7 }, () => []);
+  for (const week of weeks) {
+    const weekMean = week.reduce((sum, d) => sum + spendOn(d), 0) / 7;
+    if (weekMean <= 0) continue;
+    for (const d of week) ratios[weekday(d)].push(spendOn(d) / weekMean);
+  }
+  if (ratios[0].length >= MIN_SEASONALITY_WEEKS) {
+    seasonality = {};
+    for (let wd = 0; wd < 7; wd++) {
+      seasonality[DAY_NAMES[wd]] = ratios[wd].reduce((sum, r) => sum + r, 0) / ratios[wd].length;
+    }
+  }
+  const factorFor = (date) => (seasonality ? seasonality[DAY_NAMES[weekday(date)]] : 1);
+
+  // Rest of today, then every remaining day of the month
+  let projectedRemainingCents = Math.max(0, runRateCents * factorFor(today) - spendOn(today));
+  for (let d = addDays(today, 1); d <= monthEnd; d = addDays(d, 1)) {
+    projectedRemainingCents += runRateCents * factorFor(d);
+  }
+
+  const projectedSpendCents = Math.round(mtdSpendCents + projectedRemainingCents);
+  const daysRemaining = daysInMonth(today) - Number(today.slice(8)) + 1; // including today
+  const forecast = {
+    month: today.slice(0, 7),
+    mtdSpendCents: Math.round(mtdSpendCents),
+    runRateCents: Math.round(runRateCents),
+    projectedSpendCents,
+    daysRemaining,
+    seasonality,
+    monthlyBudgetCents: monthlyBudgetCents || 0,
+    variancePct: null,
+    status: 'no_budget',
+    recommendedDailyCents: null,
+  };
+
+  if (monthlyBudgetCents > 0) {
+    forecast.variancePct = ((projectedSpendCents - monthlyBudgetCents) / monthlyBudgetCents) * 100;
+    forecast.status = forecast.variancePct > TOLERANCE_PCT ? 'over'
+      : forecast.variancePct < -TOLERANCE_PCT ? 'under'
+        : 'on_track';
+    forecast.recommendedDailyCents = Math.round(Math.max(0, monthlyBudgetCents - mtdSpendCents) / daysRemaining);
+  }
+  return forecast;
+}
+
+/**
+ * Daily spend for one ad account as a Map of date → cents.
+ */
+async function getDailySpend(platform, accountId, since, until) {
+  const rows = await getMetrics(platform, accountId, { level: 'account', since, until, daily: true });
+  const spend = new Map();
+  for (const row of rows) {
+    if (row.date) spend.set(row.date, (spend.get(row.date) || 0) + row.spendCents);
+  }
+  return spend;
+}
+
+/**
+ * Forecast end-of-month spend for one client across all connected platforms.
+ * Platforms that fail to load are listed in `errors` and left out of the
+ * totals; the forecast is then marked `incomplete`.
+ */
+export async function getClientBudgetForecast(clientOrName, { now = new Date() } = {}) {
+  const client = typeof clientOrName === 'object' ? clientOrName : getClient(clientOrName);
+  if (!client) throw new Error(`Client "${clientOrName}" not found`);
+
+  const { today, monthStart } = pacingCalendar(now, client.timezone || DEFAULT_CLIENT_TIMEZONE);
+  const seasonStart = addDays(today, -SEASONALITY_DAYS);
+  const start = seasonStart < monthStart ? seasonStart : monthStart;
+
+  const total = new Map();
+  const byPlatform = {};
+  const errors = [];
+
+  for (const { platform, accountId } of getClientAccounts(client)) {
+    try {
+      const series = await getDailySpend(platform, accountId, start, today);
+      for (const [date, cents] of series) total.set(date, (total.get(date) || 0) + cents);
+      const f = forecastSpend({ dailySpend: series, today });
+      byPlatform[platform] = { mtdSpendCents: f.mtdSpendCents, projectedSpendCents: f.projectedSpendCents, runRateCents: f.runRateCents };
+    } catch (e) {
+      log.warn(`Forecast: failed to load ${platform} spend for ${client.name}`, { error: e.message });
+      errors.push({ platform, error: e.message });
+    }
+  }
+
+  return {
+    clientId: client.id,
+    clientName: client.name,
+    ...forecastSpend({ dailySpend: total, today, monthlyBudgetCents: client.monthly_budget_cents }),
+    byPlatform,
+    errors,
+    incomplete: errors.length > 0,
+  };
+}
+
+/**
+ * Forecasts for every active client with at least one ad account connected.
+ */
+export async function getBudgetForecasts(opts = {}) {
+  const forecasts = [];
+  for (const client of getAllClients()) {
+    if (getClientAccounts(client).length === 0) continue;
+    try {
+      forecasts.push(await getClientBudgetForecast(client, opts));
+    } catch (e) {
+      log.error(`Forecast failed for ${client.name}`, { error: e.message });
+    }
+  }
+  return forecasts;
+}
+
+/**
+ * One-line summary, e.g. "Acme: $4,210 MTD → $9,800 projected vs $8,000 budget (+23%, over)".
+ * Incomplete forecasts name the platforms that did not report instead of a verdict.
+ */
+export function formatForecastLine(forecast) {
+  const money = (cents) => `$${Math.round(cents / 100).toLocaleString('en-US')}`;
+  const base = `${forecast.clientName}: ${money(forecast.mtdSpendCents)} MTD → ${money(forecast.projectedSpendCents)} projected`;
+  if (forecast.incomplete) {
+    const missing = forecast.errors.map(e => PLATFORM_LABELS[e.platform] || e.platform).join(', ');
+    return `${base} so far (incomplete: ${missing} did not report)`;
+  }
+  if (forecast.status === 'no_budget') return `${base} (no monthly budget set)`;
+  const sign = forecast.variancePct >= 0 ? '+' : '';
+  const label = { over: 'over', under: 'under', on_track: 'on track' }[forecast.status];
+  return `${base} vs ${money(forecast.monthlyBudgetCents)} budget (${sign}${forecast.variancePct.toFixed(0)}%, ${label})`;
+}
+
+export default { forecastSpend, getClientBudgetForecast, getBudgetForecasts, formatForecastLine };
@@ -0,0 +1,408 @@
+/**
+ * Client data export and erasure (GDPR / LGPD data subject requests).
+ *
+ * A client's data is spread over both databases. Rows are matched by the
+ * client's id (or name, for older cost and audit rows) and by the identifiers
+ * of its contacts: WhatsApp numbers / Telegram chat ids and e-mail addresses,
+ * which is how conversations, onboarding sessions and pending signups are
+ * keyed.
+ *
+ * Export bundles every matched row as JSON and CSV in a zip. Secrets are never
+ * exported — only the vault's metadata.
+ *
+ * Erasure deletes the client's rows from the knowledge base (profile, contacts,
+ * conversations, onboarding, creatives, metrics, vault secrets…). Cost, audit
+ * and approval rows are kept for accounting and accountability but anonymized:
+ * the client is replaced by a pseudonym and free-text details are dropped.
+ * Pending approvals for the client are denied. The result is an Ed25519-signed
+ * receipt listing what was erased and what was not (external systems, backups).
+ *
+ * CLI:
+ *   node src/services/client-data.js export "<client>"
+ *   node src/services/client-data.js erase "<client>" [--reason "<text>"] --yes
+ *   node src/services/client-data.js verify <receipt.json>
+ *   node src/services/client-data.js public-key
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { v4 as uuid } from 'uuid';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { createZip, toCsv } from '../utils/archive.js';
+import { runMigrations } from './migrations.js';
+import { KB_SCHEMA } from './knowledge-base.js';
+import { COSTS_SCHEMA, auditLog } from './cost-tracker.js';
+import { CLIENT_SECRET_FIELDS } from './credential-vault.js';
+
+const log = logger.child({ workflow: 'client-data' });
+
+// How rows of each table belong to a client. Named parameters: @clientId,
+// @clientName, @chatIds (JSON array of contact identifiers), @emails (JSON array).
+const IN_CHAT_IDS = 'IN (SELECT value FROM json_each(@chatIds))';
+const KB_TABLES = [
+  { table: 'clients', where: 'id = @clientId' },
+  { table: 'client_contacts', where: 'client_id = @clientId' },
+  { table: 'conversation_history', where: `chat_id ${IN_CHAT_IDS}` },
+  { table: 'onboarding_sessions', where: `client_id = @clientId OR REPLACE(REPLACE(phone, '+', ''), ' ', '') ${IN_CHAT_IDS}` },
+  {
+    table: 'pending_clients',
+    where: `chat_id ${IN_CHAT_IDS} OR REPLACE(REPLACE(phone, '+', ''), ' ', '') ${IN_CHAT_IDS}
+      OR LOWER(email) IN (SELECT value FROM json_each(@emails))`,
+  },
+  { table: 'campaign_history', where: 'client_id = @clientId' },
+  { table: 'creative_library', where: 'client_id = @clientId' },
+  { table: 'test_results', where: 'client_id = @clientId' },
+  { table: 'competitor_intel', where: 'client_id = @clientId' },
+  { table: 'daily_metrics', where: 'client_id = @clientId' },
+  { table: 'metrics_ingestion_runs', where: 'client_id = @clientId' },
+  { table: 'anomalies', where: 'client_id = @clientId' },
+  { table: 'anomaly_silences', where: 'client_id = @clientId' },
+  {
+    table: 'client_secrets',
+    columns: 'owner_id, name, key_id, updated_by, created_at, updated_at',
+    where: 'owner_id = @clientId OR owner_id IN (SELECT value FROM json_each(@pendingOwners))',
+  },
+];
+const COSTS_TABLES = [
+  { table: 'api_costs', where: 'client_id IN (@clientId, @clientName)' },
+  {
+    table: 'audit_log',
+    where: `client_id IN (@clientId, @clientName)
+      OR EXISTS (SELECT 1 FROM json_each(@chatIds) WHERE instr(audit_log.details, value) > 0)`,
+  },
+  { table: 'approvals', where: 'client_id IN (@clientId, @clientName)' },
+  { table: 'redaction_events', where: `chat_id ${IN_CHAT_IDS}` },
+];
+
+function openStore(schema) {
+  const db = new Database(schema.dbPath);
+  db.pragma('journal_mode = WAL');
+  runMigrations(db, schema);
+  return db;
+}
+
+function tableExists(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
+
+/**
+ * Resolve a client and the identifiers its data is keyed by.
+ */
+function resolveSubject(kb, idOrName) {
+  const client = kb.prepare('SELECT * FROM clients WHERE id = ?').get(idOrName)
+    || kb.prepare('SELECT * FROM clients WHERE LOWER(name) = LOWER(?)').get(idOrName);
+  if (!client) throw new Error(`Client not found: ${idOrName}`);
+
+  const contacts = kb.prepare('SELECT phone, email FROM client_contacts WHERE client_id = ?').all(client.id);
+  const chatIds = new Set();
+  for (const { phone } of contacts) {
+    if (!phone) continue;
+    chatIds.add(phone);
+    const digits = phone.replace(/[^0-9]/g, '');
+    if (digits) chatIds.add(digits);
+  }
+  const emails = contacts.map(c => c.email?.toLowerCase()).filter(Boolean);
+
+  const params = {
+    clientId: client.id,
+    clientName: client.name,
+    chatIds: JSON.stringify([...chatIds]),
+    emails: JSON.stringify(emails),
+  };
+  const pendingTokens = kb.prepare(`SELECT token FROM pending_clients WHERE ${KB_TABLES.find(t => t.table === 'pending_clients').where}`)
+    .all(params).map(r => r.token);
+  params.pendingOwners = JSON.stringify(pendingTokens.map(token => `pending:${token}`));
+  return { client, params };
+}
+
+function selectRows(db, tables, params) {
+  const rows = {};
+  for (const { table, where, columns = '*' } of tables) {
+    if (!tableExists(db, table)) continue;
+    rows[table] = db.prepare(`SELECT ${columns} FROM ${table} WHERE ${where}`).all(params);
+  }
+  return rows;
+}
+
+/**
+ * Collect every record held on a client.
+ * @param {string} idOrName
+ * @returns {{ client: { id, name }, knowledgeBase: object, costs: object }} Rows by table
+ */
+export function collectClientData(idOrName) {
+  const kb = openStore(KB_SCHEMA);
+  const costs = openStore(COSTS_SCHEMA);
+  try {
+    const { client, params } = resolveSubject(kb, idOrName);
+    const knowledgeBase = selectRows(kb, KB_TABLES, params);
+    // Legacy plaintext secret columns: secrets live in the vault and are never exported
+    knowledgeBase.clients = knowledgeBase.clients.map(row => {
+      const copy = { ...row };
+      for (const field of CLIENT_SECRET_FIELDS) delete copy[field];
+      return copy;
+    });
+    return {
+      client: { id: client.id, name: client.name },
+      knowledgeBase,
+      costs: selectRows(costs, COSTS_TABLES, params),
+    };
+  } finally {
+    kb.close();
+    costs.close();
+  }
+}
+
+function exportDir() {
+  fs.mkdirSync(config.DATA_EXPORT_DIR, { recursive: true });
+  return config.DATA_EXPORT_DIR;
+}
+
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'client';
+
+/**
+ * Export all of a client's records as a zip of JSON and CSV files, one pair per table.
+ * @param {string} idOrName
+ * @param {object} [opts]
+ * @param {string} [opts.exportedBy='cli']
+ * @returns {{ path: string, counts: object }}
+ */
+export function exportClientData(idOrName, { exportedBy = 'cli' } = {}) {
+  const data = collectClientData(idOrName);
+  const exportedAt = new Date();
+  const counts = {};
+  const entries = [];
+
+  for (const [store, tables] of [['knowledge-base', data.knowledgeBase], ['costs', data.costs]]) {
+    for (const [table, rows] of Object.entries(tables)) {
+      counts[`${store}.${table}`] = rows.length;
+      entries.push({ name: `${store}/${table}.json`, data: JSON.stringify(rows, null, 2) });
+      if (rows.length > 0) entries.push({ name: `${store}/${table}.csv`, data: toCsv(rows) });
+    }
+  }
+  entries.unshift({
+    name: 'manifest.json',
+    data: JSON.stringify({
+      client: data.client,
+      exportedAt: exportedAt.toISOString(),
+      exportedBy,
+      counts,
+      notes: [
+        'Platform secrets (passwords, tokens, API keys) are not included; client_secrets lists which are stored.',
+        'Files in Google Drive / Supabase Storage and records in HubSpot, ClickUp and the ad platforms are not included.',
+      ],
+    }, null, 2),
+  });
+
+  const file = path.join(exportDir(), `client-export-${slug(data.client.name)}-${exportedAt.toISOString().slice(0, 10)}.zip`);
+  fs.writeFileSync(file, createZip(entries, exportedAt));
+
+  auditLog({
+    action: 'client_data_exported',
+    workflow: 'client-data',
+    clientId: data.client.id,
+    details: { file: path.basename(file), counts },
+    approvedBy: exportedBy,
+    result: 'success',
+  });
+  log.info(`Exported data for ${data.client.name}`, { file, tables: Object.keys(counts).length });
+  return { path: file, counts };
+}
+
+// ============================================================
+// Erasure receipts
+// ============================================================
+
+function getSigningKey() {
+  const raw = config.ERASURE_RECEIPT_SIGNING_KEY;
+  if (!raw) throw new Error('ERASURE_RECEIPT_SIGNING_KEY is not set — erasure receipts cannot be signed');
+  const key = raw.includes('BEGIN')
+    ? crypto.createPrivateKey(raw.replace(/\\n/g, '\n'))
+    : crypto.createPrivateKey({ key: Buffer.from(raw, 'base64'), format: 'der', type: 'pkcs8' });
+  if (key.asymmetricKeyType !== 'ed25519') throw new Error('ERASURE_RECEIPT_SIGNING_KEY must be an Ed25519 private key');
+  return key;
+}
+
+const keyIdOf = (publicKey) => crypto.createHash('sha256')
+  .update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+
+/**
+ * PEM public key for verifying erasure receipts, to hand to clients.
+ */
+export function getReceiptPublicKey() {
+  return crypto.createPublicKey(getSigningKey()).export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * Verify a receipt's signature.
+ * @param {object} receipt - Parsed receipt JSON
+ * @param {string} [publicKeyPem] - Defaults to the configured signing key's public key
+ */
+export function verifyErasureReceipt(receipt, publicKeyPem = getReceiptPublicKey()) {
+  const { signature, ...payload } = receipt || {};
+  if (signature?.algorithm !== 'Ed25519' || !signature.value) return false;
+  return crypto.verify(null, Buffer.from(JSON.stringify(payload)), publicKeyPem, Buffer.from(signature.value, 'base64'));
+}
+
+function externalRecords(client) {
+  const external = [];
+  if (client.drive_root_folder_id) external.push('Google Drive / Supabase Storage client folders (reports, creatives, brand assets)');
+  if (client.conversation_log_doc_id || client.drive_profile_sheet_id) external.push('Conversation log document and profile sheet');
+  if (client.hubspot_id) external.push('HubSpot company and contacts');
+  if (client.mailchimp_audience_id) external.push('Mailchimp audience members synced by the agency (owned by the client; agency access should be revoked)');
+  if (client.clickup_list_id) external.push('ClickUp list and tasks');
+  if (client.meta_ad_account_id || client.google_ads_customer_id || client.tiktok_advertiser_id || client.twitter_ads_account_id) {
+    external.push('Ad platform accounts (owned by the client; agency access should be revoked)');
+  }
+  return external;
+}
+
+// ============================================================
+// Erasure
+// ============================================================
+
+/**
+ * Erase a client: delete its knowledge-base rows, anonymize its cost, audit
+ * and approval rows, and issue a signed receipt. Refuses to start without a
+ * signing key, so an erasure always ends with a receipt.
+ *
+ * @param {string} idOrName
+ * @param {object} [opts]
+ * @param {string} [opts.requestedBy='cli'] - Who asked (recorded in receipt and audit log)
+ * @param {string} [opts.reason] - E.g. 'GDPR Art. 17 request of 2026-10-01'
+ * @returns {{ receipt: object, path: string }}
+ */
+export function eraseClientData(idOrName, { requestedBy = 'cli', reason = null } = {}) {
+  const signingKey = getSigningKey();
+  const kb = openStore(KB_SCHEMA);
+  const costs = openStore(COSTS_SCHEMA);
+
+  let client;
+  const deleted = {};
+  const anonymized = {};
+  let pseudonym;
+  try {
+    const subject = resolveSubject(kb, idOrName);
+    client = subject.client;
+    const params = subject.params;
+    pseudonym = `erased-${crypto.createHash('sha256').update(client.id).digest('hex').slice(0, 12)}`;
+
+    kb.transaction(() => {
+      // Dependent tables first, the clients row last
+      for (const { table, where } of [...KB_TABLES].reverse()) {
+        if (!tableExists(kb, table)) continue;
+        deleted[table] = kb.prepare(`DELETE FROM ${table} WHERE ${where}`).run(params).changes;
+      }
+    })();
+
+    costs.transaction(() => {
+      const anonParams = { ...params, pseudonym };
+      const where = Object.fromEntries(COSTS_TABLES.map(t => [t.table, t.where]));
+      anonymized.api_costs = costs.prepare(`UPDATE api_costs SET client_id = @pseudonym, metadata = NULL WHERE ${where.api_costs}`)
+        .run(anonParams).changes;
+      anonymized.audit_log = costs.prepare(`
+        UPDATE audit_log SET client_id = @pseudonym, details = '{"erased":true}', rollback_data = NULL WHERE ${where.audit_log}
+      `).run(anonParams).changes;
+      if (tableExists(costs, 'approvals')) {
+        costs.prepare(`
+          UPDATE approvals SET status = 'denied', decided_at = datetime('now'), decided_by = 'system:erasure'
+          WHERE status = 'pending' AND (${where.approvals})
+        `).run(anonParams);
+        anonymized.approvals = costs.prepare(`
+          UPDATE approvals SET client_id = @pseudonym, request = '{"description":"[erased]"}', payload = '{}', result = NULL, error = NULL
+          WHERE ${where.approvals}
+        `).run(anonParams).changes;
+      }
+      anonymized.redaction_events = costs.prepare(`UPDATE redaction_events SET chat_id = @pseudonym WHERE ${where.redaction_events}`)
+        .run(anonParams).changes;
+    })();
+  } finally {
+    kb.close();
+    costs.close();
+  }
+
+  const publicKey = crypto.createPublicKey(signingKey);
+  const payload = {
+    type: 'client-data-erasure-receipt',
+    receiptId: uuid(),
+    issuedAt: new Date().toISOString(),
+    subject: { clientId: client.id, clientName: client.name, pseudonym },
+    requestedBy,
+    reason,
+    deleted,
+    anonymized,
+    notErased: [
+      ...externalRecords(client),
+      `Database backups taken before this erasure, which expire under the backup retention policy (up to ${config.BACKUP_KEEP_MONTHLY} months)`,
+      'Application log files, which rotate out',
+    ],
+  };
+  const receipt = {
+    ...payload,
+    signature: {
+      algorithm: 'Ed25519',
+      keyId: keyIdOf(publicKey),
+      value: crypto.sign(null, Buffer.from(JSON.stringify(payload)), signingKey).toString('base64'),
+    },
+  };
+
+  const file = path.join(exportDir(), `erasure-receipt-${receipt.receiptId}.json`);
+  fs.writeFileSync(file, JSON.stringify(receipt, null, 2));
+
+  auditLog({
+    action: 'client_data_erased',
+    workflow: 'client-data',
+    clientId: pseudonym,
+    details: { receiptId: receipt.receiptId, deleted, anonymized },
+    approvedBy: requestedBy,
+    result: 'success',
+  });
+  log.info(`Erased client data (${pseudonym})`, { receiptId: receipt.receiptId });
+  return { receipt, path: file };
+}
+
+// CLI entry point
+if (process.argv[1]?.endsWith('client-data.js')) {
+  const [command, target] = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const i = process.argv.indexOf(flag);
+    return i >= 0 ? process.argv[i + 1] : undefined;
+  };
+
+  try {
+    if (command === 'export' && target) {
+      const { path: file, counts } = exportClientData(target);
+      console.log(`\nExported to ${file}`);
+      for (const [table, n] of Object.entries(counts)) console.log(`  ${table.padEnd(40)} ${n}`);
+    } else if (command === 'erase' && target) {
+      if (!process.argv.includes('--yes')) {
+        const data = collectClientData(target);
+        const total = [...Object.values(data.knowledgeBase), ...Object.values(data.costs)].reduce((n, rows) => n + rows.length, 0);
+        console.log(`\n${data.client.name} (${data.client.id}): ${total} records would be deleted or anonymized.`);
+        console.log('Export first if needed, then re-run with --yes. This cannot be undone.');
+      } else {
+        const { receipt, path: file } = eraseClientData(target, { reason: valueOf('--reason') || null });
+        console.log(`\nErased ${receipt.subject.clientName}. Signed receipt: ${file}`);
+        console.log('Not covered:\n' + receipt.notErased.map(item => `  - ${item}`).join('\n'));
+      }
+    } else if (command === 'verify' && target) {
+      const valid = verifyErasureReceipt(JSON.parse(fs.readFileSync(target, 'utf8')));
+      console.log(valid ? 'Signature valid' : 'Signature INVALID');
+      process.exit(valid ? 0 : 1);
+    } else if (command === 'public-key') {
+      process.stdout.write(getReceiptPublicKey());
+    } else {
+      console.log('Usage: client-data.js export <client> | erase <client> [--reason <text>] --yes | verify <receipt.json> | public-key');
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+export default {
+  collectClientData, exportClientData, eraseClientData, verifyErasureReceipt, getReceiptPublicKey,
+};
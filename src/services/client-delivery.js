@@ -0,0 +1,232 @@
+/**
+ * When client-facing messages (morning briefing, check-ins) may be delivered.
+ *
+ * Each client has a timezone and quiet hours, stored in clients.timezone,
+ * clients.quiet_hours_start and clients.quiet_hours_end. A contact can
+ * override any of them on its own client_contacts row (e.g. a partner in
+ * Lisbon on a São Paulo account). Unset fields fall back to the client, then
+ * to America/New_York and 21:00–08:00 — the old server-wide behavior.
+ *
+ * The scheduler registers one copy of each client job per timezone returned
+ * by getClientTimezones(); the workflows then only message the contacts in
+ * that timezone. Messages for anyone inside their quiet hours are deferred
+ * (deferred_client_messages) and sent by the client-deferred-delivery job
+ * once the window ends.
+ */
+import Database from 'better-sqlite3';
+import { v4 as uuid } from 'uuid';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import {
+  getClient, updateClient, getContactByPhone, updateContact, getContactsByClientId, getAllClientContacts,
+  KB_SCHEMA,
+} from './knowledge-base.js';
+import { auditLog } from './cost-tracker.js';
+import { runMigrations } from './migrations.js';
+import { isValidTimezone, getLocalTime } from './safety-policy.js';
+
+const log = logger.child({ workflow: 'client-delivery' });
+const DB_PATH = process.env.KB_DB_PATH || 'data/knowledge.db';
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    runMigrations(db, KB_SCHEMA);
+  }
+  return db;
+}
+
+function toSql(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+export const DEFAULT_CLIENT_TIMEZONE = 'America/New_York';
+export const DEFAULT_QUIET_HOURS = { start: '21:00', end: '08:00' };
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const settingsSchema = z.object({
+  timezone: z.string().refine(isValidTimezone, 'timezone must be an IANA timezone, e.g. "America/Sao_Paulo"').nullable(),
+  quietHoursStart: z.string().regex(TIME, 'quietHoursStart must be HH:MM').nullable(),
+  quietHoursEnd: z.string().regex(TIME, 'quietHoursEnd must be HH:MM').nullable(),
+}).strict().partial();
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function storedSettings(row, prefix = '') {
+  return {
+    timezone: row?.[`${prefix}timezone`] || null,
+    quietHoursStart: row?.[`${prefix}quiet_hours_start`] || null,
+    quietHoursEnd: row?.[`${prefix}quiet_hours_end`] || null,
+  };
+}
+
+/**
+ * Effective delivery settings for a contact. Accepts a row from
+ * getAllClientContacts() (which carries the client's values as client_*),
+ * or a plain contact plus its client.
+ * @returns {{ timezone: string, quietHours: { start: string, end: string } }}
+ */
+export function getDeliverySettings(contact, client = null) {
+  const own = storedSettings(contact);
+  const inherited = client ? storedSettings(client) : storedSettings(contact, 'client_');
+  return {
+    timezone: own.timezone || inherited.timezone || DEFAULT_CLIENT_TIMEZONE,
+    quietHours: {
+      start: own.quietHoursStart || inherited.quietHoursStart || DEFAULT_QUIET_HOURS.start,
+      end: own.quietHoursEnd || inherited.quietHoursEnd || DEFAULT_QUIET_HOURS.end,
+    },
+  };
+}
+
+/**
+ * Whether `date` falls inside the quiet hours, read in the settings' timezone.
+ * Windows may cross midnight (21:00–08:00); equal start and end means none.
+ */
+export function isQuietHours(settings, date = new Date()) {
+  const start = toMinutes(settings.quietHours.start);
+  const end = toMinutes(settings.quietHours.end);
+  if (start === end) return false;
+  const { minutes } = getLocalTime(date, settings.timezone);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * When the quiet hours around `date` end: `date` itself outside quiet hours,
+ * else the first minute after the window, read in the settings' timezone.
+ */
+export function quietHoursEnd(settings, date = new Date()) {
+  if (!isQuietHours(settings, date)) return date;
+  const { minutes } = getLocalTime(date, settings.timezone);
+  const wait = (toMinutes(settings.quietHours.end) - minutes + 1440) % 1440;
+  const minute = new Date(date);
+  minute.setUTCSeconds(0, 0);
+  return new Date(minute.getTime() + wait * 60 * 1000);
+}
+
+/**
+ * Hold a client message until the contact's quiet hours end.
+ * @param {object} contact - client_contacts row (with client_* columns)
+ * @param {object} opts - { kind, message, now }
+ * @returns {{ id: string, deliverAfter: Date }}
+ */
+export function deferClientMessage(contact, { kind, message, now = new Date() }) {
+  const id = uuid();
+  const deliverAfter = quietHoursEnd(getDeliverySettings(contact), now);
+  getDb().prepare(`
+    INSERT INTO deferred_client_messages (id, client_id, phone, kind, message, deliver_after, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, contact.client_id || null, contact.phone, kind, message, toSql(deliverAfter), toSql(now));
+  log.info(`Deferred ${kind} for ${contact.phone} until quiet hours end`, { deliverAfter: deliverAfter.toISOString() });
+  return { id, deliverAfter };
+}
+
+/** Pending deferred messages whose quiet hours have ended, oldest first. */
+export function getDueClientMessages(now = new Date()) {
+  return getDb().prepare(`
+    SELECT * FROM deferred_client_messages
+    WHERE status = 'pending' AND deliver_after <= ?
+    ORDER BY deliver_after, created_at
+  `).all(toSql(now));
+}
+
+/**
+ * Record the outcome of a deferred message: sent, failed or dropped, or a new
+ * deliverAfter to keep it pending (e.g. the contact's quiet hours changed).
+ */
+export function updateDeferredClientMessage(id, { status = null, error = null, deliverAfter = null, now = new Date() } = {}) {
+  if (deliverAfter) {
+    getDb().prepare('UPDATE deferred_client_messages SET deliver_after = ? WHERE id = ?').run(toSql(deliverAfter), id);
+    return;
+  }
+  getDb().prepare(`
+    UPDATE deferred_client_messages SET status = ?, error = ?, delivered_at = ? WHERE id = ?
+  `).run(status, error, status === 'sent' ? toSql(now) : null, id);
+}
+
+/**
+ * Timezones the client jobs need to run in: every active contact's effective
+ * timezone, plus the default so newly onboarded clients are always covered.
+ */
+export function getClientTimezones() {
+  const timezones = new Set([DEFAULT_CLIENT_TIMEZONE]);
+  for (const contact of getAllClientContacts()) {
+    timezones.add(getDeliverySettings(contact).timezone);
+  }
+  return [...timezones].sort();
+}
+
+/**
+ * Stored and effective delivery settings for a client and its contacts.
+ */
+export function getClientDelivery(clientId) {
+  const client = getClient(clientId);
+  if (!client) throw new Error(`Client "${clientId}" not found`);
+  return {
+    client: client.name,
+    settings: storedSettings(client),
+    effective: getDeliverySettings({}, client),
+    contacts: getContactsByClientId(client.id).map(contact => ({
+      phone: contact.phone,
+      name: contact.name,
+      settings: storedSettings(contact),
+      effective: getDeliverySettings(contact, client),
+    })),
+  };
+}
+
+/**
+ * Change a client's delivery settings, or one contact's when contactPhone is
+ * given. A null value clears the field so it is inherited again.
+ * @param {string} clientId - Client ID or name
+ * @param {object} changes - { timezone?, quietHoursStart?, quietHoursEnd? }
+ * @param {object} [opts] - { contactPhone, updatedBy }
+ * @returns {object} getClientDelivery() after the change
+ */
+export function setClientDelivery(clientId, changes, { contactPhone = null, updatedBy = 'owner' } = {}) {
+  const client = getClient(clientId);
+  if (!client) throw new Error(`Client "${clientId}" not found`);
+
+  const result = settingsSchema.safeParse(changes || {});
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.') || 'settings'}: ${i.message}`);
+    throw new Error(`Invalid delivery settings — ${issues.join('; ')}`);
+  }
+  const updates = result.data;
+  if (Object.keys(updates).length === 0) throw new Error('No delivery settings to change');
+
+  if (contactPhone) {
+    const contact = getContactByPhone(contactPhone);
+    if (!contact || contact.client_id !== client.id) {
+      throw new Error(`No contact ${contactPhone} found for ${client.name}`);
+    }
+    updateContact(contact.phone, updates);
+  } else {
+    updateClient(client.id, updates);
+  }
+
+  auditLog({
+    action: 'client_delivery_updated',
+    workflow: 'client-delivery',
+    clientId: client.id,
+    details: { contactPhone, changes: updates },
+    approvedBy: updatedBy,
+    result: 'success',
+  });
+  log.info(`Updated delivery settings for ${client.name}${contactPhone ? ` (${contactPhone})` : ''}`, { changes: updates });
+
+  return getClientDelivery(client.id);
+}
+
+export default {
+  getDeliverySettings, isQuietHours, quietHoursEnd, getClientTimezones, getClientDelivery, setClientDelivery,
+  deferClientMessage, getDueClientMessages, updateDeferredClientMessage,
+};
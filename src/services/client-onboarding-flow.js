@@ -14,6 +14,7 @@ import { sendWhatsApp } from '../api/whatsapp.js';
 import { sendTelegram } from '../api/telegram.js';
 import { notifyOwnerMessage } from '../utils/notify-owner.js';
 import { auditLog } from '../services/cost-tracker.js';
+import { hasClientSecret, moveClientSecrets, CLIENT_SECRET_FIELDS } from '../services/credential-vault.js';
 import { extractBrandDNA, buildBrandDNAFromInterview } from '../brand-dna.js';
 import config from '../config.js';
 
@@ -417,14 +418,18 @@ async function finalizeOnboarding(phone, sessionId, answers, channel = 'whatsapp
       if (pendingClient.tiktok_advertiser_id) carryOver.tiktok_advertiser_id = pendingClient.tiktok_advertiser_id;
       if (pendingClient.wordpress_url) carryOver.wordpress_url = pendingClient.wordpress_url;
       if (pendingClient.wordpress_username) carryOver.wordpress_username = pendingClient.wordpress_username;
-      if (pendingClient.wordpress_app_password) carryOver.wordpress_app_password = pendingClient.wordpress_app_password;
-      if (pendingClient.hubspot_access_token) carryOver.hubspot_access_token = pendingClient.hubspot_access_token;
       if (pendingClient.shopify_store_url) carryOver.shopify_store_url = pendingClient.shopify_store_url;
-      if (pendingClient.shopify_access_token) carryOver.shopify_access_token = pendingClient.shopify_access_token;
       if (Object.keys(carryOver).length > 0) {
         updateClient(clientId, carryOver);
         log.info('Carried over platform credentials from pending client', { clientId, fields: Object.keys(carryOver) });
       }
+      // Secrets granted before onboarding finished are held in the vault under the pending token
+      try {
+        const moved = moveClientSecrets(`pending:${pendingClient.token}`, clientId, { movedBy: 'system:onboarding' });
+        if (moved.length > 0) log.info('Moved vault secrets from pending client', { clientId, secrets: moved });
+      } catch (e) {
+        log.error('Failed to move vault secrets from pending client', { clientId, error: e.message });
+      }
     }
 
     steps.push('Client profile created');
@@ -1028,6 +1033,7 @@ function buildPlatformAccessStatus(client) {
     shopify: 'shopify_access_token',
     godaddy: 'godaddy_api_key',
     hubspot: 'hubspot_access_token',
+    mailchimp: 'mailchimp_access_token',
   };
 
   // Friendly names for display
@@ -1039,6 +1045,7 @@ function buildPlatformAccessStatus(client) {
     shopify: 'Shopify (CMS)',
     godaddy: 'GoDaddy (DNS)',
     hubspot: 'HubSpot (CRM)',
+    mailchimp: 'Mailchimp (Email)',
   };
 
   let requestedPlatforms = [];
@@ -1061,7 +1068,10 @@ function buildPlatformAccessStatus(client) {
 
   for (const platform of requestedPlatforms) {
     const credField = platformCredentialMap[platform];
-    if (credField && client[credField]) {
+    const hasCredential = CLIENT_SECRET_FIELDS.includes(credField)
+      ? hasClientSecret(client.id, credField)
+      : !!client[credField];
+    if (credField && hasCredential) {
       granted.push({ platform, label: platformLabels[platform] || platform });
     } else {
       pending.push({ platform, label: platformLabels[platform] || platform });
@@ -2,48 +2,201 @@ import Database from 'better-sqlite3';
 import { v4 as uuid } from 'uuid';
 import config from '../config.js';
 import logger from '../utils/logger.js';
+import { onRedaction } from '../utils/redact.js';
+import { runMigrations, addColumn } from './migrations.js';
 
 const DB_PATH = config.COST_DB_PATH || 'data/costs.db';
 
+// Schema history of the cost and audit store (see services/migrations.js).
+// Append new migrations at the end, never edit shipped ones.
+const COSTS_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS api_costs (
+      id TEXT PRIMARY KEY,
+      timestamp TEXT NOT NULL DEFAULT (datetime('now')),
+      platform TEXT NOT NULL,
+      model TEXT,
+      workflow TEXT,
+      client_id TEXT,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cost_cents REAL NOT NULL DEFAULT 0,
+      metadata TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id TEXT PRIMARY KEY,
+      timestamp TEXT NOT NULL DEFAULT (datetime('now')),
+      action TEXT NOT NULL,
+      workflow TEXT,
+      client_id TEXT,
+      platform TEXT,
+      details TEXT,
+      approved_by TEXT,
+      result TEXT,
+      rollback_data TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_costs_date ON api_costs(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_costs_platform ON api_costs(platform);
+    CREATE INDEX IF NOT EXISTS idx_costs_client ON api_costs(client_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_date ON audit_log(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_audit_client ON audit_log(client_id);
+    `),
+  },
+  // Rollback tracking on audit_log
+  {
+    version: 2,
+    name: 'audit_log_rollback_tracking',
+    up: (d) => {
+      addColumn(d, 'audit_log', 'rolled_back_at', 'TEXT');
+      addColumn(d, 'audit_log', 'rolled_back_by', 'TEXT');
+    },
+  },
+  // PII redaction events (utils/redact.js) for compliance review
+  {
+    version: 3,
+    name: 'redaction_events',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS redaction_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL DEFAULT (datetime('now')),
+      source TEXT NOT NULL,
+      context TEXT,
+      chat_id TEXT,
+      findings TEXT NOT NULL,
+      total INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_redaction_date ON redaction_events(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_redaction_chat ON redaction_events(chat_id);
+    `),
+  },
+  // Tables that services/approval-queue.js, team.js and scheduler.js used to
+  // create on first use. Kept idempotent: existing databases already have them.
+  // Persistent approval queue (services/approval-queue.js)
+  {
+    version: 4,
+    name: 'approvals',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS approvals (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      workflow TEXT,
+      client_id TEXT,
+      platform TEXT,
+      request TEXT, -- JSON: what the owner is shown (description, clientName, impact, details)
+      payload TEXT, -- JSON: everything needed to execute the action after approval
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT,
+      decided_at TEXT,
+      decided_by TEXT,
+      completed_at TEXT,
+      result TEXT,
+      error TEXT,
+      reminder_count INTEGER DEFAULT 0,
+      last_notified_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_approvals_status ON approvals(status);
+    CREATE INDEX IF NOT EXISTS idx_approvals_client ON approvals(client_id);
+    `),
+  },
+  // Team members and roles (services/team.js)
+  {
+    version: 5,
+    name: 'team_members',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      role TEXT NOT NULL,
+      whatsapp_phone TEXT UNIQUE, -- digits only
+      telegram_chat_id TEXT UNIQUE,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    `),
+  },
+  // Job runs, locks, registered schedules and overrides (services/scheduler.js)
+  {
+    version: 6,
+    name: 'scheduler',
+    up: (d) => {
+      d.exec(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job TEXT NOT NULL,
+      trigger TEXT NOT NULL, -- schedule | catch_up | manual
+      scheduled_for TEXT, -- UTC slot the run belongs to; NULL for manual runs
+      lock_key TEXT,
+      instance TEXT,
+      triggered_by TEXT,
+      status TEXT NOT NULL DEFAULT 'running',
+      started_at TEXT NOT NULL DEFAULT (datetime('now')),
+      finished_at TEXT,
+      duration_ms INTEGER,
+      error TEXT
+    );
+
+    -- One run per scheduled slot, whichever replica claims it first.
+    -- Interrupted runs leave the index so catch-up can replay the slot.
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_slot ON job_runs(job, scheduled_for)
+      WHERE scheduled_for IS NOT NULL AND status != 'interrupted';
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at);
+
+    CREATE TABLE IF NOT EXISTS job_locks (
+      lock_key TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      job TEXT,
+      acquired_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      name TEXT PRIMARY KEY,
+      schedule TEXT NOT NULL,
+      timezone TEXT NOT NULL,
+      first_registered_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS job_schedule_overrides (
+      name TEXT PRIMARY KEY, -- job name, or '*' for the default timezone
+      schedule TEXT,
+      timezone TEXT,
+      enabled INTEGER,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_by TEXT
+    );
+      `);
+      // When the current schedule/timezone took effect
+      addColumn(d, 'scheduled_jobs', 'schedule_since', 'TEXT');
+    },
+  },
+];
+
+export const COSTS_SCHEMA = {
+  store: 'costs',
+  dbPath: DB_PATH,
+  detectTable: 'audit_log',
+  baselineVersion: 2,
+  migrations: COSTS_MIGRATIONS,
+};
+
 let db;
 
 function getDb() {
   if (!db) {
-    db = new Database(DB_PATH);
-    db.pragma('journal_mode = WAL');
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS api_costs (
-        id TEXT PRIMARY KEY,
-        timestamp TEXT NOT NULL DEFAULT (datetime('now')),
-        platform TEXT NOT NULL,
-        model TEXT,
-        workflow TEXT,
-        client_id TEXT,
-        input_tokens INTEGER DEFAULT 0,
-        output_tokens INTEGER DEFAULT 0,
-        cost_cents REAL NOT NULL DEFAULT 0,
-        metadata TEXT
-      );
-
-      CREATE TABLE IF NOT EXISTS audit_log (
-        id TEXT PRIMARY KEY,
-        timestamp TEXT NOT NULL DEFAULT (datetime('now')),
-        action TEXT NOT NULL,
-        workflow TEXT,
-        client_id TEXT,
-        platform TEXT,
-        details TEXT,
-        approved_by TEXT,
-        result TEXT,
-        rollback_data TEXT
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_costs_date ON api_costs(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_costs_platform ON api_costs(platform);
-      CREATE INDEX IF NOT EXISTS idx_costs_client ON api_costs(client_id);
-      CREATE INDEX IF NOT EXISTS idx_audit_date ON audit_log(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_audit_client ON audit_log(client_id);
-    `);
+    const conn = new Database(DB_PATH);
+    conn.pragma('journal_mode = WAL');
+    runMigrations(conn, COSTS_SCHEMA);
+    db = conn;
   }
   return db;
 }
@@ -126,19 +279,22 @@ export function isDailyBudgetExceeded() {
 
 /**
  * Record an action in the audit log.
+ * @returns {string} The audit entry ID
  */
 export function auditLog({ action, workflow, clientId, platform, details, approvedBy, result, rollbackData }) {
   const d = getDb();
+  const id = uuid();
   d.prepare(`
     INSERT INTO audit_log (id, action, workflow, client_id, platform, details, approved_by, result, rollback_data)
     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
-    uuid(), action, workflow || '', clientId || '', platform || '',
+    id, action, workflow || '', clientId || '', platform || '',
     details ? JSON.stringify(details) : null,
     approvedBy || 'system',
     result || '',
     rollbackData ? JSON.stringify(rollbackData) : null,
   );
+  return id;
 }
 
 /**
@@ -152,6 +308,115 @@ export function getAuditLog(limit = 50, clientId) {
   return d.prepare('SELECT * FROM audit_log ORDER BY timestamp DESC LIMIT ?').all(limit);
 }
 
+/**
+ * Count successful auto-approved actions for a client in the last `hours`.
+ */
+export function countAutoActions(clientId, actions, hours = 24) {
+  const d = getDb();
+  const placeholders = actions.map(() => '?').join(', ');
+  return d.prepare(`
+    SELECT COUNT(*) as count FROM audit_log
+    WHERE client_id = ? AND action IN (${placeholders})
+      AND approved_by = 'auto' AND result = 'success'
+      AND timestamp >= datetime('now', ?)
+  `).get(clientId, ...actions, `-${hours} hours`).count;
+}
+
+/**
+ * Find audit entries by full ID or ID prefix (owners type the short form).
+ * Returns at most `limit` matches so callers can detect ambiguous prefixes.
+ */
+export function findAuditEntries(idOrPrefix, limit = 2) {
+  const d = getDb();
+  return d.prepare('SELECT * FROM audit_log WHERE id = ? OR id LIKE ? ORDER BY timestamp DESC LIMIT ?')
+    .all(idOrPrefix, `${idOrPrefix}%`, limit);
+}
+
+/**
+ * Audit entries that carry rollback data and have not been rolled back yet.
+ */
+export function getRollbackableEntries(actions, { clientId, limit = 10 } = {}) {
+  const d = getDb();
+  const placeholders = actions.map(() => '?').join(', ');
+  const clientFilter = clientId ? 'AND client_id = ?' : '';
+  return d.prepare(`
+    SELECT * FROM audit_log
+    WHERE action IN (${placeholders}) AND result = 'success'
+      AND rollback_data IS NOT NULL AND rolled_back_at IS NULL
+      ${clientFilter}
+    ORDER BY timestamp DESC LIMIT ?
+  `).all(...actions, ...(clientId ? [clientId] : []), limit);
+}
+
+/**
+ * Mark an audit entry as rolled back. Conditional, so the same action can
+ * only be reversed once. Returns true if this call claimed the entry.
+ */
+export function markRolledBack(id, rolledBackBy) {
+  const d = getDb();
+  const info = d.prepare(`
+    UPDATE audit_log SET rolled_back_at = datetime('now'), rolled_back_by = ?
+    WHERE id = ? AND rolled_back_at IS NULL
+  `).run(rolledBackBy || 'system', id);
+  return info.changes > 0;
+}
+
+/**
+ * Release a rollback claim (used when the platform call fails).
+ */
+export function clearRolledBack(id) {
+  getDb().prepare('UPDATE audit_log SET rolled_back_at = NULL, rolled_back_by = NULL WHERE id = ?').run(id);
+}
+
+/**
+ * Record a redaction event: where PII or secrets were masked, by field and
+ * type. Never receives the masked values.
+ */
+export function recordRedactionEvent({ source, context, chatId, findings }) {
+  const total = Object.values(findings).reduce((sum, counts) => sum + Object.values(counts).reduce((a, b) => a + b, 0), 0);
+  getDb().prepare('INSERT INTO redaction_events (source, context, chat_id, findings, total) VALUES (?, ?, ?, ?, ?)')
+    .run(source, context || null, chatId || null, JSON.stringify(findings), total);
+}
+
+onRedaction(recordRedactionEvent);
+
+/**
+ * Summarize redaction events for compliance review.
+ * @param {number} [days=30]
+ * @returns {{ events: number, redactions: number, bySource: object, byType: object, byField: object }}
+ */
+export function getRedactionSummary(days = 30) {
+  const rows = getDb().prepare("SELECT source, findings FROM redaction_events WHERE timestamp >= datetime('now', ?)")
+    .all(`-${days} days`);
+  const summary = { events: rows.length, redactions: 0, bySource: {}, byType: {}, byField: {} };
+  for (const row of rows) {
+    for (const [field, counts] of Object.entries(JSON.parse(row.findings))) {
+      for (const [type, n] of Object.entries(counts)) {
+        summary.redactions += n;
+        summary.bySource[row.source] = (summary.bySource[row.source] || 0) + n;
+        summary.byType[type] = (summary.byType[type] || 0) + n;
+        summary.byField[`${row.source}.${field}`] = (summary.byField[`${row.source}.${field}`] || 0) + n;
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * Print redaction report (CLI mode).
+ */
+export function printRedactionReport(days = 30) {
+  const summary = getRedactionSummary(days);
+  console.log(`\n=== PII Redaction Report (last ${days} days) ===`);
+  console.log(`Events: ${summary.events}, values masked: ${summary.redactions}`);
+  for (const [title, counts] of [['By Source', summary.bySource], ['By Type', summary.byType], ['By Field', summary.byField]]) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) continue;
+    console.log(`\n${title}:`);
+    for (const [key, n] of entries) console.log(`  ${key}: ${n}`);
+  }
+}
+
 /**
  * Print cost report (CLI mode).
  */
@@ -184,5 +449,13 @@ export function printCostReport() {
 if (process.argv.includes('--report')) {
   printCostReport();
 }
+if (process.argv.includes('--redactions')) {
+  const daysArg = process.argv.indexOf('--days');
+  printRedactionReport(daysArg > -1 ? Number(process.argv[daysArg + 1]) || 30 : 30);
+}
 
-export default { recordCost, getCostSummary, isDailyBudgetExceeded, auditLog, getAuditLog };
+export default {
+  recordCost, getCostSummary, isDailyBudgetExceeded, auditLog, getAuditLog,
+  countAutoActions, findAuditEntries, getRollbackableEntries, markRolledBack, clearRolledBack,
+  recordRedactionEvent, getRedactionSummary, printRedactionReport,
+};
@@ -7,6 +7,7 @@ import { getClient, buildClientContext, getTopCreatives } from './knowledge-base
 import { auditLog } from './cost-tracker.js';
 import { loadBrandDNA, buildBrandContext } from '../brand-dna.js';
 import { generateAndValidate } from './creative-quality-validator.js';
+import { getProductCatalog } from './ecommerce.js';
 import config from '../config.js';
 
 const log = logger.child({ workflow: 'creative-engine' });
@@ -77,6 +78,7 @@ export const FORMAT_COMPOSITION_HINTS = {
  * @param {string} opts.audience - Target audience description
  * @param {string} opts.offer - Offer/promotion (optional)
  * @param {string} opts.angle - Creative angle/theme (optional)
+ * @param {object} opts.product - Store product to advertise (optional, see services/ecommerce.js)
  * @param {number} opts.variations - Number of variations (default: 5)
  * @returns {Array} Structured text ad objects
  */
@@ -102,6 +104,7 @@ OBJECTIVE: ${opts.objective || 'conversions'}
 TARGET AUDIENCE: ${opts.audience || client?.target_audience || brandDNA?.target_audience || 'Not specified'}
 OFFER: ${opts.offer || 'None'}
 ${opts.angle ? `CREATIVE ANGLE: ${opts.angle}` : ''}
+${opts.product ? `PRODUCT (write every ad for this product only):\n${describeProduct(opts.product)}` : ''}
 ${client?.brand_voice ? `BRAND VOICE: ${client.brand_voice}` : ''}
 ${client?.industry ? `INDUSTRY: ${client.industry}` : ''}
 ${brandContext ? `\nBRAND DNA: ${brandContext}` : ''}
@@ -165,6 +168,154 @@ IMPORTANT: Stay STRICTLY within character limits. Return ONLY the JSON array.`;
   return ads;
 }
 
+/**
+ * Product facts for ad prompts: title, price, SKUs, description and URL.
+ */
+function describeProduct(product) {
+  const prices = [...new Set(product.variants.map(v => v.priceCents))].sort((a, b) => a - b);
+  const price = prices.length > 1
+    ? `${(prices[0] / 100).toFixed(2)}–${(prices.at(-1) / 100).toFixed(2)}`
+    : prices.length === 1 ? (prices[0] / 100).toFixed(2) : 'n/a';
+  const onSale = product.variants.find(v => v.compareAtPriceCents > v.priceCents);
+  return [
+    `- Title: ${product.title}`,
+    `- Price: ${price}${onSale ? ` (on sale, was ${(onSale.compareAtPriceCents / 100).toFixed(2)})` : ''}`,
+    `- SKUs: ${product.variants.map(v => v.sku).filter(Boolean).join(', ') || 'n/a'}`,
+    product.productType ? `- Type: ${product.productType}` : '',
+    product.description ? `- Description: ${product.description.slice(0, 600)}` : '',
+    product.url ? `- URL: ${product.url}` : '',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Generate text ads per product (SKU) from the client's Shopify catalog, for
+ * catalog and per-product campaigns.
+ *
+ * @param {object} opts
+ * @param {string} opts.clientName - Client name (or clientId)
+ * @param {string} opts.platform - Platform key
+ * @param {string[]} opts.skus - Products to cover, by SKU (optional)
+ * @param {string} opts.collection - Collection id, handle or title (optional)
+ * @param {string} opts.search - Product title search (optional)
+ * @param {number} opts.limit - Max products (default: 5)
+ * @param {number} opts.variations - Variations per product (default: 3)
+ * @param {string} opts.objective, opts.audience, opts.offer, opts.angle - As in generateTextAds
+ * @returns {Array} [{ product: { id, title, skus, url, imageUrl, priceCents }, ads }]
+ */
+export async function generateProductAds(opts = {}) {
+  const client = getClient(opts.clientName);
+  if (!client) throw new Error(`Client "${opts.clientName}" not found`);
+
+  const products = await getProductCatalog(client, {
+    skus: opts.skus, collection: opts.collection, search: opts.search, limit: opts.limit || 5,
+  });
+  if (products.length === 0) throw new Error(`No matching products in ${client.name}'s store`);
+
+  const results = [];
+  for (const product of products) {
+    const ads = await generateTextAds({
+      clientName: client.name,
+      platform: opts.platform,
+      objective: opts.objective || 'conversions',
+      audience: opts.audience,
+      offer: opts.offer,
+      angle: opts.angle,
+      product,
+      variations: opts.variations || 3,
+    });
+    results.push({
+      product: {
+        id: product.id,
+        title: product.title,
+        skus: product.variants.map(v => v.sku).filter(Boolean),
+        url: product.url,
+        imageUrl: product.imageUrl,
+        priceCents: product.variants[0]?.priceCents ?? null,
+      },
+      ads,
+    });
+  }
+
+  log.info(`Generated product ads for ${results.length} products`, { client: client.name, platform: opts.platform });
+  return results;
+}
+
+// ============================================================
+// Email Copy
+// ============================================================
+
+/**
+ * Generate a marketing email in the client's brand voice, from the same
+ * Brand DNA and past top creatives used for ads.
+ *
+ * @param {object} opts
+ * @param {string} opts.clientName - Client name (or clientId)
+ * @param {string} opts.goal - What the email should achieve (e.g. "announce the summer sale")
+ * @param {string} opts.audience - Who receives it (optional)
+ * @param {string} opts.offer - Offer/promotion (optional)
+ * @param {string} opts.ctaUrl - Link for the call to action (optional, defaults to the client's website)
+ * @param {object[]} opts.products - Store products to feature (optional, see services/ecommerce.js)
+ * @returns {object} { subjectLines, previewText, heading, paragraphs, ctaText, ctaUrl }
+ */
+export async function generateEmailCopy(opts = {}) {
+  const client = getClient(opts.clientName);
+  if (!client) throw new Error(`Client "${opts.clientName}" not found`);
+
+  const brandDNA = loadBrandDNA(client.id);
+  const brandContext = brandDNA ? buildBrandContext(brandDNA) : '';
+  const topCreatives = getTopCreatives(client.id, 3);
+  const ctaUrl = opts.ctaUrl || client.website || null;
+
+  const prompt = `Write a marketing email for ${client.name}.
+
+GOAL: ${opts.goal || 'drive sales'}
+AUDIENCE: ${opts.audience || client.target_audience || brandDNA?.target_audience || 'Existing customers and subscribers'}
+OFFER: ${opts.offer || 'None'}
+${opts.products?.length ? `PRODUCTS TO FEATURE:\n${opts.products.map(describeProduct).join('\n\n')}` : ''}
+${client.brand_voice ? `BRAND VOICE: ${client.brand_voice}` : ''}
+${client.industry ? `INDUSTRY: ${client.industry}` : ''}
+${brandContext ? `\nBRAND DNA: ${brandContext}` : ''}
+${topCreatives.length > 0 ? `\nBEST PERFORMING AD HEADLINES (match their tone):\n${topCreatives.map(c => `- "${c.headline}"`).join('\n')}` : ''}
+
+Return a JSON object:
+{
+  "subjectLines": ["3 subject line options, 50 characters max each"],
+  "previewText": "string (90 characters max, complements the subject)",
+  "heading": "string (headline at the top of the email)",
+  "paragraphs": ["2-4 short paragraphs of body copy"],
+  "ctaText": "string (button label, 25 characters max)"
+}
+
+Write in the brand's language. No placeholders like [Name]. Return ONLY the JSON object.`;
+
+  const response = await askClaude({
+    systemPrompt: 'You are an expert email marketing copywriter. You write concise, on-brand campaign emails that get opened and clicked. You always return valid JSON.',
+    userMessage: prompt,
+    model: 'claude-haiku-4-5-20251001',
+    maxTokens: 2048,
+    workflow: 'email-copy-generation',
+    clientId: client.id,
+  });
+
+  let copy;
+  try {
+    copy = JSON.parse(response.text.match(/\{[\s\S]*\}/)?.[0]);
+  } catch (e) {
+    log.error('Failed to parse email copy JSON', { error: e.message });
+  }
+  if (!copy?.subjectLines?.length || !copy.paragraphs?.length) throw new Error('Email copy generation failed. Please try again.');
+
+  log.info(`Generated email copy for ${client.name}`);
+  return {
+    subjectLines: copy.subjectLines.map(s => String(s).slice(0, 150)),
+    previewText: copy.previewText ? String(copy.previewText).slice(0, 150) : '',
+    heading: copy.heading || copy.subjectLines[0],
+    paragraphs: copy.paragraphs.map(String),
+    ctaText: copy.ctaText || 'Shop now',
+    ctaUrl,
+  };
+}
+
 // ============================================================
 // Image Prompt Engineering
 // ============================================================
@@ -478,6 +629,8 @@ Videos: ${result.videos.filter(v => !v.error).length}`,
 
 export default {
   generateTextAds,
+  generateProductAds,
+  generateEmailCopy,
   generateImagePrompt,
   generateCreativePackage,
   PLATFORM_SPECS,
@@ -0,0 +1,315 @@
+/**
+ * Credential vault for client platform secrets (WordPress application
+ * passwords, Shopify / HubSpot / Mailchimp access tokens, GoDaddy API keys).
+ *
+ * Envelope encryption: every secret record gets its own random data key, the
+ * secret is encrypted with it (AES-256-GCM) and the data key is in turn
+ * encrypted ("wrapped") with the master key from CREDENTIAL_VAULT_KEY. The
+ * record's owner and name are bound in as associated data, so a ciphertext
+ * copied onto another client's row does not decrypt.
+ *
+ * Key rotation: put the new master key in CREDENTIAL_VAULT_KEY and the old
+ * one(s) in CREDENTIAL_VAULT_PREVIOUS_KEYS and restart. On startup every data
+ * key still wrapped with an old master key is re-wrapped with the new one; the
+ * secrets themselves are not touched. Once that is done the old keys can be
+ * removed.
+ *
+ * Every read, write, delete and rotation is recorded in audit_log
+ * (credential_read, credential_written, credential_deleted,
+ * credential_key_rotated). Secret values are never logged.
+ *
+ * Records live in client_secrets in the knowledge base DB, keyed by client ID
+ * — or by "pending:<token>" for credentials granted before onboarding is
+ * complete (moved to the client by moveClientSecrets).
+ */
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { updateClient, KB_SCHEMA } from './knowledge-base.js';
+import { runMigrations } from './migrations.js';
+import { auditLog } from './cost-tracker.js';
+
+const log = logger.child({ workflow: 'credential-vault' });
+const DB_PATH = process.env.KB_DB_PATH || 'data/knowledge.db';
+
+// Client secrets that must only be stored in the vault. The same-named
+// columns on clients are legacy plaintext and are emptied on migration.
+export const CLIENT_SECRET_FIELDS = [
+  'wordpress_app_password', 'shopify_access_token', 'godaddy_api_key', 'hubspot_access_token',
+  'mailchimp_access_token',
+];
+
+const ALGORITHM = 'aes-256-gcm';
+
+let db;
+
+/**
+ * Parse a 32-byte master key given as base64 or hex.
+ */
+function parseMasterKey(value, envName) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${envName} must be a 32-byte key, base64 or hex encoded (e.g. \`openssl rand -base64 32\`)`);
+  }
+  return key;
+}
+
+const keyIdOf = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+
+/**
+ * The current master key and any previous ones still accepted for unwrapping.
+ * @returns {{ current: { id: string, key: Buffer }, byId: Map<string, Buffer> }}
+ */
+function getKeyring() {
+  if (!config.CREDENTIAL_VAULT_KEY) {
+    throw new Error('CREDENTIAL_VAULT_KEY is not set — client credentials cannot be stored or read');
+  }
+  const current = parseMasterKey(config.CREDENTIAL_VAULT_KEY, 'CREDENTIAL_VAULT_KEY');
+  const byId = new Map([[keyIdOf(current), current]]);
+  for (const value of (config.CREDENTIAL_VAULT_PREVIOUS_KEYS || '').split(',').filter(v => v.trim())) {
+    const previous = parseMasterKey(value, 'CREDENTIAL_VAULT_PREVIOUS_KEYS');
+    byId.set(keyIdOf(previous), previous);
+  }
+  return { current: { id: keyIdOf(current), key: current }, byId };
+}
+
+export function isVaultConfigured() {
+  return Boolean(config.CREDENTIAL_VAULT_KEY);
+}
+
+// iv (12) | tag (16) | ciphertext, base64
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+function decrypt(key, payload, aad) {
+  const buf = Buffer.from(payload, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buf.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+}
+
+const recordAad = (ownerId, name) => `${ownerId}:${name}`;
+
+function getDb() {
+  if (!db) {
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    runMigrations(db, KB_SCHEMA);
+  }
+  return db;
+}
+
+/**
+ * Startup: move legacy plaintext secrets into the vault and re-wrap data keys
+ * still under a previous master key.
+ * @returns {{ configured: boolean, migrated: number, rewrapped: number, failed: string[] }}
+ */
+export function initVault() {
+  if (!isVaultConfigured()) {
+    log.warn('CREDENTIAL_VAULT_KEY not set — client platform credentials (WordPress, Shopify, GoDaddy, HubSpot) cannot be stored or used');
+    return { configured: false, migrated: 0, rewrapped: 0, failed: [] };
+  }
+  const migrated = migratePlaintextSecrets();
+  const { rewrapped, failed } = rotateMasterKey({ rotatedBy: 'system:startup' });
+  return { configured: true, migrated, rewrapped, failed };
+}
+
+function audit(action, ownerId, details, actor, result = 'success') {
+  auditLog({
+    action,
+    workflow: 'credential-vault',
+    clientId: ownerId?.startsWith('pending:') ? undefined : ownerId,
+    details: { ownerId, ...details },
+    approvedBy: actor,
+    result,
+  });
+}
+
+/**
+ * Store (or replace) a client secret. Each write uses a fresh data key.
+ * @param {string} ownerId - Client ID, or pending:<token>
+ * @param {string} name - e.g. 'wordpress_app_password'
+ * @param {string} value
+ * @param {object} [opts] - { updatedBy }
+ */
+export function setClientSecret(ownerId, name, value, { updatedBy = 'system' } = {}) {
+  if (!ownerId || !name) throw new Error('A client secret needs an owner and a name');
+  if (typeof value !== 'string' || !value) throw new Error(`Secret ${name} must be a non-empty string`);
+  const { current } = getKeyring();
+  const d = getDb();
+
+  const aad = recordAad(ownerId, name);
+  const dataKey = crypto.randomBytes(32);
+  const ciphertext = encrypt(dataKey, Buffer.from(value, 'utf8'), aad);
+  const wrappedKey = encrypt(current.key, dataKey, aad);
+
+  d.prepare(`
+    INSERT INTO client_secrets (owner_id, name, ciphertext, wrapped_key, key_id, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(owner_id, name) DO UPDATE SET
+      ciphertext = excluded.ciphertext, wrapped_key = excluded.wrapped_key, key_id = excluded.key_id,
+      updated_by = excluded.updated_by, updated_at = datetime('now')
+  `).run(ownerId, name, ciphertext, wrappedKey, current.id, updatedBy);
+
+  audit('credential_written', ownerId, { name, keyId: current.id }, updatedBy);
+  log.info(`Stored ${name} for ${ownerId}`);
+}
+
+/**
+ * Read a client secret. Returns null when there is none — or when the vault
+ * is not configured, so callers treat the platform as not connected.
+ * @param {string} ownerId
+ * @param {string} name
+ * @param {object} [opts] - { purpose, accessedBy } recorded in the audit log
+ */
+export function getClientSecret(ownerId, name, { purpose = null, accessedBy = 'system' } = {}) {
+  if (!ownerId) return null;
+  if (!isVaultConfigured()) {
+    log.warn(`CREDENTIAL_VAULT_KEY is not set — cannot read ${name}`);
+    return null;
+  }
+  const row = getDb().prepare('SELECT * FROM client_secrets WHERE owner_id = ? AND name = ?').get(ownerId, name);
+  if (!row) return null;
+
+  const masterKey = getKeyring().byId.get(row.key_id);
+  if (!masterKey) {
+    audit('credential_read', ownerId, { name, purpose, error: `unknown master key ${row.key_id}` }, accessedBy, 'failed');
+    throw new Error(`${name} for ${ownerId} is wrapped with master key ${row.key_id}, which is not configured`);
+  }
+  try {
+    const aad = recordAad(ownerId, name);
+    const dataKey = decrypt(masterKey, row.wrapped_key, aad);
+    const value = decrypt(dataKey, row.ciphertext, aad).toString('utf8');
+    audit('credential_read', ownerId, { name, purpose }, accessedBy);
+    return value;
+  } catch (e) {
+    audit('credential_read', ownerId, { name, purpose, error: 'decryption failed' }, accessedBy, 'failed');
+    throw new Error(`${name} for ${ownerId} could not be decrypted — the record was altered or belongs to another client`);
+  }
+}
+
+/**
+ * Whether a secret is stored, without decrypting it (not audited).
+ */
+export function hasClientSecret(ownerId, name) {
+  if (!ownerId || !isVaultConfigured()) return false;
+  return !!getDb().prepare('SELECT 1 FROM client_secrets WHERE owner_id = ? AND name = ?').get(ownerId, name);
+}
+
+/**
+ * Names and metadata of an owner's secrets — never the values.
+ */
+export function listClientSecrets(ownerId) {
+  if (!isVaultConfigured()) return [];
+  return getDb().prepare(`
+    SELECT name, key_id, updated_by, created_at, updated_at FROM client_secrets WHERE owner_id = ? ORDER BY name
+  `).all(ownerId);
+}
+
+export function deleteClientSecret(ownerId, name, { deletedBy = 'system' } = {}) {
+  if (!isVaultConfigured()) return false;
+  const { changes } = getDb().prepare('DELETE FROM client_secrets WHERE owner_id = ? AND name = ?').run(ownerId, name);
+  if (changes) audit('credential_deleted', ownerId, { name }, deletedBy);
+  return changes > 0;
+}
+
+/**
+ * Move every secret from one owner to another (pending:<token> → client ID
+ * when onboarding completes). Records are re-encrypted for the new owner.
+ * @returns {string[]} Names of the moved secrets
+ */
+export function moveClientSecrets(fromOwnerId, toOwnerId, { movedBy = 'system' } = {}) {
+  const moved = [];
+  for (const { name } of listClientSecrets(fromOwnerId)) {
+    const value = getClientSecret(fromOwnerId, name, { purpose: `move to ${toOwnerId}`, accessedBy: movedBy });
+    setClientSecret(toOwnerId, name, value, { updatedBy: movedBy });
+    deleteClientSecret(fromOwnerId, name, { deletedBy: movedBy });
+    moved.push(name);
+  }
+  return moved;
+}
+
+/**
+ * Re-wrap every data key that is not under the current master key.
+ * Runs on startup (initVault); safe to call again.
+ * @returns {{ rewrapped: number, failed: string[] }} failed lists owner:name of records whose old key is missing or wrong
+ */
+export function rotateMasterKey({ rotatedBy = 'system' } = {}) {
+  const { current, byId } = getKeyring();
+  const d = getDb();
+  const stale = d.prepare('SELECT owner_id, name, wrapped_key, key_id FROM client_secrets WHERE key_id != ?').all(current.id);
+  const update = d.prepare(`UPDATE client_secrets SET wrapped_key = ?, key_id = ?, updated_at = datetime('now') WHERE owner_id = ? AND name = ?`);
+
+  let rewrapped = 0;
+  const failed = [];
+  for (const row of stale) {
+    const previous = byId.get(row.key_id);
+    try {
+      if (!previous) throw new Error(`unknown master key ${row.key_id}`);
+      const aad = recordAad(row.owner_id, row.name);
+      const dataKey = decrypt(previous, row.wrapped_key, aad);
+      update.run(encrypt(current.key, dataKey, aad), current.id, row.owner_id, row.name);
+      rewrapped++;
+    } catch (e) {
+      failed.push(`${row.owner_id}:${row.name}`);
+    }
+  }
+
+  if (rewrapped || failed.length) {
+    auditLog({
+      action: 'credential_key_rotated',
+      workflow: 'credential-vault',
+      details: { keyId: current.id, rewrapped, failed },
+      approvedBy: rotatedBy,
+      result: failed.length ? 'partial' : 'success',
+    });
+    log.info(`Re-wrapped ${rewrapped} client secret(s) with master key ${current.id}`);
+  }
+  if (failed.length) {
+    log.error('Client secrets wrapped with an unknown master key — add it to CREDENTIAL_VAULT_PREVIOUS_KEYS', { failed });
+  }
+  return { rewrapped, failed };
+}
+
+/**
+ * Move plaintext secrets left in the legacy clients columns into the vault
+ * and empty the columns. Runs on startup (initVault); safe to call again.
+ * @returns {number} Number of secrets migrated
+ */
+export function migratePlaintextSecrets() {
+  const d = getDb();
+  const hasClients = d.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'clients'").get();
+  if (!hasClients) return 0;
+
+  const columns = new Set(d.prepare('PRAGMA table_info(clients)').all().map(c => c.name));
+  const fields = CLIENT_SECRET_FIELDS.filter(f => columns.has(f));
+  if (fields.length === 0) return 0;
+
+  let migrated = 0;
+  const rows = d.prepare(`SELECT id, ${fields.join(', ')} FROM clients WHERE ${fields.map(f => `${f} IS NOT NULL AND ${f} != ''`).join(' OR ')}`).all();
+  for (const row of rows) {
+    const cleared = {};
+    for (const field of fields) {
+      if (!row[field]) continue;
+      setClientSecret(row.id, field, row[field], { updatedBy: 'system:migration' });
+      cleared[field] = null;
+      migrated++;
+    }
+    updateClient(row.id, cleared);
+  }
+  if (migrated) log.info(`Moved ${migrated} plaintext client secret(s) into the credential vault`);
+  return migrated;
+}
+
+export default {
+  CLIENT_SECRET_FIELDS, isVaultConfigured, initVault, setClientSecret, getClientSecret, hasClientSecret,
+  listClientSecrets, deleteClientSecret, moveClientSecrets, rotateMasterKey, migratePlaintextSecrets,
+};
@@ -0,0 +1,219 @@
+/**
+ * Store revenue and product catalogs from clients' Shopify stores.
+ *
+ * Revenue is attributed to ad platforms through the UTM parameters (or click
+ * ids) on each order's landing page, so reports can compute ROAS from what
+ * the store actually took instead of what the ad platforms claim. Attribution
+ * is last-click on the session that placed the order; orders without paid UTMs
+ * are reported as unattributed.
+ *
+ * Products feed the creative engine so ads can be written per SKU.
+ */
+import logger from '../utils/logger.js';
+import { createClient as createShopifyClient } from '../api/shopify.js';
+import { getClientSecret } from './credential-vault.js';
+import { buildMetrics } from './metrics.js';
+
+const log = logger.child({ workflow: 'ecommerce' });
+
+// utm_source values per ad platform (lowercase)
+const UTM_SOURCES = {
+  meta: ['facebook', 'fb', 'instagram', 'ig', 'meta', 'messenger', 'audience_network', 'an'],
+  google: ['google', 'adwords', 'google_ads', 'googleads', 'youtube', 'gads'],
+  tiktok: ['tiktok', 'tiktok_ads'],
+  twitter: ['twitter', 'x', 'twitter_ads', 't.co'],
+};
+// Click ids the platforms append to ad clicks
+const CLICK_IDS = { fbclid: 'meta', gclid: 'google', gbraid: 'google', wbraid: 'google', ttclid: 'tiktok', twclid: 'twitter' };
+// utm_medium values that mark the visit as unpaid even when the source is an ad platform
+const UNPAID_MEDIUMS = ['organic', 'organic_social', 'social_organic', 'referral', 'email', 'bio', 'profile'];
+
+/**
+ * Get a Shopify client for an agency client.
+ * The access token comes from the credential vault.
+ * Returns null if Shopify is not connected.
+ */
+export function getShopifyClient(client) {
+  if (!client?.shopify_store_url) return null;
+  const accessToken = getClientSecret(client.id, 'shopify_access_token', { purpose: 'shopify' });
+  if (!accessToken) return null;
+  return createShopifyClient({ storeUrl: client.shopify_store_url, accessToken });
+}
+
+/**
+ * UTM parameters and ad click ids of an order's landing page.
+ * @param {string} landingSite - Path or URL, e.g. "/products/x?utm_source=facebook&utm_campaign=spring"
+ */
+export function parseUtm(landingSite) {
+  let params;
+  try {
+    params = new URL(landingSite || '', 'https://store.invalid').searchParams;
+  } catch {
+    return {};
+  }
+  const utm = {};
+  for (const key of ['source', 'medium', 'campaign', 'content', 'term']) {
+    const value = params.get(`utm_${key}`);
+    if (value) utm[key] = value;
+  }
+  const clickId = Object.keys(CLICK_IDS).find(key => params.get(key));
+  if (clickId) utm.clickId = clickId;
+  return utm;
+}
+
+/**
+ * The ad platform of a visit's UTM parameters / click id (see parseUtm), or
+ * null when the visit was not a paid click.
+ */
+export function utmPlatform(utm) {
+  if (utm.clickId) return CLICK_IDS[utm.clickId];
+  const source = utm.source?.toLowerCase();
+  if (!source || UNPAID_MEDIUMS.includes(utm.medium?.toLowerCase())) return null;
+  return Object.keys(UTM_SOURCES).find(platform => UTM_SOURCES[platform].includes(source)) || null;
+}
+
+/**
+ * The ad platform an order came from, or null when it did not come from a paid click.
+ */
+export function orderPlatform(order) {
+  return utmPlatform(parseUtm(order.landingSite));
+}
+
+/**
+ * Attribute orders' revenue to ad platforms, campaigns and products.
+ * Cancelled orders are skipped. Order revenue is net of refunds; product
+ * revenue is line-item revenue after line discounts.
+ *
+ * @param {object[]} orders - Normalized orders (api/shopify.js)
+ * @param {object} [opts]
+ * @param {string} [opts.since] - 'YYYY-MM-DD' (inclusive)
+ * @param {string} [opts.until] - 'YYYY-MM-DD' (inclusive)
+ * @returns {{ currency, orders, revenueCents, attributedCents, unattributed, byPlatform, byCampaign, products }}
+ */
+export function attributeOrders(orders, { since, until } = {}) {
+  const result = {
+    currency: null,
+    orders: 0,
+    revenueCents: 0,
+    attributedCents: 0,
+    unattributed: { orders: 0, revenueCents: 0 },
+    byPlatform: {},
+    byCampaign: [],
+    products: [],
+  };
+  const campaigns = new Map();
+  const products = new Map();
+
+  for (const order of orders) {
+    if (order.cancelledAt) continue;
+    const day = order.createdAt?.slice(0, 10);
+    if ((since && day < since) || (until && day > until)) continue;
+
+    result.currency ??= order.currency;
+    result.orders++;
+    result.revenueCents += order.netCents;
+
+    const platform = orderPlatform(order);
+    if (platform) {
+      result.attributedCents += order.netCents;
+      const p = result.byPlatform[platform] ??= { orders: 0, revenueCents: 0 };
+      p.orders++;
+      p.revenueCents += order.netCents;
+
+      const campaign = parseUtm(order.landingSite).campaign || '(no utm_campaign)';
+      const key = `${platform}\n${campaign}`;
+      const c = campaigns.get(key) || { platform, campaign, orders: 0, revenueCents: 0 };
+      c.orders++;
+      c.revenueCents += order.netCents;
+      campaigns.set(key, c);
+    } else {
+      result.unattributed.orders++;
+      result.unattributed.revenueCents += order.netCents;
+    }
+
+    for (const item of order.lineItems) {
+      const key = item.productId || item.sku || item.title;
+      const p = products.get(key) || {
+        productId: item.productId, title: item.title, skus: [], units: 0, revenueCents: 0, byPlatform: {},
+      };
+      if (item.sku && !p.skus.includes(item.sku)) p.skus.push(item.sku);
+      p.units += item.quantity;
+      p.revenueCents += item.revenueCents;
+      if (platform) p.byPlatform[platform] = (p.byPlatform[platform] || 0) + item.revenueCents;
+      products.set(key, p);
+    }
+  }
+
+  result.byCampaign = [...campaigns.values()].sort((a, b) => b.revenueCents - a.revenueCents);
+  result.products = [...products.values()].sort((a, b) => b.revenueCents - a.revenueCents);
+  return result;
+}
+
+/**
+ * Recompute a platform's metrics with the store revenue attributed to it:
+ * conversions and conversion value come from the store instead of the
+ * platform's own tracking. The platform-reported ROAS is kept as platformRoas.
+ * Assumes the store and the ad account report in the same currency.
+ * @param {object} metrics - Normalized metrics row (services/metrics.js)
+ * @param {{ orders: number, revenueCents: number }} [storeRevenue] - attribution.byPlatform[platform]
+ */
+export function applyStoreRevenue(metrics, storeRevenue = { orders: 0, revenueCents: 0 }) {
+  const m = buildMetrics({
+    ...metrics,
+    conversions: storeRevenue.orders,
+    conversionValueCents: storeRevenue.revenueCents,
+  });
+  return { ...m, platformRoas: metrics.roas, platformConversions: metrics.conversions, revenueSource: 'shopify' };
+}
+
+/**
+ * Store revenue for a client over a date range, attributed to ad platforms.
+ * Returns null when the client has no Shopify store connected.
+ * @param {object} client
+ * @param {{ since: string, until: string }} range - 'YYYY-MM-DD' (inclusive)
+ */
+export async function getStoreRevenue(client, { since, until }) {
+  const shopify = getShopifyClient(client);
+  if (!shopify) return null;
+  const orders = await shopify.listOrders({ since, until });
+  log.info(`Fetched ${orders.length} Shopify orders for ${client.name}`, { since, until });
+  return attributeOrders(orders, { since, until });
+}
+
+/**
+ * Products of a client's store, optionally narrowed to a collection, SKUs,
+ * product ids or a title search.
+ * @param {object} client
+ * @param {object} [opts]
+ * @param {string} [opts.collection] - Collection id, handle or title
+ * @param {string[]} [opts.skus]
+ * @param {string[]} [opts.productIds]
+ * @param {string} [opts.search] - Case-insensitive title match
+ * @param {number} [opts.limit]
+ */
+export async function getProductCatalog(client, { collection, skus, productIds, search, limit } = {}) {
+  const shopify = getShopifyClient(client);
+  if (!shopify) throw new Error(`Shopify is not connected for ${client.name}. Send them a Leadsie link with Shopify access.`);
+
+  let collectionId;
+  if (collection) {
+    const wanted = String(collection).toLowerCase();
+    const match = (await shopify.listCollections())
+      .find(c => c.id === String(collection) || c.handle === wanted || c.title.toLowerCase() === wanted);
+    if (!match) throw new Error(`Collection "${collection}" not found in ${client.name}'s store`);
+    collectionId = match.id;
+  }
+
+  let products = await shopify.listProducts({ collectionId });
+  if (skus?.length) {
+    const wanted = new Set(skus.map(s => s.toLowerCase()));
+    products = products.filter(p => p.variants.some(v => v.sku && wanted.has(v.sku.toLowerCase())));
+  }
+  if (productIds?.length) products = products.filter(p => productIds.map(String).includes(p.id));
+  if (search) products = products.filter(p => p.title.toLowerCase().includes(search.toLowerCase()));
+  return limit ? products.slice(0, limit) : products;
+}
+
+export default {
+  getShopifyClient, parseUtm, utmPlatform, orderPlatform, attributeOrders, applyStoreRevenue, getStoreRevenue, getProductCatalog,
+};
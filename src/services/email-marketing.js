@@ -0,0 +1,368 @@
+/**
+ * Email marketing through clients' Mailchimp accounts (access granted via Leadsie).
+ *
+ * Audience syncs add converted leads, store customers and HubSpot contacts
+ * (by lifecycle stage) to the client's Mailchimp audience under a tag, which
+ * Mailchimp can email and sync to the ad platforms as a retargeting audience. Contacts without marketing consent are
+ * added as transactional members: they can be retargeted with ads but never
+ * receive campaign email. Existing members keep their status, and synced
+ * contacts are passed through to Mailchimp without being stored here.
+ *
+ * Campaign reports feed the weekly report next to paid media. Campaign emails
+ * are drafted in Mailchimp from the client's Brand DNA; scheduling one for
+ * delivery goes through the approval queue.
+ */
+import logger from '../utils/logger.js';
+import { createClient as createMailchimpClient, nextScheduleSlot } from '../api/mailchimp.js';
+import { getClientSecret } from './credential-vault.js';
+import { updateClient } from './knowledge-base.js';
+import { auditLog } from './cost-tracker.js';
+import { loadBrandDNA } from '../brand-dna.js';
+import { generateEmailCopy } from './creative-engine.js';
+import { getShopifyClient, getProductCatalog } from './ecommerce.js';
+import { getHubSpotClient } from './pipeline-attribution.js';
+
+const log = logger.child({ workflow: 'email-marketing' });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const DEFAULT_TAGS = { contacts: 'Converted leads', shopify_customers: 'Customers', hubspot_contacts: 'HubSpot contacts' };
+
+/**
+ * Get a Mailchimp client for an agency client.
+ * The access token comes from the credential vault.
+ * Returns null if Mailchimp is not connected.
+ */
+export function getMailchimpClient(client) {
+  if (!client) return null;
+  const accessToken = getClientSecret(client.id, 'mailchimp_access_token', { purpose: 'mailchimp' });
+  if (!accessToken) return null;
+  return createMailchimpClient({ accessToken });
+}
+
+/**
+ * The audience to work with: the one asked for, the client's saved audience,
+ * or the account's only audience. The choice is saved on the client.
+ * @param {object} mailchimp - Client from getMailchimpClient()
+ * @param {object} client
+ * @param {string} [audienceId] - Audience id or name
+ */
+export async function resolveAudience(mailchimp, client, audienceId) {
+  const audiences = await mailchimp.listAudiences();
+  const wanted = audienceId || client.mailchimp_audience_id;
+  let audience;
+  if (wanted) {
+    audience = audiences.find(a => a.id === wanted || a.name.toLowerCase() === String(wanted).toLowerCase());
+    if (!audience) throw new Error(`Mailchimp audience "${wanted}" not found. Audiences: ${audiences.map(a => a.name).join(', ') || 'none'}`);
+  } else if (audiences.length === 1) {
+    audience = audiences[0];
+  } else {
+    throw new Error(`${client.name} has ${audiences.length} Mailchimp audiences — say which one to use: ${audiences.map(a => a.name).join(', ')}`);
+  }
+  if (audience.id !== client.mailchimp_audience_id) updateClient(client.id, { mailchimp_audience_id: audience.id });
+  return audience;
+}
+
+/**
+ * Mailchimp member objects for contacts. Invalid and repeated e-mails are
+ * dropped; contacts without marketing consent become transactional members.
+ * @param {Array<{ email: string, firstName?: string, lastName?: string, marketingConsent?: boolean }>} contacts
+ * @returns {{ members: object[], invalid: number }}
+ */
+export function buildMembers(contacts) {
+  const seen = new Set();
+  const members = [];
+  let invalid = 0;
+  for (const contact of contacts || []) {
+    const email = String(contact?.email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      invalid++;
+      continue;
+    }
+    if (seen.has(email)) continue;
+    seen.add(email);
+    const mergeFields = {};
+    if (contact.firstName) mergeFields.FNAME = contact.firstName;
+    if (contact.lastName) mergeFields.LNAME = contact.lastName;
+    members.push({
+      email_address: email,
+      status: contact.marketingConsent ? 'subscribed' : 'transactional',
+      ...(Object.keys(mergeFields).length > 0 && { merge_fields: mergeFields }),
+    });
+  }
+  return { members, invalid };
+}
+
+/**
+ * Add converted leads, store customers or HubSpot contacts to the client's
+ * Mailchimp audience and tag them.
+ * @param {object} client
+ * @param {object} opts
+ * @param {'contacts'|'shopify_customers'|'hubspot_contacts'} [opts.source='contacts']
+ * @param {object[]} [opts.contacts] - For source 'contacts' (see buildMembers)
+ * @param {string[]} [opts.lifecycleStages=['customer']] - For source 'hubspot_contacts': internal stage values, e.g. 'salesqualifiedlead'
+ * @param {string} [opts.updatedSince] - For shopify_customers / hubspot_contacts: only contacts updated since
+ * @param {string} [opts.tag] - Default: "Converted leads" / "Customers" / "HubSpot contacts"
+ * @param {string} [opts.audienceId] - Audience id or name
+ */
+export async function syncAudienceContacts(client, { source = 'contacts', contacts, lifecycleStages = ['customer'], updatedSince, tag, audienceId } = {}) {
+  const mailchimp = getMailchimpClient(client);
+  if (!mailchimp) throw new Error(`Mailchimp is not connected for ${client.name}. Send them a Leadsie link with Mailchimp access.`);
+
+  if (source === 'shopify_customers') {
+    const shopify = getShopifyClient(client);
+    if (!shopify) throw new Error(`Shopify is not connected for ${client.name}. Send them a Leadsie link with Shopify access.`);
+    contacts = await shopify.listCustomers({ updatedSince });
+  } else if (source === 'hubspot_contacts') {
+    const hubspot = getHubSpotClient(client);
+    if (!hubspot) throw new Error(`HubSpot is not connected for ${client.name}. Send them a Leadsie link with HubSpot access.`);
+    contacts = await hubspot.searchContactsByLifecycleStage({ lifecycleStages, updatedSince });
+  } else if (source !== 'contacts') {
+    throw new Error(`Unknown contact source "${source}"`);
+  }
+
+  const { members, invalid } = buildMembers(contacts);
+  if (members.length === 0) throw new Error('No valid e-mail addresses to sync');
+
+  const audience = await resolveAudience(mailchimp, client, audienceId);
+  tag = tag || DEFAULT_TAGS[source];
+  const added = await mailchimp.addMembers(audience.id, members);
+  const tagged = await mailchimp.tagMembers(audience.id, tag, members.map(m => m.email_address));
+
+  const result = {
+    audience: audience.name,
+    tag,
+    submitted: members.length,
+    created: added.created,
+    existing: added.existing,
+    tagged: tagged.tagged,
+    withoutConsent: members.filter(m => m.status === 'transactional').length,
+    invalid,
+    errors: [...added.errors, ...tagged.errors].length,
+  };
+  auditLog({
+    action: 'email_audience_sync',
+    workflow: 'email-marketing',
+    clientId: client.id,
+    platform: 'mailchimp',
+    details: { audienceId: audience.id, source, ...(source === 'hubspot_contacts' && { lifecycleStages }), ...result },
+    result: result.errors > 0 ? 'partial' : 'success',
+  });
+  log.info(`Synced ${members.length} contacts to Mailchimp for ${client.name}`, { audienceId: audience.id, tag, source });
+  return result;
+}
+
+// ============================================================
+// Performance
+// ============================================================
+
+/**
+ * Totals of campaign reports sent within a date range. Open and click rates
+ * are weighted by e-mails sent.
+ * @param {object[]} reports - Normalized reports (api/mailchimp.js)
+ * @param {object} [opts]
+ * @param {string} [opts.since] - 'YYYY-MM-DD' (inclusive)
+ * @param {string} [opts.until] - 'YYYY-MM-DD' (inclusive)
+ */
+export function summarizeEmailReports(reports, { since, until } = {}) {
+  const campaigns = reports.filter(r => {
+    const day = r.sentAt?.slice(0, 10);
+    return !((since && day < since) || (until && day > until));
+  });
+  const sum = (key) => campaigns.reduce((total, r) => total + r[key], 0);
+  const emailsSent = sum('emailsSent');
+  return {
+    campaigns,
+    totals: {
+      campaigns: campaigns.length,
+      emailsSent,
+      opens: sum('opens'),
+      clicks: sum('clicks'),
+      openRate: emailsSent > 0 ? campaigns.reduce((t, r) => t + r.openRate * r.emailsSent, 0) / emailsSent : 0,
+      clickRate: emailsSent > 0 ? campaigns.reduce((t, r) => t + r.clickRate * r.emailsSent, 0) / emailsSent : 0,
+      unsubscribes: sum('unsubscribes'),
+      bounces: sum('bounces'),
+      orders: sum('orders'),
+      revenueCents: sum('revenueCents'),
+      currency: campaigns.find(r => r.currency)?.currency || null,
+    },
+  };
+}
+
+/**
+ * Email campaign performance for a client over a date range.
+ * Returns null when the client has no Mailchimp account connected.
+ * @param {object} client
+ * @param {{ since: string, until: string }} range - 'YYYY-MM-DD' (inclusive)
+ */
+export async function getEmailPerformance(client, { since, until }) {
+  const mailchimp = getMailchimpClient(client);
+  if (!mailchimp) return null;
+  const reports = await mailchimp.listCampaignReports({ since, until });
+  return summarizeEmailReports(reports, { since, until });
+}
+
+// ============================================================
+// Campaigns
+// ============================================================
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * Render email copy as a single-column HTML email in the brand's colors.
+ * Includes Mailchimp's unsubscribe and address merge tags.
+ * @param {object} copy - From creative-engine generateEmailCopy()
+ * @param {object} [brand]
+ * @param {string} [brand.name]
+ * @param {string} [brand.logoUrl]
+ * @param {string} [brand.color] - Button and accent color (hex)
+ * @param {object[]} [brand.products] - Store products to show as cards
+ */
+export function renderEmailHtml(copy, { name, logoUrl, color, products = [] } = {}) {
+  const accent = /^#[0-9a-f]{3,8}$/i.test(color || '') ? color : '#111111';
+  const button = (text, url) => url
+    ? `<a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 28px;background:${accent};color:#ffffff;text-decoration:none;border-radius:4px;font-weight:bold;">${escapeHtml(text)}</a>`
+    : '';
+  const productCards = products.map(p => {
+    const price = p.variants?.[0]?.priceCents != null ? (p.variants[0].priceCents / 100).toFixed(2) : '';
+    return `<tr><td style="padding:16px 0;border-top:1px solid #eeeeee;">
+${p.imageUrl ? `<img src="${escapeHtml(p.imageUrl)}" alt="${escapeHtml(p.title)}" width="536" style="width:100%;max-width:536px;height:auto;display:block;margin-bottom:12px;">` : ''}
+<p style="margin:0 0 4px;font-size:18px;font-weight:bold;">${escapeHtml(p.title)}</p>
+${price ? `<p style="margin:0 0 12px;color:#555555;">${price}</p>` : ''}
+${button(copy.ctaText, p.url)}
+</td></tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(copy.heading)}</title></head>
+<body style="margin:0;padding:0;background:#f4f4f4;font-family:Helvetica,Arial,sans-serif;color:#222222;">
+<span style="display:none;max-height:0;overflow:hidden;">${escapeHtml(copy.previewText)}</span>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-top:4px solid ${accent};">
+<tr><td style="padding:24px 32px 0;">${logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="${escapeHtml(name)}" height="48" style="height:48px;width:auto;">` : `<p style="margin:0;font-size:20px;font-weight:bold;">${escapeHtml(name)}</p>`}</td></tr>
+<tr><td style="padding:24px 32px;">
+<h1 style="margin:0 0 16px;font-size:26px;line-height:1.25;">${escapeHtml(copy.heading)}</h1>
+${copy.paragraphs.map(p => `<p style="margin:0 0 16px;font-size:16px;line-height:1.5;">${escapeHtml(p)}</p>`).join('\n')}
+${button(copy.ctaText, copy.ctaUrl)}
+</td></tr>
+${productCards ? `<tr><td style="padding:0 32px 24px;"><table role="presentation" width="100%" cellpadding="0" cellspacing="0">\n${productCards}\n</table></td></tr>` : ''}
+<tr><td style="padding:16px 32px;background:#fafafa;font-size:12px;color:#888888;line-height:1.5;">
+*|LIST:ADDRESSLINE|*<br>
+<a href="*|UNSUB|*" style="color:#888888;">Unsubscribe</a> · <a href="*|UPDATE_PROFILE|*" style="color:#888888;">Update preferences</a>
+</td></tr>
+</table>
+</td></tr></table>
+</body></html>`;
+}
+
+function renderPlainText(copy, products) {
+  return [
+    copy.heading,
+    '',
+    ...copy.paragraphs.flatMap(p => [p, '']),
+    copy.ctaUrl ? `${copy.ctaText}: ${copy.ctaUrl}` : '',
+    ...products.map(p => `- ${p.title}${p.url ? `: ${p.url}` : ''}`),
+    '',
+    'Unsubscribe: *|UNSUB|*',
+  ].join('\n');
+}
+
+/**
+ * Draft a campaign email from the client's Brand DNA and create it in
+ * Mailchimp as a draft. Nothing is sent; see scheduleEmailCampaign().
+ * @param {object} client
+ * @param {object} opts
+ * @param {string} opts.goal - What the email should achieve
+ * @param {string} [opts.audience] - Who it is for (copy guidance)
+ * @param {string} [opts.offer]
+ * @param {string} [opts.ctaUrl]
+ * @param {string} [opts.tag] - Send only to members with this tag
+ * @param {string} [opts.audienceId] - Audience id or name
+ * @param {object} [opts.products] - Store products to feature: { skus, collection, search, limit }
+ */
+export async function draftEmailCampaign(client, { goal, audience: audienceHint, offer, ctaUrl, tag, audienceId, products: productQuery } = {}) {
+  const mailchimp = getMailchimpClient(client);
+  if (!mailchimp) throw new Error(`Mailchimp is not connected for ${client.name}. Send them a Leadsie link with Mailchimp access.`);
+
+  const audience = await resolveAudience(mailchimp, client, audienceId);
+  if (!audience.fromEmail) throw new Error(`The "${audience.name}" audience has no default from e-mail. Set one in Mailchimp first.`);
+  const segment = tag ? await mailchimp.findTag(audience.id, tag) : null;
+  if (tag && !segment) throw new Error(`Tag "${tag}" not found in the "${audience.name}" audience`);
+
+  const products = productQuery
+    ? await getProductCatalog(client, { ...productQuery, limit: productQuery.limit || 3 })
+    : [];
+
+  const copy = await generateEmailCopy({ clientName: client.name, goal, audience: audienceHint, offer, ctaUrl, products });
+  const brandDNA = loadBrandDNA(client.id);
+  const brandName = brandDNA?.business_name || client.name;
+  const html = renderEmailHtml(copy, {
+    name: brandName, logoUrl: brandDNA?.logo_url, color: brandDNA?.primary_colors?.[0], products,
+  });
+
+  const campaign = await mailchimp.createCampaign({
+    audienceId: audience.id,
+    segmentId: segment?.id,
+    subject: copy.subjectLines[0],
+    previewText: copy.previewText,
+    title: `${goal || 'Campaign'} — ${new Date().toISOString().slice(0, 10)}`.slice(0, 100),
+    fromName: audience.fromName || brandName,
+    replyTo: audience.fromEmail,
+    html,
+    plainText: renderPlainText(copy, products),
+  });
+
+  auditLog({
+    action: 'email_campaign_drafted',
+    workflow: 'email-marketing',
+    clientId: client.id,
+    platform: 'mailchimp',
+    details: { campaignId: campaign.id, audienceId: audience.id, tag: segment?.name || null, subject: copy.subjectLines[0] },
+    result: 'success',
+  });
+
+  return {
+    campaignId: campaign.id,
+    webId: campaign.webId,
+    audience: audience.name,
+    audienceMembers: audience.memberCount,
+    tag: segment?.name || null,
+    tagMembers: segment?.memberCount ?? null,
+    ...copy,
+    products: products.map(p => p.title),
+  };
+}
+
+/**
+ * Schedule a drafted campaign for delivery, after Mailchimp's send checklist
+ * passes. Called once the approval is granted.
+ * @param {object} client
+ * @param {object} opts
+ * @param {string} opts.campaignId
+ * @param {string} [opts.sendAt] - ISO timestamp; rounded up to the next quarter hour (default: as soon as possible)
+ * @param {string} [opts.approvedBy]
+ */
+export async function scheduleEmailCampaign(client, { campaignId, sendAt, approvedBy } = {}) {
+  const mailchimp = getMailchimpClient(client);
+  if (!mailchimp) throw new Error(`Mailchimp is not connected for ${client.name}`);
+
+  const checklist = await mailchimp.getSendChecklist(campaignId);
+  if (!checklist.isReady) throw new Error(`Mailchimp can't send this campaign yet: ${checklist.items.join('; ')}`);
+
+  const scheduleTime = nextScheduleSlot(sendAt || new Date());
+  await mailchimp.scheduleCampaign(campaignId, scheduleTime);
+  auditLog({
+    action: 'email_campaign_scheduled',
+    workflow: 'email-marketing',
+    clientId: client.id,
+    platform: 'mailchimp',
+    details: { campaignId, scheduleTime },
+    approvedBy,
+    result: 'success',
+  });
+  return { campaignId, scheduleTime };
+}
+
+export default {
+  getMailchimpClient, resolveAudience, buildMembers, syncAudienceContacts,
+  summarizeEmailReports, getEmailPerformance, renderEmailHtml, draftEmailCampaign, scheduleEmailCampaign,
+};
@@ -0,0 +1,232 @@
+/**
+ * Experiment statistics for A/B tests on rate metrics (CTR, conversion rate).
+ *
+ * - Two-proportion z-test (frequentist significance and confidence)
+ * - Bayesian beta-binomial probability that one variant beats another
+ * - Minimum sample size and achieved power
+ * - Sequential stopping: each weekly look is checked against an
+ *   O'Brien–Fleming-shaped boundary (z_{α/2} / √t at information fraction t),
+ *   so peeking every week does not inflate the false positive rate
+ *
+ * Pure functions — no I/O. Rates are fractions (0.02 = 2%).
+ */
+
+const DEFAULT_ALPHA = 0.05;
+const DEFAULT_POWER = 0.8;
+const DEFAULT_MIN_DETECTABLE_LIFT = 0.1; // relative, 10%
+// Looks before this share of the planned sample are too noisy to act on
+const MIN_INFORMATION_FRACTION = 0.1;
+const BETA_PRIOR = { alpha: 1, beta: 1 }; // uniform
+
+// --- Distributions ---
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation).
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation).
+ */
+export function normalQuantile(p) {
+  if (p <= 0 || p >= 1) throw new Error(`Quantile probability must be in (0, 1), got ${p}`);
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function logGamma(x) {
+  // Lanczos approximation (g = 7)
+  const coef = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let sum = coef[0];
+  for (let i = 1; i < 9; i++) sum += coef[i] / (x + i);
+  const t = x + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+// --- Tests ---
+
+/**
+ * Two-sided two-proportion z-test with a pooled standard error.
+ * @param {object} a - { successes, trials } (control)
+ * @param {object} b - { successes, trials } (challenger)
+ * @returns {{ rateA, rateB, liftPct, z, pValue, confidence }} confidence is (1 − p) as a percentage
+ */
+export function twoProportionZTest(a, b) {
+  const rateA = a.trials > 0 ? a.successes / a.trials : 0;
+  const rateB = b.trials > 0 ? b.successes / b.trials : 0;
+  const pooled = (a.successes + b.successes) / (a.trials + b.trials || 1);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / (a.trials || 1) + 1 / (b.trials || 1)));
+  const z = se > 0 ? (rateB - rateA) / se : 0;
+  const pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+  return {
+    rateA,
+    rateB,
+    liftPct: rateA > 0 ? ((rateB - rateA) / rateA) * 100 : null,
+    z,
+    pValue,
+    confidence: (1 - pValue) * 100,
+  };
+}
+
+/**
+ * Posterior probability that B's true rate exceeds A's under independent
+ * Beta(1, 1) priors — exact closed form, summed in log space.
+ * @param {object} a - { successes, trials }
+ * @param {object} b - { successes, trials }
+ * @returns {number} P(rate_B > rate_A), 0..1
+ */
+export function probabilityBBeatsA(a, b) {
+  const alphaA = Math.round(a.successes) + BETA_PRIOR.alpha;
+  const betaA = Math.round(a.trials - a.successes) + BETA_PRIOR.beta;
+  const alphaB = Math.round(b.successes) + BETA_PRIOR.alpha;
+  const betaB = Math.round(b.trials - b.successes) + BETA_PRIOR.beta;
+
+  // The sum runs over alpha of one side; use the smaller one and the complement
+  if (alphaB > alphaA) {
+    return 1 - probabilityBBeatsA(b, a);
+  }
+  let total = 0;
+  const base = logBeta(alphaA, betaA);
+  for (let i = 0; i < alphaB; i++) {
+    total += Math.exp(logBeta(alphaA + i, betaA + betaB) - Math.log(betaB + i) - logBeta(1 + i, betaB) - base);
+  }
+  return Math.min(1, Math.max(0, total));
+}
+
+// --- Planning ---
+
+/**
+ * Sample size per variant needed to detect a relative lift over the baseline rate.
+ * @param {object} opts - { baselineRate, minDetectableLift, alpha, power }
+ * @returns {number} Trials per variant (Infinity when the baseline rate is 0)
+ */
+export function requiredSampleSize({
+  baselineRate, minDetectableLift = DEFAULT_MIN_DETECTABLE_LIFT, alpha = DEFAULT_ALPHA, power = DEFAULT_POWER,
+}) {
+  const p1 = baselineRate;
+  const p2 = Math.min(0.9999, p1 * (1 + minDetectableLift));
+  if (!(p1 > 0) || p2 === p1) return Infinity;
+  const pBar = (p1 + p2) / 2;
+  const zAlpha = normalQuantile(1 - alpha / 2);
+  const zBeta = normalQuantile(power);
+  const numerator = zAlpha * Math.sqrt(2 * pBar * (1 - pBar)) + zBeta * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2));
+  return Math.ceil(numerator ** 2 / (p2 - p1) ** 2);
+}
+
+/**
+ * Power of a two-sided test to detect the difference between two true rates
+ * with the given sample sizes.
+ */
+export function achievedPower({ rateA, rateB, trialsA, trialsB, alpha = DEFAULT_ALPHA }) {
+  if (!(trialsA > 0 && trialsB > 0) || rateA === rateB) return 0;
+  const pBar = (rateA * trialsA + rateB * trialsB) / (trialsA + trialsB);
+  const seNull = Math.sqrt(pBar * (1 - pBar) * (1 / trialsA + 1 / trialsB));
+  const seAlt = Math.sqrt((rateA * (1 - rateA)) / trialsA + (rateB * (1 - rateB)) / trialsB);
+  if (seAlt === 0) return 1;
+  return normalCdf((Math.abs(rateB - rateA) - normalQuantile(1 - alpha / 2) * seNull) / seAlt);
+}
+
+// --- Sequential testing ---
+
+/**
+ * Critical |z| at an interim look. Strict early, relaxing to z_{α/2} once
+ * the planned sample is reached.
+ * @param {number} informationFraction - Share of the planned sample collected (0..1]
+ */
+export function sequentialBoundary(informationFraction, alpha = DEFAULT_ALPHA) {
+  const t = Math.min(1, Math.max(informationFraction, Number.EPSILON));
+  return normalQuantile(1 - alpha / 2) / Math.sqrt(t);
+}
+
+/**
+ * Decide whether to stop a test at this look.
+ * @returns {{ decision: 'continue'|'stop_significant'|'stop_inconclusive', boundary: number }}
+ */
+export function sequentialDecision({ z, informationFraction, alpha = DEFAULT_ALPHA }) {
+  const boundary = sequentialBoundary(informationFraction, alpha);
+  if (informationFraction < MIN_INFORMATION_FRACTION) return { decision: 'continue', boundary };
+  if (Math.abs(z) >= boundary) return { decision: 'stop_significant', boundary };
+  if (informationFraction >= 1) return { decision: 'stop_inconclusive', boundary };
+  return { decision: 'continue', boundary };
+}
+
+// --- Experiment evaluation ---
+
+/**
+ * Evaluate a multi-variant test on a rate metric. The best variant is tested
+ * against the runner-up, with a Bonferroni-corrected alpha when there are more
+ * than two variants.
+ *
+ * @param {Array<{ name: string, successes: number, trials: number }>} variants
+ * @param {object} [opts] - { alpha, power, minDetectableLift }
+ * @returns {object} Status ('running' | 'complete' | 'inconclusive'), winner/loser,
+ *   confidence (%), probabilityToBeat (%), lift, sample progress and power
+ */
+export function evaluateExperiment(variants, {
+  alpha = DEFAULT_ALPHA, power = DEFAULT_POWER, minDetectableLift = DEFAULT_MIN_DETECTABLE_LIFT,
+} = {}) {
+  const usable = variants.filter(v => v.trials > 0);
+  if (usable.length < 2) return { status: 'running', reason: 'Fewer than two variants with data' };
+
+  const ranked = usable
+    .map(v => ({ ...v, rate: v.successes / v.trials }))
+    .sort((x, y) => y.rate - x.rate);
+  const [best, runnerUp] = ranked;
+  const testAlpha = alpha / (ranked.length - 1);
+
+  const zTest = twoProportionZTest(runnerUp, best);
+  const baselineRate = runnerUp.rate > 0 ? runnerUp.rate : (best.successes + runnerUp.successes) / (best.trials + runnerUp.trials);
+  const requiredPerVariant = requiredSampleSize({ baselineRate, minDetectableLift, alpha: testAlpha, power });
+  const samplePerVariant = Math.min(best.trials, runnerUp.trials);
+  const informationFraction = Number.isFinite(requiredPerVariant) ? samplePerVariant / requiredPerVariant : 0;
+  const { decision, boundary } = sequentialDecision({ z: zTest.z, informationFraction, alpha: testAlpha });
+
+  const status = { stop_significant: 'complete', stop_inconclusive: 'inconclusive', continue: 'running' }[decision];
+  return {
+    status,
+    winner: status === 'complete' ? best.name : null,
+    loser: status === 'complete' ? runnerUp.name : null,
+    confidence: Math.round(zTest.confidence * 10) / 10,
+    pValue: zTest.pValue,
+    z: zTest.z,
+    boundary,
+    alpha: testAlpha,
+    probabilityToBeat: Math.round(probabilityBBeatsA(runnerUp, best) * 1000) / 10,
+    liftPct: zTest.liftPct === null ? null : Math.round(zTest.liftPct * 10) / 10,
+    requiredPerVariant,
+    samplePerVariant,
+    informationFraction,
+    power: achievedPower({ rateA: runnerUp.rate, rateB: best.rate, trialsA: runnerUp.trials, trialsB: best.trials, alpha: testAlpha }),
+    variants: ranked.map(v => ({ name: v.name, successes: v.successes, trials: v.trials, rate: v.rate })),
+  };
+}
+
+export default {
+  normalCdf, normalQuantile, twoProportionZTest, probabilityBBeatsA, requiredSampleSize,
+  achievedPower, sequentialBoundary, sequentialDecision, evaluateExperiment,
+};
@@ -1,274 +1,507 @@
 import Database from 'better-sqlite3';
 import { v4 as uuid } from 'uuid';
 import logger from '../utils/logger.js';
+import { redactFields, reportRedaction } from '../utils/redact.js';
+import { runMigrations, addColumn } from './migrations.js';
 
 const log = logger.child({ workflow: 'knowledge-base' });
 const DB_PATH = process.env.KB_DB_PATH || 'data/knowledge.db';
 
+// Schema history of the knowledge base (see services/migrations.js). Versions
+// 1–12 predate versioned migrations and are idempotent so existing databases
+// can be baselined; append new migrations at the end, never edit shipped ones.
+const KB_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS clients (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      hubspot_id TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+
+      -- Business info
+      industry TEXT,
+      website TEXT,
+      description TEXT,
+      target_audience TEXT,
+      competitors TEXT, -- JSON array
+
+      -- Brand guidelines
+      brand_voice TEXT,
+      brand_colors TEXT, -- JSON array
+      brand_fonts TEXT,
+      logo_drive_id TEXT,
+      brand_book_drive_id TEXT,
+
+      -- Goals & Budgets
+      monthly_budget_cents INTEGER DEFAULT 0,
+      target_roas REAL DEFAULT 0,
+      target_cpa_cents INTEGER DEFAULT 0,
+      primary_kpi TEXT,
+      goals TEXT, -- JSON
+
+      -- Account IDs
+      meta_ad_account_id TEXT,
+      google_ads_customer_id TEXT,
+      tiktok_advertiser_id TEXT,
+      twitter_ads_account_id TEXT,
+
+      -- Drive folders
+      drive_root_folder_id TEXT,
+      drive_reports_folder_id TEXT,
+      drive_creatives_folder_id TEXT,
+      drive_plans_folder_id TEXT,
+
+      -- ClickUp
+      clickup_list_id TEXT,
+
+      -- Status
+      status TEXT DEFAULT 'active',
+      onboarding_complete INTEGER DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS campaign_history (
+      id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      platform TEXT NOT NULL,
+      campaign_id TEXT NOT NULL,
+      campaign_name TEXT,
+      objective TEXT,
+      start_date TEXT,
+      end_date TEXT,
+      budget_cents INTEGER,
+      spend_cents INTEGER,
+      impressions INTEGER DEFAULT 0,
+      clicks INTEGER DEFAULT 0,
+      conversions REAL DEFAULT 0,
+      conversion_value_cents INTEGER DEFAULT 0,
+      roas REAL DEFAULT 0,
+      cpa_cents INTEGER DEFAULT 0,
+      notes TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS creative_library (
+      id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      platform TEXT,
+      campaign_id TEXT,
+      creative_type TEXT, -- image, video, text, carousel
+      headline TEXT,
+      body_copy TEXT,
+      cta TEXT,
+      image_url TEXT,
+      drive_file_id TEXT,
+      impressions INTEGER DEFAULT 0,
+      clicks INTEGER DEFAULT 0,
+      conversions REAL DEFAULT 0,
+      ctr REAL DEFAULT 0,
+      cpa_cents INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'active', -- active, paused, fatigued, archived
+      days_running INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS test_results (
+      id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      platform TEXT,
+      test_type TEXT, -- creative, audience, placement, bid
+      test_name TEXT,
+      hypothesis TEXT,
+      variant_a TEXT,
+      variant_b TEXT,
+      winner TEXT,
+      confidence REAL,
+      metric_name TEXT,
+      metric_a REAL,
+      metric_b REAL,
+      improvement_pct REAL,
+      start_date TEXT,
+      end_date TEXT,
+      status TEXT DEFAULT 'running', -- running, complete, inconclusive
+      notes TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS competitor_intel (
+      id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      competitor_name TEXT NOT NULL,
+      date_collected TEXT DEFAULT (date('now')),
+      ad_themes TEXT, -- JSON array of themes
+      offers TEXT,
+      creative_approach TEXT,
+      landing_page_url TEXT,
+      notes TEXT,
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS benchmarks (
+      id TEXT PRIMARY KEY,
+      industry TEXT NOT NULL,
+      platform TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      value REAL NOT NULL,
+      source TEXT,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS client_contacts (
+      id TEXT PRIMARY KEY,
+      client_id TEXT,
+      phone TEXT UNIQUE,
+      name TEXT,
+      email TEXT,
+      role TEXT DEFAULT 'owner',
+      channel TEXT DEFAULT 'whatsapp',
+      language TEXT DEFAULT 'en',
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS onboarding_sessions (
+      id TEXT PRIMARY KEY,
+      phone TEXT NOT NULL,
+      status TEXT DEFAULT 'in_progress',
+      current_step TEXT DEFAULT 'name',
+      answers TEXT DEFAULT '{}',
+      client_id TEXT,
+      leadsie_invite_id TEXT,
+      drive_folder_url TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS pending_clients (
+      id TEXT PRIMARY KEY,
+      token TEXT UNIQUE NOT NULL,
+      email TEXT,
+      plan TEXT,
+      name TEXT,
+      status TEXT DEFAULT 'pending',
+      channel TEXT,
+      chat_id TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      activated_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS conversation_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id TEXT NOT NULL,
+      channel TEXT NOT NULL DEFAULT 'whatsapp',
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_campaign_client ON campaign_history(client_id);
+    CREATE INDEX IF NOT EXISTS idx_creative_client ON creative_library(client_id);
+    CREATE INDEX IF NOT EXISTS idx_test_client ON test_results(client_id);
+    CREATE INDEX IF NOT EXISTS idx_competitor_client ON competitor_intel(client_id);
+    CREATE INDEX IF NOT EXISTS idx_contact_phone ON client_contacts(phone);
+    CREATE INDEX IF NOT EXISTS idx_contact_client ON client_contacts(client_id);
+    CREATE INDEX IF NOT EXISTS idx_onboarding_phone ON onboarding_sessions(phone);
+    CREATE INDEX IF NOT EXISTS idx_pending_token ON pending_clients(token);
+    CREATE INDEX IF NOT EXISTS idx_convo_chat ON conversation_history(chat_id);
+    `),
+  },
+  // Onboarding channel; location, channels and Drive folders on clients
+  {
+    version: 2,
+    name: 'client_profile_and_drive_folders',
+    up: (d) => {
+      addColumn(d, 'onboarding_sessions', 'channel', "TEXT DEFAULT 'whatsapp'");
+      addColumn(d, 'clients', 'location', 'TEXT');
+      addColumn(d, 'clients', 'channels_have', 'TEXT');
+      addColumn(d, 'clients', 'channels_need', 'TEXT');
+      addColumn(d, 'clients', 'product_service', 'TEXT');
+      addColumn(d, 'clients', 'drive_brand_assets_folder_id', 'TEXT');
+      addColumn(d, 'clients', 'drive_audits_folder_id', 'TEXT');
+      addColumn(d, 'clients', 'drive_competitor_research_folder_id', 'TEXT');
+    },
+  },
+  // Language and extra signup form fields on pending_clients
+  {
+    version: 3,
+    name: 'pending_client_form_fields',
+    up: (d) => {
+      addColumn(d, 'pending_clients', 'language', "TEXT DEFAULT 'en'");
+      addColumn(d, 'pending_clients', 'phone', 'TEXT');
+      addColumn(d, 'pending_clients', 'website', 'TEXT');
+      addColumn(d, 'pending_clients', 'business_name', 'TEXT');
+      addColumn(d, 'pending_clients', 'business_description', 'TEXT');
+      addColumn(d, 'pending_clients', 'product_service', 'TEXT');
+    },
+  },
+  // Plan and conversation log doc on clients; language on sessions and contacts
+  {
+    version: 4,
+    name: 'plans_languages_and_conversation_log',
+    up: (d) => {
+      addColumn(d, 'clients', 'plan', "TEXT DEFAULT 'smb'");
+      addColumn(d, 'clients', 'conversation_log_doc_id', 'TEXT');
+      addColumn(d, 'onboarding_sessions', 'language', "TEXT DEFAULT 'en'");
+      addColumn(d, 'client_contacts', 'language', "TEXT DEFAULT 'en'");
+    },
+  },
+  // Expanded onboarding fields on clients
+  {
+    version: 5,
+    name: 'expanded_onboarding_fields',
+    up: (d) => {
+      addColumn(d, 'clients', 'pricing', 'TEXT');
+      addColumn(d, 'clients', 'pains', 'TEXT');
+      addColumn(d, 'clients', 'company_size', 'TEXT');
+      addColumn(d, 'clients', 'sales_cycle', 'TEXT');
+      addColumn(d, 'clients', 'avg_transaction_value', 'TEXT');
+      addColumn(d, 'clients', 'current_campaigns', 'TEXT');
+      addColumn(d, 'clients', 'sales_process', 'TEXT');
+      addColumn(d, 'clients', 'additional_info', 'TEXT');
+      addColumn(d, 'clients', 'drive_profile_sheet_id', 'TEXT');
+    },
+  },
+  // Channel on client_contacts for cross-channel identity
+  {
+    version: 6,
+    name: 'contact_channel',
+    up: (d) => {
+      addColumn(d, 'client_contacts', 'channel', "TEXT DEFAULT 'whatsapp'");
+    },
+  },
+  // Platforms requested via Leadsie, so Sofia can follow up on missing access
+  {
+    version: 7,
+    name: 'leadsie_requested_platforms',
+    up: (d) => {
+      addColumn(d, 'clients', 'requested_platforms', 'TEXT');
+      addColumn(d, 'pending_clients', 'requested_platforms', 'TEXT');
+      addColumn(d, 'pending_clients', 'leadsie_invite_id', 'TEXT');
+    },
+  },
+  // CMS / DNS / CRM platform details granted via Leadsie OAuth. The secret columns
+  // (app password, access tokens, API key) are legacy: secrets now live in the
+  // credential vault (services/credential-vault.js), which empties them.
+  {
+    version: 8,
+    name: 'platform_credentials',
+    up: (d) => {
+      addColumn(d, 'clients', 'wordpress_url', 'TEXT');
+      addColumn(d, 'clients', 'wordpress_username', 'TEXT');
+      addColumn(d, 'clients', 'wordpress_app_password', 'TEXT');
+      addColumn(d, 'clients', 'shopify_store_url', 'TEXT');
+      addColumn(d, 'clients', 'shopify_access_token', 'TEXT');
+      addColumn(d, 'clients', 'godaddy_domain', 'TEXT');
+      addColumn(d, 'clients', 'godaddy_api_key', 'TEXT');
+      addColumn(d, 'clients', 'hubspot_access_token', 'TEXT');
+      addColumn(d, 'clients', 'ga4_property_id', 'TEXT');
+      addColumn(d, 'clients', 'cms_platform', 'TEXT');
+    },
+  },
+  // Brand DNA JSON per client
+  {
+    version: 9,
+    name: 'brand_dna',
+    up: (d) => {
+      addColumn(d, 'clients', 'brand_dna', 'TEXT');
+    },
+  },
+  // Per-client safety policy overrides (JSON, see services/safety-policy.js)
+  {
+    version: 10,
+    name: 'client_safety_policy',
+    up: (d) => {
+      addColumn(d, 'clients', 'safety_policy', 'TEXT');
+    },
+  },
+  // Per-client budget pacing settings (JSON, see workflows/budget-pacing.js)
+  {
+    version: 11,
+    name: 'client_pacing_settings',
+    up: (d) => {
+      addColumn(d, 'clients', 'pacing_settings', 'TEXT');
+    },
+  },
+  // Delivery timezone and quiet hours (see services/client-delivery.js).
+  // A contact's own values take precedence over its client's.
+  {
+    version: 12,
+    name: 'client_delivery_settings',
+    up: (d) => {
+      addColumn(d, 'clients', 'timezone', 'TEXT');
+      addColumn(d, 'clients', 'quiet_hours_start', 'TEXT');
+      addColumn(d, 'clients', 'quiet_hours_end', 'TEXT');
+      addColumn(d, 'client_contacts', 'timezone', 'TEXT');
+      addColumn(d, 'client_contacts', 'quiet_hours_start', 'TEXT');
+      addColumn(d, 'client_contacts', 'quiet_hours_end', 'TEXT');
+    },
+  },
+  // Mailchimp audience used for syncs and campaigns (services/email-marketing.js).
+  // The access token lives in the credential vault.
+  {
+    version: 13,
+    name: 'mailchimp_audience',
+    up: (d) => {
+      addColumn(d, 'clients', 'mailchimp_audience_id', 'TEXT');
+    },
+  },
+  // Tables that credential-vault.js, metrics-warehouse.js and anomaly-detection.js
+  // used to create on first use. Kept idempotent: existing databases already have them.
+  // Encrypted per-client credentials (services/credential-vault.js)
+  {
+    version: 14,
+    name: 'client_secrets',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS client_secrets (
+      owner_id TEXT NOT NULL, -- client ID, or pending:<token>
+      name TEXT NOT NULL,
+      ciphertext TEXT NOT NULL, -- secret under the record's data key
+      wrapped_key TEXT NOT NULL, -- data key under the master key
+      key_id TEXT NOT NULL, -- which master key wraps the data key
+      updated_by TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (owner_id, name)
+    );
+    `),
+  },
+  // Daily metrics warehouse and ingestion runs (services/metrics-warehouse.js)
+  {
+    version: 15,
+    name: 'metrics_warehouse',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS daily_metrics (
+      client_id TEXT NOT NULL,
+      platform TEXT NOT NULL,
+      level TEXT NOT NULL, -- campaign, adset, ad
+      entity_id TEXT NOT NULL,
+      entity_name TEXT,
+      date TEXT NOT NULL, -- YYYY-MM-DD
+      spend_cents INTEGER DEFAULT 0,
+      impressions INTEGER DEFAULT 0,
+      clicks INTEGER DEFAULT 0,
+      conversions REAL DEFAULT 0,
+      conversion_value_cents INTEGER DEFAULT 0,
+      reach INTEGER,
+      frequency REAL,
+      ingested_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (platform, level, entity_id, date)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_daily_metrics_client_date ON daily_metrics(client_id, date);
+
+    CREATE TABLE IF NOT EXISTS metrics_ingestion_runs (
+      id TEXT PRIMARY KEY,
+      trigger TEXT NOT NULL, -- schedule, backfill, manual
+      client_id TEXT,
+      platform TEXT,
+      since TEXT NOT NULL,
+      until TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'running', -- running, success, partial, failed
+      rows_upserted INTEGER DEFAULT 0,
+      errors TEXT, -- JSON array
+      started_at TEXT DEFAULT (datetime('now')),
+      finished_at TEXT
+    );
+    `),
+  },
+  // Detected anomalies and silences (services/anomaly-detection.js)
+  {
+    version: 16,
+    name: 'anomalies',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS anomalies (
+      id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      platform TEXT NOT NULL,
+      level TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      entity_name TEXT,
+      metric TEXT NOT NULL,
+      date TEXT NOT NULL,
+      value REAL,
+      expected REAL,
+      z_score REAL,
+      change_pct REAL,
+      severity TEXT NOT NULL, -- warning, critical
+      description TEXT,
+      status TEXT NOT NULL DEFAULT 'open', -- open, silenced
+      detected_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (platform, level, entity_id, metric, date)
+    );
+
+    CREATE TABLE IF NOT EXISTS anomaly_silences (
+      id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      platform TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      metric TEXT, -- NULL silences every metric for the entity
+      until TEXT, -- YYYY-MM-DD inclusive, NULL = until removed
+      reason TEXT,
+      silenced_by TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_anomalies_client_date ON anomalies(client_id, date);
+    `),
+  },
+  {
+    version: 17,
+    name: 'processed_messages',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS processed_messages (
+      id TEXT PRIMARY KEY, -- WhatsApp message ID, or tg-<update_id>
+      processed_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_processed_messages_at ON processed_messages(processed_at);
+    `),
+  },
+  {
+    version: 18,
+    name: 'deferred_client_messages',
+    up: (d) => d.exec(`
+    CREATE TABLE IF NOT EXISTS deferred_client_messages (
+      id TEXT PRIMARY KEY,
+      client_id TEXT,
+      phone TEXT NOT NULL,
+      kind TEXT NOT NULL, -- morning-briefing, check-in
+      message TEXT NOT NULL,
+      deliver_after TEXT NOT NULL, -- UTC, when the contact's quiet hours end
+      status TEXT NOT NULL DEFAULT 'pending', -- pending, sent, failed, dropped
+      error TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      delivered_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_deferred_client_messages_due ON deferred_client_messages(status, deliver_after);
+    `),
+  },
+];
+
+export const KB_SCHEMA = {
+  store: 'knowledge-base',
+  dbPath: DB_PATH,
+  detectTable: 'clients',
+  baselineVersion: 12,
+  migrations: KB_MIGRATIONS,
+};
+
 let db;
 
 function getDb() {
   if (!db) {
-    db = new Database(DB_PATH);
-    db.pragma('journal_mode = WAL');
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS clients (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL UNIQUE,
-        hubspot_id TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        updated_at TEXT DEFAULT (datetime('now')),
-
-        -- Business info
-        industry TEXT,
-        website TEXT,
-        description TEXT,
-        target_audience TEXT,
-        competitors TEXT, -- JSON array
-
-        -- Brand guidelines
-        brand_voice TEXT,
-        brand_colors TEXT, -- JSON array
-        brand_fonts TEXT,
-        logo_drive_id TEXT,
-        brand_book_drive_id TEXT,
-
-        -- Goals & Budgets
-        monthly_budget_cents INTEGER DEFAULT 0,
-        target_roas REAL DEFAULT 0,
-        target_cpa_cents INTEGER DEFAULT 0,
-        primary_kpi TEXT,
-        goals TEXT, -- JSON
-
-        -- Account IDs
-        meta_ad_account_id TEXT,
-        google_ads_customer_id TEXT,
-        tiktok_advertiser_id TEXT,
-        twitter_ads_account_id TEXT,
-
-        -- Drive folders
-        drive_root_folder_id TEXT,
-        drive_reports_folder_id TEXT,
-        drive_creatives_folder_id TEXT,
-        drive_plans_folder_id TEXT,
-
-        -- ClickUp
-        clickup_list_id TEXT,
-
-        -- Status
-        status TEXT DEFAULT 'active',
-        onboarding_complete INTEGER DEFAULT 0
-      );
-
-      CREATE TABLE IF NOT EXISTS campaign_history (
-        id TEXT PRIMARY KEY,
-        client_id TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        campaign_id TEXT NOT NULL,
-        campaign_name TEXT,
-        objective TEXT,
-        start_date TEXT,
-        end_date TEXT,
-        budget_cents INTEGER,
-        spend_cents INTEGER,
-        impressions INTEGER DEFAULT 0,
-        clicks INTEGER DEFAULT 0,
-        conversions REAL DEFAULT 0,
-        conversion_value_cents INTEGER DEFAULT 0,
-        roas REAL DEFAULT 0,
-        cpa_cents INTEGER DEFAULT 0,
-        notes TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY (client_id) REFERENCES clients(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS creative_library (
-        id TEXT PRIMARY KEY,
-        client_id TEXT NOT NULL,
-        platform TEXT,
-        campaign_id TEXT,
-        creative_type TEXT, -- image, video, text, carousel
-        headline TEXT,
-        body_copy TEXT,
-        cta TEXT,
-        image_url TEXT,
-        drive_file_id TEXT,
-        impressions INTEGER DEFAULT 0,
-        clicks INTEGER DEFAULT 0,
-        conversions REAL DEFAULT 0,
-        ctr REAL DEFAULT 0,
-        cpa_cents INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'active', -- active, paused, fatigued, archived
-        days_running INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY (client_id) REFERENCES clients(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS test_results (
-        id TEXT PRIMARY KEY,
-        client_id TEXT NOT NULL,
-        platform TEXT,
-        test_type TEXT, -- creative, audience, placement, bid
-        test_name TEXT,
-        hypothesis TEXT,
-        variant_a TEXT,
-        variant_b TEXT,
-        winner TEXT,
-        confidence REAL,
-        metric_name TEXT,
-        metric_a REAL,
-        metric_b REAL,
-        improvement_pct REAL,
-        start_date TEXT,
-        end_date TEXT,
-        status TEXT DEFAULT 'running', -- running, complete, inconclusive
-        notes TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY (client_id) REFERENCES clients(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS competitor_intel (
-        id TEXT PRIMARY KEY,
-        client_id TEXT NOT NULL,
-        competitor_name TEXT NOT NULL,
-        date_collected TEXT DEFAULT (date('now')),
-        ad_themes TEXT, -- JSON array of themes
-        offers TEXT,
-        creative_approach TEXT,
-        landing_page_url TEXT,
-        notes TEXT,
-        FOREIGN KEY (client_id) REFERENCES clients(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS benchmarks (
-        id TEXT PRIMARY KEY,
-        industry TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        metric TEXT NOT NULL,
-        value REAL NOT NULL,
-        source TEXT,
-        updated_at TEXT DEFAULT (datetime('now'))
-      );
-
-      CREATE TABLE IF NOT EXISTS client_contacts (
-        id TEXT PRIMARY KEY,
-        client_id TEXT,
-        phone TEXT UNIQUE,
-        name TEXT,
-        email TEXT,
-        role TEXT DEFAULT 'owner',
-        channel TEXT DEFAULT 'whatsapp',
-        language TEXT DEFAULT 'en',
-        created_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY (client_id) REFERENCES clients(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS onboarding_sessions (
-        id TEXT PRIMARY KEY,
-        phone TEXT NOT NULL,
-        status TEXT DEFAULT 'in_progress',
-        current_step TEXT DEFAULT 'name',
-        answers TEXT DEFAULT '{}',
-        client_id TEXT,
-        leadsie_invite_id TEXT,
-        drive_folder_url TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        updated_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY (client_id) REFERENCES clients(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS pending_clients (
-        id TEXT PRIMARY KEY,
-        token TEXT UNIQUE NOT NULL,
-        email TEXT,
-        plan TEXT,
-        name TEXT,
-        status TEXT DEFAULT 'pending',
-        channel TEXT,
-        chat_id TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        activated_at TEXT
-      );
-
-      CREATE TABLE IF NOT EXISTS conversation_history (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        chat_id TEXT NOT NULL,
-        channel TEXT NOT NULL DEFAULT 'whatsapp',
-        role TEXT NOT NULL,
-        content TEXT NOT NULL,
-        created_at TEXT DEFAULT (datetime('now'))
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_campaign_client ON campaign_history(client_id);
-      CREATE INDEX IF NOT EXISTS idx_creative_client ON creative_library(client_id);
-      CREATE INDEX IF NOT EXISTS idx_test_client ON test_results(client_id);
-      CREATE INDEX IF NOT EXISTS idx_competitor_client ON competitor_intel(client_id);
-      CREATE INDEX IF NOT EXISTS idx_contact_phone ON client_contacts(phone);
-      CREATE INDEX IF NOT EXISTS idx_contact_client ON client_contacts(client_id);
-      CREATE INDEX IF NOT EXISTS idx_onboarding_phone ON onboarding_sessions(phone);
-      CREATE INDEX IF NOT EXISTS idx_pending_token ON pending_clients(token);
-      CREATE INDEX IF NOT EXISTS idx_convo_chat ON conversation_history(chat_id);
-    `);
-
-    // Safe migration: add channel column to onboarding_sessions if missing
-    try { db.exec("ALTER TABLE onboarding_sessions ADD COLUMN channel TEXT DEFAULT 'whatsapp'"); } catch (e) { /* already exists */ }
-
-    // Safe migrations: add location and channels columns to clients
-    try { db.exec("ALTER TABLE clients ADD COLUMN location TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN channels_have TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN channels_need TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN product_service TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN drive_brand_assets_folder_id TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN drive_audits_folder_id TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN drive_competitor_research_folder_id TEXT"); } catch (e) { /* already exists */ }
-
-    // Safe migrations: add language + extra form fields to pending_clients
-    try { db.exec("ALTER TABLE pending_clients ADD COLUMN language TEXT DEFAULT 'en'"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE pending_clients ADD COLUMN phone TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE pending_clients ADD COLUMN website TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE pending_clients ADD COLUMN business_name TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE pending_clients ADD COLUMN business_description TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE pending_clients ADD COLUMN product_service TEXT"); } catch (e) { /* already exists */ }
-
-    // Safe migrations: add plan and conversation_log_doc_id to clients
-    try { db.exec("ALTER TABLE clients ADD COLUMN plan TEXT DEFAULT 'smb'"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN conversation_log_doc_id TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE onboarding_sessions ADD COLUMN language TEXT DEFAULT 'en'"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE client_contacts ADD COLUMN language TEXT DEFAULT 'en'"); } catch (e) { /* already exists */ }
-
-    // Safe migrations: expanded onboarding fields on clients
-    try { db.exec("ALTER TABLE clients ADD COLUMN pricing TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN pains TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN company_size TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN sales_cycle TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN avg_transaction_value TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN current_campaigns TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN sales_process TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN additional_info TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN drive_profile_sheet_id TEXT"); } catch (e) { /* already exists */ }
-
-    // Safe migration: add channel to client_contacts for cross-channel identity
-    try { db.exec("ALTER TABLE client_contacts ADD COLUMN channel TEXT DEFAULT 'whatsapp'"); } catch (e) { /* already exists */ }
-
-    // Safe migration: track which platforms were requested via Leadsie so Sofia can follow up on missing access
-    try { db.exec("ALTER TABLE clients ADD COLUMN requested_platforms TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE pending_clients ADD COLUMN requested_platforms TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE pending_clients ADD COLUMN leadsie_invite_id TEXT"); } catch (e) { /* already exists */ }
-
-    // Safe migrations: CMS / DNS / CRM platform credentials (granted via Leadsie OAuth)
-    try { db.exec("ALTER TABLE clients ADD COLUMN wordpress_url TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN wordpress_username TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN wordpress_app_password TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN shopify_store_url TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN shopify_access_token TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN godaddy_domain TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN godaddy_api_key TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN hubspot_access_token TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN ga4_property_id TEXT"); } catch (e) { /* already exists */ }
-    try { db.exec("ALTER TABLE clients ADD COLUMN cms_platform TEXT"); } catch (e) { /* already exists */ }
-
-    // Safe migration: Brand DNA JSON storage per client
-    try { db.exec("ALTER TABLE clients ADD COLUMN brand_dna TEXT"); } catch (e) { /* already exists */ }
+    const conn = new Database(DB_PATH);
+    conn.pragma('journal_mode = WAL');
+    runMigrations(conn, KB_SCHEMA);
+    db = conn;
   }
   return db;
 }
@@ -356,7 +589,7 @@ export function updateOnboardingSession(id, updates) {
   for (const [key, value] of Object.entries(updates)) {
     const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
     fields.push(`${dbKey} = ?`);
-    values.push(typeof value === 'object' ? JSON.stringify(value) : value);
+    values.push(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
   }
   fields.push("updated_at = datetime('now')");
   values.push(id);
@@ -427,7 +660,7 @@ export function updateClient(id, updates) {
   for (const [key, value] of Object.entries(updates)) {
     const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
     fields.push(`${dbKey} = ?`);
-    values.push(typeof value === 'object' ? JSON.stringify(value) : value);
+    values.push(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
   }
   fields.push("updated_at = datetime('now')");
   values.push(id);
@@ -517,6 +750,17 @@ export function recordTestResult(data) {
   );
 }
 
+export function getTestResults(clientId, { testName, status, limit = 50 } = {}) {
+  const d = getDb();
+  let query = 'SELECT * FROM test_results WHERE client_id = ?';
+  const params = [clientId];
+  if (testName) { query += ' AND test_name = ?'; params.push(testName); }
+  if (status) { query += ' AND status = ?'; params.push(status); }
+  query += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(limit);
+  return d.prepare(query).all(...params);
+}
+
 // --- Benchmarks ---
 
 export function getBenchmark(industry, platform, metric) {
@@ -657,9 +901,15 @@ export function getPendingClientByLeadsieInvite(inviteId) {
 
 // --- Persistent Conversation History ---
 
+/**
+ * Store a conversation message. PII and secrets in the content are masked
+ * first; chat_id is kept as is, it routes the conversation.
+ */
 export function saveMessage(chatId, channel, role, content) {
   const d = getDb();
-  d.prepare('INSERT INTO conversation_history (chat_id, channel, role, content) VALUES (?, ?, ?, ?)').run(chatId, channel, role, content);
+  const { value, findings } = redactFields(content, { field: 'content' });
+  d.prepare('INSERT INTO conversation_history (chat_id, channel, role, content) VALUES (?, ?, ?, ?)').run(chatId, channel, role, value);
+  reportRedaction({ source: 'conversation', context: `${channel}:${role}`, chatId, findings });
 }
 
 export function getMessages(chatId, limit = 40) {
@@ -699,6 +949,20 @@ export function clearMessages(chatId) {
   d.prepare('DELETE FROM conversation_history WHERE chat_id = ?').run(chatId);
 }
 
+/**
+ * Record an incoming message or update ID. Returns false if it was already
+ * recorded, so webhook retries and replays are handled once across restarts.
+ */
+export function markMessageProcessed(messageId) {
+  const d = getDb();
+  return d.prepare('INSERT OR IGNORE INTO processed_messages (id) VALUES (?)').run(messageId).changes === 1;
+}
+
+export function pruneProcessedMessages(olderThanSeconds) {
+  const d = getDb();
+  return d.prepare("DELETE FROM processed_messages WHERE processed_at < datetime('now', ?)").run(`-${Math.ceil(olderThanSeconds)} seconds`).changes;
+}
+
 // --- Plan-based daily message limits ---
 
 const PLAN_DAILY_LIMITS = {
@@ -758,7 +1022,8 @@ export function getPlanLimits() {
 export function getAllClientContacts() {
   const d = getDb();
   return d.prepare(`
-    SELECT cc.*, c.name as client_name, c.status as client_status, c.onboarding_complete
+    SELECT cc.*, c.name as client_name, c.status as client_status, c.onboarding_complete,
+      c.timezone as client_timezone, c.quiet_hours_start as client_quiet_hours_start, c.quiet_hours_end as client_quiet_hours_end
     FROM client_contacts cc
     LEFT JOIN clients c ON cc.client_id = c.id
     WHERE cc.client_id IS NOT NULL AND (c.status = 'active' OR c.status IS NULL)
@@ -793,13 +1058,13 @@ export default {
   createClient, getClient, getAllClients, updateClient, searchClients,
   recordCampaignPerformance, getClientCampaignHistory,
   saveCreative, getTopCreatives,
-  recordTestResult,
+  recordTestResult, getTestResults,
   getBenchmark, setBenchmark,
   buildClientContext,
   getContactByPhone, createContact, updateContact,
   getOnboardingSession, createOnboardingSession, updateOnboardingSession,
   createPendingClient, getPendingClientByToken, getPendingClientByChatId, activatePendingClient, updatePendingClient, getPendingClientByLeadsieInvite,
-  saveMessage, getMessages, clearMessages,
+  saveMessage, getMessages, clearMessages, markMessageProcessed, pruneProcessedMessages,
   getClientMessageCountToday, checkClientMessageLimit, getPlanLimits,
   getAllClientContacts, getLastClientMessageTime, getContactChannel,
 };
@@ -0,0 +1,192 @@
+/**
+ * Daily metrics warehouse.
+ * Time series of per-day campaign, ad set and ad metrics for every connected
+ * platform, stored in the knowledge base DB so trends, reports and detectors
+ * can be computed locally instead of re-hitting the ad APIs.
+ *
+ * Rows are keyed by (platform, level, entity_id, date) and written with
+ * upserts, so re-ingesting a day (platforms restate recent days as late
+ * conversions come in) simply overwrites it. Reads return the same schema as
+ * src/services/metrics.js.
+ */
+import Database from 'better-sqlite3';
+import { v4 as uuid } from 'uuid';
+import logger from '../utils/logger.js';
+import { KB_SCHEMA } from './knowledge-base.js';
+import { runMigrations } from './migrations.js';
+import { buildMetrics, sumMetrics } from './metrics.js';
+
+const log = logger.child({ workflow: 'metrics-warehouse' });
+const DB_PATH = process.env.KB_DB_PATH || 'data/knowledge.db';
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    runMigrations(db, KB_SCHEMA);
+  }
+  return db;
+}
+
+function parseRow(row) {
+  return buildMetrics({
+    platform: row.platform,
+    level: row.level,
+    id: row.entity_id,
+    name: row.entity_name,
+    date: row.date,
+    spendCents: row.spend_cents,
+    impressions: row.impressions,
+    clicks: row.clicks,
+    conversions: row.conversions,
+    conversionValueCents: row.conversion_value_cents,
+    reach: row.reach,
+    frequency: row.frequency,
+  });
+}
+
+/**
+ * Insert or overwrite daily rows for a client. Rows must be normalized
+ * metrics with a date and an entity id; anything else is skipped.
+ * @returns {number} Rows written
+ */
+export function upsertDailyMetrics(clientId, rows) {
+  const stmt = getDb().prepare(`
+    INSERT INTO daily_metrics (client_id, platform, level, entity_id, entity_name, date,
+      spend_cents, impressions, clicks, conversions, conversion_value_cents, reach, frequency)
+    VALUES (@clientId, @platform, @level, @id, @name, @date,
+      @spendCents, @impressions, @clicks, @conversions, @conversionValueCents, @reach, @frequency)
+    ON CONFLICT (platform, level, entity_id, date) DO UPDATE SET
+      client_id = excluded.client_id,
+      entity_name = COALESCE(excluded.entity_name, daily_metrics.entity_name),
+      spend_cents = excluded.spend_cents,
+      impressions = excluded.impressions,
+      clicks = excluded.clicks,
+      conversions = excluded.conversions,
+      conversion_value_cents = excluded.conversion_value_cents,
+      reach = excluded.reach,
+      frequency = excluded.frequency,
+      ingested_at = datetime('now')
+  `);
+
+  const write = getDb().transaction((items) => {
+    let count = 0;
+    for (const row of items) {
+      if (!row.date || !row.id || row.level === 'account') continue;
+      stmt.run({
+        clientId,
+        platform: row.platform,
+        level: row.level,
+        id: String(row.id),
+        name: row.name || null,
+        date: row.date,
+        spendCents: row.spendCents || 0,
+        impressions: row.impressions || 0,
+        clicks: row.clicks || 0,
+        conversions: row.conversions || 0,
+        conversionValueCents: row.conversionValueCents || 0,
+        reach: row.reach ?? null,
+        frequency: row.frequency ?? null,
+      });
+      count++;
+    }
+    return count;
+  });
+  return write(rows);
+}
+
+function buildFilter({ clientId, platform, level, entityId, since, until }) {
+  const conditions = [];
+  const params = {};
+  if (clientId) { conditions.push('client_id = @clientId'); params.clientId = clientId; }
+  if (platform) { conditions.push('platform = @platform'); params.platform = platform; }
+  if (level) { conditions.push('level = @level'); params.level = level; }
+  if (entityId) { conditions.push('entity_id = @entityId'); params.entityId = String(entityId); }
+  if (since) { conditions.push('date >= @since'); params.since = since; }
+  if (until) { conditions.push('date <= @until'); params.until = until; }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Stored daily rows, oldest first.
+ * @param {object} filter - { clientId, platform, level, entityId, since, until }
+ */
+export function getDailyMetrics(filter = {}) {
+  const { where, params } = buildFilter(filter);
+  return getDb().prepare(`SELECT * FROM daily_metrics ${where} ORDER BY date ASC, platform, entity_id`)
+    .all(params)
+    .map(parseRow);
+}
+
+/**
+ * Totals over a date range, grouped by entity (default), date or platform.
+ * Levels must not be mixed when summing, so pass `level` unless grouping by entity.
+ * @param {object} filter - as getDailyMetrics, plus groupBy: 'entity' | 'date' | 'platform'
+ */
+export function getMetricsTotals({ groupBy = 'entity', ...filter } = {}) {
+  const keyOf = {
+    entity: (r) => `${r.platform}:${r.level}:${r.id}`,
+    date: (r) => r.date,
+    platform: (r) => r.platform,
+  }[groupBy];
+  if (!keyOf) throw new Error(`Unknown groupBy: ${groupBy}`);
+
+  const groups = new Map();
+  for (const row of getDailyMetrics(filter)) {
+    const key = keyOf(row);
+    groups.set(key, [...(groups.get(key) || []), row]);
+  }
+  return [...groups.values()].map(rows => {
+    const first = rows[0];
+    return sumMetrics(rows, {
+      platform: groupBy === 'date' && new Set(rows.map(r => r.platform)).size > 1 ? 'all' : first.platform,
+      id: groupBy === 'entity' ? first.id : null,
+      name: groupBy === 'entity' ? rows[rows.length - 1].name : null,
+      date: groupBy === 'date' ? first.date : null,
+      days: new Set(rows.map(r => r.date)).size,
+    });
+  });
+}
+
+/**
+ * Most recent stored date for a client (optionally one platform), or null.
+ */
+export function getLatestMetricsDate(clientId, platform) {
+  const { where, params } = buildFilter({ clientId, platform });
+  return getDb().prepare(`SELECT MAX(date) AS date FROM daily_metrics ${where}`).get(params)?.date || null;
+}
+
+// --- Ingestion runs ---
+
+export function startIngestionRun({ trigger, clientId = null, platform = null, since, until }) {
+  const id = uuid();
+  getDb().prepare(`
+    INSERT INTO metrics_ingestion_runs (id, trigger, client_id, platform, since, until)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, trigger, clientId, platform, since, until);
+  return id;
+}
+
+export function finishIngestionRun(id, { rowsUpserted = 0, errors = [] } = {}) {
+  const status = errors.length === 0 ? 'success' : rowsUpserted > 0 ? 'partial' : 'failed';
+  getDb().prepare(`
+    UPDATE metrics_ingestion_runs
+    SET status = ?, rows_upserted = ?, errors = ?, finished_at = datetime('now')
+    WHERE id = ?
+  `).run(status, rowsUpserted, errors.length ? JSON.stringify(errors) : null, id);
+  if (status !== 'success') log.warn(`Metrics ingestion run ${id} finished with status ${status}`, { errors: errors.length });
+  return status;
+}
+
+export function getIngestionRuns(limit = 20) {
+  return getDb().prepare('SELECT * FROM metrics_ingestion_runs ORDER BY started_at DESC, rowid DESC LIMIT ?')
+    .all(limit)
+    .map(r => ({ ...r, errors: r.errors ? JSON.parse(r.errors) : [] }));
+}
+
+export default {
+  upsertDailyMetrics, getDailyMetrics, getMetricsTotals, getLatestMetricsDate,
+  startIngestionRun, finishIngestionRun, getIngestionRuns,
+};
@@ -0,0 +1,442 @@
+/**
+ * Cross-platform performance metrics.
+ * Each ad platform reports in its own shape and currency unit; the adapters
+ * below turn every report row into one schema so workflows never parse raw
+ * insights themselves:
+ *
+ *   { platform, level, id, name, date,
+ *     spendCents, impressions, clicks, conversions, conversionValueCents,
+ *     roas, cpaCents, ctr, cpcCents, reach, frequency }
+ *
+ * level is 'account' | 'campaign' | 'adset' | 'ad' on every platform (Google
+ * and TikTok ad groups are 'adset'). ctr is a percentage. reach and frequency
+ * are only reported by Meta and are null elsewhere. date is set when a row
+ * covers a single day (always for daily rows).
+ *
+ * Adding a platform means adding one adapter to ADAPTERS:
+ *   levels:    levels the platform can report on (account totals are summed
+ *              from campaigns when 'account' is missing)
+ *   dailyOnly: true if fetch() always returns one row per day
+ *   fetch:     (accountId, { level, since, until, entityId, daily }) → raw rows
+ *   normalize: (raw row, level) → base metrics (see buildMetrics() below)
+ */
+import * as metaAds from '../api/meta-ads.js';
+import * as googleAds from '../api/google-ads.js';
+import * as tiktokAds from '../api/tiktok-ads.js';
+import * as twitterAds from '../api/twitter-ads.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ workflow: 'metrics' });
+
+export const LEVELS = ['account', 'campaign', 'adset', 'ad'];
+
+// Client column holding each platform's account ID
+export const CLIENT_ACCOUNT_FIELDS = {
+  meta: 'meta_ad_account_id',
+  google: 'google_ads_customer_id',
+  tiktok: 'tiktok_advertiser_id',
+  twitter: 'twitter_ads_account_id',
+};
+
+export const PLATFORM_LABELS = {
+  meta: 'Meta',
+  google: 'Google Ads',
+  tiktok: 'TikTok',
+  twitter: 'X',
+};
+
+// --- Dates ---
+
+function toDateStr(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateStr(d);
+}
+
+/**
+ * Split an inclusive date range into consecutive ranges of at most maxDays.
+ */
+export function chunkDateRange(since, until, maxDays) {
+  const chunks = [];
+  for (let start = since; start <= until; start = addDays(start, maxDays)) {
+    const end = addDays(start, maxDays - 1);
+    chunks.push({ since: start, until: end < until ? end : until });
+  }
+  return chunks;
+}
+
+/**
+ * Resolve a Meta-style date preset to an inclusive UTC date range.
+ * Supports today, yesterday, this_month and last_Nd (N days ending yesterday).
+ */
+export function resolveDatePreset(preset, now = new Date()) {
+  const today = toDateStr(now);
+  if (preset === 'today') return { since: today, until: today };
+  if (preset === 'yesterday') return { since: addDays(today, -1), until: addDays(today, -1) };
+  if (preset === 'this_month') return { since: `${today.slice(0, 8)}01`, until: today };
+  const lastN = /^last_(\d+)d$/.exec(preset || '');
+  if (lastN) return { since: addDays(today, -parseInt(lastN[1])), until: addDays(today, -1) };
+  throw new Error(`Unsupported date preset: ${preset}`);
+}
+
+// --- Schema ---
+
+/**
+ * Build a metrics row in the common schema from its additive base fields
+ * (spendCents, impressions, clicks, conversions, conversionValueCents),
+ * filling in ROAS, CPA, CTR and CPC.
+ */
+export function buildMetrics(base) {
+  const m = {
+    platform: base.platform,
+    level: base.level,
+    id: base.id != null ? String(base.id) : null,
+    name: base.name || null,
+    date: base.date || null,
+    spendCents: Math.round(base.spendCents || 0),
+    impressions: Math.round(base.impressions || 0),
+    clicks: Math.round(base.clicks || 0),
+    conversions: base.conversions || 0,
+    conversionValueCents: Math.round(base.conversionValueCents || 0),
+    reach: base.reach ?? null,
+    frequency: base.frequency ?? null,
+  };
+  m.roas = m.spendCents > 0 ? m.conversionValueCents / m.spendCents : 0;
+  m.cpaCents = m.conversions > 0 ? Math.round(m.spendCents / m.conversions) : 0;
+  m.ctr = m.impressions > 0 ? (m.clicks / m.impressions) * 100 : 0;
+  m.cpcCents = m.clicks > 0 ? Math.round(m.spendCents / m.clicks) : 0;
+  return m;
+}
+
+/**
+ * Sum rows into one (e.g. all campaigns of an account, or several platforms).
+ * Derived metrics are recomputed; reach and frequency are not additive and
+ * are dropped unless there is a single row.
+ */
+export function sumMetrics(rows, fields = {}) {
+  if (rows.length === 1) return { ...rows[0], ...fields };
+  const platforms = [...new Set(rows.map(r => r.platform))];
+  const total = { platform: platforms.length === 1 ? platforms[0] : 'all', level: rows[0]?.level || 'account' };
+  for (const key of ['spendCents', 'impressions', 'clicks', 'conversions', 'conversionValueCents']) {
+    total[key] = rows.reduce((sum, r) => sum + (r[key] || 0), 0);
+  }
+  return { ...buildMetrics(total), ...fields };
+}
+
+// --- Adapters ---
+
+const META_LEVEL_FIELDS = {
+  account: 'account_id,account_name',
+  campaign: 'campaign_id,campaign_name',
+  adset: 'adset_id,adset_name',
+  ad: 'ad_id,ad_name',
+};
+
+function metaActionValue(list, ...types) {
+  for (const type of types) {
+    const entry = (list || []).find(a => a.action_type === type);
+    if (entry) return parseFloat(entry.value || 0);
+  }
+  return 0;
+}
+
+const meta = {
+  levels: LEVELS,
+  async fetch(accountId, { level, since, until, datePreset, entityId, daily }) {
+    const rows = [];
+    let after;
+    do {
+      const insights = await metaAds.getInsights(entityId || `act_${accountId}`, {
+        fields: `${META_LEVEL_FIELDS[level]},spend,impressions,clicks,reach,frequency,actions,action_values,conversion_values`,
+        level,
+        ...(datePreset ? { datePreset } : { timeRange: { since, until } }),
+        timeIncrement: daily ? 1 : undefined,
+        limit: 500,
+        after,
+      });
+      rows.push(...(insights?.data || []));
+      after = insights?.paging?.next ? insights.paging.cursors?.after : undefined;
+    } while (after);
+    return rows;
+  },
+  normalize(row, level) {
+    // Purchases when tracked, otherwise leads — same precedence as extractConversions()
+    const conversions = metaActionValue(row.actions, 'purchase', 'lead');
+    const value = metaActionValue(row.action_values, 'purchase') || parseFloat(row.conversion_values) || 0;
+    return {
+      id: row[`${level}_id`],
+      name: row[`${level}_name`],
+      date: row.date_start && row.date_start === row.date_stop ? row.date_start : null,
+      spendCents: parseFloat(row.spend || 0) * 100,
+      impressions: parseInt(row.impressions || 0),
+      clicks: parseInt(row.clicks || 0),
+      conversions,
+      conversionValueCents: value * 100,
+      reach: row.reach != null ? parseInt(row.reach) : null,
+      frequency: row.frequency != null ? parseFloat(row.frequency) : null,
+    };
+  },
+};
+
+const GOOGLE_LEVELS = { account: 'account', campaign: 'campaign', adset: 'ad_group', ad: 'ad' };
+
+const google = {
+  levels: LEVELS,
+  async fetch(customerId, { level, since, until, entityId, daily }) {
+    return googleAds.getPerformanceReport(customerId, {
+      level: GOOGLE_LEVELS[level],
+      dateRange: { start: since, end: until },
+      entityId,
+      daily,
+    });
+  },
+  normalize(row, level) {
+    const m = row.metrics || {};
+    const entity = {
+      account: row.customer,
+      campaign: row.campaign,
+      adset: row.adGroup,
+      ad: row.adGroupAd?.ad,
+    }[level] || {};
+    return {
+      id: entity.id,
+      name: entity.name || entity.descriptiveName,
+      date: row.segments?.date,
+      spendCents: parseInt(m.costMicros || 0) / 10_000,
+      impressions: parseInt(m.impressions || 0),
+      clicks: parseInt(m.clicks || 0),
+      conversions: parseFloat(m.conversions || 0),
+      conversionValueCents: parseFloat(m.conversionsValue || 0) * 100,
+    };
+  },
+};
+
+const TIKTOK_LEVELS = {
+  account: { dataLevel: 'AUCTION_ADVERTISER', dimension: 'advertiser_id', nameMetric: null },
+  campaign: { dataLevel: 'AUCTION_CAMPAIGN', dimension: 'campaign_id', nameMetric: 'campaign_name' },
+  adset: { dataLevel: 'AUCTION_ADGROUP', dimension: 'adgroup_id', nameMetric: 'adgroup_name' },
+  ad: { dataLevel: 'AUCTION_AD', dimension: 'ad_id', nameMetric: 'ad_name' },
+};
+
+const tiktok = {
+  levels: LEVELS,
+  async fetch(advertiserId, { level, since, until, entityId, daily }) {
+    const { dataLevel, dimension, nameMetric } = TIKTOK_LEVELS[level];
+    const rows = [];
+    // Daily breakdowns are limited to 30 days per request
+    for (const range of daily ? chunkDateRange(since, until, 30) : [{ since, until }]) {
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const report = await tiktokAds.getReport(advertiserId, {
+          dataLevel,
+          dimensions: daily ? [dimension, 'stat_time_day'] : [dimension],
+          metrics: ['spend', 'impressions', 'clicks', 'conversion', 'complete_payment_roas', ...(nameMetric ? [nameMetric] : [])],
+          startDate: range.since,
+          endDate: range.until,
+          page,
+        });
+        rows.push(...(report?.list || []));
+        totalPages = report?.page_info?.total_page || 1;
+        page++;
+      } while (page <= totalPages);
+    }
+    return entityId ? rows.filter(r => String(r.dimensions?.[dimension]) === String(entityId)) : rows;
+  },
+  normalize(item, level) {
+    const { dimension, nameMetric } = TIKTOK_LEVELS[level];
+    const m = item.metrics || {};
+    const spend = parseFloat(m.spend || 0);
+    return {
+      id: item.dimensions?.[dimension],
+      name: nameMetric ? m[nameMetric] : null,
+      date: item.dimensions?.stat_time_day ? String(item.dimensions.stat_time_day).slice(0, 10) : null,
+      spendCents: spend * 100,
+      impressions: parseInt(m.impressions || 0),
+      clicks: parseInt(m.clicks || 0),
+      conversions: parseInt(m.conversion || 0),
+      conversionValueCents: parseFloat(m.complete_payment_roas || 0) * spend * 100,
+    };
+  },
+};
+
+// X reports each metric as a per-day series; fetch() splits them into one raw
+// row per campaign per day so normalize() sees plain numbers.
+const twitter = {
+  levels: ['campaign'],
+  dailyOnly: true,
+  async fetch(accountId, { since, until, entityId }) {
+    const campaigns = (await twitterAds.getCampaigns(accountId))?.data || [];
+    const names = new Map(campaigns.map(c => [c.id, c.name]));
+    const ids = entityId ? [entityId] : campaigns.map(c => c.id);
+    const rows = [];
+
+    // Stats allow 7 days and 20 entities per request; end_time is exclusive
+    for (const range of chunkDateRange(since, until, 7)) {
+      for (let i = 0; i < ids.length; i += 20) {
+        const stats = await twitterAds.getCampaignStats(accountId, ids.slice(i, i + 20),
+          `${range.since}T00:00:00Z`, `${addDays(range.until, 1)}T00:00:00Z`);
+        for (const entity of stats?.data || []) {
+          const series = entity.id_data?.[0]?.metrics || {};
+          const days = (series.billed_charge_local_micro || series.impressions || []).length;
+          for (let d = 0; d < days; d++) {
+            rows.push({
+              id: entity.id,
+              name: names.get(entity.id),
+              date: addDays(range.since, d),
+              billedMicros: series.billed_charge_local_micro?.[d] || 0,
+              impressions: series.impressions?.[d] || 0,
+              clicks: series.clicks?.[d] || 0,
+              purchases: series.conversion_purchases?.metric?.[d] || 0,
+              saleAmountMicros: series.conversion_purchases?.sale_amount?.[d] || 0,
+            });
+          }
+        }
+      }
+    }
+    return rows;
+  },
+  normalize(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      date: row.date,
+      spendCents: row.billedMicros / 10_000,
+      impressions: row.impressions,
+      clicks: row.clicks,
+      conversions: row.purchases,
+      conversionValueCents: row.saleAmountMicros / 10_000,
+    };
+  },
+};
+
+const ADAPTERS = { meta, google, tiktok, twitter };
+
+/**
+ * Levels a platform can report on. Every platform supports 'account'.
+ */
+export function getSupportedLevels(platform) {
+  const adapter = ADAPTERS[platform];
+  if (!adapter) throw new Error(`Unsupported metrics platform: ${platform}`);
+  return LEVELS.filter(level => level === 'account' || adapter.levels.includes(level));
+}
+
+/**
+ * Normalize one raw report row from a platform's API into the common schema.
+ */
+export function normalizeMetrics(platform, raw, level = 'account') {
+  const adapter = ADAPTERS[platform];
+  if (!adapter) throw new Error(`Unsupported metrics platform: ${platform}`);
+  return buildMetrics({ ...adapter.normalize(raw, level), platform, level });
+}
+
+/**
+ * Fetch normalized metrics rows for one ad account.
+ * @param {string} platform - meta | google | tiktok | twitter
+ * @param {string} accountId - Account ID (may be omitted for Meta when entityId is set)
+ * @param {object} opts
+ * @param {string} [opts.level] - account | campaign | adset | ad (default account)
+ * @param {string} [opts.since] - 'YYYY-MM-DD' (inclusive)
+ * @param {string} [opts.until] - 'YYYY-MM-DD' (inclusive)
+ * @param {string} [opts.datePreset] - today | yesterday | this_month | last_Nd, instead of since/until
+ * @param {string} [opts.entityId] - Restrict to one campaign/ad set/ad
+ * @param {boolean} [opts.daily] - One row per entity per day
+ * @returns {Promise<object[]>} Normalized rows
+ */
+export async function getMetrics(platform, accountId, opts = {}) {
+  const adapter = ADAPTERS[platform];
+  if (!adapter) throw new Error(`Unsupported metrics platform: ${platform}`);
+  const { level = 'account', datePreset, entityId, daily = false } = opts;
+  if (!adapter.levels.includes(level) && level !== 'account') {
+    throw new Error(`${platform} metrics are not available at ${level} level`);
+  }
+
+  // Meta resolves presets in the ad account's timezone; everyone else gets UTC dates
+  const range = datePreset ? resolveDatePreset(datePreset) : { since: opts.since, until: opts.until };
+  if (!range.since || !range.until) throw new Error('getMetrics needs since/until or datePreset');
+
+  const fetchLevel = adapter.levels.includes('campaign') && !adapter.levels.includes(level) ? 'campaign' : level;
+  const raw = await adapter.fetch(accountId, {
+    level: fetchLevel, ...range, datePreset: platform === 'meta' ? datePreset : undefined, entityId, daily,
+  });
+  const rows = raw.map(r => normalizeMetrics(platform, r, fetchLevel));
+  if (fetchLevel === level && !(adapter.dailyOnly && !daily)) return rows;
+  return rollUp(rows, { level, daily, accountId });
+}
+
+/**
+ * Sum finer-grained rows up to the requested level (and to whole periods when
+ * the platform only reports per day).
+ */
+function rollUp(rows, { level, daily, accountId }) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${level === 'account' ? '' : row.id}|${daily ? row.date : ''}`;
+    groups.set(key, [...(groups.get(key) || []), row]);
+  }
+  return [...groups.values()].map(group => sumMetrics(group, {
+    level,
+    id: level === 'account' ? String(accountId) : group[0].id,
+    name: level === 'account' ? null : group[0].name,
+    date: daily ? group[0].date : null,
+  }));
+}
+
+/**
+ * Account totals for one platform, or null when the account reported nothing.
+ */
+export async function getAccountMetrics(platform, accountId, opts = {}) {
+  const rows = await getMetrics(platform, accountId, { ...opts, level: 'account', daily: false });
+  return rows.length > 0 ? sumMetrics(rows) : null;
+}
+
+/**
+ * The ad accounts a client has connected, as [{ platform, accountId }].
+ */
+export function getClientAccounts(client, platforms = Object.keys(CLIENT_ACCOUNT_FIELDS)) {
+  return platforms
+    .filter(platform => client[CLIENT_ACCOUNT_FIELDS[platform]])
+    .map(platform => ({ platform, accountId: client[CLIENT_ACCOUNT_FIELDS[platform]] }));
+}
+
+/**
+ * Account totals on every connected platform for a client. A platform that
+ * fails is logged and reported in `errors` instead of failing the rest.
+ * @returns {Promise<{ byPlatform: object, errors: object }>}
+ */
+export async function getClientMetrics(client, opts = {}) {
+  const byPlatform = {};
+  const errors = {};
+  for (const { platform, accountId } of getClientAccounts(client, opts.platforms)) {
+    try {
+      byPlatform[platform] = await getAccountMetrics(platform, accountId, opts);
+    } catch (e) {
+      log.warn(`Failed to get ${PLATFORM_LABELS[platform]} metrics for ${client.name}`, { error: e.message });
+      errors[platform] = e.message;
+    }
+  }
+  return { byPlatform, errors };
+}
+
+/**
+ * Dollar amount for display, e.g. 123456 → "1234.56".
+ */
+export function centsToDollars(cents) {
+  return ((cents || 0) / 100).toFixed(2);
+}
+
+/**
+ * One-line summary, e.g. "Spend $120.00, ROAS 3.20, CPA $15.00, Conversions 8".
+ */
+export function formatMetricsLine(m) {
+  return `Spend $${centsToDollars(m.spendCents)}, ROAS ${m.roas.toFixed(2)}, CPA $${centsToDollars(m.cpaCents)}, Conversions ${m.conversions}`;
+}
+
+export default {
+  getMetrics, getAccountMetrics, getClientMetrics, getClientAccounts, getSupportedLevels, normalizeMetrics, sumMetrics, buildMetrics,
+  resolveDatePreset, chunkDateRange, formatMetricsLine, centsToDollars, LEVELS, CLIENT_ACCOUNT_FIELDS, PLATFORM_LABELS,
+};
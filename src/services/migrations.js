@@ -0,0 +1,166 @@
+/**
+ * Versioned schema migrations for the SQLite stores.
+ *
+ * Each store (knowledge base, costs) declares an ordered list of numbered
+ * up-migrations. Applied versions are recorded per store in a
+ * schema_migrations table inside the same database, and every migration runs
+ * in its own IMMEDIATE transaction together with its bookkeeping row, so a
+ * failing migration leaves no partial schema behind and two processes
+ * starting at once cannot both apply it.
+ *
+ * Databases created before this runner existed have the store's tables but
+ * no schema_migrations rows. They are detected by the store's `detectTable`
+ * and baselined: migrations up to `baselineVersion` were written to be
+ * idempotent (CREATE ... IF NOT EXISTS, addColumn), so they are run to fill in
+ * anything an older deployment is missing and recorded as baselined. Later
+ * migrations then apply normally. Nothing is dropped or rewritten.
+ *
+ * Adding a schema change: append { version: <last + 1>, name, up(db) } to the
+ * store's migrations. Never edit or renumber a migration that has shipped.
+ *
+ * CLI (scripts/db-migrate.js):
+ *   npm run db:migrate   # apply pending migrations
+ *   npm run db:status    # show applied / pending per store
+ */
+import logger from '../utils/logger.js';
+
+const log = logger.child({ workflow: 'migrations' });
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - 1, 2, 3… in order, never reused
+ * @property {string} name - snake_case description
+ * @property {Function} up - (db) => void, runs inside a transaction
+ *
+ * @typedef {object} Schema
+ * @property {string} store - Store name recorded in schema_migrations, e.g. 'knowledge-base'
+ * @property {string} dbPath - For the CLI
+ * @property {string} detectTable - A table every pre-migration database of this store has
+ * @property {number} baselineVersion - Last migration that existed before versioning (idempotent)
+ * @property {Migration[]} migrations
+ */
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      store TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now')),
+      baselined INTEGER NOT NULL DEFAULT 0, -- 1 = recorded for a database that predates versioning
+      PRIMARY KEY (store, version)
+    );
+  `);
+}
+
+function appliedVersions(db, store) {
+  return db.prepare('SELECT version, name, applied_at, baselined FROM schema_migrations WHERE store = ? ORDER BY version').all(store);
+}
+
+function tableExists(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
+
+function validate(schema) {
+  schema.migrations.forEach((m, i) => {
+    if (m.version !== i + 1) {
+      throw new Error(`${schema.store} migration "${m.name}" has version ${m.version}, expected ${i + 1}`);
+    }
+  });
+}
+
+/**
+ * Add a column if the table does not have it yet. For idempotent migrations.
+ */
+export function addColumn(db, table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+/**
+ * Apply every pending migration of a store.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Schema} schema
+ * @returns {{ applied: number[], baselined: number[] }}
+ */
+export function runMigrations(db, schema) {
+  validate(schema);
+  ensureMigrationsTable(db);
+  const { store, migrations, baselineVersion = 0 } = schema;
+
+  const recorded = appliedVersions(db, store);
+  const latest = migrations.length;
+  const current = recorded.at(-1)?.version || 0;
+  if (current > latest) {
+    log.warn(`${store} database is at schema version ${current}, newer than this code (${latest})`);
+  }
+  const baseline = recorded.length === 0 && tableExists(db, schema.detectTable);
+
+  const record = db.prepare('INSERT INTO schema_migrations (store, version, name, baselined) VALUES (?, ?, ?, ?)');
+  const isApplied = db.prepare('SELECT 1 FROM schema_migrations WHERE store = ? AND version = ?');
+
+  const applied = [];
+  const baselined = [];
+  for (const migration of migrations) {
+    if (migration.version <= current) continue;
+    const asBaseline = baseline && migration.version <= baselineVersion;
+    const ran = db.transaction(() => {
+      // Re-check inside the write lock: another process may have just applied it
+      if (isApplied.get(store, migration.version)) return false;
+      migration.up(db);
+      record.run(store, migration.version, migration.name, asBaseline ? 1 : 0);
+      return true;
+    }).immediate();
+    if (!ran) continue;
+    (asBaseline ? baselined : applied).push(migration.version);
+  }
+
+  if (baselined.length) {
+    log.info(`Baselined existing ${store} database at version ${baselined.at(-1)}`);
+  }
+  if (applied.length) {
+    log.info(`Applied ${store} migrations ${applied.join(', ')}`, {
+      names: migrations.filter(m => applied.includes(m.version)).map(m => m.name),
+    });
+  }
+  return { applied, baselined };
+}
+
+/**
+ * Applied and pending migrations of a store, without changing anything
+ * (works on a read-only connection).
+ * @returns {{ store: string, version: number, latest: number, needsBaseline: boolean, migrations: object[] }}
+ */
+export function getMigrationStatus(db, schema) {
+  const rows = tableExists(db, 'schema_migrations') ? appliedVersions(db, schema.store) : [];
+  const recorded = new Map(rows.map(r => [r.version, r]));
+  return {
+    store: schema.store,
+    version: Math.max(0, ...recorded.keys()),
+    latest: schema.migrations.length,
+    needsBaseline: rows.length === 0 && tableExists(db, schema.detectTable),
+    migrations: schema.migrations.map(m => {
+      const row = recorded.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        status: !row ? 'pending' : row.baselined ? 'baselined' : 'applied',
+        appliedAt: row?.applied_at || null,
+      };
+    }),
+  };
+}
+
+/**
+ * Print migration status (CLI mode).
+ */
+export function printMigrationStatus(status) {
+  const pending = status.migrations.filter(m => m.status === 'pending').length;
+  console.log(`\n=== ${status.store}: version ${status.version} of ${status.latest}${pending ? ` (${pending} pending)` : ''} ===`);
+  if (status.needsBaseline) console.log('  Existing database from before versioning — will be baselined on the next migrate');
+  for (const m of status.migrations) {
+    console.log(`  ${String(m.version).padStart(3)}  ${m.status.padEnd(9)}  ${m.appliedAt || '-'.padEnd(19)}  ${m.name}`);
+  }
+}
+
+export default { runMigrations, getMigrationStatus, addColumn, printMigrationStatus };
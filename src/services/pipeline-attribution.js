@@ -0,0 +1,343 @@
+/**
+ * Closed-loop attribution: joins a client's HubSpot leads and deals back to
+ * the ad campaigns that produced them, so reports can show what the sales
+ * pipeline got for the spend instead of platform-reported conversions.
+ *
+ * A lead's touch comes from its ad click ids (hs_google_click_id,
+ * hs_facebook_click_id), then its utm_* properties, then the UTMs of the
+ * first page HubSpot saw, then HubSpot's original source (paid search / paid
+ * social) — which names the platform but not the campaign. Without a
+ * utm_campaign, a GCLID is looked up in Google Ads' click view (clicks of
+ * the last 90 days), and a click id that cannot be looked up falls back to
+ * HubSpot's source drill-down (hs_analytics_source_data_2). A deal takes the
+ * touch of its earliest associated contact that has one, else its own
+ * original source. utm_campaign is matched to a campaign's id or name.
+ *
+ * Per campaign, over a date range:
+ *   SQLs          contacts that became sales qualified leads in the range
+ *   pipeline      deals created in the range that are open or won
+ *   closed-won    deals won in the range (whenever they were created)
+ * cost per SQL, pipeline ROAS and closed-won ROAS divide by the campaign's
+ * spend over the same range. Deal amounts are taken in the portal's company
+ * currency (amount_in_home_currency) and assumed to match the ad accounts'.
+ */
+import logger from '../utils/logger.js';
+import { createClient as createHubSpotClient } from '../api/hubspot.js';
+import { getClientSecret } from './credential-vault.js';
+import { parseUtm, utmPlatform } from './ecommerce.js';
+import { getMetrics, getClientAccounts, centsToDollars, PLATFORM_LABELS } from './metrics.js';
+import { getClickCampaigns } from '../api/google-ads.js';
+
+const log = logger.child({ workflow: 'pipeline-attribution' });
+
+// HubSpot original source types of paid traffic
+const PAID_SOURCES = ['PAID_SEARCH', 'PAID_SOCIAL'];
+// Google Ads keeps click_view rows this long
+const CLICK_VIEW_DAYS = 90;
+
+/**
+ * Get a HubSpot client for an agency client's own portal.
+ * The access token comes from the credential vault.
+ * Returns null if HubSpot is not connected.
+ */
+export function getHubSpotClient(client) {
+  const accessToken = getClientSecret(client.id, 'hubspot_access_token', { purpose: 'hubspot' });
+  if (!accessToken) return null;
+  return createHubSpotClient({ accessToken });
+}
+
+/**
+ * The paid touch of a HubSpot contact, or null when it did not come from an ad.
+ * @param {object} contact - Normalized contact (api/hubspot.js), with clickCampaign
+ *   set by resolveClickCampaigns() when its GCLID was found in Google Ads
+ * @returns {{ platform: string, campaign: string|null }|null}
+ */
+export function leadTouch(contact) {
+  const firstPage = parseUtm(contact.firstUrl);
+  const clickId = contact.gclid ? 'gclid' : contact.fbclid ? 'fbclid' : firstPage.clickId;
+  const fromProperties = { source: contact.utmSource, medium: contact.utmMedium, campaign: contact.utmCampaign };
+  const fromClick = contact.clickCampaign || (clickId && contact.sourceData2) || null;
+
+  for (const utm of [fromProperties, firstPage]) {
+    const platform = utmPlatform({ ...utm, clickId });
+    if (platform) return { platform, campaign: utm.campaign || contact.utmCampaign || firstPage.campaign || fromClick };
+  }
+  if (PAID_SOURCES.includes(contact.source)) {
+    const platform = utmPlatform({ source: contact.sourceData1 });
+    if (platform) return { platform, campaign: null };
+  }
+  return null;
+}
+
+/**
+ * The paid touch of a HubSpot deal, or null.
+ * @param {object} deal - Normalized deal with contactIds
+ * @param {Map<string, object>} contactsById
+ */
+export function dealTouch(deal, contactsById) {
+  const contacts = (deal.contactIds || [])
+    .map(id => contactsById.get(id))
+    .filter(Boolean)
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  for (const contact of contacts) {
+    const touch = leadTouch(contact);
+    if (touch) return touch;
+  }
+  return leadTouch({ source: deal.source, sourceData1: deal.sourceData1 });
+}
+
+const comparableName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+/**
+ * The campaign a utm_campaign value refers to: same id, or same name ignoring
+ * case, spaces and punctuation. Null when none matches.
+ * @param {object[]} campaigns - Campaign metrics rows (services/metrics.js)
+ */
+export function matchCampaign(campaigns, platform, utmCampaign) {
+  const wanted = comparableName(utmCampaign);
+  if (!wanted) return null;
+  return campaigns.find(c => c.platform === platform && String(c.id) === String(utmCampaign))
+    || campaigns.find(c => c.platform === platform && comparableName(c.name) === wanted)
+    || null;
+}
+
+function emptyOutcomes() {
+  return { sqls: 0, pipelineDeals: 0, pipelineCents: 0, wonDeals: 0, wonCents: 0 };
+}
+
+// Ratios need spend; a row whose spend is unknown (null) gets none
+function withRatios(row) {
+  const priced = row.spendCents != null;
+  return {
+    ...row,
+    costPerSqlCents: priced && row.sqls > 0 ? Math.round(row.spendCents / row.sqls) : null,
+    pipelineRoas: priced && row.spendCents > 0 ? row.pipelineCents / row.spendCents : null,
+    wonRoas: priced && row.spendCents > 0 ? row.wonCents / row.spendCents : null,
+  };
+}
+
+// Outcomes add up over every row; spend and ratios only over rows with known spend
+function sumRows(rows) {
+  const total = { spendCents: 0, ...emptyOutcomes() };
+  const priced = { ...total };
+  for (const row of rows) {
+    for (const key of Object.keys(total)) {
+      total[key] += row[key] ?? 0;
+      if (row.spendCents != null) priced[key] += row[key];
+    }
+  }
+  if (rows.length > 0 && rows.every(row => row.spendCents == null)) return withRatios({ ...total, spendCents: null });
+  const { spendCents, costPerSqlCents, pipelineRoas, wonRoas } = withRatios(priced);
+  return { ...total, spendCents, costPerSqlCents, pipelineRoas, wonRoas };
+}
+
+/**
+ * Attribute SQLs, pipeline and closed-won revenue to ad campaigns.
+ * Campaigns with spend are listed even when they produced nothing; touches
+ * whose utm_campaign matches no campaign are listed under the utm value with
+ * no spend. Platforms in `errors` (spend failed to load) keep their SQLs and
+ * revenue but have unknown spend (null), so they get no cost per SQL or ROAS
+ * and are left out of the ratios in the totals.
+ *
+ * @param {object} records
+ * @param {object[]} records.deals - Normalized deals with contactIds
+ * @param {object[]} records.contacts - Normalized contacts associated with the deals
+ * @param {object[]} records.sqlContacts - Normalized contacts that became SQLs
+ * @param {object[]} records.campaigns - Campaign metrics rows over the same range
+ * @param {object} [records.errors] - Platforms whose spend failed, platform → error (from getCampaignSpend)
+ * @param {string} [records.currency] - Portal company currency; default: the first deal's currency
+ * @param {object} [range]
+ * @param {string} [range.since] - 'YYYY-MM-DD' (inclusive)
+ * @param {string} [range.until] - 'YYYY-MM-DD' (inclusive)
+ * @returns {{ currency, totals, byPlatform, byCampaign, unattributed, errors }}
+ */
+export function attributePipeline({ deals = [], contacts = [], sqlContacts = [], campaigns = [], errors = {}, currency = null }, { since, until } = {}) {
+  const inRange = (timestamp) => {
+    const day = timestamp?.slice(0, 10);
+    return !!day && (!since || day >= since) && (!until || day <= until);
+  };
+  const contactsById = new Map(contacts.map(c => [c.id, c]));
+  const rows = new Map();
+  const unattributed = emptyOutcomes();
+
+  const rowFor = ({ platform, campaign: utmCampaign }) => {
+    const campaign = matchCampaign(campaigns, platform, utmCampaign);
+    const key = campaign ? `${platform}\n${campaign.id}` : `${platform}\n?${utmCampaign || ''}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        platform,
+        campaignId: campaign ? String(campaign.id) : null,
+        campaignName: campaign?.name || utmCampaign || '(no utm_campaign)',
+        spendCents: platform in errors ? null : campaign?.spendCents || 0,
+        ...emptyOutcomes(),
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const c of campaigns) {
+    if (c.spendCents > 0) rowFor({ platform: c.platform, campaign: String(c.id) });
+  }
+
+  for (const contact of sqlContacts) {
+    if (!inRange(contact.sqlAt)) continue;
+    const touch = leadTouch(contact);
+    (touch ? rowFor(touch) : unattributed).sqls++;
+  }
+
+  for (const deal of deals) {
+    const inPipeline = inRange(deal.createdAt) && !(deal.isClosed && !deal.isWon);
+    const won = deal.isWon && inRange(deal.closedAt);
+    if (!inPipeline && !won) continue;
+    currency ??= deal.currency;
+
+    const touch = dealTouch(deal, contactsById);
+    const target = touch ? rowFor(touch) : unattributed;
+    if (inPipeline) {
+      target.pipelineDeals++;
+      target.pipelineCents += deal.amountCents;
+    }
+    if (won) {
+      target.wonDeals++;
+      target.wonCents += deal.amountCents;
+    }
+  }
+
+  const byCampaign = [...rows.values()].map(withRatios)
+    .sort((a, b) => b.pipelineCents - a.pipelineCents || b.wonCents - a.wonCents || b.spendCents - a.spendCents);
+  const byPlatform = {};
+  for (const platform of new Set(byCampaign.map(r => r.platform))) {
+    byPlatform[platform] = sumRows(byCampaign.filter(r => r.platform === platform));
+  }
+
+  return { currency, totals: sumRows(byCampaign), byPlatform, byCampaign, unattributed, errors };
+}
+
+const shiftDay = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Look up the Google Ads campaign of contacts that have a GCLID but no
+ * utm_campaign, and set it as contact.clickCampaign (campaign id). Clicks are
+ * searched on the day the contact was created and the day before (the
+ * account's timezone can differ from UTC). A failed lookup is logged and the
+ * contacts keep their other touches.
+ * @param {object} client
+ * @param {object[]} contacts - Normalized contacts, updated in place
+ * @param {Date} [now]
+ */
+export async function resolveClickCampaigns(client, contacts, now = new Date()) {
+  const [google] = getClientAccounts(client, ['google']);
+  if (!google) return;
+  const oldest = shiftDay(now.toISOString().slice(0, 10), -CLICK_VIEW_DAYS);
+
+  const byDay = new Map();
+  for (const contact of contacts) {
+    const day = contact.createdAt?.slice(0, 10);
+    if (!contact.gclid || contact.utmCampaign || !day || day < oldest) continue;
+    for (const d of [day, shiftDay(day, -1)]) {
+      if (!byDay.has(d)) byDay.set(d, []);
+      byDay.get(d).push(contact);
+    }
+  }
+
+  for (const [day, dayContacts] of byDay) {
+    const pending = dayContacts.filter(c => !c.clickCampaign);
+    if (pending.length === 0) continue;
+    try {
+      const campaigns = await getClickCampaigns(google.accountId, day, [...new Set(pending.map(c => c.gclid))]);
+      for (const contact of pending) contact.clickCampaign = campaigns[contact.gclid]?.id || null;
+    } catch (e) {
+      log.warn(`Failed to look up GCLIDs for ${client.name}`, { day, error: e.message });
+    }
+  }
+}
+
+/**
+ * HubSpot deals (created or closed in the range, with their contacts), SQLs
+ * and company currency of a client, with GCLIDs resolved to campaigns where possible.
+ * Returns null when the client has no HubSpot portal connected.
+ * @param {object} client
+ * @param {{ since: string, until: string }} range - 'YYYY-MM-DD' (inclusive)
+ */
+export async function getPipelineRecords(client, { since, until }) {
+  const hubspot = getHubSpotClient(client);
+  if (!hubspot) return null;
+
+  const deals = await hubspot.searchDeals({ since, until });
+  const contactIdsByDeal = deals.length > 0 ? await hubspot.getDealContactIds(deals.map(d => d.id)) : {};
+  for (const deal of deals) deal.contactIds = contactIdsByDeal[deal.id] || [];
+
+  const contactIds = [...new Set(deals.flatMap(d => d.contactIds))];
+  const contacts = contactIds.length > 0 ? await hubspot.getContacts(contactIds) : [];
+  const sqlContacts = await hubspot.searchSqlContacts({ since, until });
+  await resolveClickCampaigns(client, [...contacts, ...sqlContacts]);
+  const currency = await hubspot.getCompanyCurrency();
+
+  log.info(`Fetched ${deals.length} HubSpot deals and ${sqlContacts.length} SQLs for ${client.name}`, { since, until });
+  return { deals, contacts, sqlContacts, currency };
+}
+
+/**
+ * Campaign-level spend on every connected ad platform. A platform that fails
+ * is logged and reported in `errors` instead of failing the rest.
+ * @returns {Promise<{ campaigns: object[], errors: object }>}
+ */
+export async function getCampaignSpend(client, { since, until }) {
+  const campaigns = [];
+  const errors = {};
+  for (const { platform, accountId } of getClientAccounts(client)) {
+    try {
+      campaigns.push(...await getMetrics(platform, accountId, { level: 'campaign', since, until }));
+    } catch (e) {
+      log.warn(`Failed to get ${PLATFORM_LABELS[platform]} campaign spend for ${client.name}`, { error: e.message });
+      errors[platform] = e.message;
+    }
+  }
+  return { campaigns, errors };
+}
+
+/**
+ * Pipeline attribution for a client over a date range.
+ * Returns null when the client has no HubSpot portal connected.
+ * @param {object} client
+ * @param {{ since: string, until: string }} range - 'YYYY-MM-DD' (inclusive)
+ */
+export async function getPipelineAttribution(client, { since, until }) {
+  const records = await getPipelineRecords(client, { since, until });
+  if (!records) return null;
+  const spend = await getCampaignSpend(client, { since, until });
+  return attributePipeline({ ...records, ...spend }, { since, until });
+}
+
+/**
+ * Report section for an attribution result: totals, then the top campaigns.
+ * Platforms whose spend failed to load are named under the totals.
+ */
+export function formatPipelineAttribution(a, { limit = 5 } = {}) {
+  const ratio = (value) => (value == null ? 'n/a' : value.toFixed(2));
+  const money = (cents) => (cents == null ? 'n/a' : `$${centsToDollars(cents)}`);
+  const { totals, unattributed } = a;
+
+  let text = `Pipeline from ads (HubSpot${a.currency ? `, ${a.currency}` : ''}):\n`
+    + `  SQLs: ${totals.sqls} (cost per SQL: ${money(totals.costPerSqlCents)})\n`
+    + `  Pipeline created: ${totals.pipelineDeals} deals, ${money(totals.pipelineCents)} (pipeline ROAS: ${ratio(totals.pipelineRoas)})\n`
+    + `  Closed-won: ${totals.wonDeals} deals, ${money(totals.wonCents)} (closed-won ROAS: ${ratio(totals.wonRoas)})\n`
+    + `  Not from ads: ${unattributed.sqls} SQLs, ${unattributed.pipelineDeals} deals (${money(unattributed.pipelineCents)}) in pipeline, ${unattributed.wonDeals} won (${money(unattributed.wonCents)})\n`;
+  for (const [platform, error] of Object.entries(a.errors || {})) {
+    text += `  ⚠️ ${PLATFORM_LABELS[platform]} spend unavailable (${error}) — its campaigns are left out of cost per SQL and ROAS\n`;
+  }
+
+  const campaigns = a.byCampaign.filter(c => c.sqls > 0 || c.pipelineDeals > 0 || c.wonDeals > 0 || c.spendCents > 0).slice(0, limit);
+  if (campaigns.length > 0) {
+    text += '  By campaign:\n';
+    for (const c of campaigns) {
+      text += `    - ${PLATFORM_LABELS[c.platform]} | ${c.campaignName}: spend ${money(c.spendCents)}, ${c.sqls} SQLs (${money(c.costPerSqlCents)}/SQL), pipeline ${money(c.pipelineCents)} (ROAS ${ratio(c.pipelineRoas)}), won ${money(c.wonCents)} (ROAS ${ratio(c.wonRoas)})\n`;
+    }
+  }
+  return `${text}\n`;
+}
+
+export default {
+  getHubSpotClient, leadTouch, dealTouch, matchCampaign, attributePipeline,
+  resolveClickCampaigns, getPipelineRecords, getCampaignSpend, getPipelineAttribution, formatPipelineAttribution,
+};
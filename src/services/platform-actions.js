@@ -0,0 +1,167 @@
+/**
+ * Platform actions — applies budget, bid and status changes to Meta, Google Ads
+ * and TikTok through one interface. Approval executors, automated workflows and
+ * the rollback engine all describe changes the same way:
+ *
+ *   target: { platform, entityType, entityId, accountId }
+ *   state:  { budgetCents?, bidCents?, status?: 'active' | 'paused' }
+ *
+ * entityType per platform:
+ *   meta:   campaign | adset | ad
+ *   google: campaign | ad_group | campaign_budget   (accountId = customer ID)
+ *   tiktok: campaign | adgroup                      (accountId = advertiser ID)
+ *
+ * All money is in cents; conversion to each platform's unit happens here.
+ */
+import * as metaAds from '../api/meta-ads.js';
+import * as googleAds from '../api/google-ads.js';
+import * as tiktokAds from '../api/tiktok-ads.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ workflow: 'platform-actions' });
+
+const STATUS_VALUES = {
+  meta: { active: 'ACTIVE', paused: 'PAUSED' },
+  google: { active: 'ENABLED', paused: 'PAUSED' },
+  tiktok: { active: 'ENABLE', paused: 'DISABLE' },
+};
+
+// Which fields can be set on which entity, per platform
+const SUPPORTED = {
+  meta: {
+    campaign: ['budgetCents', 'status'],
+    adset: ['budgetCents', 'bidCents', 'status'],
+    ad: ['status'],
+  },
+  google: {
+    campaign: ['status'],
+    ad_group: ['bidCents', 'status'],
+    campaign_budget: ['budgetCents'],
+  },
+  tiktok: {
+    campaign: ['budgetCents', 'status'],
+    adgroup: ['budgetCents', 'bidCents', 'status'],
+  },
+};
+
+export function centsToMicros(cents) {
+  return Math.round(cents * 10_000);
+}
+
+export function centsToUnits(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * Map a normalized status ('active' / 'paused') to the platform's value.
+ */
+export function toPlatformStatus(platform, status) {
+  const value = STATUS_VALUES[platform]?.[status];
+  if (!value) throw new Error(`Unknown status "${status}" for ${platform}`);
+  return value;
+}
+
+/**
+ * Check a target/state pair before touching any API.
+ * Throws if the platform, entity or any field is unsupported.
+ */
+export function validateChange(target, state) {
+  const { platform, entityType, entityId, accountId } = target || {};
+  const entities = SUPPORTED[platform];
+  if (!entities) throw new Error(`Unsupported platform: ${platform}`);
+  const fields = entities[entityType];
+  if (!fields) throw new Error(`Unsupported ${platform} entity type: ${entityType}`);
+  if (!entityId) throw new Error(`Missing entityId for ${platform} ${entityType}`);
+  if (platform !== 'meta' && !accountId) throw new Error(`Missing accountId for ${platform} ${entityType}`);
+
+  const keys = Object.keys(state || {}).filter(k => state[k] != null);
+  if (keys.length === 0) throw new Error('No changes to apply');
+  for (const key of keys) {
+    if (!fields.includes(key)) throw new Error(`Cannot set ${key} on ${platform} ${entityType}`);
+  }
+  if (state.status != null) toPlatformStatus(platform, state.status);
+  return keys;
+}
+
+async function applyMeta({ entityType, entityId }, state) {
+  const updates = {};
+  if (state.budgetCents != null) updates.daily_budget = String(Math.round(state.budgetCents));
+  if (state.bidCents != null) updates.bid_amount = String(Math.round(state.bidCents));
+  if (state.status != null) updates.status = toPlatformStatus('meta', state.status);
+
+  if (entityType === 'campaign') return metaAds.updateCampaign(entityId, updates);
+  if (entityType === 'adset') return metaAds.updateAdSet(entityId, updates);
+  return metaAds.updateAd(entityId, updates);
+}
+
+async function applyGoogle({ entityType, entityId, accountId }, state) {
+  const results = [];
+  if (state.budgetCents != null) {
+    results.push(await googleAds.updateCampaignBudget(accountId, entityId, centsToMicros(state.budgetCents)));
+  }
+  if (state.bidCents != null) {
+    results.push(await googleAds.updateAdGroupCpcBid(accountId, entityId, centsToMicros(state.bidCents)));
+  }
+  if (state.status != null) {
+    const status = toPlatformStatus('google', state.status);
+    results.push(entityType === 'campaign'
+      ? await googleAds.updateCampaignStatus(accountId, entityId, status)
+      : await googleAds.updateAdGroupStatus(accountId, entityId, status));
+  }
+  return results;
+}
+
+async function applyTikTok({ entityType, entityId, accountId }, state) {
+  const results = [];
+  if (state.budgetCents != null) {
+    results.push(entityType === 'campaign'
+      ? await tiktokAds.updateCampaignBudget(accountId, entityId, centsToUnits(state.budgetCents))
+      : await tiktokAds.updateAdGroupBudget(accountId, entityId, centsToUnits(state.budgetCents)));
+  }
+  if (state.bidCents != null) {
+    results.push(await tiktokAds.updateAdGroupBid(accountId, entityId, centsToUnits(state.bidCents)));
+  }
+  if (state.status != null) {
+    const status = toPlatformStatus('tiktok', state.status);
+    results.push(entityType === 'campaign'
+      ? await tiktokAds.updateCampaignStatus(accountId, entityId, status)
+      : await tiktokAds.updateAdGroupStatus(accountId, entityId, status));
+  }
+  return results;
+}
+
+/**
+ * Apply a state to a platform entity.
+ * @param {object} target - { platform, entityType, entityId, accountId }
+ * @param {object} state - { budgetCents?, bidCents?, status? }
+ */
+export async function applyState(target, state) {
+  const fields = validateChange(target, state);
+  log.info(`Applying ${fields.join(', ')} to ${target.platform} ${target.entityType} ${target.entityId}`, { state });
+
+  if (target.platform === 'meta') return applyMeta(target, state);
+  if (target.platform === 'google') return applyGoogle(target, state);
+  return applyTikTok(target, state);
+}
+
+/**
+ * The state an action descriptor asks for: pause_* actions pause the target,
+ * change_budget / change_bid apply `action.change`.
+ */
+export function getRequestedState(action) {
+  if (action.type?.startsWith('pause_')) return { status: 'paused' };
+  return action.change || {};
+}
+
+/**
+ * Execute a safety action descriptor ({ type, target, change, ... }).
+ */
+export async function executeAction(action) {
+  if (!action.target) throw new Error(`Action "${action.type}" has no target to apply it to`);
+  return applyState(action.target, getRequestedState(action));
+}
+
+export default {
+  applyState, executeAction, getRequestedState, validateChange,
+  toPlatformStatus, centsToMicros, centsToUnits,
+};
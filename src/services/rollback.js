@@ -0,0 +1,161 @@
+/**
+ * Rollback engine.
+ * Reverses executed change_budget, change_bid and pause_* actions using the
+ * `rollback_data` stored with their audit_log entry. rollback_data has the
+ * platform-actions shape — the state to restore on the same target:
+ *
+ *   { target: { platform, entityType, entityId, accountId },
+ *     state:  { budgetCents?, bidCents?, status? },
+ *     summary?: 'Meta ad set 123: budget $80.00 → $100.00' }
+ */
+import logger from '../utils/logger.js';
+import {
+  auditLog, findAuditEntries, getRollbackableEntries, markRolledBack, clearRolledBack,
+} from './cost-tracker.js';
+import { applyState, validateChange } from './platform-actions.js';
+
+const log = logger.child({ workflow: 'rollback' });
+
+export const ROLLBACKABLE_ACTIONS = ['change_budget', 'change_bid', 'pause_campaign', 'pause_adset', 'pause_ad'];
+
+// Short audit IDs shown to the owner (UNDO <shortId>)
+const SHORT_ID_LENGTH = 8;
+const MIN_PREFIX_LENGTH = 6;
+
+export function shortAuditId(id) {
+  return id.slice(0, SHORT_ID_LENGTH);
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try { return JSON.parse(value); } catch { return null; }
+}
+
+/**
+ * Check whether an audit entry can be rolled back.
+ * @returns {{ ok: boolean, reason?: string, rollbackData?: object }}
+ */
+export function checkRollbackEligibility(entry) {
+  if (!ROLLBACKABLE_ACTIONS.includes(entry.action)) {
+    return { ok: false, reason: `"${entry.action}" actions can't be undone automatically` };
+  }
+  if (entry.result !== 'success') {
+    return { ok: false, reason: `the action didn't execute (result: ${entry.result || 'unknown'})` };
+  }
+  if (entry.rolled_back_at) {
+    return { ok: false, reason: `it was already undone by ${entry.rolled_back_by} at ${entry.rolled_back_at} UTC` };
+  }
+  const rollbackData = parseJson(entry.rollback_data);
+  if (!rollbackData?.target || !rollbackData?.state) {
+    return { ok: false, reason: 'no prior state was recorded for it' };
+  }
+  try {
+    validateChange(rollbackData.target, rollbackData.state);
+  } catch (e) {
+    return { ok: false, reason: `its rollback data is invalid (${e.message})` };
+  }
+  return { ok: true, rollbackData };
+}
+
+/**
+ * Resolve a full or short audit ID to a single entry.
+ * Throws if nothing matches or the prefix is ambiguous.
+ */
+export function resolveAuditEntry(auditId) {
+  const id = String(auditId || '').trim().toLowerCase();
+  if (id.length < MIN_PREFIX_LENGTH) {
+    throw new Error(`Audit ID "${auditId}" is too short — use at least ${MIN_PREFIX_LENGTH} characters`);
+  }
+  const matches = findAuditEntries(id);
+  const exact = matches.find(m => m.id === id);
+  if (exact) return exact;
+  if (matches.length === 0) throw new Error(`No audit entry found for "${auditId}"`);
+  if (matches.length > 1) throw new Error(`Audit ID "${auditId}" is ambiguous — use more characters`);
+  return matches[0];
+}
+
+function describeEntry(entry, rollbackData) {
+  if (rollbackData?.summary) return rollbackData.summary;
+  const target = rollbackData?.target;
+  return target
+    ? `${entry.action} on ${target.platform} ${target.entityType} ${target.entityId}`
+    : entry.action;
+}
+
+/**
+ * Recent actions that can still be undone, newest first.
+ */
+export function listRollbackableActions({ clientId, limit = 10 } = {}) {
+  return getRollbackableEntries(ROLLBACKABLE_ACTIONS, { clientId, limit }).map(entry => {
+    const rollbackData = parseJson(entry.rollback_data);
+    return {
+      auditId: entry.id,
+      shortId: shortAuditId(entry.id),
+      timestamp: entry.timestamp,
+      action: entry.action,
+      workflow: entry.workflow,
+      clientId: entry.client_id,
+      platform: entry.platform,
+      approvedBy: entry.approved_by,
+      description: describeEntry(entry, rollbackData),
+      restores: rollbackData?.state,
+    };
+  });
+}
+
+/**
+ * Reverse an executed action by restoring its recorded prior state.
+ * @param {string} auditId - Full audit ID or a prefix of at least 6 characters
+ * @param {object} [opts]
+ * @param {string} [opts.requestedBy] - Who asked for the rollback (recorded in audit_log)
+ * @returns {Promise<object>} { auditId, rollbackAuditId, description, restored }
+ */
+export async function rollbackAction(auditId, { requestedBy = 'owner' } = {}) {
+  const entry = resolveAuditEntry(auditId);
+  const eligibility = checkRollbackEligibility(entry);
+  if (!eligibility.ok) {
+    throw new Error(`Can't undo ${shortAuditId(entry.id)}: ${eligibility.reason}`);
+  }
+
+  // Claim first so two UNDO messages can't both fire
+  if (!markRolledBack(entry.id, requestedBy)) {
+    throw new Error(`Can't undo ${shortAuditId(entry.id)}: it is already being undone`);
+  }
+
+  const { target, state } = eligibility.rollbackData;
+  const description = describeEntry(entry, eligibility.rollbackData);
+  try {
+    await applyState(target, state);
+  } catch (error) {
+    clearRolledBack(entry.id);
+    log.error(`Rollback failed for ${entry.id}`, { error: error.message, target });
+    auditLog({
+      action: 'rollback',
+      workflow: entry.workflow,
+      clientId: entry.client_id,
+      platform: entry.platform,
+      details: { auditId: entry.id, originalAction: entry.action, target, state, error: error.message },
+      approvedBy: requestedBy,
+      result: 'failed',
+    });
+    throw new Error(`Undo of ${shortAuditId(entry.id)} failed: ${error.message}`);
+  }
+
+  const rollbackAuditId = auditLog({
+    action: 'rollback',
+    workflow: entry.workflow,
+    clientId: entry.client_id,
+    platform: entry.platform,
+    details: { auditId: entry.id, originalAction: entry.action, target, restored: state },
+    approvedBy: requestedBy,
+    result: 'success',
+  });
+
+  log.info(`Rolled back ${entry.action} ${entry.id}`, { requestedBy, target, state });
+  return { auditId: entry.id, rollbackAuditId, description, restored: state };
+}
+
+export default {
+  ROLLBACKABLE_ACTIONS, rollbackAction, listRollbackableActions,
+  checkRollbackEligibility, resolveAuditEntry, shortAuditId,
+};
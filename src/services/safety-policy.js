@@ -0,0 +1,222 @@
+/**
+ * Per-client safety policy.
+ * Each client can override the global guardrails from config.js. Overrides are
+ * stored as JSON in clients.safety_policy; anything not overridden falls back
+ * to the global value, so an empty policy behaves exactly like before.
+ *
+ * Policy fields:
+ *   autoApproveBudgetChangeLimitCents  max budget change without approval
+ *   budgetChangeAlwaysApprovePct       % of client budget that always needs approval
+ *   autoApproveBidChangePct            max bid change % without approval
+ *   autoPauseRoasThreshold             pause when ROAS < target × this
+ *   autoPauseCpaMultiplier             pause when CPA > target × this
+ *   zeroConversionSpendAlertCents      pause when spend with 0 conversions exceeds this
+ *   maxAutoChangesPerDay               cap on auto-executed budget/bid changes (rolling 24h, 0 = no cap)
+ *   blackoutWindows                    no automatic budget/bid changes inside these windows:
+ *                                        { start: 'HH:MM', end: 'HH:MM', days?: ['mon', ...], label? }
+ *                                        { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', label? }
+ *   timezone                           IANA timezone the windows are read in
+ *   platforms: { allow?: [], deny? }   platforms automation may touch without approval
+ */
+import { z } from 'zod';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { getClient, updateClient } from './knowledge-base.js';
+import { auditLog } from './cost-tracker.js';
+
+const log = logger.child({ workflow: 'safety-policy' });
+
+export const DEFAULT_POLICY_TIMEZONE = 'America/New_York';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const PLATFORMS = ['meta', 'google', 'tiktok', 'twitter'];
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const blackoutWindowSchema = z.union([
+  z.object({
+    start: z.string().regex(TIME, 'start must be HH:MM'),
+    end: z.string().regex(TIME, 'end must be HH:MM'),
+    days: z.array(z.enum(DAY_NAMES)).optional(),
+    label: z.string().optional(),
+  }).strict(),
+  z.object({
+    from: z.string().regex(DATE, 'from must be YYYY-MM-DD'),
+    to: z.string().regex(DATE, 'to must be YYYY-MM-DD'),
+    label: z.string().optional(),
+  }).strict(),
+]);
+
+const policySchema = z.object({
+  autoApproveBudgetChangeLimitCents: z.number().min(0),
+  budgetChangeAlwaysApprovePct: z.number().min(0).max(100),
+  autoApproveBidChangePct: z.number().min(0).max(100),
+  autoPauseRoasThreshold: z.number().min(0),
+  autoPauseCpaMultiplier: z.number().min(0),
+  zeroConversionSpendAlertCents: z.number().min(0),
+  maxAutoChangesPerDay: z.number().int().min(0),
+  blackoutWindows: z.array(blackoutWindowSchema),
+  timezone: z.string().refine(isValidTimezone, 'timezone must be an IANA timezone, e.g. "Europe/London"'),
+  platforms: z.object({
+    allow: z.array(z.enum(PLATFORMS)).optional(),
+    deny: z.array(z.enum(PLATFORMS)).optional(),
+  }).strict(),
+}).strict().partial();
+
+export function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Global policy built from config.js — the baseline every client starts from.
+ */
+export function getGlobalPolicy() {
+  return {
+    autoApproveBudgetChangeLimitCents: config.AUTO_APPROVE_BUDGET_CHANGE_LIMIT,
+    budgetChangeAlwaysApprovePct: 20,
+    autoApproveBidChangePct: config.AUTO_APPROVE_BID_CHANGE_PCT,
+    autoPauseRoasThreshold: config.AUTO_PAUSE_ROAS_THRESHOLD,
+    autoPauseCpaMultiplier: config.AUTO_PAUSE_CPA_MULTIPLIER,
+    zeroConversionSpendAlertCents: config.ZERO_CONVERSION_SPEND_ALERT,
+    maxAutoChangesPerDay: config.MAX_AUTO_CHANGES_PER_DAY,
+    blackoutWindows: [],
+    timezone: DEFAULT_POLICY_TIMEZONE,
+    platforms: {},
+  };
+}
+
+/**
+ * Validate policy overrides. Throws with a readable message on bad input.
+ */
+export function validatePolicyOverrides(overrides) {
+  const result = policySchema.safeParse(overrides || {});
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.') || 'policy'}: ${i.message}`);
+    throw new Error(`Invalid safety policy — ${issues.join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * Stored overrides for a client ({} if none).
+ */
+export function getClientPolicyOverrides(clientId) {
+  const client = getClient(clientId);
+  if (!client?.safety_policy) return {};
+  try {
+    return JSON.parse(client.safety_policy);
+  } catch (e) {
+    log.warn(`Ignoring unreadable safety policy for ${clientId}`, { error: e.message });
+    return {};
+  }
+}
+
+/**
+ * Effective policy for a client: globals with the client's overrides on top.
+ * Unknown or missing clients get the global policy.
+ */
+export function getClientPolicy(clientId) {
+  const global = getGlobalPolicy();
+  if (!clientId) return global;
+  return { ...global, ...getClientPolicyOverrides(clientId) };
+}
+
+/**
+ * Merge changes into a client's stored overrides. A null value removes the
+ * override so that field falls back to the global default again.
+ * @returns {object} { overrides, effective }
+ */
+export function setClientPolicy(clientId, changes, { updatedBy = 'owner' } = {}) {
+  const client = getClient(clientId);
+  if (!client) throw new Error(`Client "${clientId}" not found`);
+
+  const merged = { ...getClientPolicyOverrides(client.id) };
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  const overrides = validatePolicyOverrides(merged);
+
+  updateClient(client.id, { safetyPolicy: overrides });
+  auditLog({
+    action: 'safety_policy_updated',
+    workflow: 'safety',
+    clientId: client.id,
+    details: { changes, overrides },
+    approvedBy: updatedBy,
+    result: 'success',
+  });
+  log.info(`Updated safety policy for ${client.name}`, { changes });
+
+  return { overrides, effective: getClientPolicy(client.id) };
+}
+
+/**
+ * Local weekday (0 = Sunday), minutes since midnight and date in a timezone.
+ */
+export function getLocalTime(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).map(p => [p.type, p.value]),
+  );
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    isoDate: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Find the blackout window active at `date`, if any.
+ * Time windows may cross midnight (e.g. 22:00–06:00); the part after midnight
+ * belongs to the previous day's window.
+ * @returns {object|null} The matching window
+ */
+export function getActiveBlackout(policy, date = new Date()) {
+  const windows = policy.blackoutWindows || [];
+  if (windows.length === 0) return null;
+  const local = getLocalTime(date, policy.timezone || DEFAULT_POLICY_TIMEZONE);
+
+  for (const w of windows) {
+    if (w.from) {
+      if (local.isoDate >= w.from && local.isoDate <= w.to) return w;
+      continue;
+    }
+    const start = toMinutes(w.start);
+    const end = toMinutes(w.end);
+    const onDay = (d) => !w.days || w.days.includes(DAY_NAMES[d]);
+    if (start <= end) {
+      if (onDay(local.day) && local.minutes >= start && local.minutes < end) return w;
+    } else if ((onDay(local.day) && local.minutes >= start) || (onDay((local.day + 6) % 7) && local.minutes < end)) {
+      return w;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether automation may act on a platform without approval.
+ */
+export function isPlatformAllowed(policy, platform) {
+  const { allow, deny } = policy.platforms || {};
+  if (deny?.includes(platform)) return false;
+  if (allow?.length && !allow.includes(platform)) return false;
+  return true;
+}
+
+export default {
+  getGlobalPolicy, getClientPolicy, getClientPolicyOverrides, setClientPolicy,
+  validatePolicyOverrides, getActiveBlackout, isPlatformAllowed,
+};
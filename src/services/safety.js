@@ -1,6 +1,7 @@
-import config from '../config.js';
 import logger from '../utils/logger.js';
-import { auditLog } from './cost-tracker.js';
+import { auditLog, countAutoActions } from './cost-tracker.js';
+import { requestApproval, newApprovalId } from './approval-queue.js';
+import { getGlobalPolicy, getClientPolicy, getActiveBlackout, isPlatformAllowed } from './safety-policy.js';
 
 const log = logger.child({ workflow: 'safety' });
 
@@ -17,14 +18,15 @@ export const ApprovalLevel = {
  * Determine the approval level for a budget change.
  * @param {number} dailyChangeCents - Absolute daily budget change in cents
  * @param {number} totalClientBudgetCents - Total client budget
+ * @param {object} [policy] - Client safety policy (defaults to the global policy)
  */
-export function getBudgetChangeApproval(dailyChangeCents, totalClientBudgetCents) {
+export function getBudgetChangeApproval(dailyChangeCents, totalClientBudgetCents, policy = getGlobalPolicy()) {
   // >20% of total client budget always needs approval
-  if (totalClientBudgetCents > 0 && dailyChangeCents > totalClientBudgetCents * 0.2) {
+  if (totalClientBudgetCents > 0 && dailyChangeCents > totalClientBudgetCents * (policy.budgetChangeAlwaysApprovePct / 100)) {
     return ApprovalLevel.ALWAYS_REQUIRES_APPROVAL;
   }
   // >$50/day needs approval
-  if (dailyChangeCents > config.AUTO_APPROVE_BUDGET_CHANGE_LIMIT) {
+  if (dailyChangeCents > policy.autoApproveBudgetChangeLimitCents) {
     return ApprovalLevel.REQUIRES_APPROVAL;
   }
   return ApprovalLevel.AUTO;
@@ -32,9 +34,11 @@ export function getBudgetChangeApproval(dailyChangeCents, totalClientBudgetCents
 
 /**
  * Determine if a bid adjustment can be auto-approved.
+ * @param {number} changePercent - Bid change in percent (sign ignored)
+ * @param {object} [policy] - Client safety policy (defaults to the global policy)
  */
-export function getBidChangeApproval(changePercent) {
-  if (Math.abs(changePercent) <= config.AUTO_APPROVE_BID_CHANGE_PCT) {
+export function getBidChangeApproval(changePercent, policy = getGlobalPolicy()) {
+  if (Math.abs(changePercent) <= policy.autoApproveBidChangePct) {
     return ApprovalLevel.AUTO;
   }
   return ApprovalLevel.REQUIRES_APPROVAL;
@@ -42,33 +46,72 @@ export function getBidChangeApproval(changePercent) {
 
 /**
  * Check if a campaign should be auto-paused for safety.
+ * @param {object} campaign - Campaign metrics (money in cents)
+ * @param {object} [policy] - Client safety policy (defaults to the global policy)
  */
-export function shouldAutoPause(campaign) {
+export function shouldAutoPause(campaign, policy = getGlobalPolicy()) {
   const { roas, roasTarget, cpa, cpaTarget, spend, conversions, daysRunning } = campaign;
 
   // Auto-pause if ROAS < 0.2x target for 3+ days
-  if (roasTarget > 0 && roas < roasTarget * config.AUTO_PAUSE_ROAS_THRESHOLD && daysRunning >= 3) {
-    return { pause: true, reason: `ROAS ${roas.toFixed(2)} is below safety threshold (${(roasTarget * config.AUTO_PAUSE_ROAS_THRESHOLD).toFixed(2)}) for ${daysRunning} days` };
+  if (roasTarget > 0 && roas < roasTarget * policy.autoPauseRoasThreshold && daysRunning >= 3) {
+    return { pause: true, reason: `ROAS ${roas.toFixed(2)} is below safety threshold (${(roasTarget * policy.autoPauseRoasThreshold).toFixed(2)}) for ${daysRunning} days` };
   }
 
   // Auto-pause if CPA > 3x target
-  if (cpaTarget > 0 && cpa > cpaTarget * config.AUTO_PAUSE_CPA_MULTIPLIER) {
-    return { pause: true, reason: `CPA $${(cpa / 100).toFixed(2)} exceeds ${config.AUTO_PAUSE_CPA_MULTIPLIER}x target ($${(cpaTarget / 100).toFixed(2)})` };
+  if (cpaTarget > 0 && cpa > cpaTarget * policy.autoPauseCpaMultiplier) {
+    return { pause: true, reason: `CPA $${(cpa / 100).toFixed(2)} exceeds ${policy.autoPauseCpaMultiplier}x target ($${(cpaTarget / 100).toFixed(2)})` };
   }
 
   // Alert if significant spend with zero conversions
-  if (spend > config.ZERO_CONVERSION_SPEND_ALERT && conversions === 0) {
+  if (spend > policy.zeroConversionSpendAlertCents && conversions === 0) {
     return { pause: true, reason: `$${(spend / 100).toFixed(2)} spent with zero conversions` };
   }
 
   return { pause: false };
 }
 
+// Budget/bid changes count toward the daily cap and wait out blackout windows.
+// Pauses are exempt from both — they only ever stop spend.
+const CAPPED_ACTIONS = ['change_budget', 'change_bid'];
+
+/**
+ * Apply a client's policy gates (platform allow/deny list, blackout windows,
+ * daily auto-change cap) to an action that would otherwise auto-execute.
+ * @returns {object|null} A requires-approval validation, or null if the action may proceed
+ */
+export function checkPolicyGates(action, policy, now = new Date()) {
+  if (action.platform && !isPlatformAllowed(policy, action.platform)) {
+    return { allowed: false, level: ApprovalLevel.REQUIRES_APPROVAL, reason: `Automated changes on ${action.platform} are not allowed for this client — requires approval` };
+  }
+  if (!CAPPED_ACTIONS.includes(action.type)) return null;
+
+  const blackout = getActiveBlackout(policy, now);
+  if (blackout) {
+    const window = blackout.from ? `${blackout.from} to ${blackout.to}` : `${blackout.start}–${blackout.end}`;
+    return { allowed: false, level: ApprovalLevel.REQUIRES_APPROVAL, reason: `Blackout window${blackout.label ? ` "${blackout.label}"` : ''} (${window} ${policy.timezone}) is active — requires approval` };
+  }
+
+  if (policy.maxAutoChangesPerDay > 0 && action.clientId) {
+    const count = countAutoActions(action.clientId, CAPPED_ACTIONS);
+    if (count >= policy.maxAutoChangesPerDay) {
+      return { allowed: false, level: ApprovalLevel.REQUIRES_APPROVAL, reason: `Daily auto-change cap reached (${count}/${policy.maxAutoChangesPerDay} in the last 24h) — requires approval` };
+    }
+  }
+  return null;
+}
+
 /**
  * Validate a campaign action before execution.
+ * Uses the client's safety policy when action.clientId is set.
  * Returns { allowed, level, reason }.
  */
-export function validateAction(action) {
+export function validateAction(action, policy = getClientPolicy(action.clientId)) {
+  const validation = validateAgainstThresholds(action, policy);
+  if (!validation.allowed) return validation;
+  return checkPolicyGates(action, policy) || validation;
+}
+
+function validateAgainstThresholds(action, policy) {
   const BLOCKED_ACTIONS = ['delete_campaign', 'remove_payment', 'change_access', 'modify_contract'];
 
   if (BLOCKED_ACTIONS.includes(action.type)) {
@@ -87,7 +130,7 @@ export function validateAction(action) {
 
   // Budget changes
   if (action.type === 'change_budget') {
-    const level = getBudgetChangeApproval(action.amountCents, action.totalClientBudgetCents || 0);
+    const level = getBudgetChangeApproval(action.amountCents, action.totalClientBudgetCents || 0, policy);
     if (level === ApprovalLevel.AUTO) {
       return { allowed: true, level, reason: `Budget change of $${(action.amountCents / 100).toFixed(2)} within auto-approve limit` };
     }
@@ -96,7 +139,7 @@ export function validateAction(action) {
 
   // Bid changes
   if (action.type === 'change_bid') {
-    const level = getBidChangeApproval(action.changePercent);
+    const level = getBidChangeApproval(action.changePercent, policy);
     if (level === ApprovalLevel.AUTO) {
       return { allowed: true, level, reason: `Bid change of ${action.changePercent}% within auto-approve limit` };
     }
@@ -114,6 +157,9 @@ export function validateAction(action) {
 
 /**
  * Execute an action with safety checks and audit logging.
+ * Actions that need approval are queued; once approved, the executor for
+ * action.type in commands/approval-handlers.js runs them.
+ * @returns {Promise<object>} { executed, result?, auditId?, approvalId?, allowed, level, reason }
  */
 export async function safeExecute(action, executeFn) {
   const validation = validateAction(action);
@@ -130,14 +176,41 @@ export async function safeExecute(action, executeFn) {
 
   if (!validation.allowed) {
     log.info(`Action requires approval: ${action.type}`, { reason: validation.reason, level: validation.level });
-    return { executed: false, ...validation };
+    if (validation.level === 'blocked') {
+      return { executed: false, ...validation };
+    }
+
+    // Queue the action so APPROVE can execute it later, even after a restart.
+    // The payload is the action itself — executors rebuild the call from it.
+    const approvalId = newApprovalId(action.type);
+    try {
+      await requestApproval({
+        id: approvalId,
+        type: action.type,
+        workflow: action.workflow,
+        clientId: action.clientId,
+        platform: action.platform,
+        payload: { action },
+        request: {
+          description: action.description || `${action.type.replace(/_/g, ' ')} (${action.workflow || 'manual'})`,
+          clientName: action.clientName || action.clientId || 'N/A',
+          impact: validation.reason,
+          details: action.details || JSON.stringify(action, null, 2),
+        },
+      });
+    } catch (e) {
+      log.error(`Failed to queue approval for ${action.type}`, { error: e.message });
+      return { executed: false, ...validation, error: e.message };
+    }
+    return { executed: false, approvalId, ...validation };
   }
 
   try {
     log.info(`Auto-executing: ${action.type}`, { reason: validation.reason });
     const result = await executeFn();
 
-    auditLog({
+    // rollbackData (prior state, see services/rollback.js) makes the action undoable
+    const auditId = auditLog({
       action: action.type,
       workflow: action.workflow,
       clientId: action.clientId,
@@ -148,7 +221,7 @@ export async function safeExecute(action, executeFn) {
       rollbackData: action.rollbackData,
     });
 
-    return { executed: true, result, ...validation };
+    return { executed: true, result, auditId, ...validation };
   } catch (error) {
     log.error(`Action failed: ${action.type}`, { error: error.message });
     auditLog({
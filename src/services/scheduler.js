@@ -1,73 +1,542 @@
+/**
+ * Durable job scheduler.
+ * node-cron fires the ticks; every run is recorded in SQLite next to
+ * audit_log (costs DB) so history survives restarts:
+ *
+ *   - job_runs: start, end, status (running → success | failed | skipped | interrupted), error
+ *   - job_locks: single-flight leases, so slow runs and multiple replicas never overlap
+ *   - scheduled_jobs: when each job's current schedule took effect, so
+ *     catch-up only replays slots that were actually missed during downtime
+ *   - job_schedule_overrides: schedule, timezone and enabled flag set by the
+ *     owner at runtime; the cron expressions in initializeSchedule() are the
+ *     defaults, so an empty table behaves exactly like the code
+ */
+import os from 'os';
 import cron from 'node-cron';
+// node-cron's own matcher, so catch-up agrees exactly with when ticks fire
+import TimeMatcher from 'node-cron/src/time-matcher.js';
+import Database from 'better-sqlite3';
+import config from '../config.js';
 import logger from '../utils/logger.js';
+import { notifyOwnerAlert } from '../utils/notify-owner.js';
+import { auditLog, COSTS_SCHEMA } from './cost-tracker.js';
+import { runMigrations } from './migrations.js';
 
 const log = logger.child({ workflow: 'scheduler' });
+const DB_PATH = config.COST_DB_PATH || 'data/costs.db';
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const DEFAULT_LOCK_TTL_MINUTES = 60;
+// Only the most recent missed slot within this window is replayed
+const DEFAULT_CATCH_UP_HOURS = 12;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+// Override row holding the default timezone for every job without its own
+export const ALL_JOBS = '*';
+
+export const JobRunStatus = {
+  RUNNING: 'running',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  INTERRUPTED: 'interrupted',
+};
 
 const jobs = new Map();
 
+// Client-facing jobs are registered once per client timezone, so each one
+// fires at the same local time everywhere (see syncClientTimezoneJobs)
+const CLIENT_FAN_OUT_JOBS = [
+  // Client morning briefing - 8:30 AM local (after the owner briefing at 8 AM)
+  { workflow: 'clientMorningBriefing', name: 'client-morning-briefing', schedule: '30 8 * * *' },
+  // Client check-in - 9 AM local (proactive follow-ups)
+  { workflow: 'clientCheckIn', name: 'client-check-in', schedule: '0 9 * * *' },
+];
+let clientFanOut = null;
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000'); // replicas share this file
+    runMigrations(db, COSTS_SCHEMA);
+  }
+  return db;
+}
+
+function toSql(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/** The UTC minute a tick belongs to, as a SQL timestamp. */
+function slotOf(date) {
+  const minute = new Date(date);
+  minute.setUTCSeconds(0, 0);
+  return toSql(minute);
+}
+
+// --- Locks ---
+
+/**
+ * Take the single-flight lease for a lock key. An expired lease (its holder
+ * crashed or was redeployed) can be taken over.
+ * @returns {boolean} true if this instance now holds the lock
+ */
+export function acquireLock(lockKey, { job = null, ttlMinutes = DEFAULT_LOCK_TTL_MINUTES, now = new Date() } = {}) {
+  const expires = new Date(now.getTime() + ttlMinutes * 60_000);
+  const info = getDb().prepare(`
+    INSERT INTO job_locks (lock_key, owner, job, acquired_at, expires_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(lock_key) DO UPDATE SET owner = excluded.owner, job = excluded.job,
+      acquired_at = excluded.acquired_at, expires_at = excluded.expires_at
+    WHERE job_locks.expires_at <= ?
+  `).run(lockKey, INSTANCE_ID, job, toSql(now), toSql(expires), toSql(now));
+  return info.changes > 0;
+}
+
+function renewLock(lockKey, ttlMinutes) {
+  getDb().prepare('UPDATE job_locks SET expires_at = ? WHERE lock_key = ? AND owner = ?')
+    .run(toSql(new Date(Date.now() + ttlMinutes * 60_000)), lockKey, INSTANCE_ID);
+}
+
+export function releaseLock(lockKey) {
+  getDb().prepare('DELETE FROM job_locks WHERE lock_key = ? AND owner = ?').run(lockKey, INSTANCE_ID);
+}
+
+/**
+ * Who holds a lock right now, or null if it is free.
+ */
+export function getLockHolder(lockKey, { now = new Date() } = {}) {
+  return getDb().prepare('SELECT * FROM job_locks WHERE lock_key = ? AND expires_at > ?').get(lockKey, toSql(now)) || null;
+}
+
+// --- Runs ---
+
+/**
+ * Run a registered job under its lock and record the run.
+ * Scheduled and catch-up runs claim their slot, so each slot runs at most once
+ * across replicas; a slot whose lock is busy is recorded as skipped.
+ * @returns {Promise<{ status: string, runId?: number, result?: *, error?: Error, holder?: object }>}
+ */
+async function executeJob(name, { trigger, scheduledFor = null, triggeredBy = null }) {
+  const job = jobs.get(name);
+  const lockKey = job.opts.lockKey || name;
+  const ttlMinutes = job.opts.lockTtlMinutes || DEFAULT_LOCK_TTL_MINUTES;
+  const d = getDb();
+
+  if (!acquireLock(lockKey, { job: name, ttlMinutes })) {
+    const holder = getLockHolder(lockKey);
+    const reason = `${lockKey} is already running${holder ? ` (${holder.job} on ${holder.owner} since ${holder.acquired_at} UTC)` : ''}`;
+    if (scheduledFor) {
+      d.prepare(`
+        INSERT OR IGNORE INTO job_runs (job, trigger, scheduled_for, lock_key, instance, triggered_by, status, finished_at, duration_ms, error)
+        VALUES (?, ?, ?, ?, ?, ?, 'skipped', datetime('now'), 0, ?)
+      `).run(name, trigger, scheduledFor, lockKey, INSTANCE_ID, triggeredBy, reason);
+    }
+    log.warn(`Job "${name}" skipped: ${reason}`);
+    return { status: JobRunStatus.SKIPPED, holder, reason };
+  }
+
+  const heartbeat = setInterval(() => renewLock(lockKey, ttlMinutes), (ttlMinutes * 60_000) / 3);
+  heartbeat.unref();
+  try {
+    const info = d.prepare(`
+      INSERT OR IGNORE INTO job_runs (job, trigger, scheduled_for, lock_key, instance, triggered_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(name, trigger, scheduledFor, lockKey, INSTANCE_ID, triggeredBy);
+    if (info.changes === 0) {
+      log.info(`Job "${name}" slot ${scheduledFor} already ran elsewhere`);
+      return { status: 'duplicate' };
+    }
+    const runId = Number(info.lastInsertRowid);
+    const started = Date.now();
+
+    log.info(`Running job: ${name}`, { trigger, scheduledFor, runId });
+    const finish = d.prepare(`
+      UPDATE job_runs SET status = ?, finished_at = datetime('now'), duration_ms = ?, error = ? WHERE id = ?
+    `);
+    try {
+      const result = await job.handler();
+      finish.run(JobRunStatus.SUCCESS, Date.now() - started, null, runId);
+      log.info(`Job "${name}" completed`, { runId, durationMs: Date.now() - started });
+      return { status: JobRunStatus.SUCCESS, runId, result };
+    } catch (error) {
+      finish.run(JobRunStatus.FAILED, Date.now() - started, error.message, runId);
+      log.error(`Job "${name}" failed`, { runId, error: error.message, stack: error.stack });
+      return { status: JobRunStatus.FAILED, runId, error };
+    }
+  } finally {
+    clearInterval(heartbeat);
+    releaseLock(lockKey);
+  }
+}
+
+/**
+ * Run a job for a scheduled (or caught-up) slot. Failures are recorded and
+ * sent to the owner instead of thrown — there is no caller to catch them.
+ */
+async function runScheduledSlot(name, trigger, scheduledFor) {
+  const outcome = await executeJob(name, { trigger, scheduledFor });
+  if (outcome.status === JobRunStatus.FAILED) {
+    await notifyOwnerAlert('warning', `Scheduled Job Failed: ${name}`,
+      `${trigger === 'catch_up' ? 'Catch-up run' : 'Run'} for ${scheduledFor} UTC failed:\n${outcome.error.message}\n\nReply RUN ${name} to retry it now.`);
+  }
+  return outcome;
+}
+
+// --- Schedule configuration ---
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getOverride(name) {
+  return getDb().prepare('SELECT * FROM job_schedule_overrides WHERE name = ?').get(name) || null;
+}
+
+/**
+ * A job's effective schedule: owner overrides on top of the defaults it was
+ * registered with. Timezone precedence: job override, the job's own default,
+ * the all-jobs override, then America/New_York.
+ */
+function resolveSchedule(job, override = getOverride(job.name), allJobs = getOverride(ALL_JOBS)) {
+  return {
+    schedule: override?.schedule || job.defaultSchedule,
+    timezone: override?.timezone || job.opts.timezone || allJobs?.timezone || DEFAULT_TIMEZONE,
+    enabled: override?.enabled === null || override?.enabled === undefined ? true : Boolean(override.enabled),
+  };
+}
+
+/**
+ * (Re)create a job's cron task from its effective schedule. Disabled jobs have
+ * no task but can still be run with runJob().
+ */
+function applySchedule(job) {
+  if (job.task) job.task.stop();
+  const { schedule, timezone, enabled } = resolveSchedule(job);
+  Object.assign(job, { schedule, timezone, enabled, task: null });
+
+  if (enabled) {
+    job.task = cron.schedule(schedule, async () => {
+      try {
+        await runScheduledSlot(job.name, 'schedule', slotOf(new Date()));
+      } catch (error) {
+        log.error(`Job "${job.name}" could not be run`, { error: error.message, stack: error.stack });
+      }
+    }, {
+      timezone,
+      scheduled: true,
+    });
+  }
+
+  getDb().prepare(`
+    INSERT INTO scheduled_jobs (name, schedule, timezone, schedule_since) VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(name) DO UPDATE SET
+      schedule_since = CASE WHEN scheduled_jobs.schedule = excluded.schedule AND scheduled_jobs.timezone = excluded.timezone
+        THEN COALESCE(scheduled_jobs.schedule_since, scheduled_jobs.first_registered_at) ELSE excluded.schedule_since END,
+      schedule = excluded.schedule, timezone = excluded.timezone, updated_at = datetime('now')
+  `).run(job.name, schedule, timezone);
+}
+
 /**
- * Register a scheduled job.
+ * Register a scheduled job. Owner overrides from job_schedule_overrides
+ * are applied on top of the schedule and timezone given here.
  * @param {string} name - Job name
- * @param {string} schedule - Cron expression
+ * @param {string} schedule - Default cron expression
  * @param {Function} handler - Async function to execute
  * @param {object} opts - Options
+ * @param {string} [opts.timezone] - Default timezone (otherwise the all-jobs default, America/New_York)
+ * @param {string} [opts.lockKey] - Jobs sharing a lock key never run at the same time (defaults to the name)
+ * @param {number} [opts.lockTtlMinutes] - Lease length; renewed while the job runs
+ * @param {boolean} [opts.catchUp] - Replay a slot missed during downtime (default true)
+ * @param {number} [opts.catchUpHours] - How far back a missed slot is replayed (default 12)
  */
 export function registerJob(name, schedule, handler, opts = {}) {
   if (jobs.has(name)) {
     log.warn(`Job "${name}" already registered, replacing`);
-    jobs.get(name).task.stop();
+    jobs.get(name).task?.stop();
   }
 
-  const task = cron.schedule(schedule, async () => {
-    log.info(`Running scheduled job: ${name}`);
-    try {
-      await handler();
-      log.info(`Job "${name}" completed`);
-    } catch (error) {
-      log.error(`Job "${name}" failed`, { error: error.message, stack: error.stack });
-    }
-  }, {
-    timezone: opts.timezone || 'America/New_York',
-    scheduled: true,
+  const job = { name, defaultSchedule: schedule, handler, opts, task: null };
+  applySchedule(job);
+  jobs.set(name, job);
+  log.info(`Registered job: ${name} (${job.schedule}${job.enabled ? '' : ', disabled'})`);
+}
+
+function unregisterJob(name) {
+  const job = jobs.get(name);
+  if (!job) return;
+  job.task?.stop();
+  jobs.delete(name);
+  log.info(`Unregistered job: ${name}`);
+}
+
+/**
+ * Name of a client-facing job's copy for one timezone,
+ * e.g. client-check-in-america-sao-paulo.
+ */
+export function timezoneJobName(name, timezone) {
+  return `${name}-${timezone.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+/**
+ * Make the per-timezone client jobs match the timezones clients are in now:
+ * register a copy for each new timezone, drop copies nobody is left in.
+ * Called at startup and whenever a client's timezone changes.
+ * @returns {string[]} Names of the per-timezone jobs now registered
+ */
+export function syncClientTimezoneJobs() {
+  if (!clientFanOut) return [];
+  const timezones = [...new Set(clientFanOut.getTimezones())].filter(tz => {
+    if (isValidTimezone(tz)) return true;
+    log.warn(`Ignoring invalid client timezone "${tz}"`);
+    return false;
   });
 
-  jobs.set(name, { task, schedule, handler, opts });
-  log.info(`Registered job: ${name} (${schedule})`);
+  const wanted = new Set();
+  for (const { workflow, name, schedule } of CLIENT_FAN_OUT_JOBS) {
+    const handler = clientFanOut.handlers[workflow];
+    if (!handler) continue;
+    for (const timezone of timezones) {
+      const jobName = timezoneJobName(name, timezone);
+      wanted.add(jobName);
+      if (!jobs.has(jobName)) {
+        registerJob(jobName, schedule, () => handler({ timezone }), { timezone, fanOutOf: name });
+      }
+    }
+  }
+  for (const job of [...jobs.values()]) {
+    if (job.opts.fanOutOf && !wanted.has(job.name)) unregisterJob(job.name);
+  }
+  return [...wanted];
 }
 
 /**
- * Get all registered jobs.
+ * Get all registered jobs with their effective and default schedules.
  */
 export function getJobs() {
+  const allJobs = getOverride(ALL_JOBS);
   const result = [];
-  for (const [name, { schedule, opts }] of jobs) {
-    result.push({ name, schedule, timezone: opts.timezone || 'America/New_York' });
+  for (const job of jobs.values()) {
+    result.push({
+      name: job.name,
+      schedule: job.schedule,
+      timezone: job.timezone,
+      enabled: job.enabled,
+      defaultSchedule: job.defaultSchedule,
+      defaultTimezone: job.opts.timezone || allJobs?.timezone || DEFAULT_TIMEZONE,
+    });
   }
   return result;
 }
 
 /**
- * Run a job immediately (bypass schedule).
+ * Change a job's schedule, timezone or enabled flag at runtime, or (with
+ * ALL_JOBS) the default timezone. A null value removes the override so the
+ * default applies again. Live cron tasks are rescheduled immediately and the
+ * change is recorded in audit_log.
+ * @param {string} name - Job name or ALL_JOBS
+ * @param {object} changes - { schedule?, timezone?, enabled? }
+ * @param {object} [opts] - { updatedBy }
+ * @returns {{ job: string, overrides: object, jobs: object[] }} overrides now stored, affected jobs after the change
+ */
+export function setJobSchedule(name, changes, { updatedBy = 'owner' } = {}) {
+  const allowed = name === ALL_JOBS ? ['timezone'] : ['schedule', 'timezone', 'enabled'];
+  if (name !== ALL_JOBS && !jobs.has(name)) throw new Error(`Job "${name}" not found`);
+  const unknown = Object.keys(changes || {}).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) throw new Error(`Cannot change ${unknown.join(', ')}${name === ALL_JOBS ? ' for all jobs' : ''}`);
+
+  const { schedule, timezone, enabled } = changes;
+  if (schedule != null && !cron.validate(schedule)) throw new Error(`Invalid cron expression: "${schedule}"`);
+  if (timezone != null && !isValidTimezone(timezone)) throw new Error(`Invalid timezone: "${timezone}" (use an IANA name, e.g. "Europe/London")`);
+  if (enabled != null && typeof enabled !== 'boolean') throw new Error('enabled must be true or false');
+
+  const current = getOverride(name) || {};
+  const merged = { schedule: current.schedule ?? null, timezone: current.timezone ?? null, enabled: current.enabled ?? null };
+  for (const [key, value] of Object.entries(changes)) {
+    merged[key] = key === 'enabled' && value !== null ? Number(value) : value;
+  }
+
+  const affected = name === ALL_JOBS ? [...jobs.values()] : [jobs.get(name)];
+  const previous = affected.map(job => ({ name: job.name, schedule: job.schedule, timezone: job.timezone, enabled: job.enabled }));
+
+  const d = getDb();
+  if (merged.schedule === null && merged.timezone === null && merged.enabled === null) {
+    d.prepare('DELETE FROM job_schedule_overrides WHERE name = ?').run(name);
+  } else {
+    d.prepare(`
+      INSERT INTO job_schedule_overrides (name, schedule, timezone, enabled, updated_by) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET schedule = excluded.schedule, timezone = excluded.timezone,
+        enabled = excluded.enabled, updated_by = excluded.updated_by, updated_at = datetime('now')
+    `).run(name, merged.schedule, merged.timezone, merged.enabled, updatedBy);
+  }
+
+  for (const job of affected) applySchedule(job);
+  const effective = affected.map(job => ({ name: job.name, schedule: job.schedule, timezone: job.timezone, enabled: job.enabled }));
+
+  auditLog({
+    action: 'job_schedule_updated',
+    workflow: 'scheduler',
+    details: { job: name, changes, previous, effective },
+    approvedBy: updatedBy,
+    result: 'success',
+  });
+  log.info(`Updated schedule for ${name === ALL_JOBS ? 'all jobs' : name}`, { changes });
+
+  const overrides = Object.fromEntries(Object.entries(merged)
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) => [key, key === 'enabled' ? Boolean(value) : value]));
+  return { job: name, overrides, jobs: getJobs().filter(j => affected.some(a => a.name === j.name)) };
+}
+
+/**
+ * Run a job immediately (bypass schedule). Takes the job's lock like a
+ * scheduled run and is recorded in job history; handler errors propagate.
+ * @param {string} name
+ * @param {object} [opts] - { triggeredBy } recorded on the run
  */
-export async function runJob(name) {
+export async function runJob(name, { triggeredBy = null } = {}) {
   const job = jobs.get(name);
   if (!job) throw new Error(`Job "${name}" not found`);
-  log.info(`Manually triggering job: ${name}`);
-  return job.handler();
+  log.info(`Manually triggering job: ${name}`, { triggeredBy });
+  const outcome = await executeJob(name, { trigger: 'manual', triggeredBy });
+  if (outcome.status === JobRunStatus.SKIPPED) throw new Error(`Job "${name}" not started: ${outcome.reason}`);
+  if (outcome.status === JobRunStatus.FAILED) throw outcome.error;
+  return outcome.result;
+}
+
+// --- Catch-up ---
+
+/**
+ * The most recent time at or before `now` (to the minute) that a cron
+ * schedule fires, looking back at most `withinHours`. Null if none.
+ */
+export function previousSlot(schedule, { timezone = DEFAULT_TIMEZONE, now = new Date(), withinHours = DEFAULT_CATCH_UP_HOURS } = {}) {
+  const matcher = new TimeMatcher(schedule, timezone);
+  const minute = new Date(now);
+  minute.setUTCSeconds(0, 0);
+  for (let i = 0; i <= withinHours * 60; i++) {
+    const candidate = new Date(minute.getTime() - i * 60_000);
+    if (matcher.match(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Mark runs left "running" by an instance that no longer holds their lock
+ * (it crashed or was redeployed mid-run) as interrupted.
+ * @returns {number} Runs marked interrupted
+ */
+export function markInterruptedRuns({ now = new Date() } = {}) {
+  const info = getDb().prepare(`
+    UPDATE job_runs SET status = 'interrupted', finished_at = ?, error = 'Instance stopped before the run finished'
+    WHERE status = 'running' AND NOT EXISTS (
+      SELECT 1 FROM job_locks l
+      WHERE l.lock_key = job_runs.lock_key AND l.owner = job_runs.instance AND l.expires_at > ?
+    )
+  `).run(toSql(now), toSql(now));
+  if (info.changes > 0) log.warn(`Marked ${info.changes} job run(s) as interrupted`);
+  return info.changes;
+}
+
+/**
+ * Replay scheduled slots missed while no instance was running (a redeploy at
+ * 7:59 still gets the 8 AM briefing). For each job, only its latest slot
+ * within the catch-up window is considered, and only if the job was already
+ * on its current schedule then and no replica has run it.
+ * @returns {Promise<Array<{ job: string, scheduledFor: string, status: string }>>}
+ */
+export async function catchUpMissedRuns({ now = new Date() } = {}) {
+  markInterruptedRuns({ now });
+  const d = getDb();
+  const caughtUp = [];
+
+  for (const { name, schedule, timezone, enabled, opts } of jobs.values()) {
+    if (!enabled || opts.catchUp === false) continue;
+    const slot = previousSlot(schedule, {
+      timezone, now, withinHours: opts.catchUpHours || DEFAULT_CATCH_UP_HOURS,
+    });
+    if (!slot) continue;
+    const scheduledFor = toSql(slot);
+
+    const registered = d.prepare(`
+      SELECT COALESCE(schedule_since, first_registered_at) AS since FROM scheduled_jobs WHERE name = ?
+    `).get(name);
+    if (!registered || registered.since > scheduledFor) continue;
+    const ran = d.prepare(`
+      SELECT 1 FROM job_runs WHERE job = ? AND scheduled_for = ? AND status != 'interrupted'
+    `).get(name, scheduledFor);
+    if (ran) continue;
+
+    log.info(`Catching up missed run of "${name}"`, { scheduledFor });
+    const outcome = await runScheduledSlot(name, 'catch_up', scheduledFor);
+    caughtUp.push({ job: name, scheduledFor, status: outcome.status });
+  }
+
+  if (caughtUp.length > 0) log.info(`Caught up ${caughtUp.length} missed job run(s)`);
+  return caughtUp;
+}
+
+// --- History ---
+
+/**
+ * Recorded job runs, newest first.
+ * @param {object} [filter] - { job, status, limit }
+ */
+export function getJobHistory({ job, status, limit = 20 } = {}) {
+  const where = [];
+  const params = [];
+  if (job) { where.push('job = ?'); params.push(job); }
+  if (status) { where.push('status = ?'); params.push(status); }
+  return getDb().prepare(`
+    SELECT * FROM job_runs ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY started_at DESC, id DESC LIMIT ?
+  `).all(...params, limit);
+}
+
+/**
+ * The latest run and recent failure count of every registered job.
+ * @param {object} [opts] - { days } window for the failure count (default 7)
+ */
+export function getJobSummaries({ days = 7 } = {}) {
+  const d = getDb();
+  const latest = d.prepare('SELECT * FROM job_runs WHERE job = ? ORDER BY started_at DESC, id DESC LIMIT 1');
+  const failures = d.prepare(`
+    SELECT COUNT(*) AS n FROM job_runs WHERE job = ? AND status = 'failed' AND started_at >= datetime('now', ?)
+  `);
+  return getJobs().map(job => ({
+    ...job,
+    lastRun: latest.get(job.name) || null,
+    recentFailures: failures.get(job.name, `-${days} days`).n,
+  }));
 }
 
 /**
- * Stop all jobs.
+ * Stop all jobs. Runs still in flight on this instance are marked
+ * interrupted and their locks released, so catch-up can replay them.
  */
 export function stopAll() {
   for (const [name, { task }] of jobs) {
-    task.stop();
+    task?.stop();
     log.info(`Stopped job: ${name}`);
   }
+  const d = getDb();
+  d.prepare(`
+    UPDATE job_runs SET status = 'interrupted', finished_at = datetime('now'), error = 'Scheduler stopped before the run finished'
+    WHERE status = 'running' AND instance = ?
+  `).run(INSTANCE_ID);
+  d.prepare('DELETE FROM job_locks WHERE owner = ?').run(INSTANCE_ID);
 }
 
 /**
  * Initialize all standard scheduled jobs.
+ * @param {object} workflows - Job handlers by key, plus clientTimezones(): the
+ *   timezones client-facing jobs fan out to (defaults to America/New_York only)
  */
 export function initializeSchedule(workflows) {
   const {
@@ -82,20 +551,33 @@ export function initializeSchedule(workflows) {
     crossDepartment,
     clientCheckIn,
     clientMorningBriefing,
+    clientDeferredDelivery,
     morningCostAlert,
     eveningCostAlert,
     weeklySEOCheck,
     monthlyContentAnalysis,
+    approvalReminders,
+    metricsIngestion,
+    databaseBackup,
+    testManager,
+    clientTimezones,
   } = workflows;
 
+  // Database backup - 3 AM daily, while nothing else is running
+  if (databaseBackup) registerJob('database-backup', '0 3 * * *', databaseBackup);
+
+  // Metrics warehouse - 5:30 AM daily, before anything reads yesterday's numbers
+  if (metricsIngestion) registerJob('metrics-ingestion', '30 5 * * *', metricsIngestion);
+
   // Workflow 1: Morning Intelligence Briefing - 8 AM
   if (morningBriefing) registerJob('morning-briefing', '0 8 * * *', morningBriefing);
 
   // Workflow 6: Daily Performance Monitoring - 10 AM, 3 PM, 8 PM
+  // (one lock for all three, so a slow run never overlaps the next one)
   if (dailyMonitor) {
-    registerJob('daily-monitor-10am', '0 10 * * *', dailyMonitor);
-    registerJob('daily-monitor-3pm', '0 15 * * *', dailyMonitor);
-    registerJob('daily-monitor-8pm', '0 20 * * *', dailyMonitor);
+    registerJob('daily-monitor-10am', '0 10 * * *', dailyMonitor, { lockKey: 'daily-monitor' });
+    registerJob('daily-monitor-3pm', '0 15 * * *', dailyMonitor, { lockKey: 'daily-monitor' });
+    registerJob('daily-monitor-8pm', '0 20 * * *', dailyMonitor, { lockKey: 'daily-monitor' });
   }
 
   // Workflow 13: Budget Pacing - 2 PM daily
@@ -104,6 +586,9 @@ export function initializeSchedule(workflows) {
   // Workflow 14: Creative Fatigue Detection - daily at 11 AM
   if (creativeFatigue) registerJob('creative-fatigue', '0 11 * * *', creativeFatigue);
 
+  // Workflow 7: A/B Test Management - Monday 11 AM
+  if (testManager) registerJob('ab-test-manager', '0 11 * * 1', testManager);
+
   // Workflow 8: Weekly Client Report - Friday 4 PM
   if (weeklyReport) registerJob('weekly-report', '0 16 * * 5', weeklyReport);
 
@@ -119,11 +604,18 @@ export function initializeSchedule(workflows) {
   // Workflow 15: Landing Page Analysis - Monday 10 AM
   if (landingPageAnalysis) registerJob('landing-page-analysis', '0 10 * * 1', landingPageAnalysis);
 
-  // Client morning briefing - 8:30 AM daily (after owner briefing at 8 AM)
-  if (clientMorningBriefing) registerJob('client-morning-briefing', '30 8 * * *', clientMorningBriefing);
+  // Client morning briefing and check-in - one job per client timezone,
+  // each handler called with { timezone } (see CLIENT_FAN_OUT_JOBS)
+  if (clientMorningBriefing || clientCheckIn) {
+    clientFanOut = {
+      handlers: { clientMorningBriefing, clientCheckIn },
+      getTimezones: clientTimezones || (() => [DEFAULT_TIMEZONE]),
+    };
+    syncClientTimezoneJobs();
+  }
 
-  // Client check-in - 9 AM daily (proactive follow-ups)
-  if (clientCheckIn) registerJob('client-check-in', '0 9 * * *', clientCheckIn);
+  // Client messages held during quiet hours - sent every 15 minutes once the hours end
+  if (clientDeferredDelivery) registerJob('client-deferred-delivery', '*/15 * * * *', clientDeferredDelivery);
 
   // Owner Cost Alerts - morning recap at 8 AM, end-of-day report at 9 PM (owner-only, never sent to clients)
   if (morningCostAlert) registerJob('morning-cost-alert', '0 8 * * *', morningCostAlert);
@@ -133,7 +625,17 @@ export function initializeSchedule(workflows) {
   if (weeklySEOCheck) registerJob('weekly-seo-check', '0 9 * * 1', weeklySEOCheck);
   if (monthlyContentAnalysis) registerJob('monthly-content-analysis', '0 10 1-7 * 1', monthlyContentAnalysis);
 
-  log.info(`Initialized ${jobs.size} scheduled jobs`);
+  // Approval queue - expire stale approvals and re-notify unanswered ones, hourly
+  if (approvalReminders) registerJob('approval-reminders', '15 * * * *', approvalReminders);
+
+  const disabled = [...jobs.values()].filter(job => !job.enabled).length;
+  log.info(`Initialized ${jobs.size} scheduled jobs${disabled ? ` (${disabled} disabled)` : ''}`);
 }
 
-export default { registerJob, getJobs, runJob, stopAll, initializeSchedule };
+export default {
+  JobRunStatus, ALL_JOBS,
+  registerJob, getJobs, setJobSchedule, runJob, stopAll, initializeSchedule,
+  timezoneJobName, syncClientTimezoneJobs,
+  acquireLock, releaseLock, getLockHolder,
+  previousSlot, markInterruptedRuns, catchUpMissedRuns, getJobHistory, getJobSummaries,
+};
@@ -4,20 +4,24 @@ import * as dataforseo from '../api/dataforseo.js';
 import * as pagespeed from '../api/pagespeed.js';
 import * as webScraper from '../api/web-scraper.js';
 import { getClient } from '../services/knowledge-base.js';
+import { getClientSecret } from '../services/credential-vault.js';
 import { createClient as createWPClient } from '../api/wordpress.js';
 
 const log = logger.child({ workflow: 'seo-engine' });
 
 /**
  * Get a WordPress client for a given agency client.
+ * The application password comes from the credential vault.
  * Returns null if WordPress is not configured.
  */
 export function getWordPressClient(client) {
-  if (!client?.wordpress_url || !client?.wordpress_app_password) return null;
+  if (!client?.wordpress_url) return null;
+  const appPassword = getClientSecret(client.id, 'wordpress_app_password', { purpose: 'wordpress' });
+  if (!appPassword) return null;
   return createWPClient({
     siteUrl: client.wordpress_url,
     username: client.wordpress_username || 'admin',
-    appPassword: client.wordpress_app_password,
+    appPassword,
   });
 }
 
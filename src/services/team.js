@@ -0,0 +1,265 @@
+/**
+ * Team accounts and roles.
+ * The owner (WHATSAPP_OWNER_PHONE / TELEGRAM_OWNER_CHAT_ID) is always an
+ * admin. Everyone else who may talk to Sofia as an operator is a row in
+ * team_members (costs DB, next to audit_log), reached from their own
+ * WhatsApp number or Telegram chat.
+ *
+ * Roles:
+ *   admin        everything, including team, safety and schedule settings
+ *   media_buyer  campaign changes, pacing, UNDO/RUN; approves budget, bid, pause and launch requests
+ *   creative     creative, brand and content tools; approves creative and website content requests
+ *   read_only    stats, research and reports; approves nothing
+ *
+ * Which CSA tools each role may call is defined next to the tool schemas
+ * (ROLE_TOOL_NAMES in commands/csa-tool-defs.js); this module holds the
+ * registry and the approval and command permissions.
+ */
+import Database from 'better-sqlite3';
+import { v4 as uuid } from 'uuid';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { auditLog, COSTS_SCHEMA } from './cost-tracker.js';
+import { runMigrations } from './migrations.js';
+
+const log = logger.child({ workflow: 'team' });
+const DB_PATH = config.COST_DB_PATH || 'data/costs.db';
+
+export const TeamRole = {
+  ADMIN: 'admin',
+  MEDIA_BUYER: 'media_buyer',
+  CREATIVE: 'creative',
+  READ_ONLY: 'read_only',
+};
+
+const ROLES = Object.values(TeamRole);
+
+// Approval types (see APPROVAL_HANDLERS in commands/approval-handlers.js) each
+// role may APPROVE or DENY. Admins may decide every type, including new ones.
+const APPROVAL_TYPES_BY_ROLE = {
+  media_buyer: ['pause', 'change_budget', 'change_bid', 'pause_campaign', 'pause_adset', 'pause_ad', 'launch_campaign'],
+  creative: ['creative_review', 'publish_blog', 'apply_meta', 'update_post', 'schedule_email'],
+  read_only: [],
+};
+
+// Exact-format commands that change something. Listing (bare UNDO / RUN)
+// and DETAILS are open to every role.
+const COMMANDS_BY_ROLE = {
+  media_buyer: ['UNDO', 'RUN'],
+  creative: [],
+  read_only: [],
+};
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    runMigrations(db, COSTS_SCHEMA);
+  }
+  return db;
+}
+
+const normalizePhone = (phone) => phone?.replace(/[^0-9]/g, '') || null;
+
+function parseRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    whatsappPhone: row.whatsapp_phone,
+    telegramChatId: row.telegram_chat_id,
+    active: Boolean(row.active),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    isOwner: false,
+  };
+}
+
+/**
+ * The owner as a team member: always an admin, reached on the configured
+ * owner phone and Telegram chat.
+ */
+export function getOwner() {
+  return {
+    id: 'owner',
+    name: 'Owner',
+    role: TeamRole.ADMIN,
+    whatsappPhone: normalizePhone(config.WHATSAPP_OWNER_PHONE),
+    telegramChatId: config.TELEGRAM_OWNER_CHAT_ID || null,
+    active: true,
+    isOwner: true,
+  };
+}
+
+/**
+ * Find the operator a message came from.
+ * @param {object} from - { whatsappPhone } or { telegramChatId }
+ * @returns {object|null} The owner, an active team member, or null for anyone else (clients)
+ */
+export function findTeamMember({ whatsappPhone, telegramChatId } = {}) {
+  const owner = getOwner();
+  const phone = normalizePhone(whatsappPhone);
+  const chatId = telegramChatId ? String(telegramChatId) : null;
+  if ((phone && phone === owner.whatsappPhone) || (chatId && chatId === owner.telegramChatId)) return owner;
+
+  const d = getDb();
+  const row = phone
+    ? d.prepare('SELECT * FROM team_members WHERE whatsapp_phone = ? AND active = 1').get(phone)
+    : chatId && d.prepare('SELECT * FROM team_members WHERE telegram_chat_id = ? AND active = 1').get(chatId);
+  return parseRow(row);
+}
+
+/**
+ * Get a team member by ID or name (case-insensitive), active or not.
+ */
+export function getTeamMember(idOrName) {
+  const d = getDb();
+  return parseRow(
+    d.prepare('SELECT * FROM team_members WHERE id = ?').get(idOrName)
+    || d.prepare('SELECT * FROM team_members WHERE name = ?').get(idOrName),
+  );
+}
+
+export function listTeamMembers({ includeInactive = false } = {}) {
+  const d = getDb();
+  const rows = includeInactive
+    ? d.prepare('SELECT * FROM team_members ORDER BY name').all()
+    : d.prepare('SELECT * FROM team_members WHERE active = 1 ORDER BY name').all();
+  return rows.map(parseRow);
+}
+
+function validateMember({ role, whatsappPhone, telegramChatId }, existingId = null) {
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}". Use one of: ${ROLES.join(', ')}`);
+  }
+  const owner = getOwner();
+  const d = getDb();
+  const phone = normalizePhone(whatsappPhone);
+  if (phone) {
+    if (phone === owner.whatsappPhone) throw new Error('That WhatsApp number belongs to the owner');
+    const taken = d.prepare('SELECT name FROM team_members WHERE whatsapp_phone = ? AND id != ?').get(phone, existingId || '');
+    if (taken) throw new Error(`WhatsApp number already belongs to ${taken.name}`);
+  }
+  if (telegramChatId) {
+    if (String(telegramChatId) === owner.telegramChatId) throw new Error('That Telegram chat belongs to the owner');
+    const taken = d.prepare('SELECT name FROM team_members WHERE telegram_chat_id = ? AND id != ?').get(String(telegramChatId), existingId || '');
+    if (taken) throw new Error(`Telegram chat already belongs to ${taken.name}`);
+  }
+}
+
+/**
+ * Add a team member. At least one channel is required.
+ * @param {object} member - { name, role, whatsappPhone?, telegramChatId? }
+ * @param {object} [opts] - { addedBy }
+ */
+export function addTeamMember({ name, role, whatsappPhone, telegramChatId }, { addedBy = 'owner' } = {}) {
+  if (!name?.trim()) throw new Error('A team member needs a name');
+  if (!role) throw new Error(`A team member needs a role: ${ROLES.join(', ')}`);
+  if (!normalizePhone(whatsappPhone) && !telegramChatId) {
+    throw new Error('A team member needs a WhatsApp number or a Telegram chat ID');
+  }
+  if (getTeamMember(name.trim())) throw new Error(`A team member named "${name.trim()}" already exists`);
+  validateMember({ role, whatsappPhone, telegramChatId });
+
+  const id = uuid();
+  getDb().prepare(`
+    INSERT INTO team_members (id, name, role, whatsapp_phone, telegram_chat_id, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, name.trim(), role, normalizePhone(whatsappPhone), telegramChatId ? String(telegramChatId) : null, addedBy);
+
+  const member = getTeamMember(id);
+  auditLog({
+    action: 'team_member_added',
+    workflow: 'team',
+    details: { member },
+    approvedBy: addedBy,
+    result: 'success',
+  });
+  log.info(`Added team member ${member.name} (${role})`);
+  return member;
+}
+
+/**
+ * Change a team member's role, channels or active flag. Deactivated members
+ * keep their row (and audit trail) but are treated like unknown senders.
+ * @param {string} idOrName
+ * @param {object} changes - { role?, whatsappPhone?, telegramChatId?, active? } (null clears a channel)
+ * @param {object} [opts] - { updatedBy }
+ */
+export function updateTeamMember(idOrName, changes, { updatedBy = 'owner' } = {}) {
+  const member = getTeamMember(idOrName);
+  if (!member) throw new Error(`Team member "${idOrName}" not found`);
+  validateMember(changes, member.id);
+
+  const columns = { role: 'role', whatsappPhone: 'whatsapp_phone', telegramChatId: 'telegram_chat_id', active: 'active' };
+  const fields = [];
+  const values = [];
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (!columns[key] || value === undefined) continue;
+    fields.push(`${columns[key]} = ?`);
+    if (key === 'whatsappPhone') values.push(normalizePhone(value));
+    else if (key === 'telegramChatId') values.push(value === null ? null : String(value));
+    else if (key === 'active') values.push(value ? 1 : 0);
+    else values.push(value);
+  }
+  if (fields.length === 0) throw new Error('No team member changes given');
+
+  getDb().prepare(`UPDATE team_members SET ${fields.join(', ')}, updated_at = datetime('now') WHERE id = ?`)
+    .run(...values, member.id);
+  const updated = getTeamMember(member.id);
+  if (!updated.whatsappPhone && !updated.telegramChatId && updated.active) {
+    log.warn(`Team member ${updated.name} has no channel left and cannot reach Sofia`);
+  }
+
+  auditLog({
+    action: 'team_member_updated',
+    workflow: 'team',
+    details: { memberId: member.id, name: member.name, changes, before: { role: member.role, active: member.active } },
+    approvedBy: updatedBy,
+    result: 'success',
+  });
+  log.info(`Updated team member ${member.name}`, { changes });
+  return updated;
+}
+
+/**
+ * Remove a team member's access (deactivates the row).
+ */
+export function removeTeamMember(idOrName, { removedBy = 'owner' } = {}) {
+  return updateTeamMember(idOrName, { active: false }, { updatedBy: removedBy });
+}
+
+/**
+ * How an operator is recorded in audit_log, approvals and job runs,
+ * e.g. owner:whatsapp or team:Maria:telegram.
+ */
+export function actorLabel(member, channel) {
+  if (!member || member.isOwner) return `owner:${channel}`;
+  return `team:${member.name}:${channel}`;
+}
+
+/**
+ * Whether a member may APPROVE or DENY an approval of this type.
+ */
+export function canApprove(member, approvalType) {
+  if (!member?.active) return false;
+  if (member.role === TeamRole.ADMIN) return true;
+  return (APPROVAL_TYPES_BY_ROLE[member.role] || []).includes(approvalType);
+}
+
+/**
+ * Whether a member may run a changing exact-format command ('UNDO' or 'RUN').
+ */
+export function canUseCommand(member, command) {
+  if (!member?.active) return false;
+  if (member.role === TeamRole.ADMIN) return true;
+  return (COMMANDS_BY_ROLE[member.role] || []).includes(command);
+}
+
+export default {
+  TeamRole, getOwner, findTeamMember, getTeamMember, listTeamMembers,
+  addTeamMember, updateTeamMember, removeTeamMember, actorLabel, canApprove, canUseCommand,
+};
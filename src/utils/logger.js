@@ -1,7 +1,25 @@
 import winston from 'winston';
+import { redactFields, reportRedaction } from './redact.js';
 
 const { combine, timestamp, printf, colorize, errors } = winston.format;
 
+// Mask PII and secrets in the message and metadata before any transport sees them.
+// Routing fields (chatId, from…) keep their ids; see utils/redact.js.
+const redact = winston.format((info) => {
+  const findings = {};
+  for (const key of Object.keys(info)) {
+    if (key === 'level') continue;
+    const result = redactFields(info[key], { field: key });
+    info[key] = result.value;
+    for (const [field, counts] of Object.entries(result.findings)) {
+      findings[field] ??= {};
+      for (const [type, n] of Object.entries(counts)) findings[field][type] = (findings[field][type] || 0) + n;
+    }
+  }
+  reportRedaction({ source: 'log', context: info.workflow || info.module, findings });
+  return info;
+});
+
 const logFormat = printf(({ level, message, timestamp, workflow, client, ...meta }) => {
   let line = `${timestamp} [${level}]`;
   if (workflow) line += ` [${workflow}]`;
@@ -20,6 +38,7 @@ const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: combine(
     errors({ stack: true }),
+    redact(),
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     logFormat,
   ),
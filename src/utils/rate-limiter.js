@@ -24,6 +24,8 @@ const limiters = {
   kimi: new PQueue({ concurrency: 3, interval: 1000, intervalCap: 3 }),
   kling: new PQueue({ concurrency: 2, interval: 1000, intervalCap: 2 }),
   supabase: new PQueue({ concurrency: 5, interval: 1000, intervalCap: 5 }),
+  shopify: new PQueue({ concurrency: 2, interval: 1000, intervalCap: 2 }), // REST Admin API leaky bucket: 2 req/s
+  mailchimp: new PQueue({ concurrency: 5, interval: 1000, intervalCap: 10 }), // 10 simultaneous connections per account
 };
 
 /**
@@ -0,0 +1,259 @@
+/**
+ * PII and secret redaction for log output and stored conversations.
+ *
+ * Text is scanned for secrets (API tokens, private keys, "password: …"),
+ * e-mail addresses, payment card numbers (Luhn-checked), tax ids and phone
+ * numbers, and each match is replaced by a [REDACTED:<type>] marker.
+ *
+ * Structured values (log metadata) are redacted per field. The allow-list maps
+ * field names to the types that may stay in that field, so routing identifiers
+ * (chatId, from, phone…) keep their phone numbers while free text does not.
+ * Extra entries come from REDACTION_ALLOW_FIELDS, e.g. "email:email,notes:phone|email,raw:*".
+ *
+ * Every redaction is reported to the listeners registered with onRedaction()
+ * (the cost tracker records them for compliance review). Events carry field
+ * names and counts only, never the redacted values.
+ */
+
+export const REDACTION_TYPES = ['secret', 'password', 'email', 'card', 'tax_id', 'phone'];
+
+// Applied in order; markers contain no digits, so later patterns never re-match them
+const PATTERNS = [
+  {
+    type: 'secret',
+    regex: new RegExp([
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/.source,
+      /\bsk-(?:ant-)?[A-Za-z0-9_-]{20,}/.source, // Anthropic / OpenAI
+      /\bshp(?:at|ca|pa|ss)_[A-Za-z0-9]{20,}/.source, // Shopify
+      /\bEAA[A-Za-z0-9]{30,}/.source, // Meta
+      /\bpat-(?:na|eu)\d-[0-9a-f-]{30,}/.source, // HubSpot
+      /\b[0-9a-f]{32}-us\d{1,2}\b/.source, // Mailchimp API key
+      /\bAIza[0-9A-Za-z_-]{35}/.source, // Google API key
+      /\bgh[pousr]_[A-Za-z0-9]{30,}/.source, // GitHub
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}/.source, // Slack
+      /\bAKIA[0-9A-Z]{16}\b/.source, // AWS
+      /\b\d{8,10}:[A-Za-z0-9_-]{35}\b/.source, // Telegram bot token
+      /\beyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,}/.source, // JWT
+      /\bBearer\s+[\w.~+/-]{16,}=*/.source,
+    ].join('|'), 'g'),
+  },
+  {
+    // Keep the label, mask the value: "senha: abc123" → "senha: [REDACTED:password]"
+    type: 'password',
+    regex: /(?<!\w)(password|passwd|pwd|passcode|senha|contraseña|contrasena)(\s*(?:[:=]|\bis\b|é|es|eh)\s*)(\S+)/gi,
+    replace: (marker) => (_, label, separator) => `${label}${separator}${marker}`,
+  },
+  { type: 'email', regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  {
+    // Written in groups (4-4-4-4, Amex 4-6-5) or right after a card label.
+    // Other Luhn-valid digit runs are left alone: one in ten Meta and TikTok
+    // campaign, ad set and ad ids passes the check.
+    type: 'card',
+    regex: new RegExp([
+      /(?<![\d-])\d{4}([ -])\d{4}\1\d{4}\1\d{4}(?:\1\d{1,3})?(?![\d-])/.source,
+      /(?<![\d-])\d{4}([ -])\d{6}\2\d{4,5}(?![\d-])/.source,
+      /(?<=\b(?:[Cc]ard|CARD|[Cc]art[ãa]o|CART[ÃA]O|[Tt]arjeta|[Cc]redit|[Dd]ebit|[Pp]ayment|[Vv]isa|VISA|[Mm]astercard|[Aa]mex|AMEX|CC)(?:\s*(?:[Nn]o\.?|[Nn]umber|[Nn][úu]mero|#))?[\s:#=]*)\d{13,19}(?!\d)/.source,
+    ].join('|'), 'g'),
+    check: (match) => luhn(match.replace(/\D/g, '')),
+  },
+  {
+    // CPF, CNPJ (formatted) and US SSN
+    type: 'tax_id',
+    regex: /(?<![\w.])(?:\d{3}\.\d{3}\.\d{3}-\d{2}|\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}|\d{3}-\d{2}-\d{4})(?![\w])/g,
+  },
+  {
+    // International (+…), formatted local numbers, and bare 10–13 digit runs
+    // right after a phone label ("WhatsApp 5511…", "tel: …", "from …"). Other
+    // bare runs are left alone: those are platform ids (Google campaign and ad
+    // group ids, Meta ids) far more often than phone numbers. So is a dashed
+    // 123-456-7890 after "customer" or "account" (a Google Ads customer id).
+    type: 'phone',
+    regex: new RegExp([
+      /\+\d[\d\s().-]{6,20}\d/.source,
+      /(?<![\w.])\(?\d{2,3}\)?[\s.-]?\d{4,5}[\s.-]\d{4}(?!\w)/.source,
+      /(?<![\w.])(?<!\b(?:[Cc]ustomer|CUSTOMER|[Aa]ccount|ACCOUNT)(?:[\s_-]*(?:id|Id|ID))?[\s:#=]*)\(?\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}(?!\w)/.source,
+      /(?<=\b(?:[Pp]hone|PHONE|[Tt]el|[Tt]elefone|[Cc]elular|[Mm]obile|[Cc]ell|[Ww]hats[Aa]pp|WA|wa\.me\/|[Cc]all|SMS|[Ff]rom|[Cc]hat)[\s:#=]*)\d{10,13}(?![\w/-]|\.\w)/.source,
+    ].join('|'), 'g'),
+    check: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 8 && digits <= 15;
+    },
+  },
+];
+
+function luhn(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Fields whose whole value is a credential, whatever it looks like
+const SECRET_FIELD = /^(password|passwd|pwd|secret|client_?secret|api_?key|access_?token|refresh_?token|authorization|private_?key)$/i;
+// Numeric platform identifiers look like phone and card numbers
+const ID_FIELD = /(Id|_id|Ids|_ids)$/;
+
+// Routing identifiers: the chat id a message came from or goes to is a phone number
+export const DEFAULT_ALLOW_FIELDS = {
+  chatId: ['phone'],
+  chat_id: ['phone'],
+  from: ['phone'],
+  to: ['phone'],
+  phone: ['phone'],
+  contact: ['phone'],
+  recipient: ['phone'],
+};
+
+/**
+ * Parse an allow-list spec: "field:type|type,field:*".
+ * @param {string} spec
+ * @returns {Object<string, string[]>}
+ */
+export function parseAllowFields(spec) {
+  const allow = {};
+  for (const entry of (spec || '').split(',')) {
+    const [field, types] = entry.split(':').map(s => s?.trim());
+    if (!field || !types) continue;
+    allow[field] = types === '*' ? [...REDACTION_TYPES] : types.split('|').map(t => t.trim()).filter(Boolean);
+  }
+  return allow;
+}
+
+let envAllow;
+function allowedTypes(field, allowFields) {
+  if (!allowFields) {
+    envAllow ??= { ...DEFAULT_ALLOW_FIELDS, ...parseAllowFields(process.env.REDACTION_ALLOW_FIELDS) };
+    allowFields = envAllow;
+  }
+  if (field in allowFields) return allowFields[field];
+  return ID_FIELD.test(field) ? ['phone', 'card'] : [];
+}
+
+/**
+ * Redact PII and secrets in a string.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string[]} [opts.allow=[]] - Types to leave in place
+ * @returns {{ text: string, counts: Object<string, number> }}
+ */
+export function redactText(text, { allow = [] } = {}) {
+  const counts = {};
+  if (typeof text !== 'string' || !text) return { text, counts };
+  let out = text;
+  for (const { type, regex, check, replace } of PATTERNS) {
+    if (allow.includes(type)) continue;
+    const marker = `[REDACTED:${type}]`;
+    const replacer = replace ? replace(marker) : () => marker;
+    out = out.replace(regex, (...args) => {
+      if (check && !check(args[0])) return args[0];
+      counts[type] = (counts[type] || 0) + 1;
+      return replacer(...args);
+    });
+  }
+  return { text: out, counts };
+}
+
+/**
+ * Redact a structured value field by field. Objects and arrays are copied
+ * only where something changed; the input is never mutated.
+ * @param {*} value
+ * @param {object} [opts]
+ * @param {string} [opts.field=''] - Name of the field holding the value
+ * @param {Object<string, string[]>} [opts.allowFields] - Defaults to DEFAULT_ALLOW_FIELDS + REDACTION_ALLOW_FIELDS
+ * @returns {{ value: *, findings: Object<string, Object<string, number>> }} Counts by field and type
+ */
+export function redactFields(value, { field = '', allowFields } = {}) {
+  const findings = {};
+  const record = (name, counts) => {
+    for (const [type, n] of Object.entries(counts)) {
+      findings[name] ??= {};
+      findings[name][type] = (findings[name][type] || 0) + n;
+    }
+  };
+
+  const walk = (v, name, depth) => {
+    if (typeof v === 'string') {
+      const allow = allowedTypes(name, allowFields);
+      if (SECRET_FIELD.test(name) && !allow.includes('secret')) {
+        if (!v) return v;
+        record(name, { secret: 1 });
+        return '[REDACTED:secret]';
+      }
+      const { text, counts } = redactText(v, { allow });
+      record(name, counts);
+      return text;
+    }
+    if (!v || typeof v !== 'object' || depth > 8) return v;
+    if (Array.isArray(v)) {
+      let changed = false;
+      const out = v.map(item => {
+        const r = walk(item, name, depth + 1);
+        if (r !== item) changed = true;
+        return r;
+      });
+      return changed ? out : v;
+    }
+    if (Object.getPrototypeOf(v) !== Object.prototype && Object.getPrototypeOf(v) !== null) return v;
+    let out = v;
+    for (const [key, item] of Object.entries(v)) {
+      const r = walk(item, key, depth + 1);
+      if (r !== item) {
+        if (out === v) out = { ...v };
+        out[key] = r;
+      }
+    }
+    return out;
+  };
+
+  return { value: walk(value, field, 0), findings };
+}
+
+// ============================================================
+// Redaction events
+// ============================================================
+
+const listeners = new Set();
+let reporting = false;
+
+/**
+ * Subscribe to redaction events.
+ * @param {(event: { source: string, context?: string, chatId?: string, findings: object }) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function onRedaction(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Report a redaction to the listeners. Events raised while a listener runs
+ * (e.g. the listener's own logging) are dropped to avoid loops; listener
+ * failures never reach the code being redacted.
+ * @param {{ source: string, context?: string, chatId?: string, findings: object }} event
+ */
+export function reportRedaction(event) {
+  if (reporting || Object.keys(event.findings || {}).length === 0) return;
+  reporting = true;
+  try {
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (e) {
+        console.error(`Failed to record redaction event: ${e.message}`);
+      }
+    }
+  } finally {
+    reporting = false;
+  }
+}
+
+export default {
+  REDACTION_TYPES, DEFAULT_ALLOW_FIELDS, parseAllowFields, redactText, redactFields, onRedaction, reportRedaction,
+};
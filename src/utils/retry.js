@@ -67,3 +67,19 @@ export function isRetryableHttpError(error) {
   if (status) return status === 429 || status >= 500;
   return !error.response; // network error (no response at all)
 }
+
+// Connection errors raised before the request reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Check if a failed non-idempotent request (e.g. a create) can be retried.
+ * Only errors that prove the server never processed the request qualify:
+ * rate limits and connections that were never made. A 5xx or timeout may
+ * come after the server applied the request, so repeating it could
+ * duplicate what it created.
+ */
+export function isRetryableUnappliedError(error) {
+  const status = error.status || error.response?.status;
+  if (status) return status === 429;
+  return NOT_SENT_CODES.includes(error.code);
+}
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const log = logger.child({ module: 'webhook-auth' });
+
+/**
+ * Constant-time string comparison for webhook secrets and signatures.
+ * Both sides are hashed first so inputs of different lengths compare safely.
+ */
+export function secretsMatch(received, expected) {
+  if (typeof received !== 'string' || typeof expected !== 'string' || !expected) return false;
+  const a = crypto.createHash('sha256').update(received).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verify Meta's X-Hub-Signature-256 header: "sha256=" + HMAC-SHA256 of the
+ * raw request body keyed with the app secret.
+ * @param {Buffer|string} rawBody - Body exactly as received (before JSON parsing)
+ * @param {string} signatureHeader
+ * @param {string} appSecret
+ */
+export function verifyMetaSignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader?.startsWith('sha256=')) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`;
+  return secretsMatch(signatureHeader, expected);
+}
+
+/**
+ * Whether an event timestamp (Unix seconds) is within `windowSeconds` of now,
+ * in either direction. Events without a timestamp (e.g. account updates)
+ * pass — signatures still cover them.
+ */
+export function isWithinReplayWindow(timestampSeconds, windowSeconds, now = Date.now()) {
+  const ts = Number(timestampSeconds);
+  if (!timestampSeconds || !Number.isFinite(ts)) return true;
+  return Math.abs(now / 1000 - ts) <= windowSeconds;
+}
+
+/**
+ * Express middleware that authenticates a webhook before its handler runs.
+ * Requests failing `verify` get a 401; authentic but stale events (outside the
+ * replay window) are acknowledged with 200 so the sender does not retry them,
+ * and dropped. Every rejection is logged with the source and reason.
+ *
+ * @param {object} opts
+ * @param {string} opts.source - Label for logs, e.g. 'whatsapp'
+ * @param {string} opts.secret - Configured secret; when empty the webhook is not authenticated
+ * @param {Function} opts.verify - (req, secret) => boolean
+ * @param {Function} [opts.eventTime] - (body) => Unix seconds of the event, for the replay window
+ * @param {number} [opts.windowSeconds]
+ * @param {boolean} [opts.required] - Answer 401 to everything when no secret is configured (production)
+ */
+export function requireWebhookAuth({ source, secret, verify, eventTime, windowSeconds, required = false }) {
+  return (req, res, next) => {
+    if (!secret && required) {
+      log.error(`${source} webhook rejected: no secret configured`, { ip: req.ip, path: req.path });
+      return res.sendStatus(401);
+    }
+    if (secret && !verify(req, secret)) {
+      log.warn(`${source} webhook rejected: invalid signature or secret`, { ip: req.ip, path: req.path });
+      return res.sendStatus(401);
+    }
+    if (eventTime && windowSeconds) {
+      const ts = eventTime(req.body);
+      if (!isWithinReplayWindow(ts, windowSeconds)) {
+        log.warn(`${source} webhook rejected: event outside replay window`, {
+          ip: req.ip, eventTime: ts, windowSeconds,
+        });
+        return res.sendStatus(200);
+      }
+    }
+    next();
+  };
+}
+
+export default { secretsMatch, verifyMetaSignature, isWithinReplayWindow, requireWebhookAuth };
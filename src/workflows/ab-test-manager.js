@@ -3,15 +3,19 @@ import { deepAnalysis, quickAnalysis } from '../api/anthropic.js';
 import { notifyOwnerMessage as sendWhatsApp, notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
 import * as clickup from '../api/clickup.js';
 import * as metaAds from '../api/meta-ads.js';
-import { getAllClients, getClient, recordTestResult, getClientCampaignHistory } from '../services/knowledge-base.js';
+import { getAllClients, getClient, recordTestResult, getTestResults, getClientCampaignHistory } from '../services/knowledge-base.js';
 import { auditLog } from '../services/cost-tracker.js';
+import { getMetrics } from '../services/metrics.js';
+import { evaluateExperiment } from '../services/experiment-stats.js';
 
 const log = logger.child({ workflow: 'ab-test' });
 
 /**
  * Workflow 7: A/B Test Management
  * Runs weekly (Mondays). Identifies testing opportunities,
- * monitors active tests, and declares winners.
+ * monitors active tests, and declares winners with real significance testing:
+ * a two-proportion z-test against a sequential stopping boundary, alongside
+ * the Bayesian probability that the leader beats the runner-up.
  */
 export async function runTestManager() {
   log.info('Starting A/B test management');
@@ -19,12 +23,14 @@ export async function runTestManager() {
   const clients = getAllClients();
   const recommendations = [];
   const completedTests = [];
+  const runningTests = [];
 
   for (const client of clients) {
     try {
       // 1. Check for active tests that may have reached significance
-      const completed = await checkActiveTests(client);
+      const { completed, running } = await checkActiveTests(client);
       completedTests.push(...completed);
+      runningTests.push(...running);
 
       // 2. Identify new testing opportunities
       const recs = await identifyTestingOpportunities(client);
@@ -44,11 +50,22 @@ export async function runTestManager() {
     for (const test of completedTests) {
       const emoji = test.winner ? '🏆' : '🔄';
       message += `${emoji} *${test.clientName}*: ${test.testName}\n`;
-      message += `  Winner: ${test.winner || 'Inconclusive'} (${test.confidence}% confidence)\n`;
-      message += `  Improvement: ${test.improvement}%\n\n`;
+      message += `  Winner: ${test.winner || 'Inconclusive'} (${test.confidence}% confidence, ${test.probabilityToBeat}% probability to beat)\n`;
+      message += `  ${test.metric} lift: ${test.liftPct ?? 'n/a'}%\n\n`;
     }
   }
 
+  if (runningTests.length > 0) {
+    message += `*Tests In Progress:*\n`;
+    for (const test of runningTests) {
+      const progress = Number.isFinite(test.requiredPerVariant)
+        ? `${Math.min(100, Math.round(test.informationFraction * 100))}% of sample`
+        : 'no conversions yet';
+      message += `• *${test.clientName}*: ${test.testName} — ${test.variants[0].name} leads on ${test.metric} (${test.probabilityToBeat}% probability to beat, ${progress})\n`;
+    }
+    message += '\n';
+  }
+
   if (recommendations.length > 0) {
     message += `*New Test Recommendations:*\n`;
     for (const rec of recommendations) {
@@ -60,23 +77,55 @@ export async function runTestManager() {
     }
   }
 
-  if (completedTests.length === 0 && recommendations.length === 0) {
+  if (completedTests.length === 0 && runningTests.length === 0 && recommendations.length === 0) {
     message += 'No tests completed or new opportunities this week.';
   }
 
   await sendWhatsApp(message);
-  return { completedTests, recommendations };
+  return { completedTests, runningTests, recommendations };
+}
+
+// Ad set tests are evaluated on data since every compared ad set was live, capped here
+const MAX_TEST_LOOKBACK_DAYS = 90;
+const MAX_VARIANTS = 5;
+
+const TEST_METRICS = {
+  ctr: { label: 'CTR', successes: (m) => m.clicks, trials: (m) => m.impressions },
+  cvr: { label: 'Conversion rate', successes: (m) => m.conversions, trials: (m) => m.clicks },
+};
+
+/**
+ * Rate metric a client's tests are judged on: CTR for traffic-focused
+ * clients, conversion rate (conversions per click) otherwise.
+ */
+export function getTestMetric(client) {
+  const kpi = (client.primary_kpi || '').toLowerCase();
+  return ['ctr', 'clicks', 'traffic'].includes(kpi) ? 'ctr' : 'cvr';
+}
+
+function toDateStr(date) {
+  return date.toISOString().split('T')[0];
 }
 
 /**
  * Check active tests for statistical significance.
+ * Ad sets in the same campaign are treated as variants and evaluated with
+ * the experiment engine (services/experiment-stats.js). Concluded tests are
+ * written to test_results once.
+ * @returns {Promise<{ completed: object[], running: object[] }>}
  */
 async function checkActiveTests(client) {
   const completed = [];
+  const running = [];
 
   // In a full implementation, you'd query each platform for test results.
   // Here we check Meta's built-in A/B test structure.
-  if (!client.meta_ad_account_id) return completed;
+  if (!client.meta_ad_account_id) return { completed, running };
+
+  const metricKey = getTestMetric(client);
+  const metric = TEST_METRICS[metricKey];
+  const until = toDateStr(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  const earliest = toDateStr(new Date(Date.now() - MAX_TEST_LOOKBACK_DAYS * 24 * 60 * 60 * 1000));
 
   try {
     const campaigns = await metaAds.getCampaigns(client.meta_ad_account_id, {
@@ -85,107 +134,82 @@ async function checkActiveTests(client) {
 
     for (const campaign of campaigns.data || []) {
       const adSets = await metaAds.getAdSets(campaign.id);
-      const adSetData = adSets.data || [];
+      const adSetData = (adSets.data || []).filter(a => a.status === 'ACTIVE').slice(0, MAX_VARIANTS);
 
       // Multiple ad sets in one campaign = potential test
-      if (adSetData.length >= 2) {
-        const adSetInsights = [];
-        for (const adSet of adSetData.slice(0, 5)) {
-          const insights = await metaAds.getInsights(adSet.id, { datePreset: 'last_7d' });
-          const metrics = metaAds.extractConversions(insights);
-          if (metrics) {
-            adSetInsights.push({ name: adSet.name, id: adSet.id, ...metrics });
-          }
-        }
-
-        if (adSetInsights.length >= 2) {
-          const result = evaluateTest(adSetInsights, client);
-          if (result.significant) {
-            completed.push({
-              clientName: client.name,
-              testName: `${campaign.name} - Ad Set Test`,
-              winner: result.winner,
-              loser: result.loser,
-              confidence: result.confidence,
-              improvement: result.improvement,
-            });
-
-            recordTestResult({
-              clientId: client.id,
-              platform: 'meta',
-              testType: 'adset',
-              testName: `${campaign.name} ad set comparison`,
-              variantA: result.variants[0]?.name,
-              variantB: result.variants[1]?.name,
-              winner: result.winner,
-              confidence: result.confidence,
-              metricName: client.primary_kpi || 'ROAS',
-              metricA: result.variants[0]?.value,
-              metricB: result.variants[1]?.value,
-              improvementPct: result.improvement,
-              status: 'complete',
-            });
-          }
-        }
+      if (adSetData.length < 2) continue;
+
+      // Only compare the period in which every variant was running
+      const startDates = adSetData.map(a => (a.start_time || '').slice(0, 10)).filter(Boolean);
+      const since = [earliest, ...startDates].sort().pop();
+      if (since > until) continue;
+
+      const rows = await getMetrics('meta', client.meta_ad_account_id, { level: 'adset', entityId: campaign.id, since, until });
+      const byAdSet = new Map(rows.map(m => [m.id, m]));
+      const variants = adSetData
+        .filter(a => byAdSet.has(String(a.id)))
+        .map(a => {
+          const m = byAdSet.get(String(a.id));
+          return { name: a.name, id: a.id, successes: metric.successes(m), trials: metric.trials(m) };
+        });
+      if (variants.length < 2) continue;
+
+      const testName = `${campaign.name} ad set comparison`;
+      const result = evaluateExperiment(variants);
+      const summary = {
+        clientName: client.name,
+        testName,
+        metric: metric.label,
+        since,
+        until,
+        ...result,
+      };
+
+      if (result.status === 'running') {
+        running.push(summary);
+        continue;
       }
+
+      // Skip tests already concluded on an earlier run for the same variants
+      const [best, runnerUp] = result.variants;
+      const alreadyRecorded = getTestResults(client.id, { testName })
+        .some(t => t.status !== 'running' && t.variant_a === best.name && t.variant_b === runnerUp.name);
+      if (alreadyRecorded) continue;
+
+      completed.push(summary);
+      recordTestResult({
+        clientId: client.id,
+        platform: 'meta',
+        testType: 'adset',
+        testName,
+        variantA: best.name,
+        variantB: runnerUp.name,
+        winner: result.winner,
+        confidence: result.confidence,
+        metricName: metric.label,
+        metricA: best.rate * 100,
+        metricB: runnerUp.rate * 100,
+        improvementPct: result.liftPct,
+        startDate: since,
+        endDate: until,
+        status: result.status,
+        notes: formatTestStats(result),
+      });
+      log.info(`Test concluded for ${client.name}: ${testName}`, { status: result.status, winner: result.winner, confidence: result.confidence });
     }
   } catch (e) {
     log.warn(`Test check failed for ${client.name}`, { error: e.message });
   }
 
-  return completed;
+  return { completed, running };
 }
 
-/**
- * Evaluate if a test has reached statistical significance.
- * Uses a simplified approach — for production, integrate a proper
- * statistical library or use platform native tools.
- */
-function evaluateTest(variants, client) {
-  if (variants.length < 2) return { significant: false };
-
-  // Sort by primary KPI
-  const kpi = (client.primary_kpi || 'roas').toLowerCase();
-  const getValue = (v) => {
-    if (kpi === 'roas') return v.roas || 0;
-    if (kpi === 'cpa') return v.cpa > 0 ? -v.cpa : 0; // Lower CPA is better
-    return v.conversions || 0;
-  };
-
-  const sorted = [...variants].sort((a, b) => getValue(b) - getValue(a));
-  const best = sorted[0];
-  const second = sorted[1];
-
-  const bestVal = getValue(best);
-  const secondVal = getValue(second);
-
-  // Minimum sample size check
-  const minImpressions = 1000;
-  const minConversions = 10;
-  const hasEnoughData = variants.every(v => v.impressions >= minImpressions);
-  const hasEnoughConversions = variants.some(v => v.conversions >= minConversions);
-
-  if (!hasEnoughData || !hasEnoughConversions) {
-    return { significant: false, reason: 'Insufficient data' };
-  }
-
-  // Simple improvement threshold (20%+ difference indicates likely significance)
-  const improvement = secondVal !== 0 ? ((bestVal - secondVal) / Math.abs(secondVal)) * 100 : 100;
-
-  // Confidence estimation (simplified)
-  const totalConversions = variants.reduce((s, v) => s + v.conversions, 0);
-  const confidence = Math.min(95, 50 + totalConversions * 0.5 + Math.abs(improvement) * 0.5);
-
-  const significant = confidence >= 90 && Math.abs(improvement) >= 10;
-
-  return {
-    significant,
-    winner: significant ? best.name : null,
-    loser: significant ? second.name : null,
-    confidence: confidence.toFixed(0),
-    improvement: improvement.toFixed(1),
-    variants: sorted.map(v => ({ name: v.name, value: getValue(v) })),
-  };
+function formatTestStats(result) {
+  const sample = Number.isFinite(result.requiredPerVariant)
+    ? `${result.samplePerVariant}/${result.requiredPerVariant} per variant`
+    : `${result.samplePerVariant} per variant`;
+  return `z=${result.z.toFixed(2)} (boundary ${result.boundary.toFixed(2)}), p=${result.pValue.toFixed(4)}, `
+    + `P(best beats runner-up)=${result.probabilityToBeat}%, power=${Math.round(result.power * 100)}%, sample ${sample}`;
 }
 
 /**
@@ -0,0 +1,35 @@
+import logger from '../utils/logger.js';
+import { notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
+import { expireStaleApprovals, getApprovalsDueForReminder, remindApproval, listApprovals, ApprovalStatus } from '../services/approval-queue.js';
+
+const log = logger.child({ workflow: 'approval-reminders' });
+
+/**
+ * Approval Reminders
+ * Runs hourly. Expires approvals past their TTL (and tells the owner which ones
+ * lapsed), then re-sends requests that have been waiting longer than
+ * APPROVAL_REMINDER_HOURS without an answer.
+ */
+export async function runApprovalReminders() {
+  const expired = expireStaleApprovals();
+  if (expired.length > 0) {
+    await sendAlert('warning', `${expired.length} approval(s) expired`,
+      expired.map(a => `• ${a.id} — ${a.request.description || a.type}`).join('\n')
+      + '\n\nThese actions were NOT executed. Ask me to request them again if still needed.');
+  }
+
+  const due = getApprovalsDueForReminder();
+  for (const approval of due) {
+    try {
+      await remindApproval(approval);
+    } catch (e) {
+      log.warn(`Failed to re-send approval ${approval.id}`, { error: e.message });
+    }
+  }
+
+  const pending = listApprovals({ status: ApprovalStatus.PENDING, limit: 100 }).length;
+  log.info('Approval reminders complete', { expired: expired.length, reminded: due.length, pending });
+  return { expired: expired.length, reminded: due.length, pending };
+}
+
+export default { runApprovalReminders };
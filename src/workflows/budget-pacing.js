@@ -1,44 +1,219 @@
+import { z } from 'zod';
 import logger from '../utils/logger.js';
 import { notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
 import * as metaAds from '../api/meta-ads.js';
 import * as googleAds from '../api/google-ads.js';
 import * as tiktokAds from '../api/tiktok-ads.js';
-import { getAllClients } from '../services/knowledge-base.js';
+import { getAllClients, getClient, updateClient } from '../services/knowledge-base.js';
 import { safeExecute } from '../services/safety.js';
+import { executeAction } from '../services/platform-actions.js';
+import { shortAuditId } from '../services/rollback.js';
 import { auditLog } from '../services/cost-tracker.js';
+import { getMetrics, getClientMetrics, normalizeMetrics, PLATFORM_LABELS } from '../services/metrics.js';
+import { getLocalTime } from '../services/safety-policy.js';
+import { DEFAULT_CLIENT_TIMEZONE } from '../services/client-delivery.js';
 
 const log = logger.child({ workflow: 'budget-pacing' });
 
+// --- Per-client pacing settings (clients.pacing_settings JSON) ---
+
+export const DEFAULT_PACING_SETTINGS = {
+  mode: 'auto', // 'auto' executes through safeExecute, 'recommend' only reports, 'off' skips the client
+  platforms: ['meta', 'google', 'tiktok'],
+  tolerancePct: 10, // monthly pace deviation allowed before budgets are adjusted
+  maxAdjustmentPct: 20, // max daily budget change per run
+  minDailyBudgetCents: 500,
+  bidReductionPct: 10, // bid cap cut when heavily overspending with poor ROAS
+  scaleUpRequiresRoasTarget: true, // only raise budgets on units meeting the client's target ROAS
+};
+
+const pacingSettingsSchema = z.object({
+  mode: z.enum(['auto', 'recommend', 'off']),
+  platforms: z.array(z.enum(['meta', 'google', 'tiktok'])),
+  tolerancePct: z.number().min(0).max(100),
+  maxAdjustmentPct: z.number().min(0).max(100),
+  minDailyBudgetCents: z.number().int().min(0),
+  bidReductionPct: z.number().min(0).max(50),
+  scaleUpRequiresRoasTarget: z.boolean(),
+}).strict().partial();
+
+/**
+ * Effective pacing settings for a client (defaults + stored overrides).
+ */
+export function getPacingSettings(clientOrId) {
+  const client = typeof clientOrId === 'object' ? clientOrId : getClient(clientOrId);
+  if (!client?.pacing_settings) return { ...DEFAULT_PACING_SETTINGS };
+  try {
+    return { ...DEFAULT_PACING_SETTINGS, ...JSON.parse(client.pacing_settings) };
+  } catch (e) {
+    log.warn(`Ignoring unreadable pacing settings for ${client.name}`, { error: e.message });
+    return { ...DEFAULT_PACING_SETTINGS };
+  }
+}
+
+/**
+ * Merge changes into a client's pacing settings. null resets a field to its default.
+ */
+export function updatePacingSettings(clientId, changes, { updatedBy = 'owner' } = {}) {
+  const client = getClient(clientId);
+  if (!client) throw new Error(`Client "${clientId}" not found`);
+
+  const stored = client.pacing_settings ? JSON.parse(client.pacing_settings) : {};
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (value === null) delete stored[key];
+    else stored[key] = value;
+  }
+  const result = pacingSettingsSchema.safeParse(stored);
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.') || 'settings'}: ${i.message}`);
+    throw new Error(`Invalid pacing settings — ${issues.join('; ')}`);
+  }
+
+  updateClient(client.id, { pacingSettings: result.data });
+  auditLog({
+    action: 'pacing_settings_updated',
+    workflow: 'budget-pacing',
+    clientId: client.id,
+    details: { changes, settings: result.data },
+    approvedBy: updatedBy,
+    result: 'success',
+  });
+  return { ...DEFAULT_PACING_SETTINGS, ...result.data };
+}
+
+// --- Monthly pacing math ---
+
+/**
+ * Where `now` falls in the month, read in one timezone (the client's), so
+ * elapsed days, "today" and the month-to-date range always agree.
+ * @returns {{ today: string, monthStart: string, daysInMonth: number, elapsedDays: number, hourOfDay: number }}
+ */
+export function pacingCalendar(now = new Date(), timezone = DEFAULT_CLIENT_TIMEZONE) {
+  const { isoDate, minutes } = getLocalTime(now, timezone);
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return {
+    today: isoDate,
+    monthStart: `${isoDate.slice(0, 8)}01`,
+    daysInMonth: new Date(Date.UTC(year, month, 0)).getUTCDate(),
+    elapsedDays: day - 1 + minutes / (24 * 60),
+    hourOfDay: Math.floor(minutes / 60),
+  };
+}
+
+/**
+ * Pace month-to-date spend against the client's monthly budget and work out
+ * the total daily budget the paced units need to land on it by month end.
+ * Spend outside those units (other platforms, lifetime budgets, campaigns
+ * paced elsewhere) is projected to continue at its month-to-date daily rate
+ * and comes off the target first.
+ * @param {object} opts
+ * @param {number} opts.mtdSpendCents - Month-to-date spend of the whole client
+ * @param {number} opts.currentDailyBudgetCents - Total daily budget of the paced units
+ * @param {number} [opts.otherMtdSpendCents=0] - Part of mtdSpendCents not spent by the paced units
+ * @returns {object|null} null when the client has no monthly budget or no active budgets
+ */
+export function computeMonthlyPace({
+  monthlyBudgetCents, mtdSpendCents, currentDailyBudgetCents, otherMtdSpendCents = 0,
+  now = new Date(), timezone = DEFAULT_CLIENT_TIMEZONE, tolerancePct = DEFAULT_PACING_SETTINGS.tolerancePct,
+}) {
+  if (!monthlyBudgetCents || currentDailyBudgetCents <= 0) return null;
+
+  const { daysInMonth, elapsedDays } = pacingCalendar(now, timezone);
+  const remainingDays = Math.max(daysInMonth - elapsedDays, 1 / 24);
+
+  const expectedSpendCents = Math.round(monthlyBudgetCents * (elapsedDays / daysInMonth));
+  const remainingCents = Math.max(0, monthlyBudgetCents - mtdSpendCents);
+  // A day's worth at least, so a few early hours do not set the run rate
+  const otherDailySpendCents = Math.round(Math.max(0, otherMtdSpendCents) / Math.max(elapsedDays, 1));
+  const targetDailyBudgetCents = Math.max(0, Math.round(remainingCents / remainingDays) - otherDailySpendCents);
+  const scaleFactor = targetDailyBudgetCents / currentDailyBudgetCents;
+
+  return {
+    monthlyBudgetCents,
+    mtdSpendCents,
+    expectedSpendCents,
+    pacePct: expectedSpendCents > 0 ? (mtdSpendCents / expectedSpendCents) * 100 : null,
+    currentDailyBudgetCents,
+    otherDailySpendCents,
+    targetDailyBudgetCents,
+    scaleFactor,
+    withinTolerance: Math.abs(scaleFactor - 1) * 100 <= tolerancePct,
+    overBudget: mtdSpendCents >= monthlyBudgetCents,
+  };
+}
+
+/**
+ * Scale each budget unit toward the monthly target, clamped to maxAdjustmentPct
+ * and the minimum daily budget. Units below target ROAS are never scaled up.
+ * @returns {Array<{ unit, newBudgetCents, changePct }>}
+ */
+export function planBudgetAdjustments(units, pace, settings, targetRoas = 0) {
+  if (!pace || pace.withinTolerance) return [];
+  const maxAdj = settings.maxAdjustmentPct / 100;
+  const factor = Math.min(1 + maxAdj, Math.max(1 - maxAdj, pace.scaleFactor));
+
+  const plan = [];
+  for (const unit of units) {
+    if (factor > 1 && settings.scaleUpRequiresRoasTarget && targetRoas > 0 && unit.mtdRoas < targetRoas) continue;
+    const newBudgetCents = Math.max(settings.minDailyBudgetCents, Math.round(unit.dailyBudgetCents * factor));
+    if (newBudgetCents === unit.dailyBudgetCents) continue;
+    plan.push({ unit, newBudgetCents, changePct: ((newBudgetCents / unit.dailyBudgetCents) - 1) * 100 });
+  }
+  return plan;
+}
+
 /**
  * Workflow 13: Budget Pacing & Optimization
- * Runs daily at 2 PM. Checks budget pacing for all campaigns
- * and makes safe adjustments.
+ * Runs daily at 2 PM. Paces each client's month-to-date spend against
+ * monthly_budget_cents, adjusts daily budgets toward the month-end target and
+ * cuts bid caps on heavily overspending, low-ROAS units. Every change goes
+ * through safeExecute with rollback data, so it can be undone with UNDO.
  */
-export async function runBudgetPacing() {
+export async function runBudgetPacing({ now = new Date() } = {}) {
   log.info('Starting budget pacing check');
 
   const clients = getAllClients();
-  const hourOfDay = new Date().getHours();
-  const expectedPacingPct = (hourOfDay / 24) * 100;
 
   const report = {
     underspending: [],
     onPace: [],
     overspending: [],
+    monthly: [],
+    monthlySkipped: [],
     adjustments: [],
+    recommendations: [],
+    pendingApprovals: [],
   };
 
   for (const client of clients) {
     try {
-      await checkClientPacing(client, expectedPacingPct, report);
+      await checkClientPacing(client, now, report);
     } catch (e) {
       log.error(`Pacing check failed for ${client.name}`, { error: e.message });
     }
   }
 
   // Send pacing report
-  if (report.overspending.length > 0 || report.underspending.length > 0) {
-    let message = `💰 *Budget Pacing Report* (${hourOfDay}:00)\n\n`;
+  const hasChanges = report.adjustments.length + report.recommendations.length + report.pendingApprovals.length > 0;
+  if (report.overspending.length > 0 || report.underspending.length > 0 || report.monthlySkipped.length > 0 || hasChanges) {
+    let message = `💰 *Budget Pacing Report* (${now.toISOString().slice(0, 10)})\n\n`;
+
+    if (report.monthly.length > 0) {
+      message += `*📅 Month-to-Date:*\n`;
+      for (const m of report.monthly) {
+        message += `• ${m.client}: $${m.mtd} of $${m.budget} (${m.pace}% of expected) → target $${m.targetDaily}/day`
+          + `${Number(m.otherDaily) > 0 ? ` (+ ~$${m.otherDaily}/day outside paced budgets)` : ''}\n`;
+      }
+      message += '\n';
+    }
+
+    if (report.monthlySkipped.length > 0) {
+      message += `*⚠️ Monthly Pacing Skipped:*\n`;
+      for (const s of report.monthlySkipped) {
+        message += `• ${s}\n`;
+      }
+      message += '\n';
+    }
 
     if (report.overspending.length > 0) {
       message += `*🔴 Overspending (${report.overspending.length}):*\n`;
@@ -63,11 +238,27 @@ export async function runBudgetPacing() {
       for (const a of report.adjustments) {
         message += `• ${a}\n`;
       }
+      message += '\n';
+    }
+
+    if (report.pendingApprovals.length > 0) {
+      message += `*⏳ Waiting for Approval:*\n`;
+      for (const a of report.pendingApprovals) {
+        message += `• ${a}\n`;
+      }
+      message += '\n';
+    }
+
+    if (report.recommendations.length > 0) {
+      message += `*💡 Recommended (not applied):*\n`;
+      for (const r of report.recommendations) {
+        message += `• ${r}\n`;
+      }
     }
 
     await sendAlert(
       report.overspending.length > 0 ? 'warning' : 'info',
-      `Budget Pacing: ${report.overspending.length} over, ${report.underspending.length} under`,
+      `Budget Pacing: ${report.overspending.length} over, ${report.underspending.length} under, ${report.adjustments.length} adjusted`,
       message,
     );
   } else {
@@ -77,126 +268,290 @@ export async function runBudgetPacing() {
   return report;
 }
 
-async function checkClientPacing(client, expectedPacingPct, report) {
-  // Check Meta campaigns
-  if (client.meta_ad_account_id) {
-    try {
-      const campaigns = await metaAds.getCampaigns(client.meta_ad_account_id, {
-        statusFilter: ['ACTIVE'],
-      });
+async function checkClientPacing(client, now, report) {
+  const settings = getPacingSettings(client);
+  if (settings.mode === 'off') return;
 
-      for (const campaign of campaigns.data || []) {
-        const dailyBudget = parseFloat(campaign.daily_budget || 0) / 100;
-        if (dailyBudget <= 0) continue;
-
-        const insights = await metaAds.getCampaignInsights(campaign.id, { datePreset: 'today' });
-        const metrics = metaAds.extractConversions(insights);
-        if (!metrics) continue;
-
-        const pacing = dailyBudget > 0 ? (metrics.spend / dailyBudget) * 100 : 0;
-        const entry = {
-          client: client.name,
-          campaign: campaign.name,
-          platform: 'Meta',
-          spent: metrics.spend.toFixed(2),
-          budget: dailyBudget.toFixed(2),
-          pacing: pacing.toFixed(0),
-          roas: metrics.roas,
-          cpa: metrics.cpa,
-        };
-
-        if (pacing > 120) {
-          // Overspending
-          if (metrics.roas >= (client.target_roas || 0) * 0.8) {
-            entry.action = 'ROAS acceptable - monitoring (no action)';
-          } else {
-            entry.action = 'ROAS below target - consider reducing bids';
-
-            // Auto-reduce if within safety limits
-            if (pacing > 150 && metrics.roas < (client.target_roas || 0) * 0.5) {
-              const result = await safeExecute(
-                {
-                  type: 'change_bid',
-                  changePercent: -10,
-                  clientId: client.id,
-                  platform: 'meta',
-                  workflow: 'budget-pacing',
-                },
-                async () => {
-                  // In production: reduce bids by 10%
-                  log.info(`Would reduce bids by 10% for ${campaign.name}`);
-                  return { adjusted: true };
-                },
-              );
-              if (result.executed) {
-                report.adjustments.push(`Reduced bids 10% for ${client.name} / ${campaign.name} (overspending, low ROAS)`);
-              }
-            }
-          }
-          report.overspending.push(entry);
-        } else if (pacing < 60 && expectedPacingPct > 50) {
-          // Underspending (only flag after noon)
-          if (metrics.roas >= (client.target_roas || 0)) {
-            entry.action = 'Good performance but underspending - consider increasing bids';
-          } else {
-            entry.action = 'Low spend and low ROAS - investigate targeting/creative';
-          }
-          report.underspending.push(entry);
-        } else {
-          report.onPace.push(entry);
-        }
-      }
+  // Dates and hours are read in the client's timezone throughout
+  const timezone = client.timezone || DEFAULT_CLIENT_TIMEZONE;
+  const calendar = pacingCalendar(now, timezone);
+  const expectedPacingPct = (calendar.hourOfDay / 24) * 100;
+
+  const units = [];
+  const failed = [];
+  const collectors = {
+    meta: client.meta_ad_account_id && collectMetaUnits,
+    google: client.google_ads_customer_id && collectGoogleUnits,
+    tiktok: client.tiktok_advertiser_id && collectTikTokUnits,
+  };
+  for (const platform of settings.platforms) {
+    if (!collectors[platform]) continue;
+    try {
+      units.push(...await collectors[platform](client, calendar));
     } catch (e) {
-      log.warn(`Meta pacing check failed for ${client.name}`, { error: e.message });
+      log.warn(`${platform} pacing check failed for ${client.name}`, { error: e.message });
+      failed.push(PLATFORM_LABELS[platform]);
     }
   }
+  if (units.length === 0) return;
 
-  // Check Google Ads campaigns
-  if (client.google_ads_customer_id) {
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      const campaigns = await googleAds.getCampaigns(client.google_ads_customer_id, {
-        dateRange: { start: today, end: today },
-      });
+  // Intraday pacing per budget unit
+  for (const unit of units) {
+    await checkIntradayPacing(client, unit, settings, expectedPacingPct, report);
+  }
+
+  if (!client.monthly_budget_cents) return;
+
+  // Month-to-date spend from account totals on every connected platform, so
+  // campaigns paused or removed earlier in the month still count
+  const mtd = await getClientMetrics(client, { since: calendar.monthStart, until: calendar.today });
+  failed.push(...Object.keys(mtd.errors).map(platform => PLATFORM_LABELS[platform]));
+  if (failed.length > 0) {
+    // Missing spend or budgets would read as under-spending and raise budgets past the monthly cap
+    report.monthlySkipped.push(`${client.name}: ${[...new Set(failed)].join(', ')} did not report`);
+    return;
+  }
+
+  // Monthly pacing across all units. Whatever else spends this month (X,
+  // platforms left out of settings.platforms, lifetime budgets) keeps its
+  // share of the budget, so the paced units only get what is left.
+  const mtdSpendCents = Object.values(mtd.byPlatform).reduce((sum, m) => sum + (m?.spendCents || 0), 0);
+  const pace = computeMonthlyPace({
+    monthlyBudgetCents: client.monthly_budget_cents,
+    mtdSpendCents,
+    otherMtdSpendCents: mtdSpendCents - units.reduce((sum, u) => sum + u.mtdSpendCents, 0),
+    currentDailyBudgetCents: units.reduce((sum, u) => sum + u.dailyBudgetCents, 0),
+    now,
+    timezone,
+    tolerancePct: settings.tolerancePct,
+  });
+  if (!pace) return;
+
+  report.monthly.push({
+    client: client.name,
+    mtd: (pace.mtdSpendCents / 100).toFixed(2),
+    budget: (pace.monthlyBudgetCents / 100).toFixed(2),
+    pace: pace.pacePct != null ? pace.pacePct.toFixed(0) : '—',
+    targetDaily: (pace.targetDailyBudgetCents / 100).toFixed(2),
+    otherDaily: (pace.otherDailySpendCents / 100).toFixed(2),
+  });
+
+  for (const { unit, newBudgetCents, changePct } of planBudgetAdjustments(units, pace, settings, client.target_roas)) {
+    const description = `${changePct > 0 ? 'Raise' : 'Lower'} ${client.name} / ${unit.name} (${unit.platformLabel}) daily budget $${(unit.dailyBudgetCents / 100).toFixed(2)} → $${(newBudgetCents / 100).toFixed(2)} (${changePct > 0 ? '+' : ''}${changePct.toFixed(0)}%, monthly pace ${pace.pacePct?.toFixed(0) ?? '—'}%)`;
+    await applyChange(client, settings, report, {
+      type: 'change_budget',
+      amountCents: Math.abs(newBudgetCents - unit.dailyBudgetCents),
+      // Daily change against the client's total daily budget, not the monthly one
+      totalClientBudgetCents: pace.currentDailyBudgetCents,
+      description,
+      unit,
+      change: { budgetCents: newBudgetCents },
+      previous: { budgetCents: unit.dailyBudgetCents },
+    });
+  }
+}
+
+async function checkIntradayPacing(client, unit, settings, expectedPacingPct, report) {
+  const pacing = (unit.spendTodayCents / unit.dailyBudgetCents) * 100;
+  const entry = {
+    client: client.name,
+    campaign: unit.name,
+    platform: unit.platformLabel,
+    spent: (unit.spendTodayCents / 100).toFixed(2),
+    budget: (unit.dailyBudgetCents / 100).toFixed(2),
+    pacing: pacing.toFixed(0),
+    roas: unit.roas,
+  };
 
-      for (const row of campaigns) {
-        const campaign = row.campaign;
-        if (!campaign || campaign.status !== 'ENABLED') continue;
-
-        const metrics = googleAds.formatGoogleAdsMetrics(row);
-        const budgetMicros = row.campaignBudget?.amountMicros || 0;
-        const dailyBudget = budgetMicros / 1_000_000;
-
-        if (dailyBudget <= 0) continue;
-
-        const spent = parseFloat(metrics.cost);
-        const pacing = (spent / dailyBudget) * 100;
-
-        const entry = {
-          client: client.name,
-          campaign: campaign.name,
-          platform: 'Google',
-          spent: spent.toFixed(2),
-          budget: dailyBudget.toFixed(2),
-          pacing: pacing.toFixed(0),
-          roas: metrics.roas,
-          cpa: metrics.cpa,
-        };
-
-        if (pacing > 120) {
-          entry.action = 'Overspending - review bid strategy';
-          report.overspending.push(entry);
-        } else if (pacing < 60 && expectedPacingPct > 50) {
-          entry.action = 'Underspending - check impression share';
-          report.underspending.push(entry);
-        } else {
-          report.onPace.push(entry);
-        }
+  if (pacing > 120) {
+    // Overspending
+    if (unit.roas >= (client.target_roas || 0) * 0.8) {
+      entry.action = 'ROAS acceptable - monitoring (no action)';
+    } else if (pacing > 150 && unit.roas < (client.target_roas || 0) * 0.5) {
+      // Cut the bid cap if this unit has one
+      if (unit.bidCents) {
+        const newBidCents = Math.max(1, Math.round(unit.bidCents * (1 - settings.bidReductionPct / 100)));
+        entry.action = `ROAS below target - lowering bid cap ${settings.bidReductionPct}%`;
+        await applyChange(client, settings, report, {
+          type: 'change_bid',
+          changePercent: -settings.bidReductionPct,
+          description: `Lower ${client.name} / ${unit.name} (${unit.platformLabel}) bid cap $${(unit.bidCents / 100).toFixed(2)} → $${(newBidCents / 100).toFixed(2)} (overspending, low ROAS)`,
+          unit,
+          change: { bidCents: newBidCents },
+          previous: { bidCents: unit.bidCents },
+        });
+      } else {
+        entry.action = 'ROAS below target - no bid cap to lower, review bid strategy';
       }
-    } catch (e) {
-      log.warn(`Google pacing check failed for ${client.name}`, { error: e.message });
+    } else {
+      entry.action = 'ROAS below target - consider reducing bids';
+    }
+    report.overspending.push(entry);
+  } else if (pacing < 60 && expectedPacingPct > 50) {
+    // Underspending (only flag after noon)
+    if (unit.roas >= (client.target_roas || 0)) {
+      entry.action = 'Good performance but underspending - consider increasing bids';
+    } else {
+      entry.action = 'Low spend and low ROAS - investigate targeting/creative';
+    }
+    report.underspending.push(entry);
+  } else {
+    report.onPace.push(entry);
+  }
+}
+
+/**
+ * Execute (or just recommend) a budget/bid change through the safety layer,
+ * recording the prior state as rollback data.
+ */
+async function applyChange(client, settings, report, { unit, change, previous, description, ...rest }) {
+  if (settings.mode === 'recommend') {
+    report.recommendations.push(description);
+    return;
+  }
+
+  const action = {
+    ...rest,
+    clientId: client.id,
+    clientName: client.name,
+    platform: unit.platform,
+    workflow: 'budget-pacing',
+    description,
+    target: unit.target,
+    change,
+    rollbackData: { target: unit.target, state: previous, summary: description },
+  };
+  const result = await safeExecute(action, () => executeAction(action));
+
+  if (result.executed) {
+    report.adjustments.push(`${description} (UNDO ${shortAuditId(result.auditId)})`);
+  } else if (result.approvalId) {
+    report.pendingApprovals.push(`${description} — APPROVE ${result.approvalId}`);
+  } else if (result.error) {
+    log.warn(`Pacing change failed for ${client.name} / ${unit.name}`, { error: result.error });
+  }
+}
+
+// --- Budget units per platform ---
+// A budget unit is whatever entity holds the daily budget:
+// Meta CBO campaign or ad set, Google campaign budget, TikTok ad group.
+// Collectors get the client's pacingCalendar() for today and the month start.
+
+async function collectMetaUnits(client, calendar) {
+  const units = [];
+  const campaigns = await metaAds.getCampaigns(client.meta_ad_account_id, {
+    statusFilter: ['ACTIVE'],
+  });
+
+  for (const campaign of campaigns.data || []) {
+    if (parseFloat(campaign.daily_budget || 0) > 0) {
+      // Campaign budget optimization — the budget lives on the campaign
+      units.push(await buildMetaUnit(campaign, 'campaign', campaign.name, calendar));
+      continue;
+    }
+    const adSets = await metaAds.getAdSets(campaign.id);
+    for (const adSet of adSets.data || []) {
+      if (adSet.status !== 'ACTIVE' || !(parseFloat(adSet.daily_budget || 0) > 0)) continue;
+      units.push(await buildMetaUnit(adSet, 'adset', `${campaign.name} / ${adSet.name}`, calendar));
+    }
+  }
+  return units;
+}
+
+async function buildMetaUnit(entity, entityType, name, { monthStart, today: day }) {
+  const [today] = await getMetrics('meta', null, { level: entityType, entityId: entity.id, since: day, until: day });
+  const [month] = await getMetrics('meta', null, { level: entityType, entityId: entity.id, since: monthStart, until: day });
+  return {
+    platform: 'meta',
+    platformLabel: 'Meta',
+    name,
+    target: { platform: 'meta', entityType, entityId: entity.id },
+    dailyBudgetCents: parseInt(entity.daily_budget), // Meta budgets are already in cents
+    bidCents: entity.bid_amount ? parseInt(entity.bid_amount) : null,
+    spendTodayCents: today?.spendCents || 0,
+    mtdSpendCents: month?.spendCents || 0,
+    roas: today?.roas || 0,
+    mtdRoas: month?.roas || 0,
+  };
+}
+
+async function collectGoogleUnits(client, { monthStart, today }) {
+  const customerId = client.google_ads_customer_id;
+  const todayRows = await googleAds.getCampaigns(customerId, { dateRange: { start: today, end: today } });
+  const monthRows = await googleAds.getCampaigns(customerId, { dateRange: { start: monthStart, end: today } });
+
+  const monthByCampaign = new Map();
+  for (const row of monthRows) {
+    if (row.campaign) monthByCampaign.set(row.campaign.id, normalizeMetrics('google', row, 'campaign'));
+  }
+
+  // Campaigns can share a budget, so units are keyed by budget ID
+  const byBudget = new Map();
+  for (const row of todayRows) {
+    const campaign = row.campaign;
+    const budgetId = row.campaignBudget?.id;
+    const budgetMicros = parseInt(row.campaignBudget?.amountMicros || 0);
+    if (!campaign || campaign.status !== 'ENABLED' || !budgetId || budgetMicros <= 0) continue;
+
+    const metrics = normalizeMetrics('google', row, 'campaign');
+    const month = monthByCampaign.get(campaign.id);
+    const unit = byBudget.get(budgetId) || {
+      platform: 'google',
+      platformLabel: 'Google',
+      name: campaign.name,
+      target: { platform: 'google', entityType: 'campaign_budget', entityId: budgetId, accountId: customerId },
+      dailyBudgetCents: Math.round(budgetMicros / 10_000),
+      bidCents: null,
+      spendTodayCents: 0,
+      mtdSpendCents: 0,
+      valueTodayCents: 0,
+      valueMonthCents: 0,
+    };
+    if (byBudget.has(budgetId)) unit.name += ` + ${campaign.name}`;
+    unit.spendTodayCents += metrics.spendCents;
+    unit.mtdSpendCents += month?.spendCents || 0;
+    unit.valueTodayCents += metrics.conversionValueCents;
+    unit.valueMonthCents += month?.conversionValueCents || 0;
+    byBudget.set(budgetId, unit);
+  }
+
+  return [...byBudget.values()].map(({ valueTodayCents, valueMonthCents, ...unit }) => ({
+    ...unit,
+    roas: unit.spendTodayCents > 0 ? valueTodayCents / unit.spendTodayCents : 0,
+    mtdRoas: unit.mtdSpendCents > 0 ? valueMonthCents / unit.mtdSpendCents : 0,
+  }));
+}
+
+async function collectTikTokUnits(client, { monthStart, today }) {
+  const advertiserId = client.tiktok_advertiser_id;
+  const byAdGroup = (rows) => new Map(rows.map(m => [m.id, m]));
+  const todayStats = byAdGroup(await getMetrics('tiktok', advertiserId, { level: 'adset', since: today, until: today }));
+  const monthStats = byAdGroup(await getMetrics('tiktok', advertiserId, { level: 'adset', since: monthStart, until: today }));
+
+  const units = [];
+  const campaigns = await tiktokAds.getCampaigns(advertiserId);
+  for (const campaign of campaigns?.list || []) {
+    if (campaign.operation_status !== 'ENABLE') continue;
+    const adGroups = await tiktokAds.getAdGroups(advertiserId, campaign.campaign_id);
+    for (const adGroup of adGroups?.list || []) {
+      if (adGroup.operation_status !== 'ENABLE' || adGroup.budget_mode !== 'BUDGET_MODE_DAY' || !(adGroup.budget > 0)) continue;
+      const t = todayStats.get(String(adGroup.adgroup_id));
+      const m = monthStats.get(String(adGroup.adgroup_id));
+      units.push({
+        platform: 'tiktok',
+        platformLabel: 'TikTok',
+        name: `${campaign.campaign_name} / ${adGroup.adgroup_name}`,
+        target: { platform: 'tiktok', entityType: 'adgroup', entityId: adGroup.adgroup_id, accountId: advertiserId },
+        dailyBudgetCents: Math.round(adGroup.budget * 100), // TikTok budgets are in currency units
+        bidCents: adGroup.bid_price > 0 ? Math.round(adGroup.bid_price * 100) : null,
+        spendTodayCents: t?.spendCents || 0,
+        mtdSpendCents: m?.spendCents || 0,
+        roas: t?.roas || 0,
+        mtdRoas: m?.roas || 0,
+      });
     }
   }
+  return units;
 }
 
-export default { runBudgetPacing };
+export default { runBudgetPacing, getPacingSettings, updatePacingSettings, pacingCalendar, computeMonthlyPace, planBudgetAdjustments };
@@ -1,19 +1,54 @@
+import crypto from 'crypto';
 import logger from '../utils/logger.js';
-import { notifyOwnerMessage as sendWhatsApp, notifyOwnerAlert as sendAlert, notifyOwnerApproval as sendApprovalRequest } from '../utils/notify-owner.js';
-import * as metaAds from '../api/meta-ads.js';
+import { notifyOwnerMessage as sendWhatsApp, notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
+import * as googleAds from '../api/google-ads.js';
+import * as tiktokAds from '../api/tiktok-ads.js';
 import * as clickup from '../api/clickup.js';
 import { getClient } from '../services/knowledge-base.js';
 import { validateAction, safeExecute } from '../services/safety.js';
 import { auditLog } from '../services/cost-tracker.js';
+import { requestApproval, newApprovalId } from '../services/approval-queue.js';
+import { applyState, centsToMicros, centsToUnits } from '../services/platform-actions.js';
 
 const log = logger.child({ workflow: 'campaign-launch' });
 
+// Google Ads responsive search ad limits
+const RSA_HEADLINES = { min: 3, max: 15, maxLength: 30 };
+const RSA_DESCRIPTIONS = { min: 2, max: 4, maxLength: 90 };
+const TIKTOK_AD_TEXT_MAX_LENGTH = 100;
+// Longer plan diffs are cut in the approval message; DETAILS shows the full plan
+const PLAN_DIFF_MAX_LINES = 60;
+
+// Brief objectives → TikTok objective_type
+const TIKTOK_OBJECTIVES = {
+  awareness: 'REACH',
+  reach: 'REACH',
+  traffic: 'TRAFFIC',
+  video_views: 'VIDEO_VIEWS',
+  engagement: 'ENGAGEMENT',
+  leads: 'LEAD_GENERATION',
+  conversions: 'WEB_CONVERSIONS',
+  sales: 'WEB_CONVERSIONS',
+};
+
 /**
  * Workflow 5: Campaign Launch Process
- * Triggered after creative approval. Validates all prerequisites,
- * builds campaigns via API, runs QA, and launches.
+ * Triggered after creative approval. Validates all prerequisites and builds
+ * a launch plan — every object that will be created — which the owner
+ * approves as a diff. Once approved, exactly that plan is built via API in a
+ * paused state, QA-checked against what the platform reports back, and only
+ * then activated. A campaign that fails QA is left paused for manual review.
+ * Platforms whose build is not automated (Meta) are refused up front.
+ *
+ * @param {object} params - Launch parameters (stored verbatim as the approval payload)
+ *   Google: keywords, headlines, descriptions (or adGroups[] with their own), cpcBidCents, biddingStrategy
+ *   TikTok: creativeIds (video IDs), adText, identityId, locationIds, callToAction
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] - Only build and return the plan; no approval, no ad API calls
+ * @param {string} [opts.approvedBy] - Set when re-invoked from an approved launch_campaign approval
+ * @param {object} [opts.plan] - The plan stored with that approval, executed as-is
  */
-export async function launchCampaign(params) {
+export async function launchCampaign(params, opts = {}) {
   const {
     clientId,
     taskId,
@@ -33,8 +68,22 @@ export async function launchCampaign(params) {
 
   log.info(`Starting campaign launch for ${client.name}`, { platform, campaignName });
 
+  const launcher = PLATFORM_LAUNCHERS[platform];
+  if (!launcher) {
+    const error = `${platform} campaign creation is not automated yet — nothing was created. Build "${campaignName}" in the ${platform} ads manager.`;
+    log.warn(`Refused campaign launch for ${client.name}`, { platform, campaignName });
+    return { launched: false, status: 'unsupported_platform', platform, error };
+  }
+
   // Step 1: Validate all prerequisites
   const prereqs = await validatePrerequisites(params, client);
+
+  // Plan mode: show what would be created without touching the ad platform
+  if (opts.dryRun) {
+    const plan = buildLaunchPlan(client, params);
+    return { launched: false, status: 'planned', prereqs, plan, diff: formatLaunchPlan(plan) };
+  }
+
   if (!prereqs.allPassed) {
     const failedItems = prereqs.checks.filter(c => !c.passed);
     await sendAlert('warning', `Launch Blocked: ${client.name}`,
@@ -51,22 +100,31 @@ export async function launchCampaign(params) {
     workflow: 'campaign-launch',
   });
 
-  if (!validation.allowed) {
-    const approvalId = `launch-${Date.now()}`;
-    await sendApprovalRequest({
+  if (!validation.allowed && !opts.approvedBy) {
+    const approvalId = newApprovalId('launch');
+    const plan = buildLaunchPlan(client, params);
+    await requestApproval({
       id: approvalId,
-      description: `Launch campaign "${campaignName}" for ${client.name}`,
-      clientName: client.name,
+      type: 'launch_campaign',
+      workflow: 'campaign-launch',
+      clientId,
       platform,
-      impact: `Daily budget: $${(dailyBudgetCents / 100).toFixed(2)}`,
-      details: [
-        `Campaign: ${campaignName}`,
-        `Objective: ${objective}`,
-        `Platform: ${platform}`,
-        `Budget: $${(dailyBudgetCents / 100).toFixed(2)}/day`,
-        `Start: ${startDate || 'Immediately'}`,
-        `Landing Page: ${landingPageUrl || 'N/A'}`,
-      ].join('\n'),
+      payload: { params, plan },
+      request: {
+        description: `Launch campaign "${campaignName}" for ${client.name}`,
+        clientName: client.name,
+        impact: `Daily budget: $${(dailyBudgetCents / 100).toFixed(2)}`,
+        details: [
+          `Campaign: ${campaignName}`,
+          `Objective: ${objective}`,
+          `Platform: ${platform}`,
+          `Budget: $${(dailyBudgetCents / 100).toFixed(2)}/day`,
+          `Start: ${startDate || 'Immediately'}`,
+          `Landing Page: ${landingPageUrl || 'N/A'}`,
+          '',
+          formatLaunchPlan(plan),
+        ].join('\n'),
+      },
     });
 
     auditLog({
@@ -74,23 +132,26 @@ export async function launchCampaign(params) {
       workflow: 'campaign-launch',
       clientId,
       platform,
-      details: params,
+      details: { params, planId: plan.id },
       approvedBy: 'pending',
       result: 'awaiting_approval',
     });
 
-    return { launched: false, status: 'awaiting_approval', approvalId };
+    return { launched: false, status: 'awaiting_approval', approvalId, planId: plan.id };
+  }
+
+  // Step 3: Build the approved plan, paused
+  const plan = opts.plan || buildLaunchPlan(client, params);
+  const staleReason = checkPlanStillApplies(plan, client, platform);
+  if (staleReason) {
+    await sendAlert('warning', `Launch Plan Out of Date: ${client.name}`,
+      `Campaign "${campaignName}" was not launched: ${staleReason}\nRequest the launch again to approve a fresh plan.`);
+    return { launched: false, status: 'plan_stale', planId: plan.id, error: staleReason };
   }
 
-  // Step 3: Build and launch campaign
   let result;
   try {
-    if (platform === 'meta') {
-      result = await launchMetaCampaign(client, params);
-    } else {
-      // Other platforms would follow similar pattern
-      return { launched: false, status: 'unsupported_platform', platform };
-    }
+    result = { ...await launcher.build(client, plan.spec), planId: plan.id };
   } catch (e) {
     log.error(`Campaign launch failed`, { error: e.message });
     await sendAlert('critical', `Launch Failed: ${client.name}`,
@@ -101,21 +162,75 @@ export async function launchCampaign(params) {
       workflow: 'campaign-launch',
       clientId,
       platform,
-      details: { params, error: e.message },
+      details: { params, planId: plan.id, error: e.message },
       result: 'failed',
     });
 
     return { launched: false, error: e.message };
   }
 
-  // Step 4: Post-launch notifications
+  // Step 4: QA the built campaign, then activate it
+  if (launcher.qa) {
+    let qa;
+    try {
+      qa = await launcher.qa(client, result);
+    } catch (e) {
+      qa = { allPassed: false, checks: [{ name: 'QA readback', passed: false, reason: e.message }] };
+    }
+
+    if (!qa.allPassed) {
+      const failedItems = qa.checks.filter(c => !c.passed);
+      await sendAlert('warning', `Launch QA Failed: ${client.name}`,
+        `Campaign "${campaignName}" was created on ${platform} (ID ${result.campaignId}) but failed QA, so it was left paused:\n${failedItems.map(c => `❌ ${c.name}: ${c.reason}`).join('\n')}`);
+
+      auditLog({
+        action: 'campaign_launch_qa_failed',
+        workflow: 'campaign-launch',
+        clientId,
+        platform,
+        details: { params, result, qa },
+        approvedBy: opts.approvedBy || 'human',
+        result: 'paused',
+      });
+
+      return { launched: false, status: 'qa_failed', campaignId: result.campaignId, qa };
+    }
+
+    try {
+      for (const target of result.activationTargets || []) {
+        await applyState(target, { status: 'active' });
+      }
+    } catch (e) {
+      log.error(`Campaign activation failed`, { error: e.message, campaignId: result.campaignId });
+      await sendAlert('critical', `Launch Activation Failed: ${client.name}`,
+        `Campaign "${campaignName}" passed QA on ${platform} (ID ${result.campaignId}) but could not be activated:\n${e.message}\n\nCheck its status in the ad platform.`);
+
+      auditLog({
+        action: 'campaign_activation_failed',
+        workflow: 'campaign-launch',
+        clientId,
+        platform,
+        details: { params, result, error: e.message },
+        approvedBy: opts.approvedBy || 'human',
+        result: 'failed',
+      });
+
+      return { launched: false, status: 'activation_failed', campaignId: result.campaignId, error: e.message };
+    }
+    result = { ...result, status: 'active', qa };
+  }
+
+  // Step 5: Post-launch notifications
+  const liveLine = result.status === 'active'
+    ? `✅ "${campaignName}" is now live on ${platform}`
+    : `✅ "${campaignName}" was created paused on ${platform}`;
   await sendAlert('success', `Campaign Launched: ${client.name}`,
-    `✅ "${campaignName}" is now live on ${platform}\nBudget: $${(dailyBudgetCents / 100).toFixed(2)}/day\nCampaign ID: ${result.campaignId}\n\n24-hour monitoring alert is active.`);
+    `${liveLine}\nBudget: $${(dailyBudgetCents / 100).toFixed(2)}/day\nCampaign ID: ${result.campaignId}\n\n24-hour monitoring alert is active.`);
 
   // Update ClickUp
   if (taskId) {
     try {
-      await clickup.addComment(taskId, `✅ Campaign "${campaignName}" launched successfully.\nCampaign ID: ${result.campaignId}\nPlatform: ${platform}\nStatus: Active`);
+      await clickup.addComment(taskId, `✅ Campaign "${campaignName}" launched successfully.\nCampaign ID: ${result.campaignId}\nPlatform: ${platform}\nStatus: ${result.status === 'active' ? 'Active' : 'Paused'}`);
       await clickup.updateTask(taskId, { status: 'complete' });
     } catch (e) {
       log.warn('Failed to update ClickUp', { error: e.message });
@@ -128,7 +243,7 @@ export async function launchCampaign(params) {
     clientId,
     platform,
     details: { params, result },
-    approvedBy: 'human',
+    approvedBy: opts.approvedBy || 'human',
     result: 'success',
     rollbackData: { campaignId: result.campaignId, platform },
   });
@@ -139,7 +254,7 @@ export async function launchCampaign(params) {
 /**
  * Validate all prerequisites before launch.
  */
-async function validatePrerequisites(params, client) {
+export async function validatePrerequisites(params, client) {
   const checks = [
     {
       name: 'Campaign name',
@@ -158,14 +273,7 @@ async function validatePrerequisites(params, client) {
     },
     {
       name: 'Platform account linked',
-      passed: (() => {
-        switch (params.platform) {
-          case 'meta': return !!client.meta_ad_account_id;
-          case 'google': return !!client.google_ads_customer_id;
-          case 'tiktok': return !!client.tiktok_advertiser_id;
-          default: return false;
-        }
-      })(),
+      passed: !!getPlatformAccountId(client, params.platform),
       reason: `No ${params.platform} ad account linked for this client`,
     },
     {
@@ -178,6 +286,7 @@ async function validatePrerequisites(params, client) {
       passed: !!params.objective,
       reason: !params.objective ? 'Campaign objective is required' : null,
     },
+    ...platformChecks(params),
   ];
 
   return {
@@ -186,37 +295,411 @@ async function validatePrerequisites(params, client) {
   };
 }
 
+function getPlatformAccountId(client, platform) {
+  switch (platform) {
+    case 'meta': return client.meta_ad_account_id;
+    case 'google': return client.google_ads_customer_id;
+    case 'tiktok': return client.tiktok_advertiser_id;
+    default: return null;
+  }
+}
+
+function lengthCheck(name, items, { min, max, maxLength }) {
+  const list = items || [];
+  const tooLong = list.filter(text => text.length > maxLength);
+  let reason = null;
+  if (list.length < min || list.length > max) reason = `Between ${min} and ${max} required, got ${list.length}`;
+  else if (tooLong.length > 0) reason = `Over ${maxLength} characters: "${tooLong[0]}"`;
+  return { name, passed: !reason, reason };
+}
+
 /**
- * Build and launch a Meta campaign via API.
+ * Platform-specific launch requirements.
  */
-async function launchMetaCampaign(client, params) {
-  const adAccountId = client.meta_ad_account_id;
+function platformChecks(params) {
+  if (params.platform === 'google') {
+    const adGroups = getGoogleAdGroups(params);
+    const checks = [{
+      name: 'Keywords',
+      passed: adGroups.length > 0 && adGroups.every(g => g.keywords.length > 0),
+      reason: 'Every ad group needs at least one keyword',
+    }];
+    for (const group of adGroups) {
+      const label = adGroups.length > 1 ? ` (${group.name})` : '';
+      checks.push(lengthCheck(`Headlines${label}`, group.headlines, RSA_HEADLINES));
+      checks.push(lengthCheck(`Descriptions${label}`, group.descriptions, RSA_DESCRIPTIONS));
+    }
+    return checks;
+  }
 
-  // This is a structural example — actual Meta API campaign creation
-  // requires multiple sequential calls with specific parameters.
-  // In production, you'd build the full campaign/adset/ad structure here.
+  if (params.platform === 'tiktok') {
+    const adText = params.adText || '';
+    return [
+      {
+        name: 'Video creatives',
+        passed: (params.creativeIds || []).length > 0,
+        reason: 'At least one TikTok video ID is required in creativeIds',
+      },
+      {
+        name: 'Ad text',
+        passed: adText.length > 0 && adText.length <= TIKTOK_AD_TEXT_MAX_LENGTH,
+        reason: `Ad text is required (max ${TIKTOK_AD_TEXT_MAX_LENGTH} characters)`,
+      },
+      {
+        name: 'Identity',
+        passed: !!params.identityId,
+        reason: 'A TikTok identity ID is required to publish ads',
+      },
+      {
+        name: 'Location targeting',
+        passed: (params.locationIds || []).length > 0,
+        reason: 'At least one TikTok location ID is required',
+      },
+    ];
+  }
 
-  log.info(`Building Meta campaign for ${client.name}`, { adAccountId });
+  return [];
+}
 
-  // The actual implementation would:
-  // 1. Create campaign with objective
-  // 2. Create ad set with targeting, budget, schedule
-  // 3. Create ad with creative
-  // 4. Verify campaign is in ACTIVE or PAUSED state
-  // 5. Enable campaign
+// --- Launch specs (pure) ---
 
-  // For safety, we start campaigns PAUSED so they can be reviewed
-  // This would be the actual API call:
-  // const campaign = await metaAds.createCampaign(adAccountId, { ... });
-  // const adSet = await metaAds.createAdSet(campaign.id, { ... });
-  // const ad = await metaAds.createAd(adSet.id, { ... });
+/**
+ * Ad groups for a Google launch: `params.adGroups`, or a single ad group
+ * built from the top-level keywords, headlines and descriptions.
+ */
+function getGoogleAdGroups(params) {
+  const groups = params.adGroups?.length
+    ? params.adGroups
+    : [{ name: `${params.campaignName} - Ad Group 1` }];
+  return groups.map((group, i) => ({
+    name: group.name || `${params.campaignName} - Ad Group ${i + 1}`,
+    cpcBidCents: group.cpcBidCents ?? params.cpcBidCents,
+    keywords: (group.keywords || params.keywords || []).map(k => (typeof k === 'string'
+      ? { text: k, matchType: params.keywordMatchType || 'PHRASE' }
+      : { text: k.text, matchType: k.matchType || params.keywordMatchType || 'PHRASE' })),
+    headlines: group.headlines || params.headlines || [],
+    descriptions: group.descriptions || params.descriptions || [],
+    finalUrl: group.landingPageUrl || params.landingPageUrl,
+  }));
+}
 
-  return {
-    campaignId: `pending_${Date.now()}`,
-    platform: 'meta',
-    status: 'created_paused',
-    note: 'Campaign created in PAUSED state. Enable after manual QA review.',
-  };
+function formatTikTokTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * The entities a launch will create, in each platform's units. Pure — no API calls.
+ * @param {string} platform - 'google' | 'tiktok'
+ * @param {object} params - Launch parameters
+ * @param {object} [opts] - { now } for TikTok schedule start
+ */
+export function buildLaunchSpec(platform, params, { now = new Date() } = {}) {
+  if (platform === 'google') {
+    const adGroups = getGoogleAdGroups(params);
+    return {
+      budget: { name: `${params.campaignName} Budget ${now.getTime()}`, amountMicros: centsToMicros(params.dailyBudgetCents) },
+      campaign: {
+        name: params.campaignName,
+        biddingStrategy: params.biddingStrategy || (adGroups.some(g => g.cpcBidCents) ? 'manual_cpc' : 'maximize_conversions'),
+        startDate: params.startDate ? params.startDate.slice(0, 10) : undefined,
+        endDate: params.endDate ? params.endDate.slice(0, 10) : undefined,
+        status: 'PAUSED',
+      },
+      adGroups: adGroups.map(group => ({
+        name: group.name,
+        cpcBidMicros: group.cpcBidCents ? centsToMicros(group.cpcBidCents) : undefined,
+        keywords: group.keywords,
+        ad: { headlines: group.headlines, descriptions: group.descriptions, finalUrl: group.finalUrl, path1: params.path1, path2: params.path2 },
+      })),
+    };
+  }
+
+  if (platform === 'tiktok') {
+    const objective = String(params.objective || '');
+    const objectiveType = TIKTOK_OBJECTIVES[objective.toLowerCase()] || objective.toUpperCase();
+    const start = params.startDate && new Date(params.startDate) > now ? new Date(params.startDate) : now;
+    const optimizeForConversions = Boolean(params.pixelId) && objectiveType === 'WEB_CONVERSIONS';
+    return {
+      campaign: { campaignName: params.campaignName, objectiveType, budgetMode: 'BUDGET_MODE_INFINITE', operationStatus: 'DISABLE' },
+      adGroup: {
+        adgroup_name: `${params.campaignName} - Ad Group 1`,
+        promotion_type: 'WEBSITE',
+        placement_type: 'PLACEMENT_TYPE_AUTOMATIC',
+        location_ids: params.locationIds || [],
+        budget_mode: 'BUDGET_MODE_DAY',
+        budget: centsToUnits(params.dailyBudgetCents),
+        schedule_type: 'SCHEDULE_FROM_NOW',
+        schedule_start_time: formatTikTokTime(start),
+        optimization_goal: optimizeForConversions ? 'CONVERT' : 'CLICK',
+        billing_event: optimizeForConversions ? 'OCPM' : 'CPC',
+        bid_type: 'BID_TYPE_NO_BID',
+        pacing: 'PACING_MODE_SMOOTH',
+        ...(optimizeForConversions ? { pixel_id: params.pixelId, optimization_event: params.optimizationEvent || 'SHOPPING' } : {}),
+        operation_status: 'DISABLE',
+      },
+      creatives: (params.creativeIds || []).map((videoId, i) => ({
+        ad_name: `${params.campaignName} - Ad ${i + 1}`,
+        ad_format: 'SINGLE_VIDEO',
+        identity_type: 'CUSTOMIZED_USER',
+        identity_id: params.identityId,
+        video_id: videoId,
+        ad_text: params.adText,
+        call_to_action: params.callToAction || 'LEARN_MORE',
+        landing_page_url: params.landingPageUrl,
+      })),
+    };
+  }
+
+  throw new Error(`No launch spec for platform: ${platform}`);
+}
+
+// --- Launch plans (pure) ---
+
+/**
+ * The launch plan the owner approves: the platform spec plus the account it
+ * targets. Approving executes this stored plan as-is. Pure — no API calls.
+ * @param {object} client - Client record (for the platform account)
+ * @param {object} params - Launch parameters
+ * @param {object} [opts] - { now }
+ * @returns {{ id: string, platform: string, accountId: string, createdAt: string, spec: object|null }}
+ *   spec is null for platforms whose build is not automated yet (Meta), which launchCampaign() refuses
+ */
+export function buildLaunchPlan(client, params, { now = new Date() } = {}) {
+  const { platform } = params;
+  const spec = PLATFORM_LAUNCHERS[platform]?.describe ? buildLaunchSpec(platform, params, { now }) : null;
+  const accountId = getPlatformAccountId(client, platform) || null;
+  const id = crypto.createHash('sha256')
+    .update(JSON.stringify({ platform, accountId, spec }))
+    .digest('hex')
+    .slice(0, 8);
+  return { id, platform, accountId, createdAt: now.toISOString(), spec };
+}
+
+/**
+ * Render a launch plan as a diff against the account: `+` for each object
+ * created (nested under its parent), `~` for the activation after QA.
+ * @param {object} plan - From buildLaunchPlan()
+ * @param {object} [opts] - { maxLines } cuts long plans for chat messages
+ * @returns {string}
+ */
+export function formatLaunchPlan(plan, { maxLines = PLAN_DIFF_MAX_LINES } = {}) {
+  const describe = PLATFORM_LAUNCHERS[plan.platform]?.describe;
+  if (!plan.spec || !describe) {
+    return `Plan ${plan.id}: ${plan.platform} campaign creation is not automated yet — the launch is refused and nothing will be created.`;
+  }
+
+  const { creates, changes } = describe(plan.spec);
+  const counts = new Map();
+  for (const line of creates) {
+    if (line.object) counts.set(line.object, (counts.get(line.object) || 0) + 1);
+  }
+  const summary = [...counts].map(([object, n]) => `${n} ${object}${n === 1 ? '' : 's'}`).join(', ');
+
+  const lines = [
+    ...creates.map(line => `+ ${'  '.repeat(line.depth)}${line.text}`),
+    ...changes.map(text => `~ ${text}`),
+  ];
+  const shown = lines.length > maxLines
+    ? [...lines.slice(0, maxLines - 1), `… ${lines.length - maxLines + 1} more line(s), see DETAILS for the full plan`]
+    : lines;
+
+  return [`Plan ${plan.id} on ${plan.platform} account ${plan.accountId} — creates ${summary}:`, ...shown].join('\n');
+}
+
+/**
+ * Why a stored plan can no longer be executed as approved, or null if it can.
+ */
+function checkPlanStillApplies(plan, client, platform) {
+  if (plan.platform !== platform) return `the plan was built for ${plan.platform}, not ${platform}.`;
+  const accountId = getPlatformAccountId(client, platform) || null;
+  if (plan.accountId !== accountId) {
+    return `the client's ${platform} account changed from ${plan.accountId} to ${accountId} since the plan was approved.`;
+  }
+  return null;
+}
+
+const formatCents = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+function describeGooglePlan(spec) {
+  const { campaign } = spec;
+  const creates = [
+    { depth: 0, object: 'budget', text: `budget "${spec.budget.name}": ${formatCents(spec.budget.amountMicros / 10_000)}/day` },
+    { depth: 0, object: 'campaign', text: `search campaign "${campaign.name}" [${campaign.status}]` },
+    { depth: 1, text: `bidding: ${campaign.biddingStrategy.replace(/_/g, ' ')}` },
+  ];
+  if (campaign.startDate || campaign.endDate) {
+    creates.push({ depth: 1, text: `schedule: ${campaign.startDate || 'now'} → ${campaign.endDate || 'no end date'}` });
+  }
+  for (const group of spec.adGroups) {
+    const bid = group.cpcBidMicros ? ` · max CPC ${formatCents(group.cpcBidMicros / 10_000)}` : '';
+    creates.push({ depth: 1, object: 'ad group', text: `ad group "${group.name}"${bid}` });
+    for (const keyword of group.keywords) {
+      creates.push({ depth: 2, object: 'keyword', text: `keyword [${keyword.matchType}] ${keyword.text}` });
+    }
+    const { ad } = group;
+    const path = [ad.path1, ad.path2].filter(Boolean).join('/');
+    creates.push({ depth: 2, object: 'ad', text: `responsive search ad → ${ad.finalUrl}${path ? ` (display path /${path})` : ''}` });
+    creates.push({ depth: 3, text: `headlines: ${ad.headlines.join(' | ')}` });
+    creates.push({ depth: 3, text: `descriptions: ${ad.descriptions.join(' | ')}` });
+  }
+  return { creates, changes: [`campaign "${campaign.name}": PAUSED → ENABLED once QA passes`] };
+}
+
+function describeTikTokPlan(spec) {
+  const { campaign, adGroup } = spec;
+  const optimization = adGroup.pixel_id
+    ? `${adGroup.optimization_goal} (${adGroup.optimization_event}, pixel ${adGroup.pixel_id})`
+    : adGroup.optimization_goal;
+  const creates = [
+    { depth: 0, object: 'campaign', text: `campaign "${campaign.campaignName}" [${campaign.operationStatus}] · objective ${campaign.objectiveType}` },
+    { depth: 1, object: 'ad group', text: `ad group "${adGroup.adgroup_name}" [${adGroup.operation_status}]` },
+    { depth: 2, text: `budget: $${adGroup.budget.toFixed(2)}/day · billing ${adGroup.billing_event}` },
+    { depth: 2, text: `targeting: locations ${adGroup.location_ids.join(', ')} · automatic placement` },
+    { depth: 2, text: `optimization: ${optimization}` },
+    { depth: 2, text: `start: ${adGroup.schedule_start_time} UTC` },
+  ];
+  for (const creative of spec.creatives) {
+    creates.push({ depth: 2, object: 'ad', text: `ad "${creative.ad_name}": video ${creative.video_id} → ${creative.landing_page_url}` });
+    creates.push({ depth: 3, text: `text: "${creative.ad_text}" · CTA ${creative.call_to_action} · identity ${creative.identity_id}` });
+  }
+  return { creates, changes: [`campaign "${campaign.campaignName}" and its ad group: DISABLE → ENABLE once QA passes`] };
 }
 
-export default { launchCampaign };
+// --- Builders & QA ---
+
+/**
+ * Build a paused Google Ads search campaign: budget, campaign, ad groups,
+ * keywords and one responsive search ad per ad group. A failed build removes
+ * what it created.
+ */
+async function launchGoogleCampaign(client, spec) {
+  const customerId = client.google_ads_customer_id;
+  log.info(`Building Google Ads campaign for ${client.name}`, { customerId, adGroups: spec.adGroups.length });
+
+  const budget = await googleAds.createCampaignBudget(customerId, spec.budget);
+  let campaign;
+  try {
+    campaign = await googleAds.createSearchCampaign(customerId, { ...spec.campaign, budgetResourceName: budget.resourceName });
+    const adGroupIds = [];
+    for (const group of spec.adGroups) {
+      const adGroup = await googleAds.createAdGroup(customerId, {
+        campaignResourceName: campaign.resourceName, name: group.name, cpcBidMicros: group.cpcBidMicros,
+      });
+      await googleAds.createKeywords(customerId, adGroup.resourceName, group.keywords);
+      await googleAds.createResponsiveSearchAd(customerId, adGroup.resourceName, group.ad);
+      adGroupIds.push(adGroup.id);
+    }
+
+    return {
+      campaignId: campaign.id,
+      budgetId: budget.id,
+      adGroupIds,
+      platform: 'google',
+      status: 'created_paused',
+      expected: {
+        budgetMicros: spec.budget.amountMicros,
+        adGroups: spec.adGroups.length,
+        keywords: spec.adGroups.reduce((sum, g) => sum + g.keywords.length, 0),
+        ads: spec.adGroups.length,
+      },
+      activationTargets: [{ platform: 'google', entityType: 'campaign', entityId: campaign.id, accountId: customerId }],
+    };
+  } catch (e) {
+    await cleanUpFailedBuild(campaign ? `Google Ads campaign ${campaign.id}` : `Google Ads budget ${budget.id}`,
+      () => googleAds.removeCampaign(customerId, campaign?.id, budget.id));
+    throw e;
+  }
+}
+
+async function qaGoogleCampaign(client, result) {
+  const summary = await googleAds.getCampaignSummary(client.google_ads_customer_id, result.campaignId);
+  if (!summary) {
+    return { allPassed: false, checks: [{ name: 'Campaign exists', passed: false, reason: `Campaign ${result.campaignId} not found` }] };
+  }
+  const { expected } = result;
+  const checks = [
+    { name: 'Created paused', passed: summary.status === 'PAUSED', reason: `Status is ${summary.status}` },
+    { name: 'Daily budget', passed: summary.budgetMicros === expected.budgetMicros, reason: `Budget is ${summary.budgetMicros} micros, expected ${expected.budgetMicros}` },
+    { name: 'Ad groups', passed: summary.adGroups === expected.adGroups, reason: `${summary.adGroups} ad group(s), expected ${expected.adGroups}` },
+    { name: 'Keywords', passed: summary.keywords === expected.keywords, reason: `${summary.keywords} keyword(s), expected ${expected.keywords}` },
+    { name: 'Ads', passed: summary.ads === expected.ads, reason: `${summary.ads} ad(s), expected ${expected.ads}` },
+  ];
+  return { allPassed: checks.every(c => c.passed), checks };
+}
+
+/**
+ * Build a disabled TikTok campaign with one ad group and one ad per video.
+ * A failed build deletes the campaign.
+ */
+async function launchTikTokCampaign(client, spec) {
+  const advertiserId = client.tiktok_advertiser_id;
+  log.info(`Building TikTok campaign for ${client.name}`, { advertiserId, ads: spec.creatives.length });
+
+  // A start time that passed while the plan waited for approval means "now"
+  const now = formatTikTokTime(new Date());
+  const startTime = spec.adGroup.schedule_start_time > now ? spec.adGroup.schedule_start_time : now;
+
+  const { campaign_id: campaignId } = await tiktokAds.createCampaign(advertiserId, spec.campaign);
+  try {
+    const { adgroup_id: adGroupId } = await tiktokAds.createAdGroup(advertiserId, {
+      ...spec.adGroup, schedule_start_time: startTime, campaign_id: campaignId,
+    });
+    const { ad_ids: adIds = [] } = await tiktokAds.createAds(advertiserId, adGroupId, spec.creatives);
+
+    return {
+      campaignId: String(campaignId),
+      adGroupIds: [String(adGroupId)],
+      adIds: adIds.map(String),
+      platform: 'tiktok',
+      status: 'created_paused',
+      expected: { budget: spec.adGroup.budget, adGroups: 1, ads: spec.creatives.length },
+      activationTargets: [
+        { platform: 'tiktok', entityType: 'campaign', entityId: String(campaignId), accountId: advertiserId },
+        { platform: 'tiktok', entityType: 'adgroup', entityId: String(adGroupId), accountId: advertiserId },
+      ],
+    };
+  } catch (e) {
+    await cleanUpFailedBuild(`TikTok campaign ${campaignId}`,
+      () => tiktokAds.updateCampaignStatus(advertiserId, campaignId, 'DELETE'));
+    throw e;
+  }
+}
+
+async function qaTikTokCampaign(client, result) {
+  const advertiserId = client.tiktok_advertiser_id;
+  const [campaigns, adGroups] = await Promise.all([
+    tiktokAds.getCampaigns(advertiserId, { campaignIds: [result.campaignId] }),
+    tiktokAds.getAdGroups(advertiserId, result.campaignId),
+  ]);
+  const campaign = (campaigns.list || [])[0];
+  if (!campaign) {
+    return { allPassed: false, checks: [{ name: 'Campaign exists', passed: false, reason: `Campaign ${result.campaignId} not found` }] };
+  }
+  const groups = adGroups.list || [];
+  const ads = groups.length > 0 ? (await tiktokAds.getAds(advertiserId, groups[0].adgroup_id)).list || [] : [];
+  const { expected } = result;
+  const checks = [
+    { name: 'Created paused', passed: campaign.operation_status === 'DISABLE', reason: `Status is ${campaign.operation_status}` },
+    { name: 'Ad groups', passed: groups.length === expected.adGroups, reason: `${groups.length} ad group(s), expected ${expected.adGroups}` },
+    { name: 'Daily budget', passed: Number(groups[0]?.budget) === expected.budget, reason: `Ad group budget is ${groups[0]?.budget}, expected ${expected.budget}` },
+    { name: 'Ads', passed: ads.length === expected.ads, reason: `${ads.length} ad(s), expected ${expected.ads}` },
+  ];
+  return { allPassed: checks.every(c => c.passed), checks };
+}
+
+async function cleanUpFailedBuild(description, cleanUp) {
+  try {
+    await cleanUp();
+    log.info(`Removed partially built ${description}`);
+  } catch (e) {
+    log.warn(`Could not remove partially built ${description} — it is paused, remove it manually`, { error: e.message });
+  }
+}
+
+// Meta campaign creation is not automated, so Meta launches are refused
+const PLATFORM_LAUNCHERS = {
+  google: { build: launchGoogleCampaign, qa: qaGoogleCampaign, describe: describeGooglePlan },
+  tiktok: { build: launchTikTokCampaign, qa: qaTikTokCampaign, describe: describeTikTokPlan },
+};
+
+export default { launchCampaign, validatePrerequisites, buildLaunchSpec, buildLaunchPlan, formatLaunchPlan };
@@ -3,37 +3,29 @@ import { askClaude } from '../api/anthropic.js';
 import { sendWhatsApp } from '../api/whatsapp.js';
 import { sendTelegram } from '../api/telegram.js';
 import { getAllClientContacts, getLastClientMessageTime, getContactChannel } from '../services/knowledge-base.js';
+import { getDeliverySettings, isQuietHours, deferClientMessage } from '../services/client-delivery.js';
 
 const log = logger.child({ workflow: 'client-check-in' });
 
-const QUIET_HOURS_START = 21; // 9 PM
-const QUIET_HOURS_END = 8;   // 8 AM
-
 // Follow-up intervals (milliseconds)
 const INTERVALS = {
   postOnboarding: 24 * 60 * 60 * 1000,  // 24h after onboarding if no response
   inactive: 48 * 60 * 60 * 1000,         // 48h of inactivity
 };
 
-function isQuietHours() {
-  const hour = new Date().getHours();
-  return hour >= QUIET_HOURS_START || hour < QUIET_HOURS_END;
-}
-
 /**
  * Daily proactive client check-in.
  * Iterates through all active clients and sends follow-ups where needed.
+ * The scheduler runs one copy per client timezone at 9 AM local time;
+ * contacts inside their quiet hours get the check-in once those hours end.
+ * @param {object} [opts] - { timezone } only check in with contacts in this timezone (default: everyone)
  */
-export async function runClientCheckIn() {
-  if (isQuietHours()) {
-    log.info('Skipping client check-in: quiet hours');
-    return { skipped: true, reason: 'quiet hours' };
-  }
+export async function runClientCheckIn({ timezone = null } = {}) {
+  log.info('Starting daily client check-in', { timezone });
 
-  log.info('Starting daily client check-in');
-
-  const contacts = getAllClientContacts();
-  const results = { sent: 0, skipped: 0, errors: 0 };
+  const contacts = getAllClientContacts()
+    .filter(contact => !timezone || getDeliverySettings(contact).timezone === timezone);
+  const results = { sent: 0, skipped: 0, deferred: 0, errors: 0 };
 
   for (const contact of contacts) {
     try {
@@ -65,6 +57,13 @@ export async function runClientCheckIn() {
       const businessName = contact.client_name || '';
       const message = await generateCheckInMessage(clientName, businessName, checkInType, contact.language || 'en');
 
+      // Hold it until the contact's quiet hours end
+      if (isQuietHours(getDeliverySettings(contact), now)) {
+        deferClientMessage(contact, { kind: 'check-in', message, now });
+        results.deferred++;
+        continue;
+      }
+
       // Send via appropriate channel
       const send = channel === 'telegram' ? sendTelegram : sendWhatsApp;
       await send(message, chatId);
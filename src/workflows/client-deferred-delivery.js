@@ -0,0 +1,75 @@
+import logger from '../utils/logger.js';
+import { sendWhatsApp } from '../api/whatsapp.js';
+import { sendTelegram } from '../api/telegram.js';
+import { getAllClientContacts, getLastClientMessageTime, getContactChannel } from '../services/knowledge-base.js';
+import {
+  getDeliverySettings, isQuietHours, quietHoursEnd, getDueClientMessages, updateDeferredClientMessage,
+} from '../services/client-delivery.js';
+
+const log = logger.child({ workflow: 'client-deferred-delivery' });
+
+// A briefing or check-in held for longer than this (e.g. the app was down
+// when quiet hours ended) is out of date and dropped instead of sent
+const MAX_DEFER_HOURS = 24;
+
+function fromSql(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Send client briefings and check-ins that were held during the contact's
+ * quiet hours, once those hours have ended. Runs every 15 minutes.
+ * @param {object} [opts] - { now }
+ */
+export async function runClientDeferredDelivery({ now = new Date() } = {}) {
+  const due = getDueClientMessages(now);
+  const results = { sent: 0, rescheduled: 0, dropped: 0, errors: 0 };
+  if (due.length === 0) return results;
+
+  const contacts = new Map(getAllClientContacts().map(contact => [contact.phone, contact]));
+
+  for (const message of due) {
+    const createdAt = fromSql(message.created_at);
+    const contact = contacts.get(message.phone);
+    let dropReason = null;
+    if (!contact) {
+      dropReason = 'contact no longer active';
+    } else if (now - createdAt > MAX_DEFER_HOURS * 60 * 60 * 1000) {
+      dropReason = `held for more than ${MAX_DEFER_HOURS} hours`;
+    } else if (message.kind === 'check-in' && getLastClientMessageTime(message.phone) > createdAt) {
+      dropReason = 'client has been in touch since';
+    }
+    if (dropReason) {
+      updateDeferredClientMessage(message.id, { status: 'dropped', error: dropReason, now });
+      results.dropped++;
+      log.info(`Dropped deferred ${message.kind}: ${dropReason}`, { contact: message.phone });
+      continue;
+    }
+
+    // Quiet hours may have been changed since the message was held
+    const settings = getDeliverySettings(contact);
+    if (isQuietHours(settings, now)) {
+      updateDeferredClientMessage(message.id, { deliverAfter: quietHoursEnd(settings, now) });
+      results.rescheduled++;
+      continue;
+    }
+
+    try {
+      const channel = getContactChannel(message.phone);
+      const send = channel === 'telegram' ? sendTelegram : sendWhatsApp;
+      await send(message.message, message.phone);
+      updateDeferredClientMessage(message.id, { status: 'sent', now });
+      results.sent++;
+      log.info(`Deferred ${message.kind} sent`, { contact: message.phone, channel });
+    } catch (e) {
+      updateDeferredClientMessage(message.id, { status: 'failed', error: e.message, now });
+      results.errors++;
+      log.error(`Failed to send deferred ${message.kind}`, { contact: message.phone, error: e.message });
+    }
+  }
+
+  log.info('Deferred client delivery completed', results);
+  return results;
+}
+
+export default runClientDeferredDelivery;
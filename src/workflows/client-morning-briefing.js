@@ -2,40 +2,31 @@ import logger from '../utils/logger.js';
 import { askClaude } from '../api/anthropic.js';
 import { sendWhatsApp } from '../api/whatsapp.js';
 import { sendTelegram } from '../api/telegram.js';
-import * as metaAds from '../api/meta-ads.js';
-import * as googleAds from '../api/google-ads.js';
-import * as tiktokAds from '../api/tiktok-ads.js';
 import { getAllClients, getAllClientContacts, getContactChannel } from '../services/knowledge-base.js';
+import { getClientMetrics, formatMetricsLine } from '../services/metrics.js';
+import { getDeliverySettings, isQuietHours, deferClientMessage } from '../services/client-delivery.js';
 
 const log = logger.child({ workflow: 'client-morning-briefing' });
 
-const QUIET_HOURS_START = 21;
-const QUIET_HOURS_END = 8;
-
-function isQuietHours() {
-  const hour = new Date().getHours();
-  return hour >= QUIET_HOURS_START || hour < QUIET_HOURS_END;
-}
-
 /**
  * Send personalized morning briefings to each active client.
- * Runs daily at 8:30 AM (after the owner's briefing at 8 AM).
+ * The scheduler runs one copy per client timezone at 8:30 AM local time
+ * (after the owner's briefing at 8 AM); contacts inside their quiet hours
+ * get the briefing once those hours end.
+ * @param {object} [opts] - { timezone } only brief contacts in this timezone (default: everyone)
  */
-export async function runClientMorningBriefing() {
-  if (isQuietHours()) {
-    log.info('Skipping client morning briefing: quiet hours');
-    return { skipped: true };
-  }
-
-  log.info('Starting client morning briefings');
+export async function runClientMorningBriefing({ timezone = null } = {}) {
+  log.info('Starting client morning briefings', { timezone });
 
   const clients = getAllClients();
-  const contacts = getAllClientContacts();
-  const results = { sent: 0, skipped: 0, errors: 0 };
+  const contacts = getAllClientContacts()
+    .map(contact => ({ ...contact, delivery: getDeliverySettings(contact) }))
+    .filter(contact => !timezone || contact.delivery.timezone === timezone);
+  const results = { sent: 0, skipped: 0, deferred: 0, errors: 0 };
+  const now = new Date();
 
   for (const client of clients) {
     try {
-      // Find contacts for this client
       const clientContacts = contacts.filter(c => c.client_id === client.id);
       if (clientContacts.length === 0) {
         results.skipped++;
@@ -43,51 +34,24 @@ export async function runClientMorningBriefing() {
       }
 
       // Collect performance data (if ad platforms are configured)
-      const platformData = {};
-
-      if (client.meta_ad_account_id) {
-        try {
-          const insights = await metaAds.getAccountInsights(client.meta_ad_account_id, { datePreset: 'yesterday' });
-          platformData.meta = metaAds.extractConversions ? metaAds.extractConversions(insights) : insights;
-        } catch (e) {
-          log.warn(`Failed to get Meta data for ${client.name}`, { error: e.message });
-        }
-      }
-
-      if (client.google_ads_customer_id) {
-        try {
-          const yesterday = new Date();
-          yesterday.setDate(yesterday.getDate() - 1);
-          const dateStr = yesterday.toISOString().split('T')[0];
-          const perf = await googleAds.getAccountPerformance(client.google_ads_customer_id, { start: dateStr, end: dateStr });
-          if (perf && perf.length > 0) {
-            platformData.google = googleAds.formatGoogleAdsMetrics ? googleAds.formatGoogleAdsMetrics(perf[0]) : perf[0];
-          }
-        } catch (e) {
-          log.warn(`Failed to get Google Ads data for ${client.name}`, { error: e.message });
-        }
-      }
-
-      if (client.tiktok_advertiser_id) {
-        try {
-          const yesterday = new Date();
-          yesterday.setDate(yesterday.getDate() - 1);
-          const dateStr = yesterday.toISOString().split('T')[0];
-          const report = await tiktokAds.getReport(client.tiktok_advertiser_id, { startDate: dateStr, endDate: dateStr });
-          platformData.tiktok = report;
-        } catch (e) {
-          log.warn(`Failed to get TikTok data for ${client.name}`, { error: e.message });
-        }
-      }
-
-      // Generate personalized briefing (with or without platform data)
-      const contactName = clientContacts[0]?.name || 'there';
-      const contactLang = clientContacts[0]?.language || 'en';
+      const { byPlatform: platformData } = await getClientMetrics(client, { datePreset: 'yesterday' });
+
+      // Generate personalized briefing (with or without platform data),
+      // addressed to a contact that can be messaged right now if there is one
+      const awake = clientContacts.filter(c => !isQuietHours(c.delivery, now));
+      const addressee = awake[0] || clientContacts[0];
+      const contactName = addressee.name || 'there';
+      const contactLang = addressee.language || 'en';
       const briefingMessage = await generateClientBriefing(client, platformData, contactName, contactLang);
 
-      // Send to all contacts for this client
+      // Send to all contacts for this client, holding it for anyone in quiet hours
       for (const contact of clientContacts) {
         try {
+          if (!awake.includes(contact)) {
+            deferClientMessage(contact, { kind: 'morning-briefing', message: briefingMessage, now });
+            results.deferred++;
+            continue;
+          }
           const channel = getContactChannel(contact.phone);
           const send = channel === 'telegram' ? sendTelegram : sendWhatsApp;
           await send(briefingMessage, contact.phone);
@@ -111,12 +75,7 @@ async function generateClientBriefing(client, platformData, contactName, languag
   let platformSummary = '';
   for (const [platform, data] of Object.entries(platformData)) {
     if (!data) continue;
-    platformSummary += `${platform}: `;
-    if (data.spend !== undefined) platformSummary += `Spend $${Number(data.spend).toFixed(2)}, `;
-    if (data.roas !== undefined) platformSummary += `ROAS ${Number(data.roas).toFixed(2)}, `;
-    if (data.cpa !== undefined) platformSummary += `CPA $${Number(data.cpa).toFixed(2)}, `;
-    if (data.conversions !== undefined) platformSummary += `Conversions ${data.conversions}`;
-    platformSummary += '\n';
+    platformSummary += `${platform}: ${formatMetricsLine(data)}\n`;
   }
 
   const langName = { es: 'Spanish', pt: 'Portuguese', fr: 'French' }[language] || 'English';
@@ -4,6 +4,7 @@ import * as metaAds from '../api/meta-ads.js';
 import * as clickup from '../api/clickup.js';
 import { getAllClients, saveCreative, getTopCreatives } from '../services/knowledge-base.js';
 import { safeExecute } from '../services/safety.js';
+import { getMetrics, centsToDollars } from '../services/metrics.js';
 import config from '../config.js';
 
 const log = logger.child({ workflow: 'creative-fatigue' });
@@ -104,11 +105,7 @@ async function checkClientCreatives(client) {
           if (adImageUrl) campaignImageUrls.push(adImageUrl);
 
           // Get recent performance
-          const recentInsights = await metaAds.getInsights(ad.id, {
-            datePreset: 'last_3d',
-            level: 'ad',
-          });
-          const recentMetrics = metaAds.extractConversions(recentInsights);
+          const [recentMetrics] = await getMetrics('meta', null, { level: 'ad', entityId: ad.id, datePreset: 'last_3d' });
 
           // Get first week performance for comparison
           const startDate = ad.created_time || adSet.start_time;
@@ -117,14 +114,12 @@ async function checkClientCreatives(client) {
             const start = new Date(startDate);
             const earlyEnd = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
             if (earlyEnd < new Date()) {
-              const earlyInsights = await metaAds.getInsights(ad.id, {
-                timeRange: {
-                  since: start.toISOString().split('T')[0],
-                  until: earlyEnd.toISOString().split('T')[0],
-                },
+              [earlyMetrics = null] = await getMetrics('meta', null, {
                 level: 'ad',
+                entityId: ad.id,
+                since: start.toISOString().split('T')[0],
+                until: earlyEnd.toISOString().split('T')[0],
               });
-              earlyMetrics = metaAds.extractConversions(earlyInsights);
             }
           }
 
@@ -156,10 +151,10 @@ async function checkClientCreatives(client) {
           }
 
           // Check CPA increase
-          if (earlyMetrics && earlyMetrics.cpa > 0 && recentMetrics.cpa > 0) {
-            const cpaIncrease = ((recentMetrics.cpa - earlyMetrics.cpa) / earlyMetrics.cpa) * 100;
+          if (earlyMetrics && earlyMetrics.cpaCents > 0 && recentMetrics.cpaCents > 0) {
+            const cpaIncrease = ((recentMetrics.cpaCents - earlyMetrics.cpaCents) / earlyMetrics.cpaCents) * 100;
             if (cpaIncrease > FATIGUE_THRESHOLDS.cpaIncreasePercent) {
-              reasons.push(`CPA increased ${cpaIncrease.toFixed(0)}% ($${earlyMetrics.cpa.toFixed(2)} → $${recentMetrics.cpa.toFixed(2)})`);
+              reasons.push(`CPA increased ${cpaIncrease.toFixed(0)}% ($${centsToDollars(earlyMetrics.cpaCents)} → $${centsToDollars(recentMetrics.cpaCents)})`);
               isFatigued = true;
             }
           }
@@ -1,10 +1,11 @@
 import logger from '../utils/logger.js';
 import { askClaude, deepAnalysis } from '../api/anthropic.js';
-import { notifyOwnerMessage as sendWhatsApp, notifyOwnerApproval as sendApprovalRequest } from '../utils/notify-owner.js';
+import { notifyOwnerMessage as sendWhatsApp } from '../utils/notify-owner.js';
 import * as googleDrive from '../api/google-drive.js';
 import * as clickup from '../api/clickup.js';
 import { getClient, buildClientContext, getTopCreatives, saveCreative } from '../services/knowledge-base.js';
 import { auditLog } from '../services/cost-tracker.js';
+import { requestApproval } from '../services/approval-queue.js';
 import { SYSTEM_PROMPTS, USER_PROMPTS } from '../prompts/templates.js';
 import { v4 as uuid } from 'uuid';
 
@@ -123,13 +124,19 @@ export async function generateCreatives(params) {
   }
 
   // 8. Send for approval
-  await sendApprovalRequest({
+  await requestApproval({
     id: creativePackage.id,
-    description: `Creative options for ${client.name} ${platform} campaign`,
-    clientName: client.name,
+    type: 'creative_review',
+    workflow: 'creative-generation',
+    clientId,
     platform,
-    impact: `${parsedVariations.length} ad copy variations generated`,
-    details: `Objective: ${campaignObjective}\nVariations: ${parsedVariations.length}\nBrand compliance: ${complianceCheck.passed ? 'Passed' : 'Has issues'}`,
+    payload: { clientName: client.name, taskId },
+    request: {
+      description: `Creative options for ${client.name} ${platform} campaign`,
+      clientName: client.name,
+      impact: `${parsedVariations.length} ad copy variations generated`,
+      details: `Objective: ${campaignObjective}\nVariations: ${parsedVariations.length}\nBrand compliance: ${complianceCheck.passed ? 'Passed' : 'Has issues'}`,
+    },
   });
 
   auditLog({
@@ -3,9 +3,12 @@ import { askClaude } from '../api/anthropic.js';
 import { notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
 import * as metaAds from '../api/meta-ads.js';
 import * as googleAds from '../api/google-ads.js';
-import * as tiktokAds from '../api/tiktok-ads.js';
 import { getAllClients, getClient } from '../services/knowledge-base.js';
 import { shouldAutoPause, safeExecute } from '../services/safety.js';
+import { shortAuditId } from '../services/rollback.js';
+import { getClientPolicy } from '../services/safety-policy.js';
+import { getMetrics, normalizeMetrics, centsToDollars, PLATFORM_LABELS } from '../services/metrics.js';
+import { findClientAnomalies } from '../services/anomaly-detection.js';
 import { SYSTEM_PROMPTS } from '../prompts/templates.js';
 
 const log = logger.child({ workflow: 'daily-monitor' });
@@ -14,7 +17,8 @@ const log = logger.child({ workflow: 'daily-monitor' });
  * Workflow 6: Daily Performance Monitoring
  * Runs at 10 AM, 3 PM, 8 PM. Checks all active campaigns for anomalies,
  * budget pacing issues, and performance problems. Auto-pauses dangerous
- * campaigns and alerts on issues requiring attention.
+ * campaigns and alerts on issues requiring attention. Statistical anomalies
+ * are scored on the last complete day from the metrics warehouse.
  */
 export async function runDailyMonitor() {
   log.info('Starting daily performance monitor');
@@ -28,6 +32,7 @@ export async function runDailyMonitor() {
       await monitorClientMeta(client, issues, autoActions);
       await monitorClientGoogle(client, issues, autoActions);
       await monitorClientTikTok(client, issues, autoActions);
+      monitorClientAnomalies(client, issues);
     } catch (e) {
       log.error(`Monitor failed for ${client.name}`, { error: e.message });
     }
@@ -57,6 +62,10 @@ export async function runDailyMonitor() {
       }
     }
 
+    if (issues.some(i => i.anomalyId)) {
+      message += `\n_Expected change? Ask to silence an anomaly by its ID._\n`;
+    }
+
     if (autoActions.length > 0) {
       message += `\n*🤖 Auto-Actions Taken (${autoActions.length}):*\n`;
       for (const action of autoActions) {
@@ -78,6 +87,7 @@ export async function runDailyMonitor() {
 
 async function monitorClientMeta(client, issues, autoActions) {
   if (!client.meta_ad_account_id) return;
+  const policy = getClientPolicy(client.id);
 
   try {
     // Get today's data
@@ -85,23 +95,23 @@ async function monitorClientMeta(client, issues, autoActions) {
       statusFilter: ['ACTIVE'],
     });
 
+    const todayRows = await getMetrics('meta', client.meta_ad_account_id, { level: 'campaign', datePreset: 'today' });
+    const todayByCampaign = new Map(todayRows.map(m => [m.id, m]));
+
     for (const campaign of campaigns.data || []) {
-      const insights = await metaAds.getCampaignInsights(campaign.id, { datePreset: 'today' });
-      const metrics = metaAds.extractConversions(insights);
+      const metrics = todayByCampaign.get(String(campaign.id));
       if (!metrics) continue;
 
       // Check pacing
-      const dailyBudget = parseFloat(campaign.daily_budget || 0) / 100;
-      const hourOfDay = new Date().getHours();
-      const expectedSpendPct = hourOfDay / 24;
+      const dailyBudgetCents = parseInt(campaign.daily_budget || 0); // Meta budgets are in cents
 
-      if (dailyBudget > 0 && metrics.spend > dailyBudget * 1.2) {
+      if (dailyBudgetCents > 0 && metrics.spendCents > dailyBudgetCents * 1.2) {
         issues.push({
           severity: 'warning',
           client: client.name,
           platform: 'Meta',
           campaign: campaign.name,
-          description: `Overspending: $${metrics.spend.toFixed(2)} spent (budget: $${dailyBudget.toFixed(2)})`,
+          description: `Overspending: $${centsToDollars(metrics.spendCents)} spent (budget: $${centsToDollars(dailyBudgetCents)})`,
           recommendation: 'Review bid strategy or reduce budget',
         });
       }
@@ -110,12 +120,12 @@ async function monitorClientMeta(client, issues, autoActions) {
       const safetyCheck = shouldAutoPause({
         roas: metrics.roas,
         roasTarget: client.target_roas || 0,
-        cpa: metrics.cpa * 100,
+        cpa: metrics.cpaCents,
         cpaTarget: client.target_cpa_cents || 0,
-        spend: metrics.spend * 100,
+        spend: metrics.spendCents,
         conversions: metrics.conversions,
         daysRunning: 3, // TODO: calculate actual days
-      });
+      }, policy);
 
       if (safetyCheck.pause) {
         issues.push({
@@ -127,13 +137,22 @@ async function monitorClientMeta(client, issues, autoActions) {
           recommendation: 'Auto-pausing campaign',
         });
 
+        // Only ACTIVE campaigns are fetched, so undoing the pause re-activates it
+        const target = { platform: 'meta', entityType: 'campaign', entityId: campaign.id };
         const result = await safeExecute(
-          { type: 'pause_campaign', clientId: client.id, platform: 'meta', workflow: 'daily-monitor' },
+          {
+            type: 'pause_campaign',
+            clientId: client.id,
+            platform: 'meta',
+            workflow: 'daily-monitor',
+            target,
+            rollbackData: { target, state: { status: 'active' }, summary: `Meta campaign "${campaign.name}" paused` },
+          },
           () => metaAds.pauseCampaign(campaign.id),
         );
 
         if (result.executed) {
-          autoActions.push(`Paused Meta campaign "${campaign.name}" for ${client.name}: ${safetyCheck.reason}`);
+          autoActions.push(`Paused Meta campaign "${campaign.name}" for ${client.name}: ${safetyCheck.reason} (UNDO ${shortAuditId(result.auditId)})`);
         }
       }
 
@@ -150,13 +169,13 @@ async function monitorClientMeta(client, issues, autoActions) {
       }
 
       // Check for zero conversions with significant spend
-      if (metrics.spend > 50 && metrics.conversions === 0) {
+      if (metrics.spendCents > 5_000 && metrics.conversions === 0) {
         issues.push({
           severity: 'warning',
           client: client.name,
           platform: 'Meta',
           campaign: campaign.name,
-          description: `$${metrics.spend.toFixed(2)} spent today with zero conversions`,
+          description: `$${centsToDollars(metrics.spendCents)} spent today with zero conversions`,
           recommendation: 'Check conversion tracking, landing page, and audience targeting',
         });
       }
@@ -168,6 +187,7 @@ async function monitorClientMeta(client, issues, autoActions) {
 
 async function monitorClientGoogle(client, issues, autoActions) {
   if (!client.google_ads_customer_id) return;
+  const policy = getClientPolicy(client.id);
 
   try {
     const today = new Date().toISOString().split('T')[0];
@@ -177,21 +197,19 @@ async function monitorClientGoogle(client, issues, autoActions) {
 
     for (const row of campaigns) {
       const campaign = row.campaign;
-      const metrics = googleAds.formatGoogleAdsMetrics(row);
-
       if (!campaign || campaign.status !== 'ENABLED') continue;
+      const metrics = normalizeMetrics('google', row, 'campaign');
 
-      const budgetMicros = row.campaignBudget?.amountMicros || 0;
-      const dailyBudget = budgetMicros / 1_000_000;
+      const dailyBudgetCents = Math.round((row.campaignBudget?.amountMicros || 0) / 10_000);
 
       // Overspend check
-      if (dailyBudget > 0 && parseFloat(metrics.cost) > dailyBudget * 1.2) {
+      if (dailyBudgetCents > 0 && metrics.spendCents > dailyBudgetCents * 1.2) {
         issues.push({
           severity: 'warning',
           client: client.name,
           platform: 'Google Ads',
           campaign: campaign.name,
-          description: `Overspending: $${metrics.cost} spent (budget: $${dailyBudget.toFixed(2)})`,
+          description: `Overspending: $${centsToDollars(metrics.spendCents)} spent (budget: $${centsToDollars(dailyBudgetCents)})`,
           recommendation: 'Review bid strategy',
         });
       }
@@ -200,12 +218,12 @@ async function monitorClientGoogle(client, issues, autoActions) {
       const safetyCheck = shouldAutoPause({
         roas: metrics.roas,
         roasTarget: client.target_roas || 0,
-        cpa: metrics.cpa * 100,
+        cpa: metrics.cpaCents,
         cpaTarget: client.target_cpa_cents || 0,
-        spend: parseFloat(metrics.cost) * 100,
+        spend: metrics.spendCents,
         conversions: metrics.conversions,
         daysRunning: 3,
-      });
+      }, policy);
 
       if (safetyCheck.pause) {
         issues.push({
@@ -227,27 +245,18 @@ async function monitorClientTikTok(client, issues, autoActions) {
   if (!client.tiktok_advertiser_id) return;
 
   try {
-    const today = new Date().toISOString().split('T')[0];
-    const report = await tiktokAds.getReport(client.tiktok_advertiser_id, {
-      startDate: today,
-      endDate: today,
-    });
+    const campaigns = await getMetrics('tiktok', client.tiktok_advertiser_id, { level: 'campaign', datePreset: 'today' });
 
-    if (report?.list) {
-      for (const item of report.list) {
-        const spend = parseFloat(item.metrics?.spend || 0);
-        const conversions = parseInt(item.metrics?.conversion || 0);
-        const cpa = conversions > 0 ? spend / conversions : 0;
-
-        if (spend > 50 && conversions === 0) {
-          issues.push({
-            severity: 'warning',
-            client: client.name,
-            platform: 'TikTok',
-            description: `$${spend.toFixed(2)} spent with zero conversions`,
-            recommendation: 'Check conversion tracking and creative performance',
-          });
-        }
+    for (const metrics of campaigns) {
+      if (metrics.spendCents > 5_000 && metrics.conversions === 0) {
+        issues.push({
+          severity: 'warning',
+          client: client.name,
+          platform: 'TikTok',
+          campaign: metrics.name,
+          description: `$${centsToDollars(metrics.spendCents)} spent with zero conversions`,
+          recommendation: 'Check conversion tracking and creative performance',
+        });
       }
     }
   } catch (e) {
@@ -255,6 +264,28 @@ async function monitorClientTikTok(client, issues, autoActions) {
   }
 }
 
+/**
+ * Baseline deviations on CPA, CTR, CPM, spend and conversion rate. Already
+ * alerted and silenced anomalies are filtered out by the detector.
+ */
+function monitorClientAnomalies(client, issues) {
+  try {
+    for (const anomaly of findClientAnomalies(client)) {
+      issues.push({
+        severity: anomaly.severity,
+        client: client.name,
+        platform: PLATFORM_LABELS[anomaly.platform],
+        campaign: anomaly.entityName,
+        description: `${anomaly.entityName || anomaly.entityId}: ${anomaly.description} [${anomaly.shortId}]`,
+        recommendation: anomaly.recommendation,
+        anomalyId: anomaly.id,
+      });
+    }
+  } catch (e) {
+    log.warn(`Anomaly detection failed for ${client.name}`, { error: e.message });
+  }
+}
+
 // CLI entry point
 if (process.argv[1]?.endsWith('daily-monitor.js')) {
   runDailyMonitor()
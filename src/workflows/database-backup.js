@@ -0,0 +1,45 @@
+import logger from '../utils/logger.js';
+import { notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
+import { createSnapshot, pruneSnapshots } from '../services/backup.js';
+
+const log = logger.child({ workflow: 'database-backup' });
+
+/**
+ * Database Backup
+ * Runs nightly. Snapshots the knowledge base and costs/audit databases,
+ * uploads the snapshot to the backup destination and applies retention.
+ * A failed backup is reported to the owner and re-thrown so the scheduler
+ * records the run as failed.
+ */
+export async function runDatabaseBackup({ trigger = 'scheduled' } = {}) {
+  let snapshot;
+  try {
+    snapshot = await createSnapshot({ trigger });
+  } catch (e) {
+    log.error('Database backup failed', { error: e.message });
+    await sendAlert('critical', 'Database backup failed', `${e.message}\n\nThe previous snapshots are untouched. Check the logs and run "npm run backup" once fixed.`);
+    throw e;
+  }
+
+  let pruned = { remote: [], local: [] };
+  try {
+    pruned = await pruneSnapshots();
+  } catch (e) {
+    log.warn('Backup retention failed', { error: e.message });
+  }
+
+  if (!snapshot.uploadedTo) {
+    log.warn('Backup kept on local disk only — configure Supabase or BACKUP_DRIVE_FOLDER_ID for off-host copies');
+  }
+  log.info('Database backup complete', { id: snapshot.id, uploadedTo: snapshot.uploadedTo, pruned: pruned.remote.length + pruned.local.length });
+  return { id: snapshot.id, uploadedTo: snapshot.uploadedTo, pruned };
+}
+
+// CLI entry point
+if (process.argv[1]?.endsWith('database-backup.js')) {
+  runDatabaseBackup({ trigger: 'manual' })
+    .then(() => process.exit(0))
+    .catch(err => { console.error(err); process.exit(1); });
+}
+
+export default runDatabaseBackup;
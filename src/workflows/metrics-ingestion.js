@@ -0,0 +1,144 @@
+import logger from '../utils/logger.js';
+import { notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
+import { getAllClients, getClient } from '../services/knowledge-base.js';
+import { getMetrics, getClientAccounts, getSupportedLevels, chunkDateRange, PLATFORM_LABELS } from '../services/metrics.js';
+import { upsertDailyMetrics, startIngestionRun, finishIngestionRun } from '../services/metrics-warehouse.js';
+
+const log = logger.child({ workflow: 'metrics-ingestion' });
+
+// Platforms keep restating recent days as late conversions are attributed
+const DEFAULT_LOOKBACK_DAYS = 3;
+const DEFAULT_BACKFILL_DAYS = 90;
+// Days per API request when backfilling, to keep daily ad-level reports small
+const BACKFILL_WINDOW_DAYS = 7;
+const WAREHOUSE_LEVELS = ['campaign', 'adset', 'ad'];
+
+function toDateStr(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function daysAgo(days, now = new Date()) {
+  return toDateStr(new Date(now.getTime() - days * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Pull daily campaign, ad set and ad metrics for one client into the warehouse.
+ * @returns {Promise<{ rows: number, errors: object[] }>}
+ */
+export async function ingestClientMetrics(client, { since, until, platform } = {}) {
+  let rows = 0;
+  const errors = [];
+
+  for (const account of getClientAccounts(client, platform ? [platform] : undefined)) {
+    const levels = WAREHOUSE_LEVELS.filter(level => getSupportedLevels(account.platform).includes(level));
+    for (const level of levels) {
+      try {
+        const metrics = await getMetrics(account.platform, account.accountId, { level, since, until, daily: true });
+        rows += upsertDailyMetrics(client.id, metrics);
+      } catch (e) {
+        log.warn(`Failed to ingest ${PLATFORM_LABELS[account.platform]} ${level} metrics for ${client.name}`, { error: e.message });
+        errors.push({ client: client.name, platform: account.platform, level, since, until, error: e.message });
+      }
+    }
+  }
+  return { rows, errors };
+}
+
+/**
+ * Metrics Ingestion
+ * Runs daily before the morning briefing. Re-pulls the last few complete days
+ * for every client so restated numbers overwrite the earlier snapshot.
+ * @param {object} [opts] - { since, until, clientName, platform, trigger }
+ */
+export async function runMetricsIngestion(opts = {}) {
+  const until = opts.until || daysAgo(1);
+  const since = opts.since || daysAgo(DEFAULT_LOOKBACK_DAYS);
+  const clients = resolveClients(opts.clientName);
+  const runId = startIngestionRun({
+    trigger: opts.trigger || 'schedule',
+    clientId: opts.clientName ? clients[0].id : null,
+    platform: opts.platform || null,
+    since,
+    until,
+  });
+
+  log.info('Starting metrics ingestion', { since, until, clients: clients.length });
+  let rows = 0;
+  const errors = [];
+  for (const client of clients) {
+    const result = await ingestClientMetrics(client, { since, until, platform: opts.platform });
+    rows += result.rows;
+    errors.push(...result.errors);
+  }
+
+  const status = finishIngestionRun(runId, { rowsUpserted: rows, errors });
+  log.info('Metrics ingestion complete', { rows, errors: errors.length, status });
+
+  if (errors.length > 0 && opts.trigger !== 'backfill') {
+    await sendAlert('warning', `Metrics ingestion: ${errors.length} failure(s)`,
+      errors.slice(0, 10).map(e => `• ${e.client} — ${PLATFORM_LABELS[e.platform]} ${e.level}: ${e.error}`).join('\n'));
+  }
+  return { runId, status, since, until, rows, errors };
+}
+
+/**
+ * Backfill the warehouse for the last `days` days, one window at a time.
+ * Safe to re-run: rows are upserted.
+ * @param {object} [opts] - { days, since, until, clientName, platform }
+ */
+export async function backfillMetrics(opts = {}) {
+  const until = opts.until || daysAgo(1);
+  const since = opts.since || daysAgo(opts.days || DEFAULT_BACKFILL_DAYS);
+  const windows = chunkDateRange(since, until, BACKFILL_WINDOW_DAYS);
+  log.info(`Backfilling metrics ${since} → ${until} in ${windows.length} window(s)`);
+
+  const summary = { since, until, rows: 0, errors: [], runs: [] };
+  for (const window of windows) {
+    const result = await runMetricsIngestion({ ...opts, ...window, trigger: 'backfill' });
+    summary.rows += result.rows;
+    summary.errors.push(...result.errors);
+    summary.runs.push(result.runId);
+  }
+  return summary;
+}
+
+function resolveClients(clientName) {
+  if (!clientName) return getAllClients();
+  const client = getClient(clientName);
+  if (!client) throw new Error(`Client "${clientName}" not found`);
+  return [client];
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(days|since|until|client|platform)$/.exec(argv[i]);
+    if (match) args[match[1]] = argv[++i];
+  }
+  return args;
+}
+
+// CLI entry point
+//   node src/workflows/metrics-ingestion.js                 # ingest the last few days
+//   node src/workflows/metrics-ingestion.js --backfill [--days 90 | --since YYYY-MM-DD --until YYYY-MM-DD]
+//                                                          [--client "Name"] [--platform meta]
+if (process.argv[1]?.endsWith('metrics-ingestion.js')) {
+  const args = parseArgs(process.argv.slice(2));
+  const opts = {
+    days: args.days ? parseInt(args.days) : undefined,
+    since: args.since,
+    until: args.until,
+    clientName: args.client,
+    platform: args.platform,
+  };
+  const job = process.argv.includes('--backfill') ? backfillMetrics(opts) : runMetricsIngestion({ ...opts, trigger: 'manual' });
+  job
+    .then(({ since, until, rows, errors }) => {
+      console.log(`Ingested ${rows} daily rows (${since} → ${until}), ${errors.length} error(s)`);
+      for (const e of errors) console.log(`  ${e.client} ${e.platform} ${e.level} ${e.since}→${e.until}: ${e.error}`);
+      process.exit(errors.length > 0 && rows === 0 ? 1 : 0);
+    })
+    .catch(err => { console.error(err); process.exit(1); });
+}
+
+export default { runMetricsIngestion, backfillMetrics, ingestClientMetrics };
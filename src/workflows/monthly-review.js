@@ -3,6 +3,8 @@ import { deepAnalysis } from '../api/anthropic.js';
 import { notifyOwnerMessage as sendWhatsApp, notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
 import * as googleDrive from '../api/google-drive.js';
 import { getAllClients, getClient, buildClientContext, getClientCampaignHistory } from '../services/knowledge-base.js';
+import { resolveDatePreset } from '../services/metrics.js';
+import { getPipelineAttribution, formatPipelineAttribution } from '../services/pipeline-attribution.js';
 import { generateStrategicPlan } from './client-onboarding.js';
 import { SYSTEM_PROMPTS } from '../prompts/templates.js';
 
@@ -61,6 +63,16 @@ export async function generateMonthlyReview(clientId) {
     ).join('\n')
     : 'Limited historical data available.';
 
+  // Closed-loop results from the client's HubSpot portal
+  let pipelineSummary = 'HubSpot not connected.';
+  try {
+    const attribution = await getPipelineAttribution(client, resolveDatePreset('this_month'));
+    if (attribution) pipelineSummary = formatPipelineAttribution(attribution, { limit: 15 }).trim();
+  } catch (e) {
+    log.warn(`HubSpot pipeline attribution failed for ${client.name}`, { error: e.message });
+    pipelineSummary = 'HubSpot data unavailable.';
+  }
+
   const response = await deepAnalysis({
     systemPrompt: `${SYSTEM_PROMPTS.strategicPlanning}
 
@@ -73,6 +85,9 @@ ${clientContext}
 **This Month's Performance Data:**
 ${monthSummary}
 
+**This Month's Sales Pipeline (HubSpot):**
+${pipelineSummary}
+
 **Current Targets:**
 - ROAS: ${client.target_roas || 'Not set'}
 - CPA: $${((client.target_cpa_cents || 0) / 100).toFixed(2)}
@@ -94,6 +109,7 @@ Generate a thorough review covering:
 - Total spend vs budget
 - Spend allocation by platform
 - ROI by channel
+- Cost per SQL, pipeline ROAS and closed-won ROAS by campaign (from the CRM, where available)
 - Wasted spend identification
 - Budget reallocation recommendations
 
@@ -2,11 +2,10 @@ import logger from '../utils/logger.js';
 import { askClaude } from '../api/anthropic.js';
 import { notifyOwnerBriefing as sendMorningBriefing, notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
 import * as clickup from '../api/clickup.js';
-import * as metaAds from '../api/meta-ads.js';
-import * as googleAds from '../api/google-ads.js';
-import * as tiktokAds from '../api/tiktok-ads.js';
 import { getAllClients } from '../services/knowledge-base.js';
 import { getCostSummary } from '../services/cost-tracker.js';
+import { getBudgetForecasts, formatForecastLine } from '../services/budget-forecast.js';
+import { getClientMetrics, formatMetricsLine } from '../services/metrics.js';
 import { SYSTEM_PROMPTS, USER_PROMPTS } from '../prompts/templates.js';
 
 const log = logger.child({ workflow: 'morning-briefing' });
@@ -28,58 +27,30 @@ export async function runMorningBriefing() {
     budgetIssues: [],
   };
 
-  // 1. Pull performance data from all platforms for each client
+  // 1. Pull yesterday's performance from all platforms for each client
   for (const client of clients) {
     try {
-      const clientData = { name: client.name, platforms: {} };
-
-      // Meta Ads
-      if (client.meta_ad_account_id) {
-        try {
-          const insights = await metaAds.getAccountInsights(client.meta_ad_account_id, { datePreset: 'yesterday' });
-          clientData.platforms.meta = metaAds.extractConversions(insights);
-        } catch (e) {
-          log.warn(`Failed to get Meta data for ${client.name}`, { error: e.message });
-        }
-      }
-
-      // Google Ads
-      if (client.google_ads_customer_id) {
-        try {
-          const yesterday = new Date();
-          yesterday.setDate(yesterday.getDate() - 1);
-          const dateStr = yesterday.toISOString().split('T')[0];
-          const perf = await googleAds.getAccountPerformance(client.google_ads_customer_id, { start: dateStr, end: dateStr });
-          if (perf.length > 0) {
-            clientData.platforms.google = googleAds.formatGoogleAdsMetrics(perf[0]);
-          }
-        } catch (e) {
-          log.warn(`Failed to get Google Ads data for ${client.name}`, { error: e.message });
-        }
-      }
-
-      // TikTok Ads
-      if (client.tiktok_advertiser_id) {
-        try {
-          const yesterday = new Date();
-          yesterday.setDate(yesterday.getDate() - 1);
-          const dateStr = yesterday.toISOString().split('T')[0];
-          const report = await tiktokAds.getReport(client.tiktok_advertiser_id, {
-            startDate: dateStr,
-            endDate: dateStr,
-          });
-          clientData.platforms.tiktok = report;
-        } catch (e) {
-          log.warn(`Failed to get TikTok data for ${client.name}`, { error: e.message });
-        }
-      }
-
-      results.platformData.push(clientData);
+      const { byPlatform } = await getClientMetrics(client, { datePreset: 'yesterday' });
+      results.platformData.push({ name: client.name, platforms: byPlatform });
     } catch (e) {
       log.error(`Failed to collect data for ${client.name}`, { error: e.message });
     }
   }
 
+  // 1b. Month-to-date spend forecast vs monthly budgets
+  let forecasts = [];
+  try {
+    forecasts = await getBudgetForecasts();
+    for (const forecast of forecasts) {
+      // A platform missing from the totals would read as under-spend
+      if (!forecast.incomplete && (forecast.status === 'over' || forecast.status === 'under')) {
+        results.budgetIssues.push(formatForecastLine(forecast));
+      }
+    }
+  } catch (e) {
+    log.warn('Failed to build budget forecasts', { error: e.message });
+  }
+
   // 2. Check ClickUp for tasks
   try {
     const overdue = await clickup.getOverdueTasks();
@@ -119,10 +90,7 @@ export async function runMorningBriefing() {
     platformSummary += `\n### ${client.name}:\n`;
     for (const [platform, data] of Object.entries(client.platforms)) {
       if (!data) continue;
-      platformSummary += `${platform}: Spend $${data.spend?.toFixed(2) || 'N/A'}, `;
-      platformSummary += `ROAS ${data.roas?.toFixed(2) || 'N/A'}, `;
-      platformSummary += `CPA $${data.cpa?.toFixed(2) || 'N/A'}, `;
-      platformSummary += `Conversions ${data.conversions || 0}\n`;
+      platformSummary += `${platform}: ${formatMetricsLine(data)}\n`;
     }
   }
 
@@ -168,7 +136,10 @@ export async function runMorningBriefing() {
     issues: extractListItems(briefingText, 'issue') || extractListItems(briefingText, 'attention') || ['No major issues'],
     todayTasks: results.dueToday.map(t => `${t.name} (${t.assignee})`),
     overdueTasks: results.overdueTasks.map(t => `${t.name} - ${t.assignee} (due ${t.dueDate})`),
-    budgetSummary: `AI costs today: $${costSummary.totalDollars}`,
+    budgetSummary: [
+      ...forecasts.filter(f => f.status !== 'no_budget').map(formatForecastLine),
+      `AI costs today: $${costSummary.totalDollars}`,
+    ].join('\n'),
     dashboardLink: null,
   };
 
@@ -2,9 +2,11 @@ import logger from '../utils/logger.js';
 import { deepAnalysis } from '../api/anthropic.js';
 import { notifyOwnerMessage as sendWhatsApp, notifyOwnerAlert as sendAlert } from '../utils/notify-owner.js';
 import * as googleDrive from '../api/google-drive.js';
-import * as metaAds from '../api/meta-ads.js';
-import * as googleAds from '../api/google-ads.js';
 import { getAllClients, getClient, buildClientContext, recordCampaignPerformance } from '../services/knowledge-base.js';
+import { getAccountMetrics, getClientAccounts, centsToDollars, PLATFORM_LABELS } from '../services/metrics.js';
+import { getShopifyClient, attributeOrders, applyStoreRevenue } from '../services/ecommerce.js';
+import { getMailchimpClient, summarizeEmailReports } from '../services/email-marketing.js';
+import { getPipelineRecords, getCampaignSpend, attributePipeline, formatPipelineAttribution } from '../services/pipeline-attribution.js';
 import { SYSTEM_PROMPTS, USER_PROMPTS } from '../prompts/templates.js';
 
 const log = logger.child({ workflow: 'weekly-report' });
@@ -62,70 +64,55 @@ export async function generateWeeklyReport(clientId) {
   let lastWeekData = '';
   let lastMonthData = '';
 
-  // Pull Meta data
-  if (client.meta_ad_account_id) {
+  // Real revenue from the client's Shopify store, attributed to platforms by UTM
+  const store = await getStoreOrders(client, lastMonthStart, thisWeekEnd);
+  const storeRevenue = {
+    thisWeek: store && attributeOrders(store, { since: thisWeekStart, until: thisWeekEnd }),
+    lastWeek: store && attributeOrders(store, { since: lastWeekStart, until: thisWeekStart }),
+    lastMonth: store && attributeOrders(store, { since: lastMonthStart, until: lastMonthEnd }),
+  };
+  const adSpendCents = { thisWeek: 0, lastWeek: 0, lastMonth: 0 };
+
+  // Email campaigns sent from the client's Mailchimp account
+  const emailReports = await getEmailReports(client, lastMonthStart, thisWeekEnd);
+
+  // Leads and deals from the client's HubSpot portal, for closed-loop attribution
+  const pipeline = await getPipelineData(client, lastMonthStart, thisWeekEnd);
+
+  // Pull account totals from every connected platform
+  for (const { platform, accountId } of getClientAccounts(client)) {
+    const label = PLATFORM_LABELS[platform];
     try {
-      const tw = await metaAds.getAccountInsights(client.meta_ad_account_id, {
-        timeRange: { since: thisWeekStart, until: thisWeekEnd },
-      });
-      const lw = await metaAds.getAccountInsights(client.meta_ad_account_id, {
-        timeRange: { since: lastWeekStart, until: thisWeekStart },
-      });
-      const lm = await metaAds.getAccountInsights(client.meta_ad_account_id, {
-        timeRange: { since: lastMonthStart, until: lastMonthEnd },
-      });
-
-      const twM = metaAds.extractConversions(tw);
-      const lwM = metaAds.extractConversions(lw);
-      const lmM = metaAds.extractConversions(lm);
-
-      if (twM) {
-        thisWeekData += formatMetrics('Meta', twM);
+      const tw = await getAccountMetrics(platform, accountId, { since: thisWeekStart, until: thisWeekEnd });
+      const lw = await getAccountMetrics(platform, accountId, { since: lastWeekStart, until: thisWeekStart });
+      const lm = await getAccountMetrics(platform, accountId, { since: lastMonthStart, until: lastMonthEnd });
+      adSpendCents.thisWeek += tw?.spendCents || 0;
+      adSpendCents.lastWeek += lw?.spendCents || 0;
+      adSpendCents.lastMonth += lm?.spendCents || 0;
+
+      if (tw) {
+        thisWeekData += formatMetrics(label, tw, platformRevenue(storeRevenue.thisWeek, platform));
         // Record to history
         recordCampaignPerformance({
           clientId: client.id,
-          platform: 'meta',
+          platform,
           campaignId: 'account_total',
           campaignName: 'Account Total',
           startDate: thisWeekStart,
           endDate: thisWeekEnd,
-          spendCents: Math.round(twM.spend * 100),
-          impressions: twM.impressions,
-          clicks: twM.clicks,
-          conversions: twM.conversions,
-          roas: twM.roas,
-          cpaCents: Math.round(twM.cpa * 100),
+          spendCents: tw.spendCents,
+          impressions: tw.impressions,
+          clicks: tw.clicks,
+          conversions: tw.conversions,
+          roas: tw.roas,
+          cpaCents: tw.cpaCents,
         });
       }
-      if (lwM) lastWeekData += formatMetrics('Meta', lwM);
-      if (lmM) lastMonthData += formatMetrics('Meta', lmM);
-    } catch (e) {
-      log.warn(`Meta data pull failed for ${client.name}`, { error: e.message });
-      thisWeekData += 'Meta: Data unavailable\n';
-    }
-  }
-
-  // Pull Google Ads data
-  if (client.google_ads_customer_id) {
-    try {
-      const twResults = await googleAds.getAccountPerformance(client.google_ads_customer_id, {
-        start: thisWeekStart, end: thisWeekEnd,
-      });
-      const lwResults = await googleAds.getAccountPerformance(client.google_ads_customer_id, {
-        start: lastWeekStart, end: thisWeekStart,
-      });
-
-      if (twResults.length > 0) {
-        const twM = googleAds.formatGoogleAdsMetrics(twResults[0]);
-        thisWeekData += formatGoogleMetrics('Google Ads', twM);
-      }
-      if (lwResults.length > 0) {
-        const lwM = googleAds.formatGoogleAdsMetrics(lwResults[0]);
-        lastWeekData += formatGoogleMetrics('Google Ads', lwM);
-      }
+      if (lw) lastWeekData += formatMetrics(label, lw, platformRevenue(storeRevenue.lastWeek, platform));
+      if (lm) lastMonthData += formatMetrics(label, lm, platformRevenue(storeRevenue.lastMonth, platform));
     } catch (e) {
-      log.warn(`Google data pull failed for ${client.name}`, { error: e.message });
-      thisWeekData += 'Google Ads: Data unavailable\n';
+      log.warn(`${label} data pull failed for ${client.name}`, { error: e.message });
+      thisWeekData += `${label}: Data unavailable\n`;
     }
   }
 
@@ -134,6 +121,24 @@ export async function generateWeeklyReport(clientId) {
     return null;
   }
 
+  if (store) {
+    thisWeekData += formatStoreRevenue(storeRevenue.thisWeek, adSpendCents.thisWeek);
+    lastWeekData += formatStoreRevenue(storeRevenue.lastWeek, adSpendCents.lastWeek);
+    lastMonthData += formatStoreRevenue(storeRevenue.lastMonth, adSpendCents.lastMonth);
+  }
+
+  if (emailReports) {
+    thisWeekData += formatEmailPerformance(summarizeEmailReports(emailReports, { since: thisWeekStart, until: thisWeekEnd }));
+    lastWeekData += formatEmailPerformance(summarizeEmailReports(emailReports, { since: lastWeekStart, until: thisWeekStart }));
+    lastMonthData += formatEmailPerformance(summarizeEmailReports(emailReports, { since: lastMonthStart, until: lastMonthEnd }));
+  }
+
+  if (pipeline) {
+    thisWeekData += await formatPipeline(client, pipeline, thisWeekStart, thisWeekEnd);
+    lastWeekData += await formatPipeline(client, pipeline, lastWeekStart, thisWeekStart);
+    lastMonthData += await formatPipeline(client, pipeline, lastMonthStart, lastMonthEnd);
+  }
+
   // Generate report with Claude
   const targets = [
     `ROAS Target: ${client.target_roas || 'Not set'}`,
@@ -178,12 +183,94 @@ export async function generateWeeklyReport(clientId) {
   return { clientName: client.name, report: response.text };
 }
 
-function formatMetrics(platform, m) {
-  return `${platform}:\n  Spend: $${m.spend.toFixed(2)}\n  ROAS: ${m.roas.toFixed(2)}\n  CPA: $${m.cpa.toFixed(2)}\n  Conversions: ${m.conversions}\n  Clicks: ${m.clicks}\n  CTR: ${m.ctr.toFixed(2)}%\n  Impressions: ${m.impressions.toLocaleString()}\n  Reach: ${m.reach?.toLocaleString() || 'N/A'}\n  Frequency: ${m.frequency?.toFixed(1) || 'N/A'}\n\n`;
+/**
+ * Orders from the client's Shopify store over the whole report window, or
+ * null when no store is connected or it could not be read.
+ */
+async function getStoreOrders(client, since, until) {
+  try {
+    const shopify = getShopifyClient(client);
+    return shopify ? await shopify.listOrders({ since, until }) : null;
+  } catch (e) {
+    log.warn(`Shopify data pull failed for ${client.name}`, { error: e.message });
+    return null;
+  }
 }
 
-function formatGoogleMetrics(platform, m) {
-  return `${platform}:\n  Spend: $${m.cost}\n  ROAS: ${m.roas.toFixed(2)}\n  CPA: $${m.cpa.toFixed(2)}\n  Conversions: ${m.conversions}\n  Clicks: ${m.clicks}\n  CTR: ${m.ctr.toFixed(2)}%\n  Impressions: ${m.impressions.toLocaleString()}\n\n`;
+/**
+ * Mailchimp campaign reports over the whole report window, or null when no
+ * account is connected or it could not be read.
+ */
+async function getEmailReports(client, since, until) {
+  try {
+    const mailchimp = getMailchimpClient(client);
+    return mailchimp ? await mailchimp.listCampaignReports({ since, until }) : null;
+  } catch (e) {
+    log.warn(`Mailchimp data pull failed for ${client.name}`, { error: e.message });
+    return null;
+  }
+}
+
+/**
+ * HubSpot deals, their contacts and SQLs over the whole report window, or
+ * null when no portal is connected or it could not be read.
+ */
+async function getPipelineData(client, since, until) {
+  try {
+    return await getPipelineRecords(client, { since, until });
+  } catch (e) {
+    log.warn(`HubSpot data pull failed for ${client.name}`, { error: e.message });
+    return null;
+  }
+}
+
+// Pipeline attribution for one period, against that period's campaign spend
+async function formatPipeline(client, records, since, until) {
+  const spend = await getCampaignSpend(client, { since, until });
+  return formatPipelineAttribution(attributePipeline({ ...records, ...spend }, { since, until }));
+}
+
+// A platform's share of attributed store revenue (zero when no order came from it)
+function platformRevenue(attribution, platform) {
+  if (!attribution) return null;
+  return attribution.byPlatform[platform] || { orders: 0, revenueCents: 0 };
+}
+
+function formatMetrics(platform, m, storeRevenue) {
+  let text = `${platform}:\n  Spend: $${centsToDollars(m.spendCents)}\n  ROAS: ${m.roas.toFixed(2)}\n  CPA: $${centsToDollars(m.cpaCents)}\n  Conversions: ${m.conversions}\n  Clicks: ${m.clicks}\n  CTR: ${m.ctr.toFixed(2)}%\n  Impressions: ${m.impressions.toLocaleString()}\n`;
+  if (m.reach != null) text += `  Reach: ${m.reach.toLocaleString()}\n`;
+  if (m.frequency != null) text += `  Frequency: ${m.frequency.toFixed(1)}\n`;
+  if (storeRevenue) {
+    const store = applyStoreRevenue(m, storeRevenue);
+    text += `  Shopify orders (UTM-attributed): ${store.conversions}\n  Shopify revenue (UTM-attributed): $${centsToDollars(store.conversionValueCents)}\n  ROAS on Shopify revenue: ${store.roas.toFixed(2)} (platform-reported: ${m.roas.toFixed(2)})\n`;
+  }
+  return `${text}\n`;
+}
+
+function formatStoreRevenue(r, adSpendCents) {
+  const share = r.revenueCents > 0 ? Math.round((r.attributedCents / r.revenueCents) * 100) : 0;
+  let text = `Shopify store (${r.currency || 'store currency'}):\n  Orders: ${r.orders}\n  Revenue: $${centsToDollars(r.revenueCents)}\n  Revenue from ad clicks (UTM): $${centsToDollars(r.attributedCents)} (${share}%)\n`;
+  if (adSpendCents > 0) text += `  Blended ROAS (all store revenue / ad spend): ${(r.revenueCents / adSpendCents).toFixed(2)}\n`;
+  const topProducts = r.products.filter(p => Object.keys(p.byPlatform).length > 0).slice(0, 5);
+  if (topProducts.length > 0) {
+    text += '  Top products from ads:\n';
+    for (const p of topProducts) {
+      const sku = p.skus.length > 0 ? ` [${p.skus.join(', ')}]` : '';
+      const byPlatform = Object.entries(p.byPlatform).map(([platform, cents]) => `${PLATFORM_LABELS[platform]} $${centsToDollars(cents)}`).join(', ');
+      text += `    - ${p.title}${sku}: ${p.units} units, $${centsToDollars(p.revenueCents)} (${byPlatform})\n`;
+    }
+  }
+  return `${text}\n`;
+}
+
+function formatEmailPerformance({ totals, campaigns }) {
+  if (totals.campaigns === 0) return 'Email (Mailchimp):\n  No campaigns sent\n\n';
+  let text = `Email (Mailchimp):\n  Campaigns sent: ${totals.campaigns}\n  Emails sent: ${totals.emailsSent.toLocaleString()}\n  Open rate: ${(totals.openRate * 100).toFixed(1)}%\n  Click rate: ${(totals.clickRate * 100).toFixed(1)}%\n  Unsubscribes: ${totals.unsubscribes}\n`;
+  if (totals.orders > 0) text += `  Email orders (Mailchimp e-commerce): ${totals.orders}\n  Email revenue: $${centsToDollars(totals.revenueCents)}\n`;
+  for (const c of campaigns.slice(0, 5)) {
+    text += `    - "${c.subject || c.title}": ${c.emailsSent.toLocaleString()} sent, ${(c.openRate * 100).toFixed(1)}% open, ${(c.clickRate * 100).toFixed(1)}% click\n`;
+  }
+  return `${text}\n`;
 }
 
 export default { runWeeklyReports, generateWeeklyReport };
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for statistical anomaly detection: baseline scoring with
+ * day-of-week seasonality, per-metric detection, and the remembered
+ * alert/silence state. Uses a temporary SQLite DB.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const kbPath = path.join(os.tmpdir(), `anomaly-kb-${Date.now()}.db`);
+process.env.KB_DB_PATH = kbPath;
+
+const { buildMetrics } = await import('../../src/services/metrics.js');
+const { addDays } = await import('../../src/services/budget-forecast.js');
+const { upsertDailyMetrics } = await import('../../src/services/metrics-warehouse.js');
+const {
+  scoreDeviation, detectAnomalies, recordAnomalies, silenceAnomaly, listAnomalies, listSilences,
+  findClientAnomalies, isSilenced,
+} = await import('../../src/services/anomaly-detection.js');
+
+const DATE = '2026-04-15'; // a Wednesday
+
+/** date → value for the `days` days up to and including DATE */
+function series(days, valueFor) {
+  const map = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(DATE, -i);
+    map.set(date, valueFor(date, i));
+  }
+  return map;
+}
+
+/** Mild deterministic noise around 1 */
+const wobble = (i) => 1 + ((i * 7) % 5 - 2) / 100;
+
+function dailyRows(id, overrides = {}) {
+  const rows = [];
+  for (let i = 28; i >= 0; i--) {
+    const date = addDays(DATE, -i);
+    rows.push(buildMetrics({
+      platform: 'meta', level: 'campaign', id, name: `Campaign ${id}`, date,
+      spendCents: Math.round(10_000 * wobble(i)),
+      impressions: 20_000,
+      clicks: Math.round(400 * wobble(i + 1)),
+      conversions: 10,
+      conversionValueCents: 40_000,
+      ...(i === 0 ? overrides : {}),
+    }));
+  }
+  return rows;
+}
+
+describe('Anomaly Detection', () => {
+  // ------------------------------------------------------------------
+  // scoreDeviation
+  // ------------------------------------------------------------------
+  describe('scoreDeviation', () => {
+    it('flags a spike far outside the baseline', () => {
+      const s = series(29, (d, i) => (i === 0 ? 200 : 100 * wobble(i)));
+      const result = scoreDeviation(s, DATE, 'up');
+      assert.ok(result);
+      assert.ok(result.zScore > 3);
+      assert.ok(Math.round(result.changePct) >= 90);
+    });
+
+    it('ignores deviations in the non-adverse direction', () => {
+      const s = series(29, (d, i) => (i === 0 ? 40 : 100 * wobble(i)));
+      assert.equal(scoreDeviation(s, DATE, 'up'), null);
+      assert.ok(scoreDeviation(s, DATE, 'down'));
+    });
+
+    it('ignores small changes on very stable series', () => {
+      const s = series(29, (d, i) => (i === 0 ? 110 : 100));
+      assert.equal(scoreDeviation(s, DATE, 'both'), null);
+    });
+
+    it('needs at least a week of baseline', () => {
+      const s = series(5, (d, i) => (i === 0 ? 500 : 100));
+      assert.equal(scoreDeviation(s, DATE, 'both'), null);
+    });
+
+    it('does not flag a normal weekly pattern once seasonality is learned', () => {
+      // Wednesdays are always double the other days
+      const wednesday = (d) => new Date(`${d}T00:00:00Z`).getUTCDay() === 3;
+      const s = series(29, (d, i) => (wednesday(d) ? 200 : 100) * wobble(i));
+      assert.equal(scoreDeviation(s, DATE, 'both'), null);
+
+      const flat = new Map([...s].map(([d, v]) => [d, d === DATE ? v : 100 * wobble(0)]));
+      assert.ok(scoreDeviation(flat, DATE, 'both'), 'without the pattern the same day is anomalous');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // detectAnomalies
+  // ------------------------------------------------------------------
+  describe('detectAnomalies', () => {
+    it('explains CPA and conversion rate deviations', () => {
+      const anomalies = detectAnomalies(dailyRows('c1', { conversions: 3 }), DATE);
+      const cpa = anomalies.find(a => a.metric === 'cpa');
+      assert.ok(cpa);
+      assert.equal(cpa.severity, 'critical');
+      assert.match(cpa.description, /^CPA \$32\.67 on 2026-04-15 vs usual for a Wednesday \$10\.\d\d \(\+\d+%, [\d.]+σ above its 28-day baseline\)$/);
+      assert.ok(anomalies.find(a => a.metric === 'conversionRate'));
+      assert.equal(anomalies.find(a => a.metric === 'ctr'), undefined);
+    });
+
+    it('returns nothing for a normal day', () => {
+      assert.deepEqual(detectAnomalies(dailyRows('c1'), DATE), []);
+    });
+
+    it('skips ratio metrics on low-volume days', () => {
+      const anomalies = detectAnomalies(dailyRows('c1', { impressions: 500, clicks: 1 }), DATE);
+      assert.equal(anomalies.find(a => a.metric === 'ctr'), undefined);
+      assert.equal(anomalies.find(a => a.metric === 'cpm'), undefined);
+      assert.equal(anomalies.find(a => a.metric === 'conversionRate'), undefined);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Storage & silencing
+  // ------------------------------------------------------------------
+  describe('recordAnomalies & silenceAnomaly', () => {
+    it('alerts a stored anomaly only once', () => {
+      upsertDailyMetrics('client-a', dailyRows('c2', { spendCents: 30_000 }));
+      const first = findClientAnomalies({ id: 'client-a' }, { date: DATE });
+      assert.ok(first.some(a => a.metric === 'spend'));
+      assert.equal(first[0].shortId.length, 8);
+
+      const second = findClientAnomalies({ id: 'client-a' }, { date: DATE });
+      assert.deepEqual(second, []);
+      assert.ok(listAnomalies({ clientId: 'client-a' }).length >= 1);
+    });
+
+    it('remembers silences for later days', () => {
+      const spend = listAnomalies({ clientId: 'client-a' }).find(a => a.metric === 'spend');
+      const { silence } = silenceAnomaly(spend.shortId, { reason: 'planned budget increase' });
+      assert.equal(silence.until, null);
+      assert.equal(listAnomalies({ clientId: 'client-a', status: 'silenced' }).length, 1);
+
+      const nextDay = detectAnomalies(dailyRows('c2', { spendCents: 30_000 }), DATE)
+        .map(a => ({ ...a, date: addDays(DATE, 1) }));
+      const fresh = recordAnomalies('client-a', nextDay);
+      assert.equal(fresh.find(a => a.metric === 'spend'), undefined);
+      assert.equal(listSilences({ clientId: 'client-a', today: DATE }).length, 1);
+    });
+
+    it('expires timed silences and can cover every metric', () => {
+      const [anomaly] = recordAnomalies('client-b', [{
+        platform: 'google', level: 'campaign', entityId: 'g1', entityName: 'Brand', metric: 'ctr', date: DATE,
+        value: 1, expected: 2, zScore: -4, changePct: -50, severity: 'warning', description: 'CTR down',
+      }]);
+      silenceAnomaly(anomaly.id, { days: 3, allMetrics: true });
+
+      const key = { clientId: 'client-b', platform: 'google', entityId: 'g1' };
+      assert.equal(isSilenced({ ...key, metric: 'cpa', date: addDays(DATE, 3) }), true);
+      assert.equal(isSilenced({ ...key, metric: 'cpa', date: addDays(DATE, 4) }), false);
+    });
+
+    it('rejects unknown anomaly IDs', () => {
+      assert.throws(() => silenceAnomaly('nope'), /No anomaly found/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(kbPath); } catch { /* ignore */ }
+  });
+});
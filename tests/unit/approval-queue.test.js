@@ -0,0 +1,141 @@
+/**
+ * Unit tests for the persistent approval queue.
+ * Uses a temporary SQLite database for isolation.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const dbPath = path.join(os.tmpdir(), `approval-queue-test-${Date.now()}.db`);
+process.env.COST_DB_PATH = dbPath;
+
+const {
+  newApprovalId, enqueueApproval, getApproval, transitionApproval, listApprovals,
+  expireStaleApprovals, getApprovalsDueForReminder, ApprovalStatus,
+} = await import('../../src/services/approval-queue.js');
+const { getAuditLog } = await import('../../src/services/cost-tracker.js');
+
+describe('Approval Queue', () => {
+  // ------------------------------------------------------------------
+  // enqueueApproval & getApproval
+  // ------------------------------------------------------------------
+  describe('newApprovalId', () => {
+    it('gives approvals queued in the same millisecond distinct IDs', () => {
+      const ids = new Set(Array.from({ length: 50 }, () => newApprovalId('change_budget')));
+      assert.equal(ids.size, 50);
+      for (const id of ids) assert.match(id, /^change-budget-[0-9a-f]{8}$/);
+    });
+  });
+
+  describe('enqueueApproval', () => {
+    it('stores a pending approval with its payload and request', () => {
+      const approval = enqueueApproval({
+        id: 'pause-1001',
+        type: 'pause',
+        platform: 'meta',
+        payload: { campaignId: '123', platform: 'meta' },
+        request: { description: 'Pause campaign 123' },
+      });
+
+      assert.equal(approval.status, ApprovalStatus.PENDING);
+      assert.deepEqual(approval.payload, { campaignId: '123', platform: 'meta' });
+      assert.equal(approval.request.description, 'Pause campaign 123');
+      assert.ok(approval.expires_at > approval.created_at, 'Should expire in the future');
+    });
+
+    it('survives a fresh read (persisted, not in memory)', () => {
+      const fetched = getApproval('pause-1001');
+      assert.equal(fetched.type, 'pause');
+      assert.equal(fetched.payload.campaignId, '123');
+    });
+
+    it('records the request in the audit log', () => {
+      const entries = getAuditLog(20).filter(e => e.action === 'approval_requested');
+      assert.ok(entries.some(e => JSON.parse(e.details).approvalId === 'pause-1001'));
+    });
+
+    it('returns null for unknown IDs', () => {
+      assert.equal(getApproval('does-not-exist'), null);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // transitionApproval
+  // ------------------------------------------------------------------
+  describe('transitionApproval', () => {
+    it('moves pending → approved → executed', () => {
+      enqueueApproval({ id: 'life-1', type: 'pause', payload: {} });
+      assert.equal(transitionApproval('life-1', ApprovalStatus.APPROVED, { decidedBy: 'owner:whatsapp' }), true);
+      assert.equal(transitionApproval('life-1', ApprovalStatus.EXECUTED, { result: { ok: true } }), true);
+
+      const done = getApproval('life-1');
+      assert.equal(done.status, ApprovalStatus.EXECUTED);
+      assert.equal(done.decided_by, 'owner:whatsapp');
+      assert.deepEqual(done.result, { ok: true });
+      assert.ok(done.completed_at);
+    });
+
+    it('only lets one concurrent APPROVE through', () => {
+      enqueueApproval({ id: 'race-1', type: 'pause', payload: {} });
+      const first = transitionApproval('race-1', ApprovalStatus.APPROVED, { decidedBy: 'owner:whatsapp' });
+      const second = transitionApproval('race-1', ApprovalStatus.APPROVED, { decidedBy: 'owner:telegram' });
+      assert.equal(first, true);
+      assert.equal(second, false);
+      assert.equal(getApproval('race-1').decided_by, 'owner:whatsapp');
+    });
+
+    it('rejects transitions out of a terminal state', () => {
+      enqueueApproval({ id: 'deny-1', type: 'pause', payload: {} });
+      assert.equal(transitionApproval('deny-1', ApprovalStatus.DENIED, { decidedBy: 'owner' }), true);
+      assert.equal(transitionApproval('deny-1', ApprovalStatus.APPROVED, { decidedBy: 'owner' }), false);
+      assert.equal(getApproval('deny-1').status, ApprovalStatus.DENIED);
+    });
+
+    it('throws for an unknown target status', () => {
+      assert.throws(() => transitionApproval('deny-1', 'bogus'), /Invalid approval status/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Expiry & reminders
+  // ------------------------------------------------------------------
+  describe('expiry', () => {
+    it('expires pending approvals past their TTL on read', () => {
+      enqueueApproval({ id: 'stale-1', type: 'pause', payload: {}, ttlHours: -1 });
+      assert.equal(getApproval('stale-1').status, ApprovalStatus.EXPIRED);
+    });
+
+    it('expireStaleApprovals sweeps every stale approval', () => {
+      enqueueApproval({ id: 'stale-2', type: 'pause', payload: {}, ttlHours: -1 });
+      enqueueApproval({ id: 'fresh-1', type: 'pause', payload: {}, ttlHours: 24 });
+      const expired = expireStaleApprovals();
+      assert.ok(expired.some(a => a.id === 'stale-2'));
+      assert.ok(!expired.some(a => a.id === 'fresh-1'));
+      assert.equal(getApproval('fresh-1').status, ApprovalStatus.PENDING);
+    });
+
+    it('lists pending approvals due for a reminder', () => {
+      const due = getApprovalsDueForReminder(0, 3);
+      const ids = due.map(a => a.id);
+      assert.ok(ids.includes('fresh-1'));
+      assert.ok(!ids.includes('deny-1'), 'Decided approvals never get reminders');
+    });
+
+    it('filters listApprovals by status', () => {
+      const pending = listApprovals({ status: ApprovalStatus.PENDING });
+      assert.ok(pending.every(a => a.status === ApprovalStatus.PENDING));
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(dbPath); } catch { /* ignore */ }
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for database backups: snapshot ids, retention planning, local
+ * snapshots and validated restores. Uses temporary SQLite databases and a
+ * temporary backup directory (local destination only, no uploads).
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import zlib from 'node:zlib';
+import Database from 'better-sqlite3';
+
+process.env.NODE_ENV = 'test';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+const kbPath = path.join(tmpDir, 'knowledge.db');
+const costPath = path.join(tmpDir, 'costs.db');
+process.env.KB_DB_PATH = kbPath;
+process.env.COST_DB_PATH = costPath;
+
+const { default: config } = await import('../../src/config.js');
+config.BACKUP_DIR = path.join(tmpDir, 'backups');
+config.BACKUP_DESTINATION = 'local';
+
+const {
+  snapshotId, snapshotTime, planRetention, createSnapshot, listSnapshots, pruneSnapshots, restoreSnapshot,
+} = await import('../../src/services/backup.js');
+const { runMigrations } = await import('../../src/services/migrations.js');
+const { KB_SCHEMA } = await import('../../src/services/knowledge-base.js');
+const { COSTS_SCHEMA } = await import('../../src/services/cost-tracker.js');
+
+// Raw connections stand in for the running app; closed before each restore
+function withDb(file, fn) {
+  const db = new Database(file);
+  try { return fn(db); } finally { db.close(); }
+}
+withDb(kbPath, db => {
+  db.pragma('journal_mode = WAL');
+  runMigrations(db, KB_SCHEMA);
+  db.prepare("INSERT INTO clients (id, name) VALUES ('c1', 'Acme Shoes')").run();
+});
+withDb(costPath, db => runMigrations(db, COSTS_SCHEMA));
+const clientNames = () => withDb(kbPath, db => db.prepare('SELECT name FROM clients ORDER BY name').all().map(r => r.name));
+
+describe('Backup', () => {
+  // ------------------------------------------------------------------
+  // Snapshot ids
+  // ------------------------------------------------------------------
+  describe('snapshotId', () => {
+    it('round-trips the creation time', () => {
+      const date = new Date('2026-10-18T03:00:00.123Z');
+      assert.equal(snapshotId(date), '20261018T030000123Z');
+      assert.equal(snapshotTime(snapshotId(date)).toISOString(), date.toISOString());
+      assert.throws(() => snapshotTime('latest'), /Invalid snapshot id/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // planRetention
+  // ------------------------------------------------------------------
+  describe('planRetention', () => {
+    // Two snapshots a day at 03:00 and 15:00 UTC for 120 days up to 2026-10-18
+    const snapshots = [];
+    for (let day = 0; day < 120; day++) {
+      for (const hour of [3, 15]) {
+        const d = new Date(Date.UTC(2026, 9, 18 - day, hour));
+        snapshots.push({ id: snapshotId(d) });
+      }
+    }
+
+    it('keeps the newest snapshot per day, week and month', () => {
+      const { keep, prune } = planRetention(snapshots, { daily: 7, weekly: 4, monthly: 3 });
+      assert.equal(keep.length + prune.length, snapshots.length);
+      assert.equal(keep[0], '20261018T150000000Z');
+      assert.ok(keep.includes('20261012T150000000Z'), 'seventh day');
+      assert.ok(!keep.includes('20261018T030000000Z'), 'only the newest of a day');
+      assert.ok(keep.includes('20261004T150000000Z'), 'newest of the week of Sep 28');
+      assert.ok(keep.includes('20260831T150000000Z'), 'newest of August');
+      assert.ok(!keep.includes('20260731T150000000Z'), 'fourth month back');
+      assert.equal(new Set(keep.map(id => id.slice(0, 8))).size, keep.length);
+    });
+
+    it('always keeps the newest snapshot', () => {
+      assert.deepEqual(planRetention(snapshots.slice(0, 3), { daily: 0, weekly: 0, monthly: 0 }).keep, ['20261018T150000000Z']);
+      assert.deepEqual(planRetention([], { daily: 7, weekly: 4, monthly: 6 }), { keep: [], prune: [] });
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Snapshots and restore
+  // ------------------------------------------------------------------
+  describe('createSnapshot & restoreSnapshot', () => {
+    let first;
+
+    it('writes compressed copies of every store with a manifest', async () => {
+      first = await createSnapshot({ trigger: 'scheduled' });
+      assert.deepEqual(first.stores.map(s => s.store), ['knowledge-base', 'costs']);
+      assert.equal(first.uploadedTo, null);
+      assert.equal(first.stores[0].schemaVersion, KB_SCHEMA.migrations.length);
+      const copy = zlib.gunzipSync(fs.readFileSync(path.join(config.BACKUP_DIR, first.stores[0].file)));
+      assert.equal(copy.subarray(0, 15).toString(), 'SQLite format 3');
+      assert.deepEqual((await listSnapshots()).map(s => s.id), [first.id]);
+    });
+
+    it('validates without changing anything unless applied', async () => {
+      withDb(kbPath, db => db.prepare("INSERT INTO clients (id, name) VALUES ('c2', 'Later Client')").run());
+      const result = await restoreSnapshot({ id: first.id });
+      assert.equal(result.applied, false);
+      assert.deepEqual(clientNames(), ['Acme Shoes', 'Later Client']);
+    });
+
+    it('restores the snapshot taken at or before a point in time', async () => {
+      const result = await restoreSnapshot({ at: new Date(), apply: true, restoredBy: 'owner:whatsapp' });
+      assert.equal(result.id, first.id);
+      assert.ok(result.preRestoreSnapshot);
+      assert.deepEqual(clientNames(), ['Acme Shoes']);
+      const audit = withDb(costPath, db => db.prepare("SELECT * FROM audit_log WHERE action = 'backup_restored'").get());
+      assert.equal(audit.approved_by, 'owner:whatsapp');
+      assert.equal(JSON.parse(audit.details).preRestoreSnapshot, result.preRestoreSnapshot);
+    });
+
+    it('keeps the replaced files as a pre-restore snapshot', async () => {
+      const snapshots = await listSnapshots();
+      assert.equal(snapshots.length, 2);
+      await restoreSnapshot({ id: snapshots[0].id, apply: true });
+      assert.deepEqual(clientNames(), ['Acme Shoes', 'Later Client']);
+    });
+
+    it('refuses corrupted snapshots before touching any file', async () => {
+      const snapshot = await createSnapshot();
+      const file = path.join(config.BACKUP_DIR, snapshot.stores[1].file);
+      const raw = zlib.gunzipSync(fs.readFileSync(file));
+      raw[raw.length - 100] ^= 0xff;
+      fs.writeFileSync(file, zlib.gzipSync(raw));
+      const before = fs.readFileSync(costPath);
+
+      await assert.rejects(() => restoreSnapshot({ id: snapshot.id, apply: true }), /costs: checksum mismatch/);
+      assert.ok(fs.readFileSync(costPath).equals(before));
+      await assert.rejects(() => restoreSnapshot({ at: '2020-01-01' }), /No snapshot found/);
+    });
+
+    it('prunes local snapshots by retention', async () => {
+      config.BACKUP_KEEP_DAILY = 1;
+      const pruned = await pruneSnapshots();
+      assert.equal(pruned.local.length, 3);
+      assert.equal((await listSnapshots()).length, 1);
+      assert.equal(fs.readdirSync(config.BACKUP_DIR).filter(f => f.endsWith('.gz')).length, 2);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for month-to-date budget forecasting math.
+ * forecastSpend is pure — no platform API calls are made.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const { forecastSpend, addDays, formatForecastLine } =
+  await import('../../src/services/budget-forecast.js');
+
+/** Build a date → cents series from `start` for `days` days. */
+function series(start, days, centsFor) {
+  const map = new Map();
+  for (let i = 0; i < days; i++) {
+    const date = addDays(start, i);
+    map.set(date, centsFor(date));
+  }
+  return map;
+}
+
+describe('Budget Forecast', () => {
+  // ------------------------------------------------------------------
+  // forecastSpend
+  // ------------------------------------------------------------------
+  describe('forecastSpend', () => {
+    // April 2026 has 30 days; on the 16th, 15 complete days have passed
+    const today = '2026-04-16';
+
+    it('projects a flat run rate to month end', () => {
+      const dailySpend = series('2026-04-01', 15, () => 10_000);
+      const f = forecastSpend({ dailySpend, today, monthlyBudgetCents: 300_000 });
+      assert.equal(f.mtdSpendCents, 150_000);
+      assert.equal(f.runRateCents, 10_000);
+      assert.equal(f.projectedSpendCents, 300_000);
+      assert.equal(f.daysRemaining, 15);
+      assert.equal(f.status, 'on_track');
+      assert.equal(f.recommendedDailyCents, 10_000);
+      assert.equal(f.seasonality.mon, 1);
+    });
+
+    it('counts partial spend today against the day\'s expected spend', () => {
+      const dailySpend = series('2026-04-01', 15, () => 10_000);
+      dailySpend.set(today, 4_000);
+      const f = forecastSpend({ dailySpend, today, monthlyBudgetCents: 300_000 });
+      assert.equal(f.mtdSpendCents, 154_000);
+      assert.equal(f.projectedSpendCents, 300_000);
+    });
+
+    it('uses the last 7 complete days as run rate', () => {
+      // 8 days at $100, then 7 days at $200
+      const dailySpend = series('2026-04-01', 15, (d) => (d < '2026-04-09' ? 10_000 : 20_000));
+      const f = forecastSpend({ dailySpend, today, monthlyBudgetCents: 300_000 });
+      assert.equal(f.runRateCents, 20_000);
+      assert.equal(f.seasonality.mon, 1, 'a level shift between weeks is not seasonality');
+      assert.equal(f.projectedSpendCents, 220_000 + 15 * 20_000);
+      assert.equal(f.status, 'over');
+      assert.ok(f.variancePct > 70);
+    });
+
+    it('applies day-of-week seasonality', () => {
+      // Weekends spend half of weekdays over the last four weeks
+      const dailySpend = series('2026-03-19', 28, (d) => {
+        const wd = new Date(`${d}T00:00:00Z`).getUTCDay();
+        return wd === 0 || wd === 6 ? 5_000 : 10_000;
+      });
+      const f = forecastSpend({ dailySpend, today, monthlyBudgetCents: 300_000 });
+      assert.ok(f.seasonality.sat < f.seasonality.wed);
+      assert.ok(Math.abs(f.seasonality.sat * 2 - f.seasonality.wed) < 1e-9);
+
+      const flat = forecastSpend({ dailySpend: new Map([...dailySpend].map(([d]) => [d, f.runRateCents])), today });
+      assert.notEqual(f.projectedSpendCents, flat.projectedSpendCents);
+    });
+
+    it('skips seasonality with less than two weeks of history', () => {
+      const dailySpend = series('2026-04-06', 10, () => 10_000);
+      const f = forecastSpend({ dailySpend, today: '2026-04-16' });
+      assert.equal(f.seasonality, null);
+    });
+
+    it('flags underspend and reports no_budget without a budget', () => {
+      const dailySpend = series('2026-04-01', 15, () => 2_000);
+      assert.equal(forecastSpend({ dailySpend, today, monthlyBudgetCents: 300_000 }).status, 'under');
+      const none = forecastSpend({ dailySpend, today });
+      assert.equal(none.status, 'no_budget');
+      assert.equal(none.variancePct, null);
+    });
+
+    it('handles the first day of the month', () => {
+      const f = forecastSpend({ dailySpend: new Map(), today: '2026-04-01', monthlyBudgetCents: 300_000 });
+      assert.equal(f.mtdSpendCents, 0);
+      assert.equal(f.projectedSpendCents, 0);
+      assert.equal(f.daysRemaining, 30);
+      assert.equal(f.recommendedDailyCents, 10_000);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Helpers
+  // ------------------------------------------------------------------
+  describe('formatForecastLine', () => {
+    it('summarizes projection vs budget', () => {
+      const line = formatForecastLine({
+        clientName: 'Acme', mtdSpendCents: 421_000, projectedSpendCents: 980_000,
+        monthlyBudgetCents: 800_000, variancePct: 22.5, status: 'over',
+      });
+      assert.equal(line, 'Acme: $4,210 MTD → $9,800 projected vs $8,000 budget (+23%, over)');
+    });
+
+    it('names missing platforms instead of a verdict when incomplete', () => {
+      const line = formatForecastLine({
+        clientName: 'Acme', mtdSpendCents: 121_000, projectedSpendCents: 280_000,
+        monthlyBudgetCents: 800_000, variancePct: -65, status: 'under',
+        errors: [{ platform: 'meta', error: 'timeout' }], incomplete: true,
+      });
+      assert.equal(line, 'Acme: $1,210 MTD → $2,800 projected so far (incomplete: Meta did not report)');
+    });
+  });
+});
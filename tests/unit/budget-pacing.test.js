@@ -0,0 +1,177 @@
+/**
+ * Unit tests for budget pacing: monthly pace math, adjustment planning
+ * and per-client pacing settings. No platform API calls are made.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const kbPath = path.join(os.tmpdir(), `budget-pacing-kb-${Date.now()}.db`);
+const costPath = path.join(os.tmpdir(), `budget-pacing-costs-${Date.now()}.db`);
+process.env.KB_DB_PATH = kbPath;
+process.env.COST_DB_PATH = costPath;
+
+const { createClient, getClient } = await import('../../src/services/knowledge-base.js');
+const {
+  pacingCalendar, computeMonthlyPace, planBudgetAdjustments, getPacingSettings, updatePacingSettings, DEFAULT_PACING_SETTINGS,
+} = await import('../../src/workflows/budget-pacing.js');
+
+function unit(overrides = {}) {
+  return {
+    platform: 'meta',
+    name: 'Prospecting',
+    target: { platform: 'meta', entityType: 'adset', entityId: '1' },
+    dailyBudgetCents: 10_000,
+    mtdSpendCents: 0,
+    mtdRoas: 3,
+    ...overrides,
+  };
+}
+
+describe('Budget Pacing', () => {
+  // ------------------------------------------------------------------
+  // computeMonthlyPace
+  // ------------------------------------------------------------------
+  describe('pacingCalendar', () => {
+    it('reads the day, hour and month in the given timezone', () => {
+      // 02:00 UTC on May 1st is still April 30th, 22:00 in New York
+      const now = new Date(Date.UTC(2026, 4, 1, 2, 0, 0));
+      const ny = pacingCalendar(now, 'America/New_York');
+      assert.equal(ny.today, '2026-04-30');
+      assert.equal(ny.monthStart, '2026-04-01');
+      assert.equal(ny.daysInMonth, 30);
+      assert.equal(ny.hourOfDay, 22);
+      assert.equal(ny.elapsedDays, 29 + 22 / 24);
+
+      const utc = pacingCalendar(now, 'UTC');
+      assert.equal(utc.today, '2026-05-01');
+      assert.equal(utc.monthStart, '2026-05-01');
+      assert.equal(utc.daysInMonth, 31);
+      assert.equal(utc.elapsedDays, 2 / 24);
+    });
+  });
+
+  describe('computeMonthlyPace', () => {
+    // Midnight UTC on April 16th: 15 of 30 days elapsed
+    const now = new Date(Date.UTC(2026, 3, 16, 0, 0, 0));
+    const timezone = 'UTC';
+
+    it('returns null without a monthly budget or active budgets', () => {
+      assert.equal(computeMonthlyPace({ monthlyBudgetCents: 0, mtdSpendCents: 0, currentDailyBudgetCents: 100, now, timezone }), null);
+      assert.equal(computeMonthlyPace({ monthlyBudgetCents: 300_000, mtdSpendCents: 0, currentDailyBudgetCents: 0, now, timezone }), null);
+    });
+
+    it('is within tolerance when spend tracks the budget', () => {
+      const pace = computeMonthlyPace({ monthlyBudgetCents: 300_000, mtdSpendCents: 150_000, currentDailyBudgetCents: 10_000, now, timezone });
+      assert.equal(pace.expectedSpendCents, 150_000);
+      assert.equal(Math.round(pace.pacePct), 100);
+      assert.equal(pace.targetDailyBudgetCents, 10_000);
+      assert.equal(pace.withinTolerance, true);
+    });
+
+    it('asks for lower daily budgets when overspending the month', () => {
+      const pace = computeMonthlyPace({ monthlyBudgetCents: 300_000, mtdSpendCents: 210_000, currentDailyBudgetCents: 14_000, now, timezone });
+      assert.equal(pace.targetDailyBudgetCents, 6_000);
+      assert.ok(pace.scaleFactor < 1);
+      assert.equal(pace.withinTolerance, false);
+      assert.equal(pace.overBudget, false);
+    });
+
+    it('leaves room for spend outside the paced units', () => {
+      // 100,000 of the 150,000 spent so far came from elsewhere: ~6,667/day keeps going
+      const pace = computeMonthlyPace({
+        monthlyBudgetCents: 300_000, mtdSpendCents: 150_000, otherMtdSpendCents: 100_000, currentDailyBudgetCents: 10_000, now, timezone,
+      });
+      assert.equal(pace.otherDailySpendCents, 6_667);
+      assert.equal(pace.targetDailyBudgetCents, 3_333);
+      assert.ok(pace.scaleFactor < 1);
+    });
+
+    it('asks for higher daily budgets when underspending the month', () => {
+      const pace = computeMonthlyPace({ monthlyBudgetCents: 300_000, mtdSpendCents: 75_000, currentDailyBudgetCents: 5_000, now, timezone });
+      assert.equal(pace.targetDailyBudgetCents, 15_000);
+      assert.equal(Math.round(pace.pacePct), 50);
+    });
+
+    it('flags months where the budget is already spent', () => {
+      const pace = computeMonthlyPace({ monthlyBudgetCents: 300_000, mtdSpendCents: 320_000, currentDailyBudgetCents: 10_000, now, timezone });
+      assert.equal(pace.overBudget, true);
+      assert.equal(pace.targetDailyBudgetCents, 0);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // planBudgetAdjustments
+  // ------------------------------------------------------------------
+  describe('planBudgetAdjustments', () => {
+    const settings = { ...DEFAULT_PACING_SETTINGS };
+
+    it('plans nothing when pace is within tolerance', () => {
+      assert.deepEqual(planBudgetAdjustments([unit()], { withinTolerance: true, scaleFactor: 1.05 }, settings), []);
+    });
+
+    it('clamps changes to maxAdjustmentPct', () => {
+      const plan = planBudgetAdjustments([unit()], { withinTolerance: false, scaleFactor: 0.4 }, settings);
+      assert.equal(plan.length, 1);
+      assert.equal(plan[0].newBudgetCents, 8_000);
+      assert.equal(Math.round(plan[0].changePct), -20);
+    });
+
+    it('never goes below the minimum daily budget', () => {
+      const plan = planBudgetAdjustments([unit({ dailyBudgetCents: 550 })], { withinTolerance: false, scaleFactor: 0.5 }, settings);
+      assert.equal(plan[0].newBudgetCents, 500);
+    });
+
+    it('does not scale up units below target ROAS', () => {
+      const units = [unit({ mtdRoas: 1 }), unit({ name: 'Retargeting', mtdRoas: 5 })];
+      const plan = planBudgetAdjustments(units, { withinTolerance: false, scaleFactor: 1.5 }, settings, 2);
+      assert.deepEqual(plan.map(p => p.unit.name), ['Retargeting']);
+      assert.equal(plan[0].newBudgetCents, 12_000);
+    });
+
+    it('scales down every unit regardless of ROAS', () => {
+      const units = [unit({ mtdRoas: 1 }), unit({ name: 'Retargeting', mtdRoas: 5 })];
+      const plan = planBudgetAdjustments(units, { withinTolerance: false, scaleFactor: 0.9 }, settings, 2);
+      assert.equal(plan.length, 2);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Pacing settings
+  // ------------------------------------------------------------------
+  describe('pacing settings', () => {
+    const client = createClient({ name: 'Pacing Client', monthlyBudgetCents: 300_000 });
+
+    it('defaults when nothing is stored', () => {
+      assert.deepEqual(getPacingSettings(client.id), DEFAULT_PACING_SETTINGS);
+    });
+
+    it('stores overrides and resets them with null', () => {
+      updatePacingSettings(client.id, { mode: 'recommend', maxAdjustmentPct: 30 });
+      assert.equal(getPacingSettings(client.id).mode, 'recommend');
+      assert.equal(getPacingSettings(getClient(client.id)).maxAdjustmentPct, 30);
+
+      const settings = updatePacingSettings(client.id, { mode: null });
+      assert.equal(settings.mode, DEFAULT_PACING_SETTINGS.mode);
+      assert.equal(settings.maxAdjustmentPct, 30);
+    });
+
+    it('rejects invalid settings', () => {
+      assert.throws(() => updatePacingSettings(client.id, { mode: 'yolo' }), /Invalid pacing settings/);
+      assert.throws(() => updatePacingSettings(client.id, { platforms: ['myspace'] }), /Invalid pacing settings/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(kbPath); } catch { /* ignore */ }
+    try { fs.unlinkSync(costPath); } catch { /* ignore */ }
+  });
+});
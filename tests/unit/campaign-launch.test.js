@@ -0,0 +1,232 @@
+/**
+ * Unit tests for campaign launch prerequisites, the Google Ads / TikTok
+ * launch specs, the launch plan diff and refused Meta launches. No platform
+ * API calls are made; the knowledge base is a temporary SQLite database.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const kbPath = path.join(os.tmpdir(), `campaign-launch-kb-${Date.now()}.db`);
+const costPath = path.join(os.tmpdir(), `campaign-launch-costs-${Date.now()}.db`);
+process.env.KB_DB_PATH = kbPath;
+process.env.COST_DB_PATH = costPath;
+
+const { createClient } = await import('../../src/services/knowledge-base.js');
+const {
+  launchCampaign, validatePrerequisites, buildLaunchSpec, buildLaunchPlan, formatLaunchPlan,
+} = await import('../../src/workflows/campaign-launch.js');
+
+const client = {
+  monthly_budget_cents: 300_000,
+  google_ads_customer_id: '1234567890',
+  tiktok_advertiser_id: '7000',
+};
+
+const googleParams = {
+  platform: 'google',
+  campaignName: 'Brand Search',
+  objective: 'conversions',
+  dailyBudgetCents: 5_000,
+  landingPageUrl: 'https://example.com',
+  keywords: ['acme shoes', { text: 'buy acme', matchType: 'EXACT' }],
+  headlines: ['Acme Shoes', 'Free Shipping', 'Shop Today'],
+  descriptions: ['Comfortable shoes for every day.', 'Order now and save.'],
+};
+
+const tiktokParams = {
+  platform: 'tiktok',
+  campaignName: 'Spring Drop',
+  objective: 'conversions',
+  dailyBudgetCents: 7_550,
+  landingPageUrl: 'https://example.com/spring',
+  creativeIds: ['v1', 'v2'],
+  adText: 'Meet the spring collection',
+  identityId: 'id-1',
+  locationIds: ['6252001'],
+  pixelId: 'px-1',
+};
+
+const failed = (result) => result.checks.filter(c => !c.passed).map(c => c.name);
+
+describe('Campaign Launch', () => {
+  // ------------------------------------------------------------------
+  // validatePrerequisites
+  // ------------------------------------------------------------------
+  describe('validatePrerequisites', () => {
+    it('passes a complete Google launch', async () => {
+      const result = await validatePrerequisites(googleParams, client);
+      assert.deepEqual(failed(result), []);
+      assert.equal(result.allPassed, true);
+    });
+
+    it('requires keywords and responsive search ad copy for Google', async () => {
+      const result = await validatePrerequisites({
+        ...googleParams,
+        keywords: [],
+        headlines: ['Only one', 'x'.repeat(31)],
+        descriptions: ['One'],
+      }, client);
+      assert.deepEqual(failed(result), ['Keywords', 'Headlines', 'Descriptions']);
+      assert.match(result.checks.find(c => c.name === 'Headlines').reason, /Between 3 and 15/);
+    });
+
+    it('checks each Google ad group on its own', async () => {
+      const result = await validatePrerequisites({
+        ...googleParams,
+        adGroups: [
+          { name: 'Brand', keywords: ['acme'] },
+          { name: 'Generic', keywords: ['running shoes'], headlines: ['A', 'B', 'x'.repeat(40)] },
+        ],
+      }, client);
+      assert.deepEqual(failed(result), ['Headlines (Generic)']);
+      assert.match(result.checks.find(c => c.name === 'Headlines (Generic)').reason, /Over 30 characters/);
+    });
+
+    it('requires videos, ad text, identity and locations for TikTok', async () => {
+      assert.equal((await validatePrerequisites(tiktokParams, client)).allPassed, true);
+      const result = await validatePrerequisites({ ...tiktokParams, creativeIds: [], adText: '', identityId: null, locationIds: [] }, client);
+      assert.deepEqual(failed(result), ['Video creatives', 'Ad text', 'Identity', 'Location targeting']);
+    });
+
+    it('requires a linked account for the platform', async () => {
+      const result = await validatePrerequisites(googleParams, { ...client, google_ads_customer_id: null });
+      assert.deepEqual(failed(result), ['Platform account linked']);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // buildLaunchSpec
+  // ------------------------------------------------------------------
+  describe('buildLaunchSpec', () => {
+    const now = new Date('2026-04-16T12:00:00Z');
+
+    it('builds a paused Google search campaign in micros', () => {
+      const spec = buildLaunchSpec('google', { ...googleParams, startDate: '2026-05-01T00:00:00Z' }, { now });
+      assert.equal(spec.budget.amountMicros, 50_000_000);
+      assert.equal(spec.campaign.status, 'PAUSED');
+      assert.equal(spec.campaign.biddingStrategy, 'maximize_conversions');
+      assert.equal(spec.campaign.startDate, '2026-05-01');
+      assert.equal(spec.adGroups.length, 1);
+      assert.deepEqual(spec.adGroups[0].keywords, [
+        { text: 'acme shoes', matchType: 'PHRASE' },
+        { text: 'buy acme', matchType: 'EXACT' },
+      ]);
+      assert.equal(spec.adGroups[0].ad.finalUrl, 'https://example.com');
+      assert.equal(spec.adGroups[0].ad.headlines.length, 3);
+    });
+
+    it('uses manual CPC when ad groups carry bids', () => {
+      const spec = buildLaunchSpec('google', { ...googleParams, cpcBidCents: 150 }, { now });
+      assert.equal(spec.campaign.biddingStrategy, 'manual_cpc');
+      assert.equal(spec.adGroups[0].cpcBidMicros, 1_500_000);
+    });
+
+    it('builds a disabled TikTok campaign with a daily ad group budget in currency units', () => {
+      const spec = buildLaunchSpec('tiktok', tiktokParams, { now });
+      assert.equal(spec.campaign.objectiveType, 'WEB_CONVERSIONS');
+      assert.equal(spec.campaign.operationStatus, 'DISABLE');
+      assert.equal(spec.adGroup.operation_status, 'DISABLE');
+      assert.equal(spec.adGroup.budget, 75.5);
+      assert.equal(spec.adGroup.optimization_goal, 'CONVERT');
+      assert.equal(spec.adGroup.pixel_id, 'px-1');
+      assert.equal(spec.adGroup.schedule_start_time, '2026-04-16 12:00:00');
+      assert.deepEqual(spec.creatives.map(c => c.video_id), ['v1', 'v2']);
+      assert.equal(spec.creatives[0].landing_page_url, 'https://example.com/spring');
+    });
+
+    it('optimizes TikTok traffic campaigns for clicks', () => {
+      const spec = buildLaunchSpec('tiktok', { ...tiktokParams, objective: 'traffic' }, { now });
+      assert.equal(spec.campaign.objectiveType, 'TRAFFIC');
+      assert.equal(spec.adGroup.optimization_goal, 'CLICK');
+      assert.equal(spec.adGroup.pixel_id, undefined);
+    });
+
+    it('rejects platforms without a spec', () => {
+      assert.throws(() => buildLaunchSpec('meta', googleParams), /No launch spec/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // buildLaunchPlan & formatLaunchPlan
+  // ------------------------------------------------------------------
+  describe('launch plans', () => {
+    const now = new Date('2026-04-16T12:00:00Z');
+
+    it('wraps the spec with the target account and a stable ID', () => {
+      const plan = buildLaunchPlan(client, googleParams, { now });
+      assert.equal(plan.platform, 'google');
+      assert.equal(plan.accountId, '1234567890');
+      assert.deepEqual(plan.spec, buildLaunchSpec('google', googleParams, { now }));
+      assert.match(plan.id, /^[0-9a-f]{8}$/);
+      assert.equal(buildLaunchPlan(client, googleParams, { now }).id, plan.id);
+      assert.notEqual(buildLaunchPlan(client, { ...googleParams, dailyBudgetCents: 6_000 }, { now }).id, plan.id);
+    });
+
+    it('renders a Google plan as a nested diff', () => {
+      const diff = formatLaunchPlan(buildLaunchPlan(client, { ...googleParams, cpcBidCents: 150 }, { now }));
+      const lines = diff.split('\n');
+      assert.match(lines[0], /^Plan [0-9a-f]{8} on google account 1234567890 — creates 1 budget, 1 campaign, 1 ad group, 2 keywords, 1 ad:$/);
+      assert.ok(lines.includes('+ budget "Brand Search Budget 1776340800000": $50.00/day'));
+      assert.ok(lines.includes('+ search campaign "Brand Search" [PAUSED]'));
+      assert.ok(lines.includes('+   ad group "Brand Search - Ad Group 1" · max CPC $1.50'));
+      assert.ok(lines.includes('+     keyword [EXACT] buy acme'));
+      assert.ok(lines.includes('+     responsive search ad → https://example.com'));
+      assert.ok(lines.includes('+       headlines: Acme Shoes | Free Shipping | Shop Today'));
+      assert.equal(lines.at(-1), '~ campaign "Brand Search": PAUSED → ENABLED once QA passes');
+    });
+
+    it('renders TikTok budgets, targeting, creatives and URLs', () => {
+      const diff = formatLaunchPlan(buildLaunchPlan(client, tiktokParams, { now }));
+      assert.match(diff, /creates 1 campaign, 1 ad group, 2 ads:/);
+      assert.match(diff, /\+     budget: \$75\.50\/day/);
+      assert.match(diff, /targeting: locations 6252001/);
+      assert.match(diff, /optimization: CONVERT \(SHOPPING, pixel px-1\)/);
+      assert.match(diff, /ad "Spring Drop - Ad 2": video v2 → https:\/\/example\.com\/spring/);
+    });
+
+    it('cuts long diffs for chat messages', () => {
+      const keywords = Array.from({ length: 80 }, (_, i) => `keyword ${i}`);
+      const lines = formatLaunchPlan(buildLaunchPlan(client, { ...googleParams, keywords }, { now })).split('\n');
+      assert.equal(lines.length, 61);
+      assert.match(lines.at(-1), /more line\(s\), see DETAILS/);
+      assert.match(lines[0], /80 keywords/);
+    });
+
+    it('says so when the platform build is not automated', () => {
+      const plan = buildLaunchPlan({ meta_ad_account_id: 'act_1' }, { ...googleParams, platform: 'meta' }, { now });
+      assert.equal(plan.spec, null);
+      assert.match(formatLaunchPlan(plan), /meta campaign creation is not automated yet/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // launchCampaign
+  // ------------------------------------------------------------------
+  describe('launchCampaign', () => {
+    it('refuses Meta launches before planning or requesting approval', async () => {
+      const metaClient = createClient({ name: 'Meta Only Co', meta_ad_account_id: 'act_1' });
+      const params = { ...googleParams, platform: 'meta', clientId: metaClient.id };
+      for (const opts of [{}, { dryRun: true }, { approvedBy: 'owner' }]) {
+        const result = await launchCampaign(params, opts);
+        assert.equal(result.launched, false);
+        assert.equal(result.status, 'unsupported_platform');
+        assert.match(result.error, /meta campaign creation is not automated yet — nothing was created/);
+        assert.equal(result.campaignId, undefined);
+      }
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(kbPath); } catch { /* ignore */ }
+    try { fs.unlinkSync(costPath); } catch { /* ignore */ }
+  });
+});
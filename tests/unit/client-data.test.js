@@ -0,0 +1,170 @@
+/**
+ * Unit tests for client data export and erasure: collecting a client's rows
+ * across both databases, the zip export, deletion and anonymization, and the
+ * signed erasure receipt. Uses temporary SQLite databases.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import zlib from 'node:zlib';
+
+process.env.NODE_ENV = 'test';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-data-test-'));
+process.env.KB_DB_PATH = path.join(tmpDir, 'knowledge.db');
+process.env.COST_DB_PATH = path.join(tmpDir, 'costs.db');
+process.env.CREDENTIAL_VAULT_KEY = crypto.randomBytes(32).toString('base64');
+
+const { default: config } = await import('../../src/config.js');
+config.DATA_EXPORT_DIR = path.join(tmpDir, 'exports');
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+config.ERASURE_RECEIPT_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64');
+
+const kb = await import('../../src/services/knowledge-base.js');
+const { recordCost, auditLog, getAuditLog } = await import('../../src/services/cost-tracker.js');
+const { enqueueApproval, getApproval } = await import('../../src/services/approval-queue.js');
+const { setClientSecret, hasClientSecret } = await import('../../src/services/credential-vault.js');
+const {
+  collectClientData, exportClientData, eraseClientData, verifyErasureReceipt, getReceiptPublicKey,
+} = await import('../../src/services/client-data.js');
+
+// Names and contents of the entries of a zip written by createZip
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.subarray(offset + 30, offset + 30 + nameLength).toString();
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString();
+    offset = start + size;
+  }
+  return files;
+}
+
+// Acme (to erase) and Rival (must be untouched)
+const acme = kb.createClient({ name: 'Acme Shoes' });
+const rival = kb.createClient({ name: 'Rival Boots' });
+kb.createContact({ clientId: acme.id, phone: '5511999990000', name: 'Ana', email: 'ana@acme.test' });
+kb.createContact({ clientId: acme.id, phone: '777000111', channel: 'telegram', name: 'Ana' });
+kb.createContact({ clientId: rival.id, phone: '4470000000', name: 'Rob' });
+kb.saveMessage('5511999990000', 'whatsapp', 'user', 'Our margin is 40%');
+kb.saveMessage('777000111', 'telegram', 'user', 'Hi from Telegram');
+kb.saveMessage('4470000000', 'whatsapp', 'user', 'Rival message');
+kb.saveCreative({ clientId: acme.id, headline: 'Run faster' });
+kb.createPendingClient({ token: 'tok-acme', email: 'ANA@acme.test', name: 'Ana' });
+setClientSecret(acme.id, 'shopify_access_token', 'shpat_secret');
+setClientSecret('pending:tok-acme', 'hubspot_access_token', 'pat-secret');
+recordCost({ platform: 'anthropic', model: 'gpt-4o', clientId: acme.id, inputTokens: 10, metadata: { chatId: '5511999990000' } });
+auditLog({ action: 'budget_change', workflow: 'test', clientId: acme.id, details: { note: 'acme budget' }, result: 'success' });
+auditLog({ action: 'message_flagged', workflow: 'test', details: { chatId: '777000111' }, result: 'success' });
+auditLog({ action: 'budget_change', workflow: 'test', clientId: rival.id, details: { note: 'rival budget' }, result: 'success' });
+enqueueApproval({ id: 'appr-acme', type: 'budget_change', workflow: 'test', clientId: acme.id, request: { description: 'Raise Acme budget' }, payload: { amount: 5 } });
+
+describe('Client Data', () => {
+  // ------------------------------------------------------------------
+  // Export
+  // ------------------------------------------------------------------
+  describe('collectClientData & exportClientData', () => {
+    it('collects only the client\'s rows across both databases', () => {
+      const data = collectClientData('acme shoes');
+      assert.equal(data.client.id, acme.id);
+      assert.equal(data.knowledgeBase.client_contacts.length, 2);
+      assert.deepEqual(data.knowledgeBase.conversation_history.map(r => r.content).sort(), ['Hi from Telegram', 'Our margin is 40%']);
+      assert.equal(data.knowledgeBase.pending_clients[0].token, 'tok-acme');
+      assert.equal(data.knowledgeBase.client_secrets.length, 2);
+      assert.equal(data.costs.api_costs.length, 1);
+      assert.equal(data.costs.audit_log.filter(e => e.action !== 'credential_written').length, 3);
+      assert.ok(!JSON.stringify(data.costs.audit_log).includes('rival budget'));
+      assert.equal(data.costs.approvals[0].id, 'appr-acme');
+    });
+
+    it('never exports secret values', () => {
+      const data = collectClientData(acme.id);
+      assert.ok(!JSON.stringify(data).includes('shpat_secret'));
+      assert.equal(data.knowledgeBase.client_secrets[0].ciphertext, undefined);
+      assert.ok(!('shopify_access_token' in data.knowledgeBase.clients[0]));
+    });
+
+    it('writes a zip with JSON and CSV per table', () => {
+      const { path: file, counts } = exportClientData(acme.id, { exportedBy: 'owner:whatsapp' });
+      const files = readZip(fs.readFileSync(file));
+      assert.equal(JSON.parse(files['manifest.json']).client.name, 'Acme Shoes');
+      assert.equal(JSON.parse(files['knowledge-base/conversation_history.json']).length, 2);
+      assert.match(files['knowledge-base/client_contacts.csv'], /^id,client_id,phone,/);
+      assert.equal(counts['costs.api_costs'], 1);
+      assert.equal(files['knowledge-base/benchmarks.json'], undefined);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Erasure
+  // ------------------------------------------------------------------
+  describe('eraseClientData', () => {
+    let receipt;
+
+    it('refuses to start without a signing key', () => {
+      const key = config.ERASURE_RECEIPT_SIGNING_KEY;
+      config.ERASURE_RECEIPT_SIGNING_KEY = '';
+      assert.throws(() => eraseClientData(acme.id), /ERASURE_RECEIPT_SIGNING_KEY/);
+      config.ERASURE_RECEIPT_SIGNING_KEY = key;
+      assert.ok(kb.getClient(acme.id));
+    });
+
+    it('deletes the client\'s knowledge-base records', () => {
+      ({ receipt } = eraseClientData('Acme Shoes', { requestedBy: 'owner:whatsapp', reason: 'GDPR Art. 17' }));
+      assert.equal(kb.getClient(acme.id), undefined);
+      assert.equal(kb.getContactByPhone('5511999990000'), undefined);
+      assert.deepEqual(kb.getMessages('777000111'), []);
+      assert.equal(kb.getPendingClientByToken('tok-acme'), undefined);
+      assert.equal(hasClientSecret(acme.id, 'shopify_access_token'), false);
+      assert.equal(hasClientSecret('pending:tok-acme', 'hubspot_access_token'), false);
+      assert.equal(receipt.deleted.conversation_history, 2);
+      assert.equal(receipt.deleted.clients, 1);
+    });
+
+    it('anonymizes cost, audit and approval records', () => {
+      const log = getAuditLog(200);
+      assert.ok(!JSON.stringify(log).includes('acme budget'));
+      assert.ok(!JSON.stringify(log).includes('777000111'));
+      assert.ok(!log.some(e => e.client_id === acme.id));
+      assert.ok(log.some(e => e.client_id === receipt.subject.pseudonym && e.action === 'budget_change'));
+      const approval = getApproval('appr-acme');
+      assert.equal(approval.status, 'denied');
+      assert.equal(approval.client_id, receipt.subject.pseudonym);
+      assert.deepEqual(approval.payload, {});
+    });
+
+    it('leaves other clients untouched', () => {
+      assert.ok(kb.getClient(rival.id));
+      assert.deepEqual(kb.getMessages('4470000000').map(m => m.content), ['Rival message']);
+      assert.ok(getAuditLog(200).some(e => e.client_id === rival.id && e.details.includes('rival budget')));
+    });
+
+    it('issues a verifiable signed receipt', () => {
+      const saved = JSON.parse(fs.readFileSync(path.join(config.DATA_EXPORT_DIR, `erasure-receipt-${receipt.receiptId}.json`), 'utf8'));
+      assert.equal(saved.reason, 'GDPR Art. 17');
+      assert.equal(verifyErasureReceipt(saved), true);
+      assert.equal(verifyErasureReceipt({ ...saved, deleted: { ...saved.deleted, clients: 0 } }), false);
+      const other = crypto.generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' });
+      assert.equal(verifyErasureReceipt(saved, other), false);
+      assert.match(getReceiptPublicKey(), /BEGIN PUBLIC KEY/);
+      assert.ok(saved.notErased.some(item => item.includes('backups')));
+      const entry = getAuditLog(200).find(e => e.action === 'client_data_erased');
+      assert.equal(entry.client_id, receipt.subject.pseudonym);
+      assert.ok(!entry.details.includes('Acme'));
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
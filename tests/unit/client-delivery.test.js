@@ -0,0 +1,188 @@
+/**
+ * Unit tests for client delivery settings: timezone and quiet hours
+ * inheritance from client to contact, local quiet-hours checks, the
+ * timezones the client jobs fan out to and messages held during quiet hours.
+ * Held messages are only dropped or rescheduled here, never sent.
+ * Uses temporary SQLite databases for the knowledge base and audit log.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const kbPath = path.join(os.tmpdir(), `client-delivery-kb-${Date.now()}.db`);
+const costPath = path.join(os.tmpdir(), `client-delivery-costs-${Date.now()}.db`);
+process.env.KB_DB_PATH = kbPath;
+process.env.COST_DB_PATH = costPath;
+
+const { createClient, createContact, getAllClientContacts, saveMessage } = await import('../../src/services/knowledge-base.js');
+const { getAuditLog } = await import('../../src/services/cost-tracker.js');
+const {
+  getDeliverySettings, isQuietHours, quietHoursEnd, getClientTimezones, getClientDelivery, setClientDelivery,
+  deferClientMessage, getDueClientMessages,
+  DEFAULT_CLIENT_TIMEZONE, DEFAULT_QUIET_HOURS,
+} = await import('../../src/services/client-delivery.js');
+const { runClientDeferredDelivery } = await import('../../src/workflows/client-deferred-delivery.js');
+
+const brazil = createClient({ name: 'Loja Brasil' });
+const usWest = createClient({ name: 'West Coast Co' });
+createContact({ clientId: brazil.id, phone: '+5511999990000', name: 'Ana' });
+createContact({ clientId: brazil.id, phone: '+351910000000', name: 'João' });
+createContact({ clientId: usWest.id, phone: '+14155550100', name: 'Sam' });
+
+describe('Client Delivery', () => {
+  // ------------------------------------------------------------------
+  // getDeliverySettings
+  // ------------------------------------------------------------------
+  describe('getDeliverySettings', () => {
+    it('defaults to New York and 21:00–08:00', () => {
+      assert.deepEqual(getDeliverySettings({}), { timezone: DEFAULT_CLIENT_TIMEZONE, quietHours: DEFAULT_QUIET_HOURS });
+    });
+
+    it('lets contact values win over the client, field by field', () => {
+      const settings = getDeliverySettings(
+        { timezone: 'Europe/Lisbon', quiet_hours_start: null, quiet_hours_end: '09:00' },
+        { timezone: 'America/Sao_Paulo', quiet_hours_start: '22:00', quiet_hours_end: '07:00' },
+      );
+      assert.deepEqual(settings, { timezone: 'Europe/Lisbon', quietHours: { start: '22:00', end: '09:00' } });
+    });
+
+    it('reads the client_* columns of joined contact rows', () => {
+      const settings = getDeliverySettings({ client_timezone: 'America/Los_Angeles' });
+      assert.equal(settings.timezone, 'America/Los_Angeles');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // isQuietHours
+  // ------------------------------------------------------------------
+  describe('isQuietHours', () => {
+    const saoPaulo = { timezone: 'America/Sao_Paulo', quietHours: { start: '21:00', end: '08:00' } };
+
+    it('reads the window in the contact timezone, across midnight', () => {
+      // 11:00 UTC = 08:00 in São Paulo, 04:00 in Los Angeles
+      const date = new Date('2026-10-18T11:00:00Z');
+      assert.equal(isQuietHours(saoPaulo, date), false);
+      assert.equal(isQuietHours({ ...saoPaulo, timezone: 'America/Los_Angeles' }, date), true);
+      assert.equal(isQuietHours(saoPaulo, new Date('2026-10-19T00:30:00Z')), true, '21:30 local');
+      assert.equal(isQuietHours(saoPaulo, new Date('2026-10-18T23:59:00Z')), false, '20:59 local');
+    });
+
+    it('supports same-day windows and none at all', () => {
+      const lunch = { timezone: 'UTC', quietHours: { start: '12:00', end: '13:00' } };
+      assert.equal(isQuietHours(lunch, new Date('2026-10-18T12:30:00Z')), true);
+      assert.equal(isQuietHours(lunch, new Date('2026-10-18T13:00:00Z')), false);
+      const never = { timezone: 'UTC', quietHours: { start: '00:00', end: '00:00' } };
+      assert.equal(isQuietHours(never, new Date('2026-10-18T03:00:00Z')), false);
+    });
+  });
+
+  describe('quietHoursEnd', () => {
+    it('is the first minute after the window, or now outside it', () => {
+      const saoPaulo = { timezone: 'America/Sao_Paulo', quietHours: { start: '21:00', end: '08:00' } };
+      assert.equal(quietHoursEnd(saoPaulo, new Date('2026-10-19T00:30:20Z')).toISOString(), '2026-10-19T11:00:00.000Z');
+      const afternoon = new Date('2026-10-18T17:00:00Z');
+      assert.equal(quietHoursEnd(saoPaulo, afternoon), afternoon);
+      const lunch = { timezone: 'UTC', quietHours: { start: '12:00', end: '13:00' } };
+      assert.equal(quietHoursEnd(lunch, new Date('2026-10-18T12:59:59Z')).toISOString(), '2026-10-18T13:00:00.000Z');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // setClientDelivery & getClientTimezones
+  // ------------------------------------------------------------------
+  describe('setClientDelivery', () => {
+    it('starts with only the default timezone', () => {
+      assert.deepEqual(getClientTimezones(), [DEFAULT_CLIENT_TIMEZONE]);
+    });
+
+    it('sets a client timezone that its contacts inherit', () => {
+      const result = setClientDelivery(brazil.id, { timezone: 'America/Sao_Paulo', quietHoursStart: '22:00' });
+      assert.equal(result.settings.timezone, 'America/Sao_Paulo');
+      assert.deepEqual(result.effective.quietHours, { start: '22:00', end: '08:00' });
+      assert.ok(result.contacts.every(c => c.effective.timezone === 'America/Sao_Paulo'));
+
+      const audit = getAuditLog(50).find(e => e.action === 'client_delivery_updated');
+      assert.equal(audit.client_id, brazil.id);
+    });
+
+    it('overrides a single contact and fans out to its timezone', () => {
+      setClientDelivery('West Coast Co', { timezone: 'America/Los_Angeles' });
+      const result = setClientDelivery(brazil.id, { timezone: 'Europe/Lisbon' }, { contactPhone: '351 910000000' });
+      const joao = result.contacts.find(c => c.name === 'João');
+      assert.equal(joao.effective.timezone, 'Europe/Lisbon');
+      assert.equal(joao.effective.quietHours.start, '22:00', 'quiet hours still inherited');
+      assert.deepEqual(getClientTimezones(), ['America/Los_Angeles', 'America/New_York', 'America/Sao_Paulo', 'Europe/Lisbon']);
+    });
+
+    it('clears a field with null so it is inherited again', () => {
+      setClientDelivery(brazil.id, { timezone: null }, { contactPhone: '+351910000000' });
+      const joao = getClientDelivery(brazil.id).contacts.find(c => c.name === 'João');
+      assert.equal(joao.settings.timezone, null);
+      assert.equal(joao.effective.timezone, 'America/Sao_Paulo');
+      assert.ok(!getClientTimezones().includes('Europe/Lisbon'));
+    });
+
+    it('rejects invalid settings and foreign contacts', () => {
+      assert.throws(() => setClientDelivery(brazil.id, { timezone: 'Mars/Olympus' }), /IANA timezone/);
+      assert.throws(() => setClientDelivery(brazil.id, { quietHoursEnd: '8am' }), /HH:MM/);
+      assert.throws(() => setClientDelivery(brazil.id, { quietAt: '22:00' }), /Invalid delivery settings/);
+      assert.throws(() => setClientDelivery(brazil.id, { timezone: 'UTC' }, { contactPhone: '+14155550100' }), /No contact/);
+      assert.throws(() => setClientDelivery('Nobody', { timezone: 'UTC' }), /not found/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Messages held during quiet hours
+  // ------------------------------------------------------------------
+  describe('deferred messages', () => {
+    const contact = (phone) => getAllClientContacts().find(c => c.phone === phone);
+    // 00:00 in São Paulo, inside Loja Brasil's 22:00–08:00 quiet hours
+    const midnight = new Date('2026-10-19T03:00:00Z');
+
+    it('holds a message until the contact\'s quiet hours end', () => {
+      const { deliverAfter } = deferClientMessage(contact('+5511999990000'), { kind: 'morning-briefing', message: 'Good morning, Ana!', now: midnight });
+      assert.equal(deliverAfter.toISOString(), '2026-10-19T11:00:00.000Z');
+      assert.equal(getDueClientMessages(new Date('2026-10-19T10:59:00Z')).length, 0);
+      assert.equal(getDueClientMessages(deliverAfter)[0].message, 'Good morning, Ana!');
+    });
+
+    it('reschedules when the quiet hours were extended', async () => {
+      setClientDelivery(brazil.id, { quietHoursEnd: '09:00' });
+      const results = await runClientDeferredDelivery({ now: new Date('2026-10-19T11:00:00Z') });
+      assert.deepEqual(results, { sent: 0, rescheduled: 1, dropped: 0, errors: 0 });
+      assert.equal(getDueClientMessages(new Date('2026-10-19T11:59:00Z')).length, 0);
+      assert.equal(getDueClientMessages(new Date('2026-10-19T12:00:00Z')).length, 1);
+    });
+
+    it('drops messages that are out of date or no longer wanted', async () => {
+      deferClientMessage({ phone: '+15550000000', client_id: usWest.id }, { kind: 'check-in', message: 'Hi!', now: midnight });
+      const results = await runClientDeferredDelivery({ now: new Date('2026-10-20T12:00:00Z') });
+      assert.deepEqual(results, { sent: 0, rescheduled: 0, dropped: 2, errors: 0 }, 'held over 24 hours, and an unknown contact');
+      assert.equal(getDueClientMessages(new Date('2026-10-21T00:00:00Z')).length, 0);
+    });
+
+    it('drops a check-in once the client has been in touch', async () => {
+      createContact({ clientId: usWest.id, phone: '+14155550199', name: 'Rui' });
+      setClientDelivery(usWest.id, { quietHoursStart: '00:00', quietHoursEnd: '00:00' }, { contactPhone: '+14155550199' });
+      const now = new Date();
+      deferClientMessage(contact('+14155550199'), { kind: 'check-in', message: 'How is it going?', now: new Date(now - 2 * 60 * 60 * 1000) });
+      saveMessage('+14155550199', 'whatsapp', 'user', 'All good, thanks');
+      const results = await runClientDeferredDelivery({ now });
+      assert.equal(results.dropped, 1);
+      assert.equal(results.sent, 0);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(kbPath); } catch { /* ignore */ }
+    try { fs.unlinkSync(costPath); } catch { /* ignore */ }
+  });
+});
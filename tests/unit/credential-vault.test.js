@@ -0,0 +1,175 @@
+/**
+ * Unit tests for the credential vault: envelope encryption of client
+ * secrets, access auditing, moving pending secrets, master key rotation and
+ * migration of legacy plaintext columns.
+ * Uses temporary SQLite databases for the knowledge base and audit log.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import Database from 'better-sqlite3';
+
+process.env.NODE_ENV = 'test';
+
+const kbPath = path.join(os.tmpdir(), `vault-kb-${Date.now()}.db`);
+const costPath = path.join(os.tmpdir(), `vault-costs-${Date.now()}.db`);
+process.env.KB_DB_PATH = kbPath;
+process.env.COST_DB_PATH = costPath;
+const firstKey = crypto.randomBytes(32).toString('base64');
+process.env.CREDENTIAL_VAULT_KEY = firstKey;
+
+const { default: config } = await import('../../src/config.js');
+const { createClient, getClient, updateClient } = await import('../../src/services/knowledge-base.js');
+const { getAuditLog } = await import('../../src/services/cost-tracker.js');
+const {
+  setClientSecret, getClientSecret, hasClientSecret, listClientSecrets, deleteClientSecret,
+  moveClientSecrets, rotateMasterKey, migratePlaintextSecrets, initVault,
+} = await import('../../src/services/credential-vault.js');
+const { getWordPressClient } = await import('../../src/services/seo-engine.js');
+
+const acme = createClient({ name: 'Acme Shoes', website: 'acme.test' });
+const rival = createClient({ name: 'Rival Boots' });
+const rawDb = new Database(kbPath);
+const secretRow = (ownerId, name) => rawDb.prepare('SELECT * FROM client_secrets WHERE owner_id = ? AND name = ?').get(ownerId, name);
+const auditEntries = (action) => getAuditLog(200).filter(e => e.action === action).map(e => ({ ...e, details: JSON.parse(e.details) }));
+
+describe('Credential Vault', () => {
+  // ------------------------------------------------------------------
+  // Envelope encryption
+  // ------------------------------------------------------------------
+  describe('secrets', () => {
+    it('stores secrets encrypted and reads them back', () => {
+      setClientSecret(acme.id, 'wordpress_app_password', 'abcd efgh ijkl', { updatedBy: 'owner:whatsapp' });
+      const row = secretRow(acme.id, 'wordpress_app_password');
+      assert.ok(!row.ciphertext.includes('abcd'));
+      assert.ok(!JSON.stringify(row).includes('abcd efgh ijkl'));
+      assert.match(row.key_id, /^[0-9a-f]{12}$/);
+      assert.equal(getClientSecret(acme.id, 'wordpress_app_password'), 'abcd efgh ijkl');
+      assert.equal(hasClientSecret(acme.id, 'wordpress_app_password'), true);
+      assert.equal(getClientSecret(acme.id, 'shopify_access_token'), null);
+    });
+
+    it('uses a fresh data key on every write', () => {
+      const before = secretRow(acme.id, 'wordpress_app_password');
+      setClientSecret(acme.id, 'wordpress_app_password', 'abcd efgh ijkl');
+      const after = secretRow(acme.id, 'wordpress_app_password');
+      assert.notEqual(after.wrapped_key, before.wrapped_key);
+      assert.notEqual(after.ciphertext, before.ciphertext);
+    });
+
+    it('refuses ciphertext copied onto another client', () => {
+      const row = secretRow(acme.id, 'wordpress_app_password');
+      rawDb.prepare('INSERT INTO client_secrets (owner_id, name, ciphertext, wrapped_key, key_id) VALUES (?, ?, ?, ?, ?)')
+        .run(rival.id, 'wordpress_app_password', row.ciphertext, row.wrapped_key, row.key_id);
+      assert.throws(() => getClientSecret(rival.id, 'wordpress_app_password'), /could not be decrypted/);
+      assert.equal(auditEntries('credential_read').find(e => e.client_id === rival.id).result, 'failed');
+      assert.equal(deleteClientSecret(rival.id, 'wordpress_app_password'), true);
+    });
+
+    it('audits reads and writes without the values', () => {
+      getClientSecret(acme.id, 'wordpress_app_password', { purpose: 'test', accessedBy: 'owner:telegram' });
+      const read = auditEntries('credential_read').find(e => e.details.purpose === 'test');
+      assert.equal(read.approved_by, 'owner:telegram');
+      assert.equal(read.client_id, acme.id);
+      const written = auditEntries('credential_written').find(e => e.approved_by === 'owner:whatsapp');
+      assert.equal(written.details.name, 'wordpress_app_password');
+      assert.ok(!JSON.stringify(getAuditLog(200)).includes('abcd efgh ijkl'));
+    });
+
+    it('lists metadata only', () => {
+      const [entry] = listClientSecrets(acme.id);
+      assert.equal(entry.name, 'wordpress_app_password');
+      assert.equal(entry.ciphertext, undefined);
+    });
+
+    it('feeds the WordPress client from the vault', () => {
+      assert.equal(getWordPressClient({ ...getClient(acme.id), wordpress_url: null }), null);
+      updateClient(acme.id, { wordpressUrl: 'https://acme.test' });
+      assert.ok(getWordPressClient(getClient(acme.id)));
+      assert.equal(getWordPressClient({ ...getClient(rival.id), wordpress_url: 'https://rival.test' }), null);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Pending clients
+  // ------------------------------------------------------------------
+  describe('moveClientSecrets', () => {
+    it('moves secrets granted before onboarding to the client', () => {
+      setClientSecret('pending:tok123', 'hubspot_access_token', 'pat-na1-xyz', { updatedBy: 'leadsie' });
+      assert.deepEqual(moveClientSecrets('pending:tok123', rival.id), ['hubspot_access_token']);
+      assert.equal(getClientSecret(rival.id, 'hubspot_access_token'), 'pat-na1-xyz');
+      assert.equal(hasClientSecret('pending:tok123', 'hubspot_access_token'), false);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Key rotation
+  // ------------------------------------------------------------------
+  describe('rotateMasterKey', () => {
+    it('re-wraps data keys under the new master key', () => {
+      const oldKeyId = secretRow(acme.id, 'wordpress_app_password').key_id;
+      const oldCiphertext = secretRow(acme.id, 'wordpress_app_password').ciphertext;
+
+      config.CREDENTIAL_VAULT_KEY = crypto.randomBytes(32).toString('hex');
+      config.CREDENTIAL_VAULT_PREVIOUS_KEYS = firstKey;
+      assert.equal(getClientSecret(acme.id, 'wordpress_app_password'), 'abcd efgh ijkl', 'old key still reads');
+
+      const result = rotateMasterKey({ rotatedBy: 'owner:whatsapp' });
+      assert.deepEqual(result, { rewrapped: 2, failed: [] });
+      const row = secretRow(acme.id, 'wordpress_app_password');
+      assert.notEqual(row.key_id, oldKeyId);
+      assert.equal(row.ciphertext, oldCiphertext, 'secrets are not re-encrypted');
+      assert.equal(auditEntries('credential_key_rotated')[0].details.rewrapped, 2);
+
+      config.CREDENTIAL_VAULT_PREVIOUS_KEYS = '';
+      assert.equal(getClientSecret(acme.id, 'wordpress_app_password'), 'abcd efgh ijkl');
+      assert.deepEqual(rotateMasterKey(), { rewrapped: 0, failed: [] });
+    });
+
+    it('reports records whose master key is gone', () => {
+      const stale = secretRow(rival.id, 'hubspot_access_token');
+      rawDb.prepare('UPDATE client_secrets SET key_id = ? WHERE owner_id = ? AND name = ?').run('000000000000', rival.id, 'hubspot_access_token');
+      assert.deepEqual(rotateMasterKey().failed, [`${rival.id}:hubspot_access_token`]);
+      assert.throws(() => getClientSecret(rival.id, 'hubspot_access_token'), /not configured/);
+      rawDb.prepare('UPDATE client_secrets SET key_id = ? WHERE owner_id = ? AND name = ?').run(stale.key_id, rival.id, 'hubspot_access_token');
+    });
+
+    it('rejects malformed master keys', () => {
+      const current = config.CREDENTIAL_VAULT_KEY;
+      config.CREDENTIAL_VAULT_KEY = 'too-short';
+      assert.throws(() => setClientSecret(acme.id, 'godaddy_api_key', 'k'), /32-byte key/);
+      config.CREDENTIAL_VAULT_KEY = current;
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Plaintext migration
+  // ------------------------------------------------------------------
+  describe('migratePlaintextSecrets', () => {
+    it('moves legacy columns into the vault and empties them', () => {
+      const legacy = createClient({ name: 'Legacy Co' });
+      rawDb.prepare('UPDATE clients SET shopify_access_token = ?, godaddy_api_key = ? WHERE id = ?').run('shpat_123', 'gd-key', legacy.id);
+
+      assert.equal(initVault().migrated, 2);
+      const row = getClient(legacy.id);
+      assert.equal(row.shopify_access_token, null);
+      assert.equal(row.godaddy_api_key, null);
+      assert.equal(getClientSecret(legacy.id, 'shopify_access_token'), 'shpat_123');
+      assert.equal(getClientSecret(legacy.id, 'godaddy_api_key'), 'gd-key');
+      assert.equal(migratePlaintextSecrets(), 0);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    rawDb.close();
+    try { fs.unlinkSync(kbPath); } catch { /* ignore */ }
+    try { fs.unlinkSync(costPath); } catch { /* ignore */ }
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the A/B experiment statistics engine.
+ * Checks the z-test, Bayesian probability, sample size and power against
+ * textbook values, and the sequential stopping rules.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const {
+  normalCdf, normalQuantile, twoProportionZTest, probabilityBBeatsA, requiredSampleSize,
+  achievedPower, sequentialBoundary, sequentialDecision, evaluateExperiment,
+} = await import('../../src/services/experiment-stats.js');
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, message || `${actual} is not within ${tolerance} of ${expected}`);
+
+describe('Experiment Stats', () => {
+  // ------------------------------------------------------------------
+  // Distributions
+  // ------------------------------------------------------------------
+  describe('normal distribution', () => {
+    it('computes the CDF and its inverse', () => {
+      close(normalCdf(1.96), 0.975, 1e-4);
+      close(normalCdf(-1.96), 0.025, 1e-4);
+      close(normalQuantile(0.975), 1.959964, 1e-5);
+      close(normalQuantile(0.8), 0.841621, 1e-5);
+      close(normalQuantile(0.001), -3.090232, 1e-5);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // twoProportionZTest
+  // ------------------------------------------------------------------
+  describe('twoProportionZTest', () => {
+    it('matches a hand-computed pooled z-test', () => {
+      const result = twoProportionZTest({ successes: 200, trials: 1000 }, { successes: 250, trials: 1000 });
+      close(result.z, 2.6774, 1e-3);
+      close(result.pValue, 0.0074, 1e-3);
+      close(result.confidence, 99.26, 0.05);
+      close(result.liftPct, 25, 1e-9);
+    });
+
+    it('reports no difference for identical variants', () => {
+      const result = twoProportionZTest({ successes: 50, trials: 1000 }, { successes: 50, trials: 1000 });
+      assert.equal(result.z, 0);
+      close(result.pValue, 1, 1e-6);
+      close(result.confidence, 0, 1e-4);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // probabilityBBeatsA
+  // ------------------------------------------------------------------
+  describe('probabilityBBeatsA', () => {
+    it('is 50% for identical data and complementary when swapped', () => {
+      const a = { successes: 30, trials: 1000 };
+      const b = { successes: 45, trials: 1000 };
+      close(probabilityBBeatsA(a, a), 0.5, 1e-6);
+      close(probabilityBBeatsA(a, b) + probabilityBBeatsA(b, a), 1, 1e-6);
+      assert.ok(probabilityBBeatsA(a, b) > 0.9);
+    });
+
+    it('agrees with the z-test on a clear winner', () => {
+      const p = probabilityBBeatsA({ successes: 200, trials: 1000 }, { successes: 250, trials: 1000 });
+      close(p, 0.996, 0.002);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Sample size & power
+  // ------------------------------------------------------------------
+  describe('requiredSampleSize & achievedPower', () => {
+    it('matches the standard two-proportion sample size formula', () => {
+      assert.equal(requiredSampleSize({ baselineRate: 0.1, minDetectableLift: 0.2 }), 3841);
+      assert.ok(requiredSampleSize({ baselineRate: 0.1, minDetectableLift: 0.1 }) > 3841);
+      assert.equal(requiredSampleSize({ baselineRate: 0 }), Infinity);
+    });
+
+    it('reaches the planned power at the planned sample size', () => {
+      close(achievedPower({ rateA: 0.1, rateB: 0.12, trialsA: 3841, trialsB: 3841 }), 0.8, 0.005);
+      assert.equal(achievedPower({ rateA: 0.1, rateB: 0.1, trialsA: 5000, trialsB: 5000 }), 0);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Sequential stopping
+  // ------------------------------------------------------------------
+  describe('sequential stopping', () => {
+    it('is stricter at early looks', () => {
+      close(sequentialBoundary(1), 1.96, 1e-3);
+      close(sequentialBoundary(0.25), 3.92, 1e-3);
+      close(sequentialBoundary(2), 1.96, 1e-3, 'capped at the planned sample');
+    });
+
+    it('continues, stops for significance or stops inconclusive', () => {
+      assert.equal(sequentialDecision({ z: 10, informationFraction: 0.05 }).decision, 'continue');
+      assert.equal(sequentialDecision({ z: 2.5, informationFraction: 0.5 }).decision, 'continue');
+      assert.equal(sequentialDecision({ z: 3, informationFraction: 0.5 }).decision, 'stop_significant');
+      assert.equal(sequentialDecision({ z: -2, informationFraction: 1 }).decision, 'stop_significant');
+      assert.equal(sequentialDecision({ z: 1, informationFraction: 1.2 }).decision, 'stop_inconclusive');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // evaluateExperiment
+  // ------------------------------------------------------------------
+  describe('evaluateExperiment', () => {
+    it('declares a winner once the boundary is crossed', () => {
+      const result = evaluateExperiment([
+        { name: 'Broad', successes: 400, trials: 10_000 },
+        { name: 'Lookalike', successes: 520, trials: 10_000 },
+      ], { minDetectableLift: 0.2 });
+      assert.equal(result.status, 'complete');
+      assert.equal(result.winner, 'Lookalike');
+      assert.equal(result.loser, 'Broad');
+      assert.ok(result.confidence > 99);
+      assert.ok(result.probabilityToBeat > 99);
+      assert.equal(result.liftPct, 30);
+    });
+
+    it('keeps running when an early lead is not yet significant', () => {
+      const result = evaluateExperiment([
+        { name: 'A', successes: 200, trials: 1000 },
+        { name: 'B', successes: 250, trials: 1000 },
+      ]);
+      assert.equal(result.status, 'running');
+      assert.equal(result.winner, null);
+      assert.ok(result.informationFraction < 1);
+      assert.ok(result.confidence > 99, 'a fixed-horizon test would have stopped too early');
+    });
+
+    it('calls a test inconclusive after the planned sample without a difference', () => {
+      const result = evaluateExperiment([
+        { name: 'A', successes: 1000, trials: 50_000 },
+        { name: 'B', successes: 1010, trials: 50_000 },
+      ], { minDetectableLift: 0.2 });
+      assert.equal(result.status, 'inconclusive');
+      assert.equal(result.winner, null);
+    });
+
+    it('corrects alpha for more than two variants', () => {
+      const result = evaluateExperiment([
+        { name: 'A', successes: 10, trials: 1000 },
+        { name: 'B', successes: 12, trials: 1000 },
+        { name: 'C', successes: 11, trials: 1000 },
+      ]);
+      assert.equal(result.alpha, 0.025);
+      assert.deepEqual(result.variants.map(v => v.name), ['B', 'C', 'A']);
+    });
+
+    it('needs two variants with data', () => {
+      assert.equal(evaluateExperiment([{ name: 'A', successes: 1, trials: 10 }, { name: 'B', successes: 0, trials: 0 }]).status, 'running');
+    });
+  });
+});
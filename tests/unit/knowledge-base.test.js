@@ -8,6 +8,7 @@ import assert from 'node:assert/strict';
 import os from 'node:os';
 import path from 'node:path';
 import fs from 'node:fs';
+import Database from 'better-sqlite3';
 
 // Configure test environment BEFORE importing modules that depend on config
 process.env.NODE_ENV = 'test';
@@ -25,6 +26,8 @@ const {
   buildClientContext,
   recordCampaignPerformance,
   saveCreative,
+  markMessageProcessed,
+  pruneProcessedMessages,
 } = await import('../../src/services/knowledge-base.js');
 
 describe('Knowledge Base', () => {
@@ -214,6 +217,26 @@ describe('Knowledge Base', () => {
     });
   });
 
+  // ------------------------------------------------------------------
+  // Processed message IDs
+  // ------------------------------------------------------------------
+  describe('markMessageProcessed', () => {
+    it('records an ID once', () => {
+      assert.equal(markMessageProcessed('wamid.HBgM001'), true);
+      assert.equal(markMessageProcessed('wamid.HBgM001'), false);
+      assert.equal(markMessageProcessed('tg-1001'), true);
+    });
+
+    it('prunes only IDs older than the retention', () => {
+      const db = new Database(dbPath);
+      db.prepare("UPDATE processed_messages SET processed_at = datetime('now', '-2 days') WHERE id = ?").run('wamid.HBgM001');
+      db.close();
+      assert.equal(pruneProcessedMessages(86400), 1);
+      assert.equal(markMessageProcessed('wamid.HBgM001'), true);
+      assert.equal(markMessageProcessed('tg-1001'), false);
+    });
+  });
+
   // ------------------------------------------------------------------
   // Cleanup
   // ------------------------------------------------------------------
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for the Mailchimp integration: API helpers, audience member
+ * building, report summaries and email rendering. No network calls are made.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const { serverPrefixFromKey, nextScheduleSlot, normalizeCampaignReport } = await import('../../src/api/mailchimp.js');
+const { buildMembers, summarizeEmailReports, renderEmailHtml } = await import('../../src/services/email-marketing.js');
+const { normalizeAudienceContact } = await import('../../src/api/hubspot.js');
+
+function report(id, sendTime, { sent = 1000, openRate = 0.4, clickRate = 0.05, revenue = 0 } = {}) {
+  return normalizeCampaignReport({
+    id,
+    campaign_title: `Campaign ${id}`,
+    subject_line: `Subject ${id}`,
+    list_id: 'abc123',
+    send_time: sendTime,
+    emails_sent: sent,
+    unsubscribed: 2,
+    bounces: { hard_bounces: 1, soft_bounces: 3 },
+    opens: { unique_opens: Math.round(sent * openRate), open_rate: openRate },
+    clicks: { unique_subscriber_clicks: Math.round(sent * clickRate), click_rate: clickRate },
+    ecommerce: { total_orders: revenue ? 3 : 0, total_revenue: revenue, currency_code: 'USD' },
+  });
+}
+
+describe('Mailchimp', () => {
+  // ------------------------------------------------------------------
+  // API helpers
+  // ------------------------------------------------------------------
+  describe('api helpers', () => {
+    it('reads the data center from API keys only', () => {
+      assert.equal(serverPrefixFromKey('0123456789abcdef0123456789abcdef-us21'), 'us21');
+      assert.equal(serverPrefixFromKey('oauth-token-without-dc'), null);
+      assert.equal(serverPrefixFromKey(undefined), null);
+    });
+
+    it('schedules on the next quarter hour, at least 15 minutes out', () => {
+      const now = new Date('2026-10-18T12:03:00Z');
+      assert.equal(nextScheduleSlot('2026-10-20T09:07:00-03:00', now), '2026-10-20T12:15:00.000Z');
+      assert.equal(nextScheduleSlot('2026-10-20T12:30:00Z', now), '2026-10-20T12:30:00.000Z');
+      assert.equal(nextScheduleSlot(now, now), '2026-10-18T12:30:00.000Z');
+      assert.equal(nextScheduleSlot('2026-10-01T00:00:00Z', now), '2026-10-18T12:30:00.000Z', 'past times send asap');
+    });
+
+    it('normalizes campaign reports', () => {
+      const r = report('c1', '2026-10-14T15:00:00+00:00', { revenue: 249.9 });
+      assert.equal(r.opens, 400);
+      assert.equal(r.clicks, 50);
+      assert.equal(r.bounces, 4);
+      assert.equal(r.revenueCents, 24990);
+      assert.equal(r.currency, 'USD');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Audience syncs
+  // ------------------------------------------------------------------
+  describe('buildMembers', () => {
+    it('dedupes, drops invalid e-mails and respects consent', () => {
+      const { members, invalid } = buildMembers([
+        { email: ' Ana@Acme.test ', firstName: 'Ana', marketingConsent: true },
+        { email: 'ana@acme.test', firstName: 'Duplicate' },
+        { email: 'bo@acme.test' },
+        { email: 'not-an-email' },
+        { email: '' },
+      ]);
+      assert.deepEqual(members, [
+        { email_address: 'ana@acme.test', status: 'subscribed', merge_fields: { FNAME: 'Ana' } },
+        { email_address: 'bo@acme.test', status: 'transactional' },
+      ]);
+      assert.equal(invalid, 2);
+    });
+
+    it('subscribes HubSpot contacts only with a consent legal basis and no opt-out', () => {
+      const contact = (id, properties) => normalizeAudienceContact({ id, properties: { email: `${id}@acme.test`, lifecyclestage: 'customer', ...properties } });
+      const { members } = buildMembers([
+        contact('ana', { firstname: 'Ana', hs_legal_basis: 'Freely given consent from contact' }),
+        contact('bo', { hs_legal_basis: 'Freely given consent from contact', hs_email_optout: 'true' }),
+        contact('cy', { hs_legal_basis: 'Legitimate interest – existing customer' }),
+      ]);
+      assert.deepEqual(members.map(m => m.status), ['subscribed', 'transactional', 'transactional']);
+      assert.deepEqual(members[0].merge_fields, { FNAME: 'Ana' });
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Performance
+  // ------------------------------------------------------------------
+  describe('summarizeEmailReports', () => {
+    it('totals campaigns in range with rates weighted by sends', () => {
+      const reports = [
+        report('c1', '2026-10-12T15:00:00Z', { sent: 1000, openRate: 0.5, clickRate: 0.1, revenue: 100 }),
+        report('c2', '2026-10-15T15:00:00Z', { sent: 3000, openRate: 0.3, clickRate: 0.02 }),
+        report('c3', '2026-10-01T15:00:00Z'),
+      ];
+      const { campaigns, totals } = summarizeEmailReports(reports, { since: '2026-10-10', until: '2026-10-16' });
+      assert.deepEqual(campaigns.map(c => c.id), ['c1', 'c2']);
+      assert.equal(totals.campaigns, 2);
+      assert.equal(totals.emailsSent, 4000);
+      assert.equal(totals.openRate, 0.35);
+      assert.equal(totals.clickRate, 0.04);
+      assert.equal(totals.unsubscribes, 4);
+      assert.equal(totals.revenueCents, 10000);
+      assert.equal(totals.currency, 'USD');
+    });
+
+    it('returns zeroes when nothing was sent', () => {
+      const { totals } = summarizeEmailReports([], { since: '2026-10-10' });
+      assert.equal(totals.campaigns, 0);
+      assert.equal(totals.openRate, 0);
+      assert.equal(totals.currency, null);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------------
+  describe('renderEmailHtml', () => {
+    const copy = {
+      heading: 'Summer <Sale>',
+      previewText: 'Up to 30% off',
+      paragraphs: ['Fresh styles & more.'],
+      ctaText: 'Shop now',
+      ctaUrl: 'https://acme.test/sale?a=1&b=2',
+    };
+
+    it('renders escaped copy, brand color, products and Mailchimp footer tags', () => {
+      const html = renderEmailHtml(copy, {
+        name: 'Acme',
+        color: '#ff6600',
+        products: [{ title: 'Tee', url: 'https://acme.test/products/tee', imageUrl: 'https://cdn/tee.png', variants: [{ priceCents: 2500 }] }],
+      });
+      assert.match(html, /Summer &lt;Sale&gt;/);
+      assert.match(html, /Fresh styles &amp; more\./);
+      assert.match(html, /href="https:\/\/acme\.test\/sale\?a=1&amp;b=2"/);
+      assert.match(html, /background:#ff6600/);
+      assert.match(html, /<p style="margin:0;font-size:20px;font-weight:bold;">Acme<\/p>/);
+      assert.match(html, /href="https:\/\/acme\.test\/products\/tee"/);
+      assert.match(html, />25\.00</);
+      assert.match(html, /\*\|UNSUB\|\*/);
+      assert.match(html, /\*\|LIST:ADDRESSLINE\|\*/);
+    });
+
+    it('falls back to a neutral color for invalid brand colors', () => {
+      const html = renderEmailHtml(copy, { name: 'Acme', color: 'red;}</style>' });
+      assert.match(html, /background:#111111/);
+      assert.doesNotMatch(html, /<\/style>/);
+    });
+  });
+});
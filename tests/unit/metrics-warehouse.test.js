@@ -0,0 +1,136 @@
+/**
+ * Unit tests for the daily metrics warehouse: idempotent upserts, range
+ * queries, totals and ingestion run bookkeeping. Uses a temporary SQLite DB.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const kbPath = path.join(os.tmpdir(), `metrics-warehouse-kb-${Date.now()}.db`);
+process.env.KB_DB_PATH = kbPath;
+
+const { buildMetrics } = await import('../../src/services/metrics.js');
+const {
+  upsertDailyMetrics, getDailyMetrics, getMetricsTotals, getLatestMetricsDate,
+  startIngestionRun, finishIngestionRun, getIngestionRuns,
+} = await import('../../src/services/metrics-warehouse.js');
+
+function row(overrides = {}) {
+  return buildMetrics({
+    platform: 'meta',
+    level: 'campaign',
+    id: 'c1',
+    name: 'Prospecting',
+    date: '2026-04-01',
+    spendCents: 10_000,
+    impressions: 5_000,
+    clicks: 100,
+    conversions: 4,
+    conversionValueCents: 30_000,
+    ...overrides,
+  });
+}
+
+describe('Metrics Warehouse', () => {
+  // ------------------------------------------------------------------
+  // upsertDailyMetrics
+  // ------------------------------------------------------------------
+  describe('upsertDailyMetrics', () => {
+    it('stores rows and reads them back in the common schema', () => {
+      const written = upsertDailyMetrics('client-a', [row(), row({ date: '2026-04-02', spendCents: 20_000 })]);
+      assert.equal(written, 2);
+
+      const rows = getDailyMetrics({ clientId: 'client-a', entityId: 'c1' });
+      assert.equal(rows.length, 2);
+      assert.equal(rows[0].date, '2026-04-01');
+      assert.equal(rows[0].roas, 3);
+      assert.equal(rows[0].cpaCents, 2_500);
+      assert.equal(rows[1].spendCents, 20_000);
+    });
+
+    it('overwrites an existing day instead of duplicating it', () => {
+      upsertDailyMetrics('client-a', [row({ conversions: 6, conversionValueCents: 60_000, name: null })]);
+      const rows = getDailyMetrics({ clientId: 'client-a', entityId: 'c1', since: '2026-04-01', until: '2026-04-01' });
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].conversions, 6);
+      assert.equal(rows[0].roas, 6);
+      assert.equal(rows[0].name, 'Prospecting', 'a missing name keeps the stored one');
+    });
+
+    it('skips account-level and undated rows', () => {
+      const written = upsertDailyMetrics('client-a', [row({ level: 'account', id: 'acct' }), row({ date: null, id: 'c9' })]);
+      assert.equal(written, 0);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Queries
+  // ------------------------------------------------------------------
+  describe('getMetricsTotals', () => {
+    upsertDailyMetrics('client-b', [
+      row({ id: 'c2', date: '2026-04-01', spendCents: 1_000, conversions: 1, conversionValueCents: 2_000 }),
+      row({ id: 'c2', date: '2026-04-02', spendCents: 3_000, conversions: 1, conversionValueCents: 6_000 }),
+      row({ id: 'g1', platform: 'google', date: '2026-04-02', spendCents: 4_000, conversions: 2, conversionValueCents: 4_000 }),
+      row({ id: 'a1', level: 'ad', date: '2026-04-02', spendCents: 3_000 }),
+    ]);
+
+    it('sums per entity by default', () => {
+      const totals = getMetricsTotals({ clientId: 'client-b', level: 'campaign' });
+      const c2 = totals.find(t => t.id === 'c2');
+      assert.equal(c2.spendCents, 4_000);
+      assert.equal(c2.roas, 2);
+      assert.equal(c2.days, 2);
+      assert.equal(totals.length, 2);
+    });
+
+    it('sums per date across platforms', () => {
+      const byDate = getMetricsTotals({ clientId: 'client-b', level: 'campaign', groupBy: 'date' });
+      assert.deepEqual(byDate.map(d => [d.date, d.spendCents, d.platform]), [
+        ['2026-04-01', 1_000, 'meta'],
+        ['2026-04-02', 7_000, 'all'],
+      ]);
+    });
+
+    it('sums per platform', () => {
+      const byPlatform = getMetricsTotals({ clientId: 'client-b', level: 'campaign', groupBy: 'platform' });
+      assert.equal(byPlatform.find(p => p.platform === 'google').spendCents, 4_000);
+    });
+
+    it('returns the latest stored date', () => {
+      assert.equal(getLatestMetricsDate('client-b'), '2026-04-02');
+      assert.equal(getLatestMetricsDate('client-b', 'tiktok'), null);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Ingestion runs
+  // ------------------------------------------------------------------
+  describe('ingestion runs', () => {
+    it('records status from rows and errors', () => {
+      const ok = startIngestionRun({ trigger: 'schedule', since: '2026-04-01', until: '2026-04-03' });
+      assert.equal(finishIngestionRun(ok, { rowsUpserted: 10 }), 'success');
+
+      const partial = startIngestionRun({ trigger: 'backfill', since: '2026-04-01', until: '2026-04-03' });
+      assert.equal(finishIngestionRun(partial, { rowsUpserted: 5, errors: [{ error: 'boom' }] }), 'partial');
+
+      const failed = startIngestionRun({ trigger: 'manual', since: '2026-04-01', until: '2026-04-03' });
+      assert.equal(finishIngestionRun(failed, { errors: [{ error: 'boom' }] }), 'failed');
+
+      const runs = getIngestionRuns();
+      assert.equal(runs.length, 3);
+      assert.deepEqual(runs.find(r => r.id === partial).errors, [{ error: 'boom' }]);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(kbPath); } catch { /* ignore */ }
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit tests for cross-platform metrics normalization.
+ * Feeds raw rows shaped like each platform's reporting API through the
+ * adapters — no network calls are made.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const {
+  normalizeMetrics, sumMetrics, resolveDatePreset, chunkDateRange, getClientAccounts, formatMetricsLine,
+} = await import('../../src/services/metrics.js');
+
+describe('Metrics', () => {
+  // ------------------------------------------------------------------
+  // normalizeMetrics
+  // ------------------------------------------------------------------
+  describe('normalizeMetrics', () => {
+    it('normalizes Meta insights rows', () => {
+      const m = normalizeMetrics('meta', {
+        campaign_id: '123', campaign_name: 'Prospecting',
+        spend: '150.50', impressions: '10000', clicks: '200', reach: '8000', frequency: '1.25',
+        actions: [{ action_type: 'lead', value: '3' }, { action_type: 'purchase', value: '5' }],
+        action_values: [{ action_type: 'purchase', value: '602.00' }],
+        date_start: '2026-04-01', date_stop: '2026-04-01',
+      }, 'campaign');
+      assert.equal(m.platform, 'meta');
+      assert.equal(m.level, 'campaign');
+      assert.equal(m.id, '123');
+      assert.equal(m.name, 'Prospecting');
+      assert.equal(m.date, '2026-04-01');
+      assert.equal(m.spendCents, 15_050);
+      assert.equal(m.conversions, 5, 'purchases win over leads');
+      assert.equal(m.conversionValueCents, 60_200);
+      assert.equal(m.roas, 4);
+      assert.equal(m.cpaCents, 3_010);
+      assert.equal(m.ctr, 2);
+      assert.equal(m.cpcCents, 75);
+      assert.equal(m.reach, 8000);
+      assert.equal(m.frequency, 1.25);
+    });
+
+    it('falls back to leads and leaves multi-day rows undated', () => {
+      const m = normalizeMetrics('meta', {
+        spend: '100', actions: [{ action_type: 'lead', value: '4' }],
+        date_start: '2026-04-01', date_stop: '2026-04-07',
+      });
+      assert.equal(m.conversions, 4);
+      assert.equal(m.cpaCents, 2_500);
+      assert.equal(m.date, null);
+    });
+
+    it('normalizes Google Ads GAQL rows', () => {
+      const m = normalizeMetrics('google', {
+        adGroup: { id: '55', name: 'Brand' },
+        segments: { date: '2026-04-02' },
+        metrics: { costMicros: '25000000', impressions: '1000', clicks: '50', conversions: 2.5, conversionsValue: 100 },
+      }, 'adset');
+      assert.equal(m.id, '55');
+      assert.equal(m.name, 'Brand');
+      assert.equal(m.date, '2026-04-02');
+      assert.equal(m.spendCents, 2_500);
+      assert.equal(m.conversions, 2.5);
+      assert.equal(m.conversionValueCents, 10_000);
+      assert.equal(m.roas, 4);
+      assert.equal(m.cpaCents, 1_000);
+      assert.equal(m.ctr, 5);
+    });
+
+    it('normalizes TikTok report rows', () => {
+      const m = normalizeMetrics('tiktok', {
+        dimensions: { campaign_id: 987, stat_time_day: '2026-04-03 00:00:00' },
+        metrics: { spend: '40.00', impressions: '4000', clicks: '40', conversion: '2', complete_payment_roas: '2.5', campaign_name: 'Spark' },
+      }, 'campaign');
+      assert.equal(m.id, '987');
+      assert.equal(m.name, 'Spark');
+      assert.equal(m.date, '2026-04-03');
+      assert.equal(m.spendCents, 4_000);
+      assert.equal(m.conversionValueCents, 10_000);
+      assert.equal(m.roas, 2.5);
+      assert.equal(m.reach, null);
+    });
+
+    it('normalizes X daily rows', () => {
+      const m = normalizeMetrics('twitter', {
+        id: 'abc', name: 'Launch', date: '2026-04-04',
+        billedMicros: 12_340_000, impressions: 900, clicks: 9, purchases: 1, saleAmountMicros: 50_000_000,
+      }, 'campaign');
+      assert.equal(m.spendCents, 1_234);
+      assert.equal(m.conversionValueCents, 5_000);
+      assert.equal(m.cpaCents, 1_234);
+    });
+
+    it('handles empty rows without dividing by zero', () => {
+      const m = normalizeMetrics('google', {}, 'campaign');
+      assert.equal(m.spendCents, 0);
+      assert.equal(m.roas, 0);
+      assert.equal(m.cpaCents, 0);
+      assert.equal(m.ctr, 0);
+    });
+
+    it('rejects unknown platforms', () => {
+      assert.throws(() => normalizeMetrics('myspace', {}), /Unsupported metrics platform/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // sumMetrics
+  // ------------------------------------------------------------------
+  describe('sumMetrics', () => {
+    it('adds base metrics and recomputes derived ones', () => {
+      const a = normalizeMetrics('meta', { spend: '100', impressions: '1000', clicks: '10', reach: '900', actions: [{ action_type: 'purchase', value: '2' }], action_values: [{ action_type: 'purchase', value: '300' }] });
+      const b = normalizeMetrics('google', { metrics: { costMicros: '300000000', impressions: '3000', clicks: '90', conversions: 2, conversionsValue: 500 } });
+      const total = sumMetrics([a, b]);
+      assert.equal(total.platform, 'all');
+      assert.equal(total.spendCents, 40_000);
+      assert.equal(total.conversions, 4);
+      assert.equal(total.roas, 2);
+      assert.equal(total.cpaCents, 10_000);
+      assert.equal(total.ctr, 2.5);
+      assert.equal(total.reach, null, 'reach is not additive');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Helpers
+  // ------------------------------------------------------------------
+  describe('helpers', () => {
+    const now = new Date('2026-04-16T12:00:00Z');
+
+    it('resolves date presets to UTC ranges', () => {
+      assert.deepEqual(resolveDatePreset('today', now), { since: '2026-04-16', until: '2026-04-16' });
+      assert.deepEqual(resolveDatePreset('yesterday', now), { since: '2026-04-15', until: '2026-04-15' });
+      assert.deepEqual(resolveDatePreset('this_month', now), { since: '2026-04-01', until: '2026-04-16' });
+      assert.deepEqual(resolveDatePreset('last_7d', now), { since: '2026-04-09', until: '2026-04-15' });
+      assert.throws(() => resolveDatePreset('lifetime', now), /Unsupported date preset/);
+    });
+
+    it('splits ranges into inclusive chunks across months', () => {
+      assert.deepEqual(chunkDateRange('2026-03-28', '2026-04-05', 7), [
+        { since: '2026-03-28', until: '2026-04-03' },
+        { since: '2026-04-04', until: '2026-04-05' },
+      ]);
+      assert.deepEqual(chunkDateRange('2026-04-01', '2026-04-01', 30), [{ since: '2026-04-01', until: '2026-04-01' }]);
+    });
+
+    it('lists the ad accounts a client has connected', () => {
+      const client = { meta_ad_account_id: '111', tiktok_advertiser_id: '222', google_ads_customer_id: null };
+      assert.deepEqual(getClientAccounts(client), [
+        { platform: 'meta', accountId: '111' },
+        { platform: 'tiktok', accountId: '222' },
+      ]);
+      assert.deepEqual(getClientAccounts(client, ['tiktok']), [{ platform: 'tiktok', accountId: '222' }]);
+    });
+
+    it('formats a one-line summary', () => {
+      const m = normalizeMetrics('meta', { spend: '120', actions: [{ action_type: 'purchase', value: '8' }], action_values: [{ action_type: 'purchase', value: '384' }] });
+      assert.equal(formatMetricsLine(m), 'Spend $120.00, ROAS 3.20, CPA $15.00, Conversions 8');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for the schema migration runner: fresh databases, baselining
+ * databases that predate versioning, transactional rollback of failing
+ * migrations and status reporting. Uses temporary SQLite databases.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import Database from 'better-sqlite3';
+
+process.env.NODE_ENV = 'test';
+
+const { runMigrations, getMigrationStatus, addColumn } = await import('../../src/services/migrations.js');
+const { KB_SCHEMA } = await import('../../src/services/knowledge-base.js');
+const { COSTS_SCHEMA } = await import('../../src/services/cost-tracker.js');
+
+const tmpFiles = [];
+function tmpDb(label) {
+  const file = path.join(os.tmpdir(), `migrations-${label}-${Date.now()}.db`);
+  tmpFiles.push(file);
+  return new Database(file);
+}
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+const NOTES_SCHEMA = {
+  store: 'notes',
+  detectTable: 'notes',
+  baselineVersion: 1,
+  migrations: [
+    { version: 1, name: 'initial_schema', up: (d) => d.exec('CREATE TABLE IF NOT EXISTS notes (id INTEGER PRIMARY KEY, body TEXT)') },
+    { version: 2, name: 'note_author', up: (d) => addColumn(d, 'notes', 'author', 'TEXT') },
+  ],
+};
+
+describe('Schema Migrations', () => {
+  // ------------------------------------------------------------------
+  // runMigrations
+  // ------------------------------------------------------------------
+  describe('runMigrations', () => {
+    it('applies every migration to a fresh database once', () => {
+      const db = tmpDb('fresh');
+      assert.deepEqual(runMigrations(db, NOTES_SCHEMA), { applied: [1, 2], baselined: [] });
+      assert.deepEqual(columns(db, 'notes'), ['id', 'body', 'author']);
+      assert.deepEqual(runMigrations(db, NOTES_SCHEMA), { applied: [], baselined: [] });
+      db.close();
+    });
+
+    it('rolls back a failing migration and keeps earlier ones', () => {
+      const db = tmpDb('failing');
+      const schema = {
+        ...NOTES_SCHEMA,
+        migrations: [...NOTES_SCHEMA.migrations, {
+          version: 3,
+          name: 'broken',
+          up: (d) => {
+            addColumn(d, 'notes', 'pinned', 'INTEGER');
+            d.exec('INSERT INTO missing_table VALUES (1)');
+          },
+        }],
+      };
+      assert.throws(() => runMigrations(db, schema), /missing_table/);
+      assert.ok(!columns(db, 'notes').includes('pinned'));
+      const status = getMigrationStatus(db, schema);
+      assert.equal(status.version, 2);
+      assert.equal(status.migrations[2].status, 'pending');
+      db.close();
+    });
+
+    it('rejects gaps in the version sequence', () => {
+      const db = tmpDb('gaps');
+      const schema = { ...NOTES_SCHEMA, migrations: [NOTES_SCHEMA.migrations[0], { ...NOTES_SCHEMA.migrations[1], version: 3 }] };
+      assert.throws(() => runMigrations(db, schema), /expected 2/);
+      db.close();
+    });
+
+    it('keeps stores in one file apart', () => {
+      const db = tmpDb('shared');
+      runMigrations(db, NOTES_SCHEMA);
+      const other = { ...NOTES_SCHEMA, store: 'other', detectTable: 'other' };
+      assert.deepEqual(runMigrations(db, other), { applied: [1, 2], baselined: [] });
+      db.close();
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Baselining pre-versioning databases
+  // ------------------------------------------------------------------
+  describe('baseline', () => {
+    it('baselines a legacy knowledge base without losing data', () => {
+      const db = tmpDb('legacy-kb');
+      db.exec(`
+        CREATE TABLE clients (id TEXT PRIMARY KEY, name TEXT NOT NULL UNIQUE, location TEXT, plan TEXT DEFAULT 'smb');
+        INSERT INTO clients (id, name, location, plan) VALUES ('c1', 'Acme Shoes', 'Lisbon', 'enterprise');
+      `);
+      assert.equal(getMigrationStatus(db, KB_SCHEMA).needsBaseline, true);
+
+      const result = runMigrations(db, KB_SCHEMA);
+      assert.deepEqual(result.baselined, KB_SCHEMA.migrations.slice(0, KB_SCHEMA.baselineVersion).map(m => m.version));
+      assert.deepEqual(result.applied, KB_SCHEMA.migrations.slice(KB_SCHEMA.baselineVersion).map(m => m.version));
+
+      const client = db.prepare('SELECT * FROM clients WHERE id = ?').get('c1');
+      assert.equal(client.name, 'Acme Shoes');
+      assert.equal(client.location, 'Lisbon');
+      assert.equal(client.plan, 'enterprise');
+      assert.ok(columns(db, 'clients').includes('timezone'));
+      assert.ok(columns(db, 'client_contacts').includes('quiet_hours_end'));
+
+      const status = getMigrationStatus(db, KB_SCHEMA);
+      assert.equal(status.needsBaseline, false);
+      assert.equal(status.version, status.latest);
+      assert.equal(status.migrations[0].status, 'baselined');
+      db.close();
+    });
+
+    it('baselines a legacy cost store that lacks rollback columns', () => {
+      const db = tmpDb('legacy-costs');
+      db.exec(`
+        CREATE TABLE audit_log (
+          id TEXT PRIMARY KEY, timestamp TEXT, action TEXT NOT NULL, workflow TEXT, client_id TEXT,
+          platform TEXT, details TEXT, approved_by TEXT, result TEXT, rollback_data TEXT
+        );
+        INSERT INTO audit_log (id, action) VALUES ('a1', 'budget_change');
+      `);
+      const later = COSTS_SCHEMA.migrations.map(m => m.version).filter(v => v > COSTS_SCHEMA.baselineVersion);
+      assert.deepEqual(runMigrations(db, COSTS_SCHEMA), { applied: later, baselined: [1, 2] });
+      assert.ok(columns(db, 'audit_log').includes('rolled_back_at'));
+      assert.ok(columns(db, 'api_costs').includes('cost_cents'));
+      assert.equal(db.prepare('SELECT action FROM audit_log WHERE id = ?').get('a1').action, 'budget_change');
+      db.close();
+    });
+
+    it('adopts tables services created before they had migrations', () => {
+      const db = tmpDb('adhoc-costs');
+      runMigrations(db, { ...COSTS_SCHEMA, migrations: COSTS_SCHEMA.migrations.slice(0, 3) });
+      db.exec(`
+        CREATE TABLE team_members (id TEXT PRIMARY KEY, name TEXT NOT NULL UNIQUE COLLATE NOCASE, role TEXT NOT NULL);
+        INSERT INTO team_members (id, name, role) VALUES ('t1', 'Dana', 'admin');
+        CREATE TABLE scheduled_jobs (name TEXT PRIMARY KEY, schedule TEXT NOT NULL, timezone TEXT NOT NULL);
+      `);
+      assert.deepEqual(runMigrations(db, COSTS_SCHEMA).applied, [4, 5, 6]);
+      assert.equal(db.prepare('SELECT name FROM team_members WHERE id = ?').get('t1').name, 'Dana');
+      assert.ok(columns(db, 'scheduled_jobs').includes('schedule_since'));
+      assert.ok(columns(db, 'approvals').includes('payload'));
+      db.close();
+    });
+
+    it('applies migrations normally on a fresh store', () => {
+      const db = tmpDb('fresh-costs');
+      assert.deepEqual(runMigrations(db, COSTS_SCHEMA), { applied: COSTS_SCHEMA.migrations.map(m => m.version), baselined: [] });
+      db.close();
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // getMigrationStatus
+  // ------------------------------------------------------------------
+  describe('getMigrationStatus', () => {
+    it('reports pending migrations without writing', () => {
+      const db = tmpDb('status');
+      const status = getMigrationStatus(db, NOTES_SCHEMA);
+      assert.equal(status.version, 0);
+      assert.equal(status.needsBaseline, false);
+      assert.deepEqual(status.migrations.map(m => m.status), ['pending', 'pending']);
+      assert.equal(db.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE type = 'table'").get().n, 0);
+      db.close();
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    for (const file of tmpFiles) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(file + suffix); } catch { /* ignore */ }
+      }
+    }
+  });
+});
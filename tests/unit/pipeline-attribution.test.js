@@ -0,0 +1,198 @@
+/**
+ * Unit tests for HubSpot closed-loop attribution: lead and deal touches,
+ * campaign matching and per-campaign SQL / pipeline / closed-won totals.
+ * No network calls are made.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const { normalizeDeal, normalizeContact } = await import('../../src/api/hubspot.js');
+const { leadTouch, dealTouch, matchCampaign, attributePipeline, formatPipelineAttribution } = await import('../../src/services/pipeline-attribution.js');
+
+function contact(id, properties = {}) {
+  return normalizeContact({ id, properties: { createdate: '2026-10-01T10:00:00Z', ...properties } });
+}
+
+function deal(id, amount, properties = {}, contactIds = []) {
+  return { ...normalizeDeal({ id, properties: { amount: String(amount), deal_currency_code: 'USD', ...properties } }), contactIds };
+}
+
+const campaigns = [
+  { platform: 'meta', level: 'campaign', id: '120001', name: 'Prospecting - Lookalike 1%', spendCents: 100000 },
+  { platform: 'google', level: 'campaign', id: '987', name: 'Brand Search', spendCents: 50000 },
+  { platform: 'google', level: 'campaign', id: '988', name: 'Generic Search', spendCents: 20000 },
+];
+
+describe('Pipeline attribution', () => {
+  // ------------------------------------------------------------------
+  // Touches
+  // ------------------------------------------------------------------
+  describe('leadTouch', () => {
+    it('prefers click ids and UTM properties', () => {
+      assert.deepEqual(leadTouch(contact('1', { hs_google_click_id: 'Cj0', utm_campaign: '987' })), { platform: 'google', campaign: '987' });
+      assert.deepEqual(leadTouch(contact('2', { utm_source: 'facebook', utm_medium: 'paid', utm_campaign: 'Spring' })), { platform: 'meta', campaign: 'Spring' });
+    });
+
+    it('names the campaign of a GCLID-only contact from Google Ads, else the source drill-down', () => {
+      const gclidOnly = contact('1', { hs_google_click_id: 'Cj0KCQ', hs_analytics_source: 'PAID_SEARCH', hs_analytics_source_data_2: 'Brand Search' });
+      assert.deepEqual(leadTouch(gclidOnly), { platform: 'google', campaign: 'Brand Search' });
+      assert.deepEqual(leadTouch({ ...gclidOnly, clickCampaign: '987' }), { platform: 'google', campaign: '987' });
+      assert.deepEqual(leadTouch(contact('2', { hs_google_click_id: 'Cj0KCQ' })), { platform: 'google', campaign: null });
+      assert.equal(matchCampaign(campaigns, 'google', leadTouch(gclidOnly).campaign).id, '987');
+    });
+
+    it('falls back to the first page UTMs, then the original source', () => {
+      assert.deepEqual(
+        leadTouch(contact('1', { hs_analytics_first_url: 'https://acme.test/demo?utm_source=ig&utm_campaign=Retargeting' })),
+        { platform: 'meta', campaign: 'Retargeting' },
+      );
+      assert.deepEqual(
+        leadTouch(contact('2', { hs_analytics_source: 'PAID_SEARCH', hs_analytics_source_data_1: 'Google' })),
+        { platform: 'google', campaign: null },
+      );
+    });
+
+    it('ignores unpaid traffic', () => {
+      assert.equal(leadTouch(contact('1', { utm_source: 'facebook', utm_medium: 'organic_social' })), null);
+      assert.equal(leadTouch(contact('2', { hs_analytics_source: 'ORGANIC_SEARCH', hs_analytics_source_data_1: 'google' })), null);
+      assert.equal(leadTouch(contact('3')), null);
+    });
+  });
+
+  describe('dealTouch', () => {
+    it('uses the earliest associated contact with a paid touch, else the deal source', () => {
+      const contacts = new Map([
+        ['1', contact('1', { createdate: '2026-09-01T00:00:00Z' })],
+        ['2', contact('2', { createdate: '2026-09-10T00:00:00Z', utm_source: 'google', utm_campaign: 'Brand Search' })],
+        ['3', contact('3', { createdate: '2026-09-20T00:00:00Z', utm_source: 'facebook' })],
+      ]);
+      assert.deepEqual(dealTouch(deal('d1', 100, {}, ['3', '1', '2']), contacts), { platform: 'google', campaign: 'Brand Search' });
+      assert.deepEqual(
+        dealTouch(deal('d2', 100, { hs_analytics_source: 'PAID_SOCIAL', hs_analytics_source_data_1: 'Facebook' }, ['1']), contacts),
+        { platform: 'meta', campaign: null },
+      );
+    });
+  });
+
+  describe('matchCampaign', () => {
+    it('matches ids and names ignoring case and punctuation', () => {
+      assert.equal(matchCampaign(campaigns, 'google', '987').name, 'Brand Search');
+      assert.equal(matchCampaign(campaigns, 'meta', 'prospecting_lookalike_1').id, '120001');
+      assert.equal(matchCampaign(campaigns, 'meta', 'brand-search'), null, 'platform must match');
+      assert.equal(matchCampaign(campaigns, 'google', null), null);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Attribution
+  // ------------------------------------------------------------------
+  describe('attributePipeline', () => {
+    const range = { since: '2026-10-01', until: '2026-10-31' };
+    const contacts = [
+      contact('c1', { utm_source: 'facebook', utm_campaign: 'prospecting-lookalike-1' }),
+      contact('c2', { utm_source: 'google', utm_medium: 'cpc', utm_campaign: '987' }),
+      contact('c3', { hs_analytics_source: 'DIRECT_TRAFFIC' }),
+    ];
+    const sqlContacts = [
+      contact('c1', { utm_source: 'facebook', utm_campaign: 'prospecting-lookalike-1', hs_lifecyclestage_salesqualifiedlead_date: '2026-10-05T12:00:00Z' }),
+      contact('c4', { utm_source: 'fb', utm_campaign: 'Prospecting - Lookalike 1%', hs_lifecyclestage_salesqualifiedlead_date: '2026-10-06T12:00:00Z' }),
+      contact('c2', { utm_source: 'google', utm_campaign: '987', hs_lifecyclestage_salesqualifiedlead_date: '2026-10-07T12:00:00Z' }),
+      contact('c5', { hs_lifecyclestage_salesqualifiedlead_date: '2026-10-08T12:00:00Z' }),
+      contact('c6', { utm_source: 'facebook', hs_lifecyclestage_salesqualifiedlead_date: '2026-09-30T12:00:00Z' }),
+    ];
+    const deals = [
+      // Meta: one open, one won in range, one lost (excluded from pipeline)
+      deal('d1', 5000, { createdate: '2026-10-06T00:00:00Z', hs_is_closed: 'false', hs_is_closed_won: 'false' }, ['c1']),
+      deal('d2', 3000, { createdate: '2026-10-02T00:00:00Z', closedate: '2026-10-20T00:00:00Z', hs_is_closed: 'true', hs_is_closed_won: 'true' }, ['c1']),
+      deal('d3', 9000, { createdate: '2026-10-03T00:00:00Z', closedate: '2026-10-15T00:00:00Z', hs_is_closed: 'true', hs_is_closed_won: 'false' }, ['c1']),
+      // Google: created before the range, won in it
+      deal('d4', 4000, { createdate: '2026-08-15T00:00:00Z', closedate: '2026-10-10T00:00:00Z', hs_is_closed: 'true', hs_is_closed_won: 'true' }, ['c2']),
+      // Not from ads
+      deal('d5', 2000, { createdate: '2026-10-12T00:00:00Z', hs_is_closed: 'false', hs_is_closed_won: 'false' }, ['c3']),
+    ];
+
+    it('computes SQLs, pipeline and closed-won per campaign', () => {
+      const a = attributePipeline({ deals, contacts, sqlContacts, campaigns }, range);
+      assert.equal(a.currency, 'USD');
+
+      const meta = a.byCampaign.find(c => c.campaignId === '120001');
+      assert.equal(meta.sqls, 2);
+      assert.equal(meta.costPerSqlCents, 50000);
+      assert.equal(meta.pipelineDeals, 2);
+      assert.equal(meta.pipelineCents, 800000);
+      assert.equal(meta.pipelineRoas, 8);
+      assert.equal(meta.wonDeals, 1);
+      assert.equal(meta.wonRoas, 3);
+
+      const brand = a.byCampaign.find(c => c.campaignId === '987');
+      assert.equal(brand.sqls, 1);
+      assert.equal(brand.pipelineDeals, 0, 'created before the range');
+      assert.equal(brand.wonCents, 400000);
+      assert.equal(brand.wonRoas, 8);
+
+      const generic = a.byCampaign.find(c => c.campaignId === '988');
+      assert.equal(generic.sqls, 0);
+      assert.equal(generic.costPerSqlCents, null);
+      assert.equal(generic.pipelineRoas, 0);
+
+      assert.deepEqual(a.unattributed, { sqls: 1, pipelineDeals: 1, pipelineCents: 200000, wonDeals: 0, wonCents: 0 });
+      assert.equal(a.totals.spendCents, 170000);
+      assert.equal(a.totals.sqls, 3);
+      assert.equal(a.byPlatform.google.spendCents, 70000);
+      assert.equal(a.byPlatform.google.wonCents, 400000);
+      assert.equal(a.byCampaign[0].campaignId, '120001', 'sorted by pipeline');
+    });
+
+    it('adds deal amounts in the portal\'s company currency', () => {
+      const eur = normalizeDeal({ id: 'd9', properties: {
+        amount: '1000', amount_in_home_currency: '1080.50', deal_currency_code: 'EUR',
+        createdate: '2026-10-04T00:00:00Z', hs_is_closed: 'false',
+      } });
+      assert.equal(eur.amountCents, 108050);
+      assert.equal(deal('d10', 250).amountCents, 25000, 'falls back to amount');
+
+      const a = attributePipeline({ deals: [{ ...eur, contactIds: ['c1'] }], contacts, campaigns, currency: 'USD' }, range);
+      assert.equal(a.currency, 'USD');
+      assert.equal(a.byCampaign.find(c => c.campaignId === '120001').pipelineCents, 108050);
+    });
+
+    it('lists unmatched utm_campaign values without spend', () => {
+      const a = attributePipeline({
+        sqlContacts: [contact('c1', { utm_source: 'tiktok', utm_campaign: 'launch', hs_lifecyclestage_salesqualifiedlead_date: '2026-10-05T00:00:00Z' })],
+        campaigns,
+      }, range);
+      const tiktok = a.byCampaign.find(c => c.platform === 'tiktok');
+      assert.equal(tiktok.campaignId, null);
+      assert.equal(tiktok.campaignName, 'launch');
+      assert.equal(tiktok.spendCents, 0);
+      assert.equal(tiktok.pipelineRoas, null);
+    });
+
+    it('leaves platforms whose spend failed out of the ratios', () => {
+      const errors = { google: 'Google Ads API timeout' };
+      const a = attributePipeline({ deals, contacts, sqlContacts, campaigns: campaigns.filter(c => c.platform !== 'google'), errors }, range);
+
+      const brand = a.byCampaign.find(c => c.platform === 'google');
+      assert.equal(brand.wonCents, 400000, 'revenue still counted');
+      assert.equal(brand.spendCents, null);
+      assert.equal(brand.costPerSqlCents, null);
+      assert.equal(brand.wonRoas, null);
+      assert.equal(a.byPlatform.google.spendCents, null);
+      assert.equal(a.byPlatform.google.wonRoas, null);
+
+      assert.equal(a.totals.sqls, 3);
+      assert.equal(a.totals.wonCents, 700000);
+      assert.equal(a.totals.spendCents, 100000, 'Meta only');
+      assert.equal(a.totals.costPerSqlCents, 50000, 'Meta spend over Meta SQLs');
+      assert.equal(a.totals.wonRoas, 3, 'Meta won over Meta spend');
+      assert.deepEqual(a.errors, errors);
+
+      const text = formatPipelineAttribution(a);
+      assert.match(text, /⚠️ Google Ads spend unavailable \(Google Ads API timeout\) — its campaigns are left out of cost per SQL and ROAS/);
+      assert.match(text, /Google Ads \| 987: spend n\/a, 1 SQLs \(n\/a\/SQL\), pipeline \$0\.00 \(ROAS n\/a\), won \$4000\.00 \(ROAS n\/a\)/);
+    });
+  });
+});
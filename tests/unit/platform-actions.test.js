@@ -0,0 +1,84 @@
+/**
+ * Unit tests for platform action validation and unit conversion.
+ * Only pure helpers are exercised — no platform API calls are made.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const {
+  validateChange, toPlatformStatus, getRequestedState, centsToMicros, centsToUnits, executeAction,
+} = await import('../../src/services/platform-actions.js');
+
+describe('Platform Actions', () => {
+  describe('unit conversion', () => {
+    it('converts cents to Google Ads micros', () => {
+      assert.equal(centsToMicros(5000), 50_000_000);
+      assert.equal(centsToMicros(1), 10_000);
+    });
+
+    it('converts cents to currency units for TikTok', () => {
+      assert.equal(centsToUnits(5050), 50.5);
+    });
+  });
+
+  describe('toPlatformStatus', () => {
+    it('maps normalized statuses per platform', () => {
+      assert.equal(toPlatformStatus('meta', 'paused'), 'PAUSED');
+      assert.equal(toPlatformStatus('google', 'active'), 'ENABLED');
+      assert.equal(toPlatformStatus('tiktok', 'paused'), 'DISABLE');
+    });
+
+    it('throws for unknown statuses', () => {
+      assert.throws(() => toPlatformStatus('meta', 'deleted'), /Unknown status/);
+    });
+  });
+
+  describe('validateChange', () => {
+    it('accepts supported field/entity combinations', () => {
+      assert.deepEqual(
+        validateChange({ platform: 'meta', entityType: 'adset', entityId: '1' }, { budgetCents: 1000, bidCents: 50 }),
+        ['budgetCents', 'bidCents'],
+      );
+      assert.deepEqual(
+        validateChange({ platform: 'google', entityType: 'campaign_budget', entityId: '9', accountId: '123' }, { budgetCents: 1000 }),
+        ['budgetCents'],
+      );
+    });
+
+    it('rejects unsupported platforms and entities', () => {
+      assert.throws(() => validateChange({ platform: 'twitter', entityType: 'campaign', entityId: '1' }, { status: 'paused' }), /Unsupported platform/);
+      assert.throws(() => validateChange({ platform: 'meta', entityType: 'keyword', entityId: '1' }, { status: 'paused' }), /Unsupported meta entity/);
+    });
+
+    it('rejects fields the entity does not support', () => {
+      assert.throws(() => validateChange({ platform: 'google', entityType: 'campaign', entityId: '1', accountId: '2' }, { budgetCents: 100 }), /Cannot set budgetCents/);
+    });
+
+    it('requires an account ID outside Meta', () => {
+      assert.throws(() => validateChange({ platform: 'tiktok', entityType: 'adgroup', entityId: '1' }, { bidCents: 100 }), /Missing accountId/);
+    });
+
+    it('rejects empty changes', () => {
+      assert.throws(() => validateChange({ platform: 'meta', entityType: 'ad', entityId: '1' }, {}), /No changes/);
+    });
+  });
+
+  describe('getRequestedState', () => {
+    it('pauses for pause_* actions', () => {
+      assert.deepEqual(getRequestedState({ type: 'pause_adset' }), { status: 'paused' });
+    });
+
+    it('uses the change for budget/bid actions', () => {
+      assert.deepEqual(getRequestedState({ type: 'change_budget', change: { budgetCents: 8000 } }), { budgetCents: 8000 });
+    });
+  });
+
+  describe('executeAction', () => {
+    it('rejects actions without a target', async () => {
+      await assert.rejects(() => executeAction({ type: 'change_bid', change: { bidCents: 100 } }), /no target/);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for PII redaction: detectors, per-field allow-lists, the logger
+ * format, redacted conversation storage and the recorded redaction events.
+ * Uses temporary SQLite databases.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import { Writable } from 'node:stream';
+import winston from 'winston';
+
+process.env.NODE_ENV = 'test';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-test-'));
+process.env.KB_DB_PATH = path.join(tmpDir, 'knowledge.db');
+process.env.COST_DB_PATH = path.join(tmpDir, 'costs.db');
+process.env.REDACTION_ALLOW_FIELDS = 'supportEmail:email';
+
+const {
+  redactText, redactFields, parseAllowFields, onRedaction,
+} = await import('../../src/utils/redact.js');
+const { default: logger } = await import('../../src/utils/logger.js');
+const { saveMessage, getMessages } = await import('../../src/services/knowledge-base.js');
+const { getRedactionSummary } = await import('../../src/services/cost-tracker.js');
+
+describe('Redact', () => {
+  // ------------------------------------------------------------------
+  // Detectors
+  // ------------------------------------------------------------------
+  describe('redactText', () => {
+    it('masks emails, phones, cards, tax ids and secrets', () => {
+      const { text, counts } = redactText(
+        'Mail ana@acme.test or call +55 (11) 99999-0000 / WhatsApp 5511988887777. Card 4111 1111 1111 1111, CPF 123.456.789-09. Key sk-ant-REDACTED',
+      );
+      assert.equal(text, 'Mail [REDACTED:email] or call [REDACTED:phone] / WhatsApp [REDACTED:phone]. Card [REDACTED:card], CPF [REDACTED:tax_id]. Key [REDACTED:secret]');
+      assert.deepEqual(counts, { secret: 1, email: 1, card: 1, tax_id: 1, phone: 2 });
+    });
+
+    it('keeps the label of a pasted password', () => {
+      assert.equal(redactText('my Facebook password is Hunter2!').text, 'my Facebook password is [REDACTED:password]');
+      assert.equal(redactText('senha: abc123 ok').text, 'senha: [REDACTED:password] ok');
+      assert.equal(redactText('I need a password reset').text, 'I need a password reset');
+    });
+
+    it('leaves dates, amounts, ids and non-Luhn numbers alone', () => {
+      const text = 'On 2026-10-18 12:30 spend R$ 1.234,56 on act_1234567890, campaign 120210123456789012, '
+        + 'file creative-1760000000000.png, ip 192.168.1.100, order 4111 1111 1111 1112';
+      assert.deepEqual(redactText(text), { text, counts: {} });
+    });
+
+    it('leaves Google Ads customer, campaign and ad group ids alone', () => {
+      for (const text of [
+        'Google Ads customer 123-456-7890 campaign 21345678901 paused',
+        'customer ID: 123-456-7890, ad group 156789012345',
+        'account 987-654-3210 budget raised',
+      ]) {
+        assert.deepEqual(redactText(text), { text, counts: {} });
+      }
+      assert.equal(redactText('call 555-123-4567 or tel:5511988887777').text, 'call [REDACTED:phone] or tel:[REDACTED:phone]');
+    });
+
+    it('masks card numbers only in groups or after a card label', () => {
+      // Luhn-valid, like one in ten Meta campaign ids
+      const text = 'pause campaign 120210123456789017 and ad 4111111111111111';
+      assert.deepEqual(redactText(text), { text, counts: {} });
+      assert.equal(redactText('cartão: 4111111111111111').text, 'cartão: [REDACTED:card]');
+      assert.equal(redactText('Amex 3782 822463 10005').text, 'Amex [REDACTED:card]');
+    });
+
+    it('skips allowed types', () => {
+      assert.equal(redactText('ana@acme.test 5511999990000', { allow: ['phone'] }).text, '[REDACTED:email] 5511999990000');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Per-field allow-lists
+  // ------------------------------------------------------------------
+  describe('redactFields', () => {
+    it('keeps routing ids and masks free text and credential fields', () => {
+      const meta = { chatId: '5511999990000', campaignId: '1234567890', adId: '4111 1111 1111 1111', note: 'from 5511999990000', nested: { accessToken: 'abc', list: ['x@y.io'] } };
+      const { value, findings } = redactFields(meta);
+      assert.deepEqual(value, {
+        chatId: '5511999990000',
+        campaignId: '1234567890',
+        adId: '4111 1111 1111 1111',
+        note: 'from [REDACTED:phone]',
+        nested: { accessToken: '[REDACTED:secret]', list: ['[REDACTED:email]'] },
+      });
+      assert.deepEqual(findings, { note: { phone: 1 }, accessToken: { secret: 1 }, list: { email: 1 } });
+      assert.equal(meta.note, 'from 5511999990000', 'input not mutated');
+    });
+
+    it('applies REDACTION_ALLOW_FIELDS on top of the defaults', () => {
+      assert.equal(redactFields({ supportEmail: 'help@acme.test' }).value.supportEmail, 'help@acme.test');
+      assert.deepEqual(parseAllowFields('a:email|phone, b:*, bad'), {
+        a: ['email', 'phone'],
+        b: ['secret', 'password', 'email', 'card', 'tax_id', 'phone'],
+      });
+    });
+
+    it('returns the same object when nothing matched', () => {
+      const meta = { count: 3, names: ['Ana'] };
+      assert.equal(redactFields(meta).value, meta);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Logger and conversation storage
+  // ------------------------------------------------------------------
+  describe('logger & saveMessage', () => {
+    it('redacts log messages and metadata before transports', () => {
+      const events = [];
+      const unsubscribe = onRedaction(event => events.push(event));
+      const lines = [];
+      const transport = new winston.transports.Stream({
+        stream: new Writable({ objectMode: true, write: (info, _, done) => { lines.push(info); done(); } }),
+      });
+      logger.add(transport);
+      logger.child({ workflow: 'test' }).info('Shared with ana@acme.test', { from: '5511999990000', answers: { email: 'ana@acme.test' } });
+      logger.remove(transport);
+      unsubscribe();
+
+      assert.equal(lines[0].message, 'Shared with [REDACTED:email]');
+      assert.equal(lines[0].from, '5511999990000');
+      assert.deepEqual(lines[0].answers, { email: '[REDACTED:email]' });
+      assert.deepEqual(events.at(-1), { source: 'log', context: 'test', findings: { message: { email: 1 }, email: { email: 1 } } });
+    });
+
+    it('stores conversations redacted, keyed by the raw chat id', () => {
+      saveMessage('5511999990000', 'whatsapp', 'user', 'My ads login is ana@acme.test, password: S3cret!');
+      saveMessage('5511999990000', 'whatsapp', 'user', 'Thanks!');
+      assert.deepEqual(getMessages('5511999990000').map(m => m.content), [
+        'My ads login is [REDACTED:email], password: [REDACTED:password]',
+        'Thanks!',
+      ]);
+    });
+
+    it('records redaction events for compliance review', () => {
+      const summary = getRedactionSummary(1);
+      assert.equal(summary.bySource.conversation, 2);
+      assert.equal(summary.byField['conversation.content'], 2);
+      assert.ok(summary.byType.email >= 3);
+      assert.ok(summary.bySource.log >= 2);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
@@ -7,7 +7,7 @@ import assert from 'node:assert/strict';
 
 process.env.NODE_ENV = 'test';
 
-const { retry, sleep, isRetryableHttpError } = await import('../../src/utils/retry.js');
+const { retry, sleep, isRetryableHttpError, isRetryableUnappliedError } = await import('../../src/utils/retry.js');
 
 describe('Retry Utility', () => {
   // ------------------------------------------------------------------
@@ -123,4 +123,21 @@ describe('Retry Utility', () => {
       assert.equal(isRetryableHttpError({ response: { status: 404 } }), false);
     });
   });
+
+  // ------------------------------------------------------------------
+  // isRetryableUnappliedError
+  // ------------------------------------------------------------------
+  describe('isRetryableUnappliedError', () => {
+    it('retries rate limits and connections that were never made', () => {
+      assert.equal(isRetryableUnappliedError({ response: { status: 429 } }), true);
+      assert.equal(isRetryableUnappliedError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })), true);
+    });
+
+    it('does not retry errors that may come after the request was applied', () => {
+      assert.equal(isRetryableUnappliedError({ response: { status: 500 } }), false);
+      assert.equal(isRetryableUnappliedError({ response: { status: 503 } }), false);
+      assert.equal(isRetryableUnappliedError(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' })), false);
+      assert.equal(isRetryableUnappliedError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), false);
+    });
+  });
 });
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the rollback engine.
+ * Uses a temporary SQLite database; no platform API calls are made.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const dbPath = path.join(os.tmpdir(), `rollback-test-${Date.now()}.db`);
+process.env.COST_DB_PATH = dbPath;
+
+const { auditLog, markRolledBack, findAuditEntries } = await import('../../src/services/cost-tracker.js');
+const {
+  checkRollbackEligibility, resolveAuditEntry, listRollbackableActions,
+  rollbackAction, shortAuditId,
+} = await import('../../src/services/rollback.js');
+
+const target = { platform: 'meta', entityType: 'adset', entityId: '120200001' };
+
+function recordBudgetChange(overrides = {}) {
+  return auditLog({
+    action: 'change_budget',
+    workflow: 'budget-pacing',
+    clientId: 'client-1',
+    platform: 'meta',
+    details: { note: 'test' },
+    approvedBy: 'auto',
+    result: 'success',
+    rollbackData: { target, state: { budgetCents: 10000 }, summary: 'Meta ad set budget $100.00 → $80.00' },
+    ...overrides,
+  });
+}
+
+function entryFor(id) {
+  return findAuditEntries(id)[0];
+}
+
+describe('Rollback Engine', () => {
+  // ------------------------------------------------------------------
+  // checkRollbackEligibility
+  // ------------------------------------------------------------------
+  describe('checkRollbackEligibility', () => {
+    it('accepts a successful budget change with rollback data', () => {
+      const id = recordBudgetChange();
+      const result = checkRollbackEligibility(entryFor(id));
+      assert.equal(result.ok, true);
+      assert.deepEqual(result.rollbackData.state, { budgetCents: 10000 });
+    });
+
+    it('rejects actions that are not reversible', () => {
+      const id = recordBudgetChange({ action: 'launch_campaign' });
+      const result = checkRollbackEligibility(entryFor(id));
+      assert.equal(result.ok, false);
+      assert.match(result.reason, /can't be undone/);
+    });
+
+    it('rejects actions that did not execute', () => {
+      const id = recordBudgetChange({ result: 'awaiting_approval' });
+      assert.equal(checkRollbackEligibility(entryFor(id)).ok, false);
+    });
+
+    it('rejects entries without rollback data', () => {
+      const id = recordBudgetChange({ rollbackData: undefined });
+      const result = checkRollbackEligibility(entryFor(id));
+      assert.equal(result.ok, false);
+      assert.match(result.reason, /no prior state/);
+    });
+
+    it('rejects rollback data the platform cannot apply', () => {
+      const id = recordBudgetChange({ rollbackData: { target: { platform: 'meta', entityType: 'ad', entityId: '1' }, state: { budgetCents: 500 } } });
+      const result = checkRollbackEligibility(entryFor(id));
+      assert.equal(result.ok, false);
+      assert.match(result.reason, /invalid/);
+    });
+
+    it('rejects entries that were already rolled back', () => {
+      const id = recordBudgetChange();
+      assert.equal(markRolledBack(id, 'owner:whatsapp'), true);
+      assert.equal(markRolledBack(id, 'owner:telegram'), false, 'Second claim must fail');
+      const result = checkRollbackEligibility(entryFor(id));
+      assert.equal(result.ok, false);
+      assert.match(result.reason, /already undone by owner:whatsapp/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // resolveAuditEntry
+  // ------------------------------------------------------------------
+  describe('resolveAuditEntry', () => {
+    it('resolves a short ID prefix', () => {
+      const id = recordBudgetChange();
+      assert.equal(resolveAuditEntry(shortAuditId(id)).id, id);
+    });
+
+    it('resolves a full ID', () => {
+      const id = recordBudgetChange();
+      assert.equal(resolveAuditEntry(id).id, id);
+    });
+
+    it('throws on prefixes that are too short', () => {
+      assert.throws(() => resolveAuditEntry('ab'), /too short/);
+    });
+
+    it('throws when nothing matches', () => {
+      assert.throws(() => resolveAuditEntry('ffffffff-0000'), /No audit entry found/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // listRollbackableActions & rollbackAction
+  // ------------------------------------------------------------------
+  describe('listRollbackableActions', () => {
+    it('lists only undoable entries for the client', () => {
+      const id = recordBudgetChange({ clientId: 'client-list' });
+      recordBudgetChange({ clientId: 'client-list', rollbackData: undefined });
+      const actions = listRollbackableActions({ clientId: 'client-list' });
+      assert.equal(actions.length, 1);
+      assert.equal(actions[0].auditId, id);
+      assert.equal(actions[0].shortId, shortAuditId(id));
+      assert.equal(actions[0].description, 'Meta ad set budget $100.00 → $80.00');
+    });
+  });
+
+  describe('rollbackAction', () => {
+    it('refuses ineligible entries before calling any platform', async () => {
+      const id = recordBudgetChange({ rollbackData: undefined });
+      await assert.rejects(() => rollbackAction(id), /Can't undo/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(dbPath); } catch { /* ignore */ }
+  });
+});
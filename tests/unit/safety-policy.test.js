@@ -0,0 +1,178 @@
+/**
+ * Unit tests for per-client safety policies.
+ * Uses temporary SQLite databases for the knowledge base and audit log.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const kbPath = path.join(os.tmpdir(), `safety-policy-kb-${Date.now()}.db`);
+const costPath = path.join(os.tmpdir(), `safety-policy-costs-${Date.now()}.db`);
+process.env.KB_DB_PATH = kbPath;
+process.env.COST_DB_PATH = costPath;
+
+const { createClient } = await import('../../src/services/knowledge-base.js');
+const { auditLog } = await import('../../src/services/cost-tracker.js');
+const {
+  getGlobalPolicy, getClientPolicy, setClientPolicy, getClientPolicyOverrides,
+  getActiveBlackout, isPlatformAllowed,
+} = await import('../../src/services/safety-policy.js');
+const { validateAction, getBudgetChangeApproval, shouldAutoPause, ApprovalLevel } =
+  await import('../../src/services/safety.js');
+
+const enterprise = createClient({ name: 'Enterprise Co', monthlyBudgetCents: 50_000_000 });
+const smb = createClient({ name: 'Small Shop', monthlyBudgetCents: 100_000 });
+
+describe('Safety Policy', () => {
+  // ------------------------------------------------------------------
+  // Storage & merging
+  // ------------------------------------------------------------------
+  describe('getClientPolicy / setClientPolicy', () => {
+    it('falls back to the global policy when no overrides exist', () => {
+      assert.deepEqual(getClientPolicy(smb.id), getGlobalPolicy());
+    });
+
+    it('stores overrides and merges them over the globals', () => {
+      const { effective } = setClientPolicy(enterprise.id, { autoApproveBudgetChangeLimitCents: 50_000, maxAutoChangesPerDay: 2 });
+      assert.equal(effective.autoApproveBudgetChangeLimitCents, 50_000);
+      assert.equal(effective.maxAutoChangesPerDay, 2);
+      assert.equal(effective.autoApproveBidChangePct, getGlobalPolicy().autoApproveBidChangePct);
+    });
+
+    it('merges successive updates and resets fields with null', () => {
+      setClientPolicy(enterprise.id, { autoApproveBidChangePct: 40 });
+      setClientPolicy(enterprise.id, { maxAutoChangesPerDay: null });
+      const overrides = getClientPolicyOverrides(enterprise.id);
+      assert.equal(overrides.autoApproveBidChangePct, 40);
+      assert.equal(overrides.autoApproveBudgetChangeLimitCents, 50_000);
+      assert.equal('maxAutoChangesPerDay' in overrides, false);
+    });
+
+    it('rejects invalid values without saving them', () => {
+      assert.throws(() => setClientPolicy(smb.id, { autoApproveBidChangePct: 150 }), /Invalid safety policy/);
+      assert.throws(() => setClientPolicy(smb.id, { blackoutWindows: [{ start: '25:00', end: '06:00' }] }), /Invalid safety policy/);
+      assert.throws(() => setClientPolicy(smb.id, { platforms: { deny: ['myspace'] } }), /Invalid safety policy/);
+      assert.throws(() => setClientPolicy(smb.id, { timezone: 'Mars/Olympus' }), /IANA timezone/);
+      assert.throws(() => setClientPolicy(smb.id, { unknownField: 1 }), /Invalid safety policy/);
+      assert.deepEqual(getClientPolicyOverrides(smb.id), {});
+    });
+
+    it('throws for unknown clients', () => {
+      assert.throws(() => setClientPolicy('no-such-client', { maxAutoChangesPerDay: 1 }), /not found/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Blackout windows
+  // ------------------------------------------------------------------
+  describe('getActiveBlackout', () => {
+    const policy = (windows) => ({ blackoutWindows: windows, timezone: 'UTC' });
+
+    it('matches a same-day time window', () => {
+      const p = policy([{ start: '09:00', end: '17:00' }]);
+      assert.ok(getActiveBlackout(p, new Date('2026-03-04T12:00:00Z')));
+      assert.equal(getActiveBlackout(p, new Date('2026-03-04T17:00:00Z')), null);
+    });
+
+    it('matches windows that cross midnight, including the next morning', () => {
+      // 2026-03-06 is a Friday
+      const p = policy([{ start: '22:00', end: '06:00', days: ['fri'] }]);
+      assert.ok(getActiveBlackout(p, new Date('2026-03-06T23:30:00Z')), 'Friday night');
+      assert.ok(getActiveBlackout(p, new Date('2026-03-07T05:00:00Z')), 'Saturday early morning belongs to Friday');
+      assert.equal(getActiveBlackout(p, new Date('2026-03-07T23:30:00Z')), null, 'Saturday night is not covered');
+    });
+
+    it('matches inclusive date ranges', () => {
+      const p = policy([{ from: '2026-11-27', to: '2026-11-30', label: 'Black Friday' }]);
+      assert.equal(getActiveBlackout(p, new Date('2026-11-29T10:00:00Z')).label, 'Black Friday');
+      assert.equal(getActiveBlackout(p, new Date('2026-12-01T10:00:00Z')), null);
+    });
+
+    it('evaluates windows in the policy timezone', () => {
+      const p = { blackoutWindows: [{ start: '09:00', end: '10:00' }], timezone: 'America/Los_Angeles' };
+      // 16:30 UTC = 09:30 PDT on 2026-07-01
+      assert.ok(getActiveBlackout(p, new Date('2026-07-01T16:30:00Z')));
+      assert.equal(getActiveBlackout(p, new Date('2026-07-01T09:30:00Z')), null);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Platform lists
+  // ------------------------------------------------------------------
+  describe('isPlatformAllowed', () => {
+    it('honors deny and allow lists', () => {
+      assert.equal(isPlatformAllowed({ platforms: { deny: ['tiktok'] } }, 'tiktok'), false);
+      assert.equal(isPlatformAllowed({ platforms: { allow: ['meta'] } }, 'google'), false);
+      assert.equal(isPlatformAllowed({ platforms: { allow: ['meta'] } }, 'meta'), true);
+      assert.equal(isPlatformAllowed({ platforms: {} }, 'google'), true);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Integration with safety.js
+  // ------------------------------------------------------------------
+  describe('safety integration', () => {
+    it('uses client thresholds for budget approvals', () => {
+      const policy = getClientPolicy(enterprise.id);
+      // $300 is above the $50 global limit but within the $500 enterprise limit
+      assert.equal(getBudgetChangeApproval(30_000, 50_000_000), ApprovalLevel.REQUIRES_APPROVAL);
+      assert.equal(getBudgetChangeApproval(30_000, 50_000_000, policy), ApprovalLevel.AUTO);
+    });
+
+    it('uses client thresholds for auto-pause', () => {
+      const campaign = { roas: 0, roasTarget: 0, cpa: 0, cpaTarget: 0, spend: 20_000, conversions: 0, daysRunning: 1 };
+      assert.equal(shouldAutoPause(campaign).pause, false);
+      assert.equal(shouldAutoPause(campaign, { ...getGlobalPolicy(), zeroConversionSpendAlertCents: 10_000 }).pause, true);
+    });
+
+    it('validateAction applies the stored client policy', () => {
+      const result = validateAction({ type: 'change_bid', changePercent: 30, clientId: enterprise.id, platform: 'meta' });
+      assert.equal(result.allowed, true, '30% is within the enterprise 40% bid limit');
+      const smbResult = validateAction({ type: 'change_bid', changePercent: 30, clientId: smb.id, platform: 'meta' });
+      assert.equal(smbResult.allowed, false);
+    });
+
+    it('requires approval on denied platforms, even for pauses', () => {
+      setClientPolicy(smb.id, { platforms: { deny: ['tiktok'] } });
+      const result = validateAction({ type: 'pause_campaign', clientId: smb.id, platform: 'tiktok' });
+      assert.equal(result.allowed, false);
+      assert.equal(result.level, ApprovalLevel.REQUIRES_APPROVAL);
+      assert.match(result.reason, /not allowed/);
+    });
+
+    it('requires approval for budget changes inside a blackout window but not for pauses', () => {
+      const policy = { ...getGlobalPolicy(), blackoutWindows: [{ start: '00:00', end: '23:59' }], timezone: 'UTC' };
+      const change = validateAction({ type: 'change_budget', amountCents: 100, platform: 'meta' }, policy);
+      assert.equal(change.allowed, false);
+      assert.match(change.reason, /Blackout window/);
+      const pause = validateAction({ type: 'pause_campaign', platform: 'meta' }, policy);
+      assert.equal(pause.allowed, true);
+    });
+
+    it('requires approval once the daily auto-change cap is reached', () => {
+      setClientPolicy(enterprise.id, { maxAutoChangesPerDay: 2 });
+      const action = { type: 'change_budget', amountCents: 100, clientId: enterprise.id, platform: 'meta' };
+      assert.equal(validateAction(action).allowed, true);
+
+      for (let i = 0; i < 2; i++) {
+        auditLog({ action: 'change_budget', clientId: enterprise.id, approvedBy: 'auto', result: 'success' });
+      }
+      const capped = validateAction(action);
+      assert.equal(capped.allowed, false);
+      assert.match(capped.reason, /cap reached \(2\/2/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(kbPath); } catch { /* ignore */ }
+    try { fs.unlinkSync(costPath); } catch { /* ignore */ }
+  });
+});
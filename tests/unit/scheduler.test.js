@@ -1,15 +1,27 @@
 /**
  * Unit tests for the scheduler service.
- * Tests job registration, listing, manual execution, and initialization.
+ * Tests job registration, listing, manual execution, initialization, runtime
+ * schedule changes, and the durable run history, locks and catch-up.
+ * Uses a temporary SQLite database.
  */
 
-import { describe, it, afterEach } from 'node:test';
+import { describe, it, afterEach, after } from 'node:test';
 import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
 
 process.env.NODE_ENV = 'test';
 
-const { registerJob, getJobs, runJob, stopAll, initializeSchedule } =
-  await import('../../src/services/scheduler.js');
+const dbPath = path.join(os.tmpdir(), `scheduler-test-${Date.now()}.db`);
+process.env.COST_DB_PATH = dbPath;
+
+const {
+  registerJob, getJobs, runJob, stopAll, initializeSchedule, setJobSchedule, ALL_JOBS,
+  acquireLock, getLockHolder, previousSlot, catchUpMissedRuns, getJobHistory, getJobSummaries,
+  syncClientTimezoneJobs,
+} = await import('../../src/services/scheduler.js');
+const { getAuditLog } = await import('../../src/services/cost-tracker.js');
 
 describe('Scheduler', () => {
   afterEach(() => {
@@ -65,7 +77,7 @@ describe('Scheduler', () => {
     });
 
     it('propagates errors from the job handler', async () => {
-      registerJob('fail-job', '0 0 * * *', async () => { throw new Error('Job error'); });
+      registerJob('fail-job', '0 0 * * *', async () => { throw new Error('Job error'); }, { catchUp: false });
       await assert.rejects(
         () => runJob('fail-job'),
         { message: 'Job error' }
@@ -126,6 +138,184 @@ describe('Scheduler', () => {
       const jobs = getJobs();
       assert.ok(jobs.length >= 10, `Expected at least 10 jobs but got ${jobs.length}`);
     });
+
+    it('registers the weekly A/B test manager', () => {
+      initializeSchedule({ testManager: async () => {} });
+      const job = getJobs().find(j => j.name === 'ab-test-manager');
+      assert.ok(job, 'ab-test-manager should be registered');
+      assert.equal(job.schedule, '0 11 * * 1');
+    });
+
+    it('fans client jobs out per client timezone and follows changes', async () => {
+      let timezones = ['America/New_York', 'America/Sao_Paulo'];
+      const calls = [];
+      initializeSchedule({ clientCheckIn: async (opts) => { calls.push(opts); }, clientTimezones: () => timezones });
+
+      const saoPaulo = getJobs().find(j => j.name === 'client-check-in-america-sao-paulo');
+      assert.equal(saoPaulo.schedule, '0 9 * * *');
+      assert.equal(saoPaulo.timezone, 'America/Sao_Paulo');
+      assert.ok(getJobs().some(j => j.name === 'client-check-in-america-new-york'));
+      assert.ok(!getJobs().some(j => j.name.startsWith('client-morning-briefing')));
+
+      await runJob('client-check-in-america-sao-paulo');
+      assert.deepEqual(calls, [{ timezone: 'America/Sao_Paulo' }]);
+
+      timezones = ['America/Sao_Paulo', 'Europe/Lisbon', 'Not/A_Zone'];
+      assert.deepEqual(syncClientTimezoneJobs().sort(), ['client-check-in-america-sao-paulo', 'client-check-in-europe-lisbon']);
+      const names = getJobs().map(j => j.name);
+      assert.ok(names.includes('client-check-in-europe-lisbon'));
+      assert.ok(!names.includes('client-check-in-america-new-york'));
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // setJobSchedule
+  // ------------------------------------------------------------------
+  describe('setJobSchedule', () => {
+    it('reschedules a live job and audits the change', () => {
+      registerJob('configurable', '0 8 * * *', async () => {});
+      const result = setJobSchedule('configurable', { schedule: '30 7 * * 1-5', timezone: 'Europe/London' }, { updatedBy: 'owner:test' });
+      assert.deepEqual(result.overrides, { schedule: '30 7 * * 1-5', timezone: 'Europe/London' });
+
+      const job = getJobs().find(j => j.name === 'configurable');
+      assert.equal(job.schedule, '30 7 * * 1-5');
+      assert.equal(job.timezone, 'Europe/London');
+      assert.equal(job.defaultSchedule, '0 8 * * *');
+
+      const entry = getAuditLog(50).find(e => e.action === 'job_schedule_updated');
+      assert.ok(entry);
+      assert.equal(entry.approved_by, 'owner:test');
+      assert.equal(JSON.parse(entry.details).previous[0].schedule, '0 8 * * *');
+    });
+
+    it('keeps overrides when the job is registered again (restart)', () => {
+      registerJob('configurable', '0 8 * * *', async () => {});
+      assert.equal(getJobs().find(j => j.name === 'configurable').schedule, '30 7 * * 1-5');
+
+      setJobSchedule('configurable', { schedule: null, timezone: null });
+      const job = getJobs().find(j => j.name === 'configurable');
+      assert.equal(job.schedule, '0 8 * * *');
+      assert.equal(job.timezone, 'America/New_York');
+    });
+
+    it('disables and re-enables a job without unregistering it', async () => {
+      let runs = 0;
+      registerJob('toggled', '0 * * * *', async () => { runs++; }, { timezone: 'UTC' });
+      setJobSchedule('toggled', { enabled: false });
+      assert.equal(getJobs().find(j => j.name === 'toggled').enabled, false);
+
+      const caughtUp = await catchUpMissedRuns({ now: new Date(Date.now() + 2 * 3600_000) });
+      assert.equal(caughtUp.find(c => c.job === 'toggled'), undefined, 'disabled jobs are not caught up');
+      await runJob('toggled');
+      assert.equal(runs, 1, 'but can still be run manually');
+
+      setJobSchedule('toggled', { enabled: true });
+      assert.equal(getJobs().find(j => j.name === 'toggled').enabled, true);
+    });
+
+    it('sets the default timezone for jobs without their own', () => {
+      registerJob('default-tz', '0 9 * * *', async () => {});
+      registerJob('own-tz', '0 9 * * *', async () => {}, { timezone: 'Asia/Tokyo' });
+      setJobSchedule(ALL_JOBS, { timezone: 'America/Sao_Paulo' });
+      assert.equal(getJobs().find(j => j.name === 'default-tz').timezone, 'America/Sao_Paulo');
+      assert.equal(getJobs().find(j => j.name === 'own-tz').timezone, 'Asia/Tokyo');
+      setJobSchedule(ALL_JOBS, { timezone: null });
+      assert.equal(getJobs().find(j => j.name === 'default-tz').timezone, 'America/New_York');
+    });
+
+    it('rejects invalid changes', () => {
+      assert.throws(() => setJobSchedule('configurable', { schedule: 'every morning' }), /Invalid cron expression/);
+      assert.throws(() => setJobSchedule('configurable', { timezone: 'Mars/Olympus' }), /Invalid timezone/);
+      assert.throws(() => setJobSchedule('nope', { enabled: false }), /Job "nope" not found/);
+      assert.throws(() => setJobSchedule(ALL_JOBS, { schedule: '0 8 * * *' }), /Cannot change schedule for all jobs/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Run history & locks
+  // ------------------------------------------------------------------
+  describe('run history', () => {
+    it('records manual runs with their outcome', async () => {
+      registerJob('history-ok', '0 0 * * *', async () => 'done');
+      // catchUp: false keeps the catch-up tests below from replaying it (and alerting)
+      registerJob('history-fail', '0 0 * * *', async () => { throw new Error('boom'); }, { catchUp: false });
+
+      assert.equal(await runJob('history-ok', { triggeredBy: 'owner:test' }), 'done');
+      await assert.rejects(() => runJob('history-fail'), { message: 'boom' });
+
+      const [ok] = getJobHistory({ job: 'history-ok' });
+      assert.equal(ok.status, 'success');
+      assert.equal(ok.trigger, 'manual');
+      assert.equal(ok.triggered_by, 'owner:test');
+      assert.ok(ok.finished_at);
+      assert.equal(getJobHistory({ job: 'history-fail' })[0].error, 'boom');
+      assert.equal(getJobHistory({ status: 'failed' }).every(r => r.status === 'failed'), true);
+
+      const summary = getJobSummaries().find(j => j.name === 'history-fail');
+      assert.equal(summary.lastRun.status, 'failed');
+      assert.equal(summary.recentFailures, 1);
+    });
+
+    it('never overlaps runs sharing a lock', async () => {
+      let release;
+      registerJob('slow-a', '0 0 * * *', () => new Promise(resolve => { release = resolve; }), { lockKey: 'shared', catchUp: false });
+      registerJob('slow-b', '0 0 * * *', async () => {}, { lockKey: 'shared', catchUp: false });
+
+      const first = runJob('slow-a');
+      assert.equal(getLockHolder('shared').job, 'slow-a');
+      await assert.rejects(() => runJob('slow-b'), /not started: shared is already running/);
+      release();
+      await first;
+      assert.equal(getLockHolder('shared'), null);
+      await runJob('slow-b');
+    });
+
+    it('takes over a lock whose lease expired', () => {
+      const past = new Date(Date.now() - 2 * 3600_000);
+      assert.equal(acquireLock('crashed', { ttlMinutes: 60, now: past }), true);
+      assert.equal(acquireLock('crashed', { ttlMinutes: 60, now: new Date(past.getTime() + 30 * 60_000) }), false);
+      assert.equal(acquireLock('crashed'), true);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Catch-up
+  // ------------------------------------------------------------------
+  describe('catch-up', () => {
+    it('finds the latest slot in the job timezone', () => {
+      const now = new Date('2026-10-18T12:05:00Z');
+      assert.equal(previousSlot('0 8 * * *', { now }).toISOString(), '2026-10-18T12:00:00.000Z');
+      assert.equal(previousSlot('0 8 * * *', { now, timezone: 'UTC' }).toISOString(), '2026-10-18T08:00:00.000Z');
+      assert.equal(previousSlot('0 8 * * *', { now: new Date('2026-10-18T11:59:00Z'), withinHours: 12 }), null);
+    });
+
+    it('replays a missed slot once', async () => {
+      let runs = 0;
+      registerJob('hourly-catch-up', '0 * * * *', async () => { runs++; }, { timezone: 'UTC' });
+      const later = new Date(Date.now() + 2 * 3600_000);
+
+      const caughtUp = await catchUpMissedRuns({ now: later });
+      assert.deepEqual(caughtUp.filter(c => c.job === 'hourly-catch-up').map(c => c.status), ['success']);
+      await catchUpMissedRuns({ now: later });
+      assert.equal(runs, 1);
+      assert.equal(getJobHistory({ job: 'hourly-catch-up' })[0].trigger, 'catch_up');
+    });
+
+    it('does not replay slots from before the job existed', async () => {
+      let runs = 0;
+      const earlier = new Date(Date.now() - 5 * 60_000);
+      registerJob('new-job', `${earlier.getUTCMinutes()} ${earlier.getUTCHours()} * * *`, async () => { runs++; }, { timezone: 'UTC' });
+      await catchUpMissedRuns();
+      assert.equal(runs, 0);
+    });
+
+    it('records a slot as skipped while its lock is busy', async () => {
+      registerJob('busy-job', '0 * * * *', async () => {}, { timezone: 'UTC' });
+      acquireLock('busy-job');
+      const caughtUp = await catchUpMissedRuns({ now: new Date(Date.now() + 2 * 3600_000) });
+      assert.equal(caughtUp.find(c => c.job === 'busy-job').status, 'skipped');
+      assert.match(getJobHistory({ job: 'busy-job' })[0].error, /already running/);
+    });
   });
 
   // ------------------------------------------------------------------
@@ -141,4 +331,13 @@ describe('Scheduler', () => {
       // But we can verify no errors occur
     });
   });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(dbPath + suffix); } catch { /* ignore */ }
+    }
+  });
 });
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for the Shopify integration: API normalization helpers and
+ * UTM revenue attribution. Feeds order payloads shaped like the Admin API
+ * through the helpers — no network calls are made.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const {
+  toCents, normalizeStoreDomain, parseNextPageInfo, normalizeOrder, normalizeProduct,
+} = await import('../../src/api/shopify.js');
+const {
+  parseUtm, orderPlatform, attributeOrders, applyStoreRevenue,
+} = await import('../../src/services/ecommerce.js');
+const { buildMetrics } = await import('../../src/services/metrics.js');
+
+function order(id, { createdAt = '2026-10-12T10:00:00-03:00', landingSite = null, total = '100.00', current, cancelledAt = null, lineItems } = {}) {
+  return normalizeOrder({
+    id,
+    name: `#${id}`,
+    created_at: createdAt,
+    cancelled_at: cancelledAt,
+    currency: 'USD',
+    total_price: total,
+    current_total_price: current ?? total,
+    landing_site: landingSite,
+    line_items: lineItems || [{ product_id: 1, variant_id: 11, sku: 'TEE-M', title: 'Tee', quantity: 2, price: '50.00', discount_allocations: [] }],
+  });
+}
+
+describe('Shopify', () => {
+  // ------------------------------------------------------------------
+  // API helpers
+  // ------------------------------------------------------------------
+  describe('api helpers', () => {
+    it('converts money strings to cents', () => {
+      assert.equal(toCents('19.99'), 1999);
+      assert.equal(toCents('0.1'), 10);
+      assert.equal(toCents(null), 0);
+      assert.equal(toCents('abc'), 0);
+    });
+
+    it('normalizes store URLs to the shop domain', () => {
+      assert.equal(normalizeStoreDomain('https://Acme.myshopify.com/admin/orders'), 'acme.myshopify.com');
+      assert.equal(normalizeStoreDomain('acme'), 'acme.myshopify.com');
+      assert.equal(normalizeStoreDomain('shop.acme.com'), 'shop.acme.com');
+      assert.throws(() => normalizeStoreDomain(' '), /empty/);
+    });
+
+    it('reads the next page cursor from Link headers', () => {
+      const base = 'https://acme.myshopify.com/admin/api/2024-10/orders.json?limit=250';
+      assert.equal(parseNextPageInfo(`<${base}&page_info=abc>; rel="next"`), 'abc');
+      assert.equal(parseNextPageInfo(`<${base}&page_info=prev>; rel="previous", <${base}&page_info=nxt>; rel="next"`), 'nxt');
+      assert.equal(parseNextPageInfo(`<${base}&page_info=prev>; rel="previous"`), null);
+      assert.equal(parseNextPageInfo(undefined), null);
+    });
+
+    it('normalizes orders net of refunds and line discounts', () => {
+      const o = order(7, {
+        total: '120.00',
+        current: '90.00',
+        lineItems: [{
+          product_id: 1, variant_id: 11, sku: 'TEE-M', title: 'Tee', quantity: 2, price: '60.00',
+          // Line discount plus its share of an order-level code
+          discount_allocations: [{ amount: '10.00' }, { amount: '5.50' }],
+        }],
+      });
+      assert.equal(o.id, '7');
+      assert.equal(o.totalCents, 12000);
+      assert.equal(o.netCents, 9000);
+      assert.deepEqual(o.lineItems[0], { productId: '1', variantId: '11', sku: 'TEE-M', title: 'Tee', quantity: 2, revenueCents: 10450 });
+    });
+
+    it('dates orders by created_at, the field listOrders filters on', () => {
+      const o = normalizeOrder({ id: 8, created_at: '2026-09-30T23:50:00Z', processed_at: '2026-10-01T00:10:00Z', line_items: [] });
+      assert.equal(o.createdAt, '2026-09-30T23:50:00Z');
+    });
+
+    it('normalizes products with plain-text descriptions and store URLs', () => {
+      const p = normalizeProduct({
+        id: 1, title: 'Tee', handle: 'tee', body_html: '<p>Soft <b>cotton</b></p>', tags: 'summer, basics',
+        status: 'active', images: [{ src: 'https://cdn/tee.png' }], variants: [{ id: 11, sku: 'TEE-M', title: 'M', price: '25.00' }],
+      }, 'acme.myshopify.com');
+      assert.equal(p.url, 'https://acme.myshopify.com/products/tee');
+      assert.equal(p.description, 'Soft cotton');
+      assert.deepEqual(p.tags, ['summer', 'basics']);
+      assert.equal(p.imageUrl, 'https://cdn/tee.png');
+      assert.equal(p.variants[0].priceCents, 2500);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Attribution
+  // ------------------------------------------------------------------
+  describe('attribution', () => {
+    it('parses UTMs and click ids from landing pages', () => {
+      assert.deepEqual(parseUtm('/products/tee?utm_source=facebook&utm_medium=paid&utm_campaign=spring'),
+        { source: 'facebook', medium: 'paid', campaign: 'spring' });
+      assert.deepEqual(parseUtm('https://acme.com/?gclid=xyz'), { clickId: 'gclid' });
+      assert.deepEqual(parseUtm(null), {});
+    });
+
+    it('maps orders to ad platforms', () => {
+      const platform = landingSite => orderPlatform({ landingSite });
+      assert.equal(platform('/?utm_source=IG&utm_medium=paid_social'), 'meta');
+      assert.equal(platform('/?utm_source=instagram&utm_medium=social'), 'meta');
+      assert.equal(platform('/?utm_source=google&utm_medium=cpc'), 'google');
+      assert.equal(platform('/?ttclid=abc'), 'tiktok');
+      assert.equal(platform('/?utm_source=newsletter&fbclid=abc'), 'meta', 'click id wins');
+      assert.equal(platform('/?utm_source=instagram&utm_medium=bio'), null);
+      assert.equal(platform('/?utm_source=klaviyo&utm_medium=email'), null);
+      assert.equal(platform('/'), null);
+    });
+
+    it('attributes revenue by platform, campaign and product', () => {
+      const result = attributeOrders([
+        order(1, { landingSite: '/?utm_source=facebook&utm_campaign=spring' }),
+        order(2, { landingSite: '/?utm_source=facebook&utm_campaign=spring', total: '60.00', current: '40.00' }),
+        order(3, { landingSite: '/?gclid=x' }),
+        order(4, {
+          landingSite: '/',
+          lineItems: [{ product_id: 2, sku: 'CAP', title: 'Cap', quantity: 1, price: '100.00' }],
+        }),
+        order(5, { landingSite: '/?utm_source=facebook', cancelledAt: '2026-10-12T12:00:00Z' }),
+        order(6, { landingSite: '/?utm_source=facebook', createdAt: '2026-10-01T10:00:00Z' }),
+      ], { since: '2026-10-10', until: '2026-10-16' });
+
+      assert.equal(result.currency, 'USD');
+      assert.equal(result.orders, 4);
+      assert.equal(result.revenueCents, 34000);
+      assert.equal(result.attributedCents, 24000);
+      assert.deepEqual(result.unattributed, { orders: 1, revenueCents: 10000 });
+      assert.deepEqual(result.byPlatform, {
+        meta: { orders: 2, revenueCents: 14000 },
+        google: { orders: 1, revenueCents: 10000 },
+      });
+      assert.deepEqual(result.byCampaign.map(c => [c.platform, c.campaign, c.revenueCents]), [
+        ['meta', 'spring', 14000],
+        ['google', '(no utm_campaign)', 10000],
+      ]);
+      assert.deepEqual(result.products.map(p => [p.title, p.units, p.revenueCents, p.byPlatform]), [
+        ['Tee', 6, 30000, { meta: 20000, google: 10000 }],
+        ['Cap', 1, 10000, {}],
+      ]);
+    });
+
+    it('recomputes platform metrics from store revenue', () => {
+      const metrics = buildMetrics({ platform: 'meta', level: 'account', spendCents: 5000, conversions: 10, conversionValueCents: 40000 });
+      const m = applyStoreRevenue(metrics, { orders: 2, revenueCents: 14000 });
+      assert.equal(m.conversions, 2);
+      assert.equal(m.roas, 2.8);
+      assert.equal(m.cpaCents, 2500);
+      assert.equal(m.platformRoas, 8);
+      assert.equal(m.platformConversions, 10);
+      assert.equal(m.revenueSource, 'shopify');
+      assert.equal(applyStoreRevenue(metrics).roas, 0);
+    });
+  });
+});
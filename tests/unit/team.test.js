@@ -0,0 +1,145 @@
+/**
+ * Unit tests for team accounts: the member registry, sender lookup, approval
+ * and command permissions, and the role → CSA tool mapping.
+ * Uses a temporary SQLite DB for team_members and audit_log.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const costPath = path.join(os.tmpdir(), `team-costs-${Date.now()}.db`);
+process.env.COST_DB_PATH = costPath;
+process.env.TELEGRAM_OWNER_CHAT_ID = '424242';
+
+const {
+  TeamRole, getOwner, findTeamMember, getTeamMember, listTeamMembers, addTeamMember, updateTeamMember,
+  removeTeamMember, actorLabel, canApprove, canUseCommand,
+} = await import('../../src/services/team.js');
+const { getAuditLog } = await import('../../src/services/cost-tracker.js');
+const {
+  CSA_TOOLS, ROLE_TOOL_NAMES, VIEW_TOOL_NAMES, isToolAllowedForRole, getToolsForRole,
+} = await import('../../src/commands/csa-tool-defs.js');
+
+describe('Team', () => {
+  // ------------------------------------------------------------------
+  // Registry
+  // ------------------------------------------------------------------
+  describe('registry', () => {
+    it('always knows the owner as an admin', () => {
+      const owner = findTeamMember({ whatsappPhone: `+${getOwner().whatsappPhone}` });
+      assert.equal(owner.isOwner, true);
+      assert.equal(owner.role, TeamRole.ADMIN);
+      assert.equal(findTeamMember({ telegramChatId: 424242 }).isOwner, true);
+      assert.equal(findTeamMember({ whatsappPhone: '+15550000000' }), null);
+    });
+
+    it('adds members reachable on WhatsApp or Telegram', () => {
+      const maria = addTeamMember({ name: 'Maria', role: 'media_buyer', whatsappPhone: '+55 11 98888-7777' }, { addedBy: 'owner:whatsapp' });
+      assert.equal(maria.whatsappPhone, '5511988887777');
+      addTeamMember({ name: 'Leo', role: 'creative', telegramChatId: '1001' });
+      addTeamMember({ name: 'Rita', role: 'read_only', whatsappPhone: '+14155550123' });
+
+      assert.equal(findTeamMember({ whatsappPhone: '5511988887777' }).name, 'Maria');
+      assert.equal(findTeamMember({ telegramChatId: '1001' }).role, 'creative');
+      assert.deepEqual(listTeamMembers().map(m => m.name), ['Leo', 'Maria', 'Rita']);
+
+      const audit = getAuditLog(50).find(e => e.action === 'team_member_added' && JSON.parse(e.details).member.name === 'Maria');
+      assert.equal(audit.approved_by, 'owner:whatsapp');
+    });
+
+    it('rejects bad roles, missing channels and taken identities', () => {
+      assert.throws(() => addTeamMember({ name: 'X', role: 'intern', telegramChatId: '5' }), /Unknown role/);
+      assert.throws(() => addTeamMember({ name: 'X', role: 'creative' }), /WhatsApp number or a Telegram chat/);
+      assert.throws(() => addTeamMember({ name: 'maria', role: 'creative', telegramChatId: '5' }), /already exists/);
+      assert.throws(() => addTeamMember({ name: 'X', role: 'creative', whatsappPhone: '5511988887777' }), /already belongs to Maria/);
+      assert.throws(() => addTeamMember({ name: 'X', role: 'admin', telegramChatId: '424242' }), /belongs to the owner/);
+    });
+
+    it('changes roles and removes access', () => {
+      assert.equal(updateTeamMember('Rita', { role: 'creative' }).role, 'creative');
+      removeTeamMember('rita', { removedBy: 'team:Maria:telegram' });
+      assert.equal(findTeamMember({ whatsappPhone: '+14155550123' }), null);
+      assert.equal(getTeamMember('Rita').active, false);
+      assert.equal(listTeamMembers().length, 2);
+      assert.equal(listTeamMembers({ includeInactive: true }).length, 3);
+
+      updateTeamMember('Rita', { active: true });
+      assert.equal(findTeamMember({ whatsappPhone: '+14155550123' }).name, 'Rita');
+      assert.throws(() => updateTeamMember('Nobody', { role: 'admin' }), /not found/);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Permissions
+  // ------------------------------------------------------------------
+  describe('permissions', () => {
+    it('labels actors for the audit log', () => {
+      assert.equal(actorLabel(getOwner(), 'telegram'), 'owner:telegram');
+      assert.equal(actorLabel(getTeamMember('Maria'), 'whatsapp'), 'team:Maria:whatsapp');
+    });
+
+    it('lets each role approve only its action types', () => {
+      const maria = getTeamMember('Maria');
+      const leo = getTeamMember('Leo');
+      assert.equal(canApprove(maria, 'change_budget'), true);
+      assert.equal(canApprove(maria, 'launch_campaign'), true);
+      assert.equal(canApprove(maria, 'publish_blog'), false);
+      assert.equal(canApprove(leo, 'creative_review'), true);
+      assert.equal(canApprove(leo, 'pause_campaign'), false);
+      assert.equal(canApprove({ ...leo, role: 'read_only' }, 'creative_review'), false);
+      assert.equal(canApprove(getOwner(), 'anything_new'), true);
+      assert.equal(canApprove({ ...maria, active: false }, 'change_budget'), false);
+    });
+
+    it('limits UNDO and RUN to admins and media buyers', () => {
+      assert.equal(canUseCommand(getTeamMember('Maria'), 'UNDO'), true);
+      assert.equal(canUseCommand(getTeamMember('Leo'), 'RUN'), false);
+      assert.equal(canUseCommand(getOwner(), 'RUN'), true);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Role → tool mapping (csa-tool-defs.js)
+  // ------------------------------------------------------------------
+  describe('role tools', () => {
+    const toolNames = CSA_TOOLS.map(t => t.name);
+
+    it('only lists tools that exist', () => {
+      for (const [role, names] of Object.entries(ROLE_TOOL_NAMES)) {
+        for (const name of names) assert.ok(toolNames.includes(name), `${role} lists unknown tool ${name}`);
+      }
+    });
+
+    it('gives admins every tool and keeps settings tools admin-only', () => {
+      assert.equal(getToolsForRole('admin').length, CSA_TOOLS.length);
+      for (const tool of ['manage_team', 'update_safety_policy', 'configure_job_schedule', 'configure_client_delivery', 'check_credentials']) {
+        for (const role of ['media_buyer', 'creative', 'read_only']) {
+          assert.equal(isToolAllowedForRole(role, tool), false, `${role} must not call ${tool}`);
+        }
+      }
+    });
+
+    it('keeps read-only to viewing tools and splits campaign from creative work', () => {
+      assert.deepEqual(ROLE_TOOL_NAMES.read_only, VIEW_TOOL_NAMES);
+      assert.equal(isToolAllowedForRole('read_only', 'get_client_stats'), true);
+      assert.equal(isToolAllowedForRole('read_only', 'request_campaign_pause'), false);
+      assert.equal(isToolAllowedForRole('media_buyer', 'configure_budget_pacing'), true);
+      assert.equal(isToolAllowedForRole('media_buyer', 'generate_ad_video'), false);
+      assert.equal(isToolAllowedForRole('creative', 'generate_ad_video'), true);
+      assert.equal(isToolAllowedForRole('creative', 'undo_action'), false);
+      assert.equal(isToolAllowedForRole('intern', 'list_clients'), false);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(costPath); } catch { /* ignore */ }
+  });
+});
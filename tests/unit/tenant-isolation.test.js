@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the client-mode tenant guard in csa-tool-executor.js:
+ * every client-facing tool is bound to the contact's own client, and calls
+ * naming another client or an owner-only tool are refused and audited.
+ * Uses temporary SQLite databases; refused calls never reach a tool.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+
+process.env.NODE_ENV = 'test';
+
+const kbPath = path.join(os.tmpdir(), `tenant-kb-${Date.now()}.db`);
+const costPath = path.join(os.tmpdir(), `tenant-costs-${Date.now()}.db`);
+process.env.KB_DB_PATH = kbPath;
+process.env.COST_DB_PATH = costPath;
+
+const { createClient } = await import('../../src/services/knowledge-base.js');
+const { getAuditLog } = await import('../../src/services/cost-tracker.js');
+const { CSA_TOOLS, CLIENT_TOOL_NAMES } = await import('../../src/commands/csa-tool-defs.js');
+const { bindToolToTenant, executeCSAToolWithTimeout } = await import('../../src/commands/csa-tool-executor.js');
+
+const acme = createClient({ name: 'Acme Shoes' });
+const rival = createClient({ name: 'Rival Boots' });
+const tenant = { clientId: acme.id, clientName: 'Acme Shoes', contact: '+5511999990000' };
+
+describe('Tenant isolation', () => {
+  // ------------------------------------------------------------------
+  // bindToolToTenant — every client-facing tool
+  // ------------------------------------------------------------------
+  describe('bindToolToTenant', () => {
+    it('only guards tools that exist', () => {
+      const toolNames = CSA_TOOLS.map(t => t.name);
+      for (const name of CLIENT_TOOL_NAMES) assert.ok(toolNames.includes(name), `unknown client tool ${name}`);
+    });
+
+    it('keeps tools that queue owner approvals out of client chat', () => {
+      assert.ok(!CLIENT_TOOL_NAMES.includes('draft_email_campaign'));
+    });
+
+    for (const toolName of CLIENT_TOOL_NAMES) {
+      describe(toolName, () => {
+        it('fills in the contact\'s client when none is given', () => {
+          const { input } = bindToolToTenant(toolName, { url: 'https://acme.test' }, tenant);
+          assert.equal(input.clientName, 'Acme Shoes');
+          assert.equal(input.url, 'https://acme.test');
+        });
+
+        it('accepts the contact\'s own client by ID or any casing', () => {
+          assert.equal(bindToolToTenant(toolName, { clientName: 'acme shoes' }, tenant).input.clientName, 'Acme Shoes');
+          assert.equal(bindToolToTenant(toolName, { clientId: acme.id }, tenant).input.clientId, acme.id);
+        });
+
+        it('rewrites names that are not a client', () => {
+          assert.equal(bindToolToTenant(toolName, { clientName: 'Acme Running Club' }, tenant).input.clientName, 'Acme Shoes');
+        });
+
+        it('refuses another client by name or ID', () => {
+          const byName = bindToolToTenant(toolName, { clientName: 'RIVAL BOOTS' }, tenant);
+          assert.match(byName.error, /only work on Acme Shoes/);
+          assert.equal(byName.violation.requestedClientId, rival.id);
+          assert.equal(bindToolToTenant(toolName, { clientId: rival.id }, tenant).violation.reason, 'cross_tenant');
+        });
+      });
+    }
+
+    it('refuses owner tools in client mode', () => {
+      for (const toolName of ['get_client_stats', 'list_client_files', 'list_clients', 'get_audit_log']) {
+        const result = bindToolToTenant(toolName, { clientName: 'Acme Shoes' }, tenant);
+        assert.equal(result.violation?.reason, 'tool_not_allowed', toolName);
+      }
+    });
+
+    it('does not change the caller\'s input', () => {
+      const toolInput = { clientName: 'Acme Running Club' };
+      bindToolToTenant('generate_text_ads', toolInput, tenant);
+      assert.equal(toolInput.clientName, 'Acme Running Club');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // executeCSAToolWithTimeout — refused calls are audited
+  // ------------------------------------------------------------------
+  describe('executeCSAToolWithTimeout', () => {
+    it('refuses and audits cross-tenant calls', async () => {
+      const result = await executeCSAToolWithTimeout('list_wp_content', { clientName: 'Rival Boots' }, { tenant });
+      assert.match(result.error, /only work on Acme Shoes/);
+
+      const entry = getAuditLog(50, acme.id).find(e => e.action === 'tenant_violation_blocked' && JSON.parse(e.details).tool === 'list_wp_content');
+      assert.ok(entry);
+      assert.equal(entry.result, 'blocked');
+      assert.deepEqual(JSON.parse(entry.details), {
+        tool: 'list_wp_content', contact: tenant.contact, reason: 'cross_tenant',
+        key: 'clientName', requested: 'Rival Boots', requestedClientId: rival.id,
+      });
+    });
+
+    it('refuses and audits owner tools', async () => {
+      const result = await executeCSAToolWithTimeout('get_client_stats', { clientName: 'Acme Shoes' }, { tenant });
+      assert.match(result.error, /not available in client chat/);
+      const entry = getAuditLog(50, acme.id).find(e => e.action === 'tenant_violation_blocked' && JSON.parse(e.details).tool === 'get_client_stats');
+      assert.equal(JSON.parse(entry.details).reason, 'tool_not_allowed');
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // Cleanup
+  // ------------------------------------------------------------------
+  after(() => {
+    try { fs.unlinkSync(kbPath); } catch { /* ignore */ }
+    try { fs.unlinkSync(costPath); } catch { /* ignore */ }
+  });
+});
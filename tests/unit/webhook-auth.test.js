@@ -0,0 +1,135 @@
+/**
+ * Unit tests for webhook authentication: Meta X-Hub-Signature-256
+ * verification, secret comparison, the replay window and the Express
+ * middleware that rejects unauthenticated or stale deliveries.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+process.env.NODE_ENV = 'test';
+
+const {
+  secretsMatch, verifyMetaSignature, isWithinReplayWindow, requireWebhookAuth,
+} = await import('../../src/utils/webhook-auth.js');
+
+const APP_SECRET = 'meta-app-secret';
+const sign = (body, secret = APP_SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Minimal Express req/res stand-ins
+function run(middleware, { headers = {}, body = {}, rawBody } = {}) {
+  const req = {
+    body,
+    rawBody: rawBody ?? Buffer.from(JSON.stringify(body)),
+    ip: '203.0.113.9',
+    path: '/webhook/test',
+    get: (name) => headers[name.toLowerCase()],
+  };
+  const outcome = { status: null, next: false };
+  const res = { sendStatus: (code) => { outcome.status = code; return res; } };
+  middleware(req, res, () => { outcome.next = true; });
+  return outcome;
+}
+
+describe('Webhook Auth', () => {
+  // ------------------------------------------------------------------
+  // verifyMetaSignature & secretsMatch
+  // ------------------------------------------------------------------
+  describe('verifyMetaSignature', () => {
+    const body = Buffer.from('{"entry":[{"id":"1"}]}');
+
+    it('accepts the HMAC of the exact raw body', () => {
+      assert.equal(verifyMetaSignature(body, sign(body), APP_SECRET), true);
+    });
+
+    it('rejects other bodies, secrets and malformed headers', () => {
+      assert.equal(verifyMetaSignature(Buffer.from('{"entry":[{"id":"2"}]}'), sign(body), APP_SECRET), false);
+      assert.equal(verifyMetaSignature(body, sign(body, 'other-secret'), APP_SECRET), false);
+      assert.equal(verifyMetaSignature(body, sign(body).replace('sha256=', 'sha1='), APP_SECRET), false);
+      assert.equal(verifyMetaSignature(body, undefined, APP_SECRET), false);
+      assert.equal(verifyMetaSignature(undefined, sign(body), APP_SECRET), false);
+    });
+
+    it('compares secrets of any length without throwing', () => {
+      assert.equal(secretsMatch('abc', 'abc'), true);
+      assert.equal(secretsMatch('abc', 'abcd'), false);
+      assert.equal(secretsMatch(undefined, 'abc'), false);
+      assert.equal(secretsMatch('', ''), false);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // isWithinReplayWindow
+  // ------------------------------------------------------------------
+  describe('isWithinReplayWindow', () => {
+    const now = Date.parse('2026-10-18T12:00:00Z');
+    const nowSeconds = now / 1000;
+
+    it('accepts events inside the window in either direction', () => {
+      assert.equal(isWithinReplayWindow(nowSeconds - 599, 600, now), true);
+      assert.equal(isWithinReplayWindow(String(nowSeconds + 30), 600, now), true);
+    });
+
+    it('rejects old and far-future events', () => {
+      assert.equal(isWithinReplayWindow(nowSeconds - 601, 600, now), false);
+      assert.equal(isWithinReplayWindow(nowSeconds + 3600, 600, now), false);
+    });
+
+    it('lets events without a timestamp through', () => {
+      assert.equal(isWithinReplayWindow(undefined, 600, now), true);
+      assert.equal(isWithinReplayWindow('not-a-time', 600, now), true);
+    });
+  });
+
+  // ------------------------------------------------------------------
+  // requireWebhookAuth
+  // ------------------------------------------------------------------
+  describe('requireWebhookAuth', () => {
+    const meta = requireWebhookAuth({
+      source: 'WhatsApp',
+      secret: APP_SECRET,
+      verify: (req, secret) => verifyMetaSignature(req.rawBody, req.get('x-hub-signature-256'), secret),
+      eventTime: (body) => body?.timestamp,
+      windowSeconds: 600,
+    });
+
+    it('passes signed, fresh deliveries to the handler', () => {
+      const body = { timestamp: String(Math.floor(Date.now() / 1000)) };
+      const raw = Buffer.from(JSON.stringify(body));
+      assert.deepEqual(run(meta, { body, rawBody: raw, headers: { 'x-hub-signature-256': sign(raw) } }), { status: null, next: true });
+    });
+
+    it('answers 401 to unsigned or forged deliveries', () => {
+      assert.equal(run(meta, { body: { timestamp: '1' } }).status, 401);
+      const forged = run(meta, { body: { from: 'owner' }, headers: { 'x-hub-signature-256': sign('{"from":"someone"}') } });
+      assert.deepEqual(forged, { status: 401, next: false });
+    });
+
+    it('acknowledges but drops replays of old signed deliveries', () => {
+      const body = { timestamp: String(Math.floor(Date.now() / 1000) - 3600) };
+      const raw = Buffer.from(JSON.stringify(body));
+      assert.deepEqual(run(meta, { body, rawBody: raw, headers: { 'x-hub-signature-256': sign(raw) } }), { status: 200, next: false });
+    });
+
+    it('checks Telegram secret tokens', () => {
+      const telegram = requireWebhookAuth({
+        source: 'Telegram',
+        secret: 'tg_secret-1',
+        verify: (req, secret) => secretsMatch(req.get('x-telegram-bot-api-secret-token'), secret),
+      });
+      assert.equal(run(telegram, { headers: { 'x-telegram-bot-api-secret-token': 'tg_secret-1' } }).next, true);
+      assert.equal(run(telegram, { headers: { 'x-telegram-bot-api-secret-token': 'guess' } }).status, 401);
+    });
+
+    it('does not authenticate when no secret is configured', () => {
+      const open = requireWebhookAuth({ source: 'Telegram', secret: '', verify: () => false });
+      assert.equal(run(open).next, true);
+    });
+
+    it('rejects everything when a required secret is missing', () => {
+      const closed = requireWebhookAuth({ source: 'WhatsApp', secret: '', verify: () => true, required: true });
+      assert.deepEqual(run(closed), { status: 401, next: false });
+    });
+  });
+});